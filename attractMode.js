@@ -0,0 +1,204 @@
+/**
+ * アトラクトモード
+ * 一定時間操作がないと、仮想の演奏者が心拍BPMの拍に合わせてクリック・曲線ドラッグ・エフェクト切り替えを行う
+ * 実際のポインターやキー入力があれば即座に操作を返す
+ */
+
+/** 仮想の演奏者のポインターID（実際のポインターIDと重ならない値） */
+const ATTRACT_POINTER_ID = -1;
+
+/**
+ * 無操作時の自動演奏クラス
+ */
+class AttractMode {
+    /**
+     * @param {Object} host - アプリへのアクセス
+     * @param {Function} host.dispatch - (type, args) => void 入力イベントの実行（sketch.js の INPUT_HANDLERS）
+     * @param {Function} host.isBusy - () => boolean 演奏を控える状態か（一時停止・入力ログ再生中など）
+     * @param {Function} host.getEffect - () => number 現在のエフェクト番号
+     * @param {Function} host.cancelGesture - (pointerId) => void 途中のドラッグ状態の破棄
+     */
+    constructor(host) {
+        this.host = host;
+        this.isActive = false;
+        this.lastInputTime = millis();
+        this.beatIndex = 0;
+        this.nextBeatTime = 0;
+        /** 進行中の曲線ドラッグ */
+        this.drag = null;
+        this.rng = randomService.stream('attract');
+    }
+
+    /**
+     * 実際の入力の通知
+     * 演奏中であれば即座に停止する
+     */
+    notifyInput() {
+        this.lastInputTime = millis();
+        if (this.isActive) {
+            this.stop();
+        }
+    }
+
+    /**
+     * アイドル判定と演奏の進行（draw の先頭で呼ぶ）
+     */
+    update() {
+        const config = Config.ATTRACT;
+        const now = millis();
+
+        if (!config.ENABLED || this.host.isBusy()) {
+            if (this.isActive) this.stop();
+            this.lastInputTime = now;
+            return;
+        }
+
+        if (!this.isActive) {
+            if (now - this.lastInputTime >= config.IDLE_SECONDS * 1000) {
+                this.start(now);
+            }
+            return;
+        }
+
+        // 1回の更新で演奏するのは1拍まで
+        // タブが隠れていた・処理が止まっていた間の拍はまとめて鳴らさず、いまから次の拍を数える
+        if (now >= this.nextBeatTime) {
+            const beatDuration = this.getBeatDuration();
+            this.onBeat(this.beatIndex++);
+            this.nextBeatTime = now - this.nextBeatTime > beatDuration ?
+                now + beatDuration :
+                this.nextBeatTime + beatDuration;
+        }
+
+        if (this.drag) {
+            this.updateDrag(now);
+        }
+    }
+
+    /**
+     * 演奏の開始
+     * @param {number} now - 現在時刻（ms）
+     */
+    start(now) {
+        this.isActive = true;
+        this.beatIndex = 0;
+        this.nextBeatTime = now;
+        this.drag = null;
+        console.log('🎭 Attract mode started');
+    }
+
+    /**
+     * 演奏の停止
+     */
+    stop() {
+        this.isActive = false;
+        if (this.drag) {
+            this.drag = null;
+            this.host.cancelGesture(ATTRACT_POINTER_ID);
+        }
+        console.log('🎭 Attract mode stopped');
+    }
+
+    /**
+     * 1拍の長さ（ms）
+     * @returns {number} 拍の長さ
+     */
+    getBeatDuration() {
+        return 60000 / Config.SOUND.HEARTBEAT_BPM;
+    }
+
+    /**
+     * 拍ごとの演奏の選択
+     * 小節の頭でエフェクトを切り替え、一定の拍ごとにクリックまたはドラッグを始める
+     * @param {number} beat - 演奏開始からの拍番号
+     */
+    onBeat(beat) {
+        const config = Config.ATTRACT;
+        const beatsPerChange = config.BEATS_PER_BAR * config.EFFECT_CHANGE_BARS;
+
+        if (beat > 0 && beat % beatsPerChange === 0) {
+            this.changeEffect();
+        }
+
+        if (this.drag || beat % config.GESTURE_INTERVAL_BEATS !== 0) return;
+
+        if (this.rng.random() < config.DRAG_PROBABILITY) {
+            this.startDrag();
+        } else {
+            this.click();
+        }
+    }
+
+    /**
+     * クリック（押下と解放を同じフレームで実行）
+     */
+    click() {
+        const point = this.randomPoint();
+        this.host.dispatch('down', [point.x, point.y, ATTRACT_POINTER_ID]);
+        this.host.dispatch('up', [point.x, point.y, ATTRACT_POINTER_ID]);
+    }
+
+    /**
+     * 曲線ドラッグの開始
+     * 3次ベジェ曲線に沿って DRAG_BEATS 拍かけて移動し、終点で経路爆発を起こす
+     */
+    startDrag() {
+        const points = [this.randomPoint(), this.randomPoint(), this.randomPoint(), this.randomPoint()];
+        const startTime = millis();
+        this.drag = {
+            points,
+            startTime,
+            duration: this.getBeatDuration() * Config.ATTRACT.DRAG_BEATS,
+            previous: points[0]
+        };
+        this.host.dispatch('down', [points[0].x, points[0].y, ATTRACT_POINTER_ID]);
+    }
+
+    /**
+     * 曲線ドラッグの進行
+     * @param {number} now - 現在時刻（ms）
+     */
+    updateDrag(now) {
+        const drag = this.drag;
+        const t = constrain((now - drag.startTime) / drag.duration, 0, 1);
+        const eased = easing.easeInOutQuad(t);
+        const [p0, p1, p2, p3] = drag.points;
+        const point = {
+            x: bezierPoint(p0.x, p1.x, p2.x, p3.x, eased),
+            y: bezierPoint(p0.y, p1.y, p2.y, p3.y, eased)
+        };
+
+        this.host.dispatch('drag', [point.x, point.y, drag.previous.x, drag.previous.y, ATTRACT_POINTER_ID]);
+        drag.previous = point;
+
+        if (t >= 1) {
+            this.drag = null;
+            this.host.dispatch('up', [point.x, point.y, ATTRACT_POINTER_ID]);
+        }
+    }
+
+    /**
+     * 現在以外の登録済みエフェクトへの切り替え
+     */
+    changeEffect() {
+        const candidates = effectRegistry.numbers().filter(number => number !== this.host.getEffect());
+        if (candidates.length > 0) {
+            this.host.dispatch('effect', [this.rng.random(candidates)]);
+        }
+    }
+
+    /**
+     * 画面端の余白を除いたランダムな位置
+     * @returns {{x: number, y: number}} 位置
+     */
+    randomPoint() {
+        const margin = Config.ATTRACT.MARGIN;
+        return {
+            x: this.rng.random(width * margin, width * (1 - margin)),
+            y: this.rng.random(height * margin, height * (1 - margin))
+        };
+    }
+}
+
+// グローバルアクセス用
+window.AttractMode = AttractMode;
@@ -4,17 +4,16 @@
  */
 
 /**
- * アプリケーション全体の設定クラス
+ * デフォルト設定定義クラス
+ * 実行時の値は ConfigStore が保持し、AppConfig 経由でアクセスする
  */
-class AppConfig {
+class DefaultConfig {
     static get CANVAS() {
         return {
             /** デフォルトの背景アルファ値 */
             DEFAULT_BG_ALPHA: 20,
             /** フレームレート */
             TARGET_FPS: 60,
-            /** ブレンドモード */
-            BLEND_MODE: 'ADD',
             /** カラーモード設定 */
             COLOR_MODE: {
                 R_MAX: 255,
@@ -25,32 +24,29 @@ class AppConfig {
         };
     }
 
-    static get UI() {
+    static get SIMULATION() {
         return {
-            /** デバッグキー */
-            DEBUG_KEY_CODE: 68, // 'D' キー
-            /** デバッグ表示位置 */
-            DEBUG_POSITION: {
-                X: 10,
-                Y_OFFSET_FPS: 60,
-                Y_OFFSET_PARTICLES: 40,
-                Y_OFFSET_TRAILS: 20
-            },
-            /** 音量関連 */
-            VOLUME: {
-                SLIDER_SCALE: 100,
-                MUTED_OPACITY: 0.4,
-                NORMAL_OPACITY: 0.8
-            },
-            /** タイミング */
-            TIMING: {
-                SOUND_DELAY_MS: 100
-            }
+            /**
+             * 1秒あたりのシミュレーションのステップ数
+             * 速度・減衰・力などの係数は1ステップあたりの値（60ステップ/秒で調整済み）
+             */
+            STEP_RATE: 60,
+            /** 1フレームで進める最大ステップ数（処理落ち時に追いつこうとして更に遅くなるのを防ぐ） */
+            MAX_STEPS_PER_FRAME: 5,
+            /** 直前の2ステップの間を補間して描画する（リフレッシュレートがステップ数より高い画面で滑らかにする） */
+            INTERPOLATE: true
         };
     }
 
     static get RENDERING() {
         return {
+            /** パーティクルの描画方式（'2d': Canvas 2D / 'webgl': WebGL2 のインスタンス描画、使えない環境では 2d） */
+            RENDERER: '2d',
+            /** WebGL 描画 */
+            WEBGL: {
+                /** グローの縁をぼかす幅（各レイヤーの半径に対する比率） */
+                GLOW_SOFTNESS: 0.5
+            },
             /** トレイル効果 */
             TRAIL: {
                 MIN_VELOCITY_FOR_DISPLAY: 0.5,
@@ -82,6 +78,8 @@ class AppConfig {
         return {
             /** デフォルト最大パーティクル数 */
             MAX_COUNT: 1000,
+            /** パーティクルの格納方式（'objects': Particle の配列 / 'soa': 型付き配列、1万個以上向け） */
+            BACKEND: 'objects',
             /** 初期パーティクル数 */
             INITIAL_COUNT: 200,
             /** 最小維持パーティクル数 */
@@ -91,6 +89,12 @@ class AppConfig {
             /** 新規生成数の範囲 */
             NEW_GENERATION_RANGE: { min: 1, max: 5 },
             
+            /** 近傍検索の空間グリッド */
+            SPATIAL_GRID: {
+                /** セルの一辺（px） */
+                CELL_SIZE: 50
+            },
+            
             /** 物理パラメータ */
             PHYSICS: {
                 /** デフォルト重力 */
@@ -121,16 +125,32 @@ class AppConfig {
                 SATURATION_RANGE: { min: 60, max: 100 },
                 /** 色相範囲 */
                 HUE_RANGE: 360,
-                /** ライフスパン範囲 */
-                LIFESPAN_RANGE: { min: 60, max: 180 },
-                /** 初期ライフスパン範囲 */
-                INITIAL_LIFESPAN_RANGE: { min: 120, max: 240 },
-                /** フェードアウト開始時間 */
-                FADE_START_TIME: 30,
+                /** ライフスパン範囲（秒） */
+                LIFESPAN_RANGE: { min: 1, max: 3 },
+                /** 初期ライフスパン範囲（秒） */
+                INITIAL_LIFESPAN_RANGE: { min: 2, max: 4 },
+                /** フェードアウト開始時間（残りライフスパン、秒） */
+                FADE_START_TIME: 0.5,
                 /** グロー効果レイヤー数 */
                 GLOW_LAYERS: 3
             },
 
+            /** パーティクルの形（particleShapes.js。エフェクトごとの形は EFFECTS.CONFIGS の shape） */
+            SHAPES: {
+                /** ファクトリーごとの形（エフェクトの shape より優先。例: { explosion: 'spark' }） */
+                FACTORY_SHAPES: {},
+                /** 星形（先端の数・くぼみの半径の比率） */
+                STAR: { POINTS: 5, INNER_RATIO: 0.45 },
+                /** 花びら（花弁の数・花弁の間の半径の比率） */
+                PETAL: { COUNT: 5, INNER_RATIO: 0.15 },
+                /** 正多角形（辺の数） */
+                POLYGON: { SIDES: 6 },
+                /** 火花（速さ1px/ステップあたりの伸び（サイズ比）・最大の伸び率・太さの比率） */
+                SPARK: { LENGTH_FACTOR: 1.5, MAX_STRETCH: 6, THICKNESS_RATIO: 0.35 },
+                /** 画像スプライト（形の名前 → 画像のURL。白い画像はパーティクルの色で着色される） */
+                SPRITES: {}
+            },
+
             /** ドラッグ相互作用パラメータ */
             DRAG_INTERACTION: {
                 /** 基本影響範囲（px） */
@@ -150,7 +170,35 @@ class AppConfig {
                 /** 同期効果の強度 */
                 SYNC_STRENGTH: 0.4,
                 /** 最低ドラッグ速度（引力効果発動） */
-                MIN_DRAG_SPEED_FOR_ATTRACTION: 5
+                MIN_DRAG_SPEED_FOR_ATTRACTION: 5,
+                /** 筆圧による引力の倍率範囲（筆圧0〜1） */
+                PRESSURE_ATTRACTION_RANGE: { min: 0.4, max: 1.6 }
+            },
+
+            /** パーティクル同士の相互作用（エフェクトごとに EFFECTS.CONFIGS の interactions で有効化） */
+            INTERACTIONS: {
+                /** 群れの近傍とみなす距離（px） */
+                NEIGHBOR_RADIUS: 40,
+                /** 群れの計算に使う近傍の最大数 */
+                MAX_NEIGHBORS: 12,
+                /** 分離（近づきすぎた仲間から離れる）の強さ */
+                SEPARATION_WEIGHT: 1.5,
+                /** 整列（仲間と向きを揃える）の強さ */
+                ALIGNMENT_WEIGHT: 0.05,
+                /** 結合（仲間の中心へ寄る）の強さ */
+                COHESION_WEIGHT: 0.02,
+                /** 群れの力の上限 */
+                MAX_FLOCK_FORCE: 0.3,
+                /** 衝突半径（サイズに対する比率） */
+                COLLISION_RADIUS_FACTOR: 0.5,
+                /** 衝突時の反発の強さ（めり込み1pxあたり） */
+                COLLISION_STIFFNESS: 0.3,
+                /** 衝突時の近づく速度の減衰 */
+                COLLISION_DAMPING: 0.1,
+                /** 合体する深さ（中心間距離が衝突半径の和のこの比率未満） */
+                MERGE_DISTANCE_RATIO: 0.5,
+                /** 合体後の最大サイズ */
+                MERGE_MAX_SIZE: 24
             },
 
             /** 爆発エフェクトパラメータ */
@@ -163,8 +211,8 @@ class AppConfig {
                 ANGLE_VARIATION: 0.2,
                 /** 影響範囲（px） */
                 INFLUENCE_RADIUS: 150,
-                /** ライフスパン範囲 */
-                LIFESPAN_RANGE: { min: 60, max: 120 }
+                /** ライフスパン範囲（秒） */
+                LIFESPAN_RANGE: { min: 1, max: 2 }
             },
 
             /** パス爆発エフェクトパラメータ */
@@ -203,14 +251,14 @@ class AppConfig {
         return {
             /** 最大軌跡数 */
             MAX_TRAILS: 10,
-            /** 軌跡持続時間（フレーム）60fps × 3秒 */
-            DURATION_FRAMES: 180,
+            /** 軌跡持続時間（秒） */
+            DURATION_SECONDS: 3,
             /** 最大軌跡セグメント数 */
             MAX_SEGMENTS: 500,
             /** クリーンアップ時の保持数 */
             CLEANUP_KEEP_COUNT: 300,
-            /** 最近の軌跡影響時間（フレーム） */
-            RECENT_INFLUENCE_FRAMES: 30,
+            /** 最近の軌跡影響時間（秒） */
+            RECENT_INFLUENCE_SECONDS: 0.5,
 
             /** 描画パラメータ */
             RENDERING: {
@@ -224,12 +272,20 @@ class AppConfig {
                 CORE_THICKNESS_FACTOR: 0.3,
                 /** 色相変化速度 */
                 HUE_CHANGE_SPEED: 2,
+                /** 同時に描かれる軌跡ごとの色相のずれ（度） */
+                STREAM_HUE_OFFSET: 137.5,
                 /** 彩度 */
                 SATURATION: 80,
                 /** 明度 */
                 BRIGHTNESS: 100,
                 /** アルファフェード係数 */
-                ALPHA_FADE_FACTOR: 0.3
+                ALPHA_FADE_FACTOR: 0.3,
+                /** 筆圧による太さの倍率範囲（筆圧0〜1） */
+                PRESSURE_THICKNESS_RANGE: { min: 0.3, max: 1.7 },
+                /** ペンの傾き方向による色相のずれ幅（度） */
+                TILT_HUE_RANGE: 60,
+                /** ペンの回転1度あたりの色相のずれ（度） */
+                TWIST_HUE_FACTOR: 0.5
             }
         };
     }
@@ -264,6 +320,24 @@ class AppConfig {
                 AMBIENT_START_DELAY: 500
             },
 
+            /** ドラッグ音のボイス（ポインターごとに1音） */
+            DRAG_VOICES: {
+                /** 同時に鳴らす最大ボイス数 */
+                MAX: 5,
+                /** 音程・音量の追従時間（秒） */
+                GLIDE_TIME: 0.05,
+                /** 移動が止まってから消音するまでの時間（ms） */
+                RELEASE_DELAY_MS: 150,
+                /** 消音のフェード時間（秒） */
+                RELEASE_TIME: 0.1,
+                /** 筆圧による音量の倍率範囲（筆圧0〜1） */
+                PRESSURE_VOLUME_RANGE: { min: 0.3, max: 1.7 },
+                /** ローパスフィルターの周波数範囲（Hz、ペンを傾けるほど低く） */
+                FILTER_FREQUENCY_RANGE: { min: 600, max: 8000 },
+                /** ローパスフィルターのレゾナンス */
+                FILTER_RESONANCE: 4
+            },
+
             /** エフェクトタイプ別設定 */
             EFFECT_TYPES: {
                 1: { // 爆発エフェクト
@@ -402,17 +476,47 @@ class AppConfig {
     static get UI() {
         return {
             /** デバッグキー */
-            DEBUG_KEY: 68, // 'D'
+            DEBUG_KEY: 73, // 'I'（'D' は仮想カーソルの移動キー）
             /** ポーズキー */
             PAUSE_KEY: 32, // Space
             /** リセットキー */
             RESET_KEY: 82, // 'R'
             /** ミュートキー */
             MUTE_KEY: 77, // 'M'
+            /** 配置する力場の種類の切り替えキー */
+            FIELD_TYPE_KEY: 70, // 'F'
+            /** 力場の全削除キー */
+            FIELD_CLEAR_KEY: 88, // 'X'
+            /** ポストエフェクトの切り替えキー */
+            POST_PROCESSING_KEY: 80, // 'P'
             
-            /** エフェクト切り替えキー */
+            /** エフェクト切り替えキー（エフェクト1から順に、以降はエフェクト登録時のキー） */
             EFFECT_KEYS: [49, 50, 51, 52, 53], // '1'-'5'
             
+            /** デバッグ表示位置 */
+            DEBUG_POSITION: {
+                X: 10,
+                Y_OFFSET_POST_PROCESSING: 180,
+                Y_OFFSET_FIELDS: 160,
+                Y_OFFSET_QUALITY_CHANGE: 140,
+                Y_OFFSET_QUALITY: 120,
+                Y_OFFSET_POOL: 100,
+                Y_OFFSET_SEED: 80,
+                Y_OFFSET_FPS: 60,
+                Y_OFFSET_PARTICLES: 40,
+                Y_OFFSET_TRAILS: 20
+            },
+            /** 音量関連 */
+            VOLUME: {
+                SLIDER_SCALE: 100,
+                MUTED_OPACITY: 0.4,
+                NORMAL_OPACITY: 0.8
+            },
+            /** タイミング */
+            TIMING: {
+                SOUND_DELAY_MS: 100
+            },
+            
             /** ステータス表示色 */
             STATUS_COLORS: {
                 SUCCESS: '#e8f5e8',
@@ -425,6 +529,9 @@ class AppConfig {
 
     static get EFFECTS() {
         return {
+            /** 起動時のエフェクト番号 */
+            DEFAULT_EFFECT: 1,
+
             /** エフェクト設定 */
             CONFIGS: {
                 1: { // 爆発エフェクト
@@ -432,40 +539,812 @@ class AppConfig {
                     trail: false,
                     gravity: false,
                     mouseAttraction: 0.5,
-                    bgAlpha: 20
+                    bgAlpha: 20,
+                    interactions: { flocking: false, collisions: false, merging: false },
+                    shape: 'star',
+                    postProcessing: { bloom: {}, vignette: {} }
                 },
                 2: { // トレイルエフェクト
                     mode: 'trail',
                     trail: true,
                     gravity: false,
                     mouseAttraction: 1,
-                    bgAlpha: 10
+                    bgAlpha: 10,
+                    interactions: { flocking: false, collisions: false, merging: false },
+                    shape: 'spark',
+                    postProcessing: { feedback: { amount: 0.8, zoom: 1.005, rotation: 0 }, bloom: { intensity: 0.6 }, vignette: {} }
                 },
                 3: { // 虹色パルス
                     mode: 'rainbow',
                     trail: false,
                     gravity: false,
                     mouseAttraction: 0.8,
-                    bgAlpha: 5
+                    bgAlpha: 5,
+                    interactions: { flocking: false, collisions: false, merging: false },
+                    shape: 'petal',
+                    postProcessing: { bloom: {}, chromaticAberration: { offset: 4 }, vignette: {} }
                 },
                 4: { // 重力シミュレーション
                     mode: 'gravity',
                     trail: false,
                     gravity: true,
                     mouseAttraction: 0.3,
-                    bgAlpha: 15
+                    bgAlpha: 15,
+                    interactions: { flocking: false, collisions: true, merging: true },
+                    shape: 'circle',
+                    postProcessing: { bloom: { threshold: 0.5 }, vignette: { strength: 0.5 }, grain: {} }
                 },
                 5: { // 渦巻きエフェクト
                     mode: 'swirl',
                     trail: true,
                     gravity: false,
                     mouseAttraction: 1.2,
-                    bgAlpha: 25
+                    bgAlpha: 25,
+                    interactions: { flocking: true, collisions: false, merging: false },
+                    shape: 'polygon',
+                    postProcessing: { feedback: { zoom: 1.01, rotation: 0.01 }, bloom: {}, vignette: {} }
                 }
             }
         };
     }
 
+    static get POST_PROCESSING() {
+        return {
+            /** ポストエフェクト全体の有効化（'P' キーで切り替え。毎フレーム画面全体のコピーが増えるため既定は無効） */
+            ENABLED: false,
+            /** パスごとの有効化（エフェクトの postProcessing に書かれていても false のパスはかけない） */
+            PASSES: {
+                feedback: true,
+                bloom: true,
+                chromaticAberration: true,
+                vignette: true,
+                grain: true
+            },
+            /** パスごとのパラメータの既定値（エフェクトの postProcessing で上書き） */
+            DEFAULTS: {
+                /** 前フレームの残像（amount: 残す割合、zoom: 1フレームの拡大率、rotation: 1フレームの回転（ラジアン）） */
+                feedback: { amount: 0.85, zoom: 1.01, rotation: 0.002 },
+                /** 光のにじみ（threshold: 抜き出す明るさ 0〜1、intensity: 加算の強さ、radius: ぼかしの広さ） */
+                bloom: { threshold: 0.6, intensity: 0.8, radius: 2 },
+                /** 色ずれ（offset: 画面の端でのずれ px） */
+                chromaticAberration: { offset: 2 },
+                /** 周辺減光（strength: 四隅の暗さ 0〜1、radius: 暗くなり始める中心からの距離 0〜1） */
+                vignette: { strength: 0.4, radius: 0.5 },
+                /** 粒状ノイズ（amount: ノイズの強さ 0〜1） */
+                grain: { amount: 0.05 }
+            },
+            /** ブルームのぼかしを計算する解像度の縮小率 */
+            BLOOM_DOWNSAMPLE: 2
+        };
+    }
+
+    static get PALETTES() {
+        return {
+            /** 使用中のパレット（spectrum: 全色相、またはDEFINITIONS のキー） */
+            ACTIVE: 'spectrum',
+            /** パレットの色からのばらつき（色相は度、彩度・明度は 0〜100） */
+            VARIATION: { HUE: 8, SATURATION: 10, BRIGHTNESS: 5 },
+            /** 画像からの抽出（k-means） */
+            EXTRACTION: {
+                /** 抽出する色数 */
+                COLORS: 5,
+                /** 抽出前に縮小する長辺の長さ（px） */
+                SAMPLE_SIZE: 64,
+                /** k-means の最大反復回数 */
+                ITERATIONS: 16,
+                /** 除外する暗い画素の明度（0〜100） */
+                MIN_BRIGHTNESS: 15,
+                /** 除外する透明な画素のアルファ（0〜255） */
+                MIN_ALPHA: 128
+            },
+            /** 名前付きパレット（'#rrggbb' の配列） */
+            DEFINITIONS: {
+                pastel: ['#ffb3ba', '#ffdfba', '#ffffba', '#baffc9', '#bae1ff', '#e0baff'],
+                neon: ['#ff00ff', '#00ffff', '#39ff14', '#ff3131', '#fff01f'],
+                monochrome: ['#e0f4ff', '#9fd6ff', '#4fb0ff', '#1f78e0', '#3d5afe'],
+                complementary: ['#ff7a1a', '#ffb366', '#1a8cff', '#66b3ff'],
+                spring: ['#ffb7c5', '#ffd1dc', '#c5e384', '#fff5a5', '#a8e6cf'],
+                summer: ['#00c2ff', '#00e5a0', '#ffd23f', '#ff6b35', '#ff3f8e'],
+                autumn: ['#d2691e', '#ff8c00', '#e0301e', '#daa520', '#b5651d'],
+                winter: ['#ffffff', '#e8f4ff', '#b0d8ff', '#7fb2e5', '#c0c0ff']
+            }
+        };
+    }
+
+    static get THEMES() {
+        return {
+            /** 使用中のテーマ（auto: OS のライト/ダークの設定に合わせる、またはDEFINITIONS のキー） */
+            ACTIVE: 'auto',
+            /** auto のときに使うテーマ */
+            AUTO: { DARK: 'dark', LIGHT: 'light' },
+            /**
+             * テーマの定義
+             * BACKGROUND: 切り替え時に塗る背景色 / FADE: 毎フレーム背景アルファで重ねる色（軌跡を消す色）
+             * BLEND_MODE: パーティクルと軌跡の合成（ADD / SCREEN / MULTIPLY / BLEND）
+             * SATURATION / BRIGHTNESS: パーティクルと軌跡の彩度・明度の倍率
+             * UI: 画面上のボタン・パネルの配色（dark / light）
+             */
+            DEFINITIONS: {
+                dark: { BACKGROUND: '#000000', FADE: '#000000', BLEND_MODE: 'ADD', SATURATION: 1, BRIGHTNESS: 1, UI: 'dark' },
+                dusk: { BACKGROUND: '#141a33', FADE: '#141a33', BLEND_MODE: 'SCREEN', SATURATION: 1, BRIGHTNESS: 0.9, UI: 'dark' },
+                light: { BACKGROUND: '#ffffff', FADE: '#ffffff', BLEND_MODE: 'MULTIPLY', SATURATION: 1.4, BRIGHTNESS: 0.9, UI: 'light' },
+                paper: { BACKGROUND: '#f4efe4', FADE: '#f4efe4', BLEND_MODE: 'BLEND', SATURATION: 1.2, BRIGHTNESS: 0.8, UI: 'light' }
+            }
+        };
+    }
+
+    static get RANDOM() {
+        return {
+            /** 乱数シード（0の場合は起動ごとに自動生成） */
+            SEED: 0
+        };
+    }
+
+    static get REPLAY() {
+        return {
+            /** 起動時に自動再生する入力ログのURL（空の場合は再生しない） */
+            URL: '',
+            /** 入力ログのループ再生 */
+            LOOP: true
+        };
+    }
+
+    static get ATTRACT() {
+        return {
+            /** アトラクトモードの有効化 */
+            ENABLED: true,
+            /** 演奏を始めるまでの無操作時間（秒） */
+            IDLE_SECONDS: 30,
+            /** 1小節の拍数 */
+            BEATS_PER_BAR: 4,
+            /** クリック・ドラッグを始める間隔（拍） */
+            GESTURE_INTERVAL_BEATS: 2,
+            /** クリックではなくドラッグを選ぶ確率 */
+            DRAG_PROBABILITY: 0.6,
+            /** 1回のドラッグの長さ（拍） */
+            DRAG_BEATS: 2,
+            /** エフェクトを切り替える間隔（小節） */
+            EFFECT_CHANGE_BARS: 8,
+            /** 画面端から除外する余白（画面サイズ比） */
+            MARGIN: 0.1
+        };
+    }
+
+    static get VIRTUAL_CURSOR() {
+        return {
+            /** 仮想カーソル（キーボード・ゲームパッド操作）の有効化 */
+            ENABLED: true,
+            /** 移動速度（px/秒） */
+            SPEED: 480,
+            /** 最後の操作からカーソルを隠すまでの時間（秒） */
+            HIDE_AFTER_SECONDS: 5,
+            /** キー割り当て（キーコード） */
+            KEYS: {
+                UP: [38, 87],    // ↑ / W
+                DOWN: [40, 83],  // ↓ / S
+                LEFT: [37, 65],  // ← / A
+                RIGHT: [39, 68], // → / D
+                FIRE: [13],      // Enter
+                DRAW: [16]       // Shift
+            },
+            /** ゲームパッド（標準マッピングのボタン番号） */
+            GAMEPAD: {
+                /** スティックのデッドゾーン */
+                DEADZONE: 0.2,
+                /** クリック爆発のボタン（RT / LT） */
+                FIRE_BUTTONS: [7, 6],
+                /** 押しながら移動で描画するボタン（A / RB） */
+                DRAW_BUTTONS: [0, 5]
+            },
+            /** カーソルの描画 */
+            RENDERING: {
+                SIZE: 28,
+                STROKE_WEIGHT: 2,
+                HUE: 190,
+                ALPHA: 90
+            }
+        };
+    }
+
+    static get QUALITY() {
+        return {
+            /** FPSに応じた品質の自動調整（入力ログを厳密に再現したい場合は無効化） */
+            ENABLED: true,
+            /** 品質を下げるFPS（目標FPSに対する比率） */
+            DOWNGRADE_FPS_RATIO: 0.85,
+            /** 品質を戻すFPS（目標FPSに対する比率） */
+            UPGRADE_FPS_RATIO: 0.95,
+            /** 品質を下げるまでに連続して下回る計測回数 */
+            DOWNGRADE_SAMPLES: 2,
+            /** 品質を戻すまでに連続して上回る計測回数 */
+            UPGRADE_SAMPLES: 5,
+            /** 段階ごとの縮小率（1段目から。0段目は設定値そのまま） */
+            LEVELS: [
+                { PARTICLES: 0.75, GLOW: 0.67, TRAIL: 0.67, SOUNDS: 0.75 },
+                { PARTICLES: 0.5, GLOW: 0.34, TRAIL: 0.34, SOUNDS: 0.5 },
+                { PARTICLES: 0.3, GLOW: 0, TRAIL: 0.34, SOUNDS: 0.3 }
+            ],
+            /** 保持する品質変更の履歴数 */
+            HISTORY_LENGTH: 10
+        };
+    }
+
+    static get FORCE_FIELDS() {
+        return {
+            /**
+             * 配置済みの力場（プリセットに保存される）
+             * { type, x, y, x2?, y2?, radius, strength, falloff }
+             * 座標は画面に対する比率（0〜1）、x2/y2 は壁の終点、radius は影響半径（px）
+             */
+            FIELDS: [],
+            /** 種類ごとの配置時の初期値（クリックでの配置は radius、ドラッグでの配置はドラッグ距離を半径にする） */
+            DEFAULTS: {
+                attractor: { radius: 220, strength: 0.15, falloff: 'linear' },
+                repeller: { radius: 180, strength: 0.2, falloff: 'linear' },
+                vortex: { radius: 240, strength: 0.12, falloff: 'quadratic' },
+                wall: { radius: 24, strength: 0.5, falloff: 'linear' },
+                flow: { radius: 320, strength: 0.06, falloff: 'constant' }
+            },
+            /** 渦の中心に向かう力（接線方向の力に対する比率） */
+            VORTEX_INWARD_RATIO: 0.25,
+            /** 流れ場のパーリンノイズ */
+            FLOW: {
+                /** 空間方向の細かさ */
+                NOISE_SCALE: 0.004,
+                /** 時間方向の変化の速さ（1フレームあたり） */
+                TIME_SCALE: 0.003
+            },
+            /** 配置操作 */
+            PLACEMENT: {
+                /** 配置に使う修飾キー（押しながらクリック・ドラッグ） */
+                MODIFIER: 'alt',
+                /** これより短いドラッグはクリックとして扱う（px） */
+                MIN_DRAG: 10,
+                /** クリックで力場を削除できる中心からの距離（px） */
+                HIT_RADIUS: 16
+            },
+            /** 力場の表示 */
+            GIZMOS: {
+                VISIBLE: true,
+                ALPHA: 22,
+                STROKE_WEIGHT: 1,
+                /** 流れ場の向きを示す矢印の間隔（px） */
+                FLOW_ARROW_SPACING: 48,
+                /** 種類ごとの色相 */
+                HUES: { attractor: 190, repeller: 0, vortex: 280, wall: 40, flow: 120 }
+            }
+        };
+    }
+
+    /**
+     * 全カテゴリのデフォルト値をひとつのツリーとして取得
+     * @returns {Object} カテゴリ名をキーとした設定ツリー
+     */
+    static toObject() {
+        const tree = {};
+        Object.getOwnPropertyNames(this)
+            .filter(name => /^[A-Z][A-Z_]*$/.test(name))
+            .forEach(category => {
+                tree[category] = this[category];
+            });
+        return tree;
+    }
+}
+
+/**
+ * 実行時に変更可能な設定ストア
+ * ドット区切りのパス（例: 'PARTICLES.MAX_COUNT'）で値の取得・変更・購読を行う
+ */
+class ConfigStore {
+    /**
+     * ConfigStoreのコンストラクタ
+     * @param {Object} defaults - デフォルト設定ツリー
+     */
+    constructor(defaults) {
+        this.defaults = ConfigStore.deepClone(defaults);
+        this.values = ConfigStore.deepClone(defaults);
+        /** パス → コールバックのSet */
+        this.listeners = new Map();
+        /** パス → 読み取りビュー（Proxy）のキャッシュ */
+        this.views = new Map();
+        /** 変更時の検証器（configSchema.js で設定） */
+        this.validator = null;
+    }
+
+    /**
+     * プレーンオブジェクトかどうか
+     * @param {*} value - 判定する値
+     * @returns {boolean} プレーンオブジェクトかどうか
+     */
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * オブジェクトと配列のディープコピー
+     * @param {*} value - コピーする値
+     * @returns {*} コピーされた値
+     */
+    static deepClone(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => ConfigStore.deepClone(item));
+        }
+        if (ConfigStore.isPlainObject(value)) {
+            const clone = {};
+            Object.keys(value).forEach(key => {
+                clone[key] = ConfigStore.deepClone(value[key]);
+            });
+            return clone;
+        }
+        return value;
+    }
+
+    /**
+     * 値の深い比較
+     * @param {*} a - 比較する値
+     * @param {*} b - 比較する値
+     * @returns {boolean} 等しいかどうか
+     */
+    static deepEqual(a, b) {
+        if (a === b) return true;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        if (!(a && b && typeof a === 'object' && typeof b === 'object')) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        if (keysA.length !== keysB.length) return false;
+        return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) &&
+            ConfigStore.deepEqual(a[key], b[key]));
+    }
+
+    /**
+     * パス文字列をキー配列に分割
+     * @param {string} path - ドット区切りのパス
+     * @returns {string[]} キー配列
+     */
+    static splitPath(path) {
+        return path ? String(path).split('.') : [];
+    }
+
+    /**
+     * パスの連結
+     * @param {string} base - 基準パス
+     * @param {string} key - 追加するキー
+     * @returns {string} 連結されたパス
+     */
+    static joinPath(base, key) {
+        return base ? `${base}.${key}` : String(key);
+    }
+
+    /**
+     * パスが別のパスと同一かその配下かどうか
+     * @param {string} path - 判定するパス
+     * @param {string} ancestor - 祖先パス
+     * @returns {boolean} 同一または配下かどうか
+     */
+    static isWithin(path, ancestor) {
+        return ancestor === '' || path === ancestor || path.startsWith(`${ancestor}.`);
+    }
+
+    /**
+     * ツリーからパスの値を解決
+     * @param {Object} tree - 対象ツリー
+     * @param {string} path - ドット区切りのパス
+     * @returns {{found: boolean, value: *}} 解決結果
+     */
+    static resolve(tree, path) {
+        let current = tree;
+        for (const key of ConfigStore.splitPath(path)) {
+            if (current === null || typeof current !== 'object' ||
+                !Object.prototype.hasOwnProperty.call(current, key)) {
+                return { found: false, value: undefined };
+            }
+            current = current[key];
+        }
+        return { found: true, value: current };
+    }
+
+    /**
+     * 参照を保ったままオブジェクト・配列の内容を置き換え
+     * 既存のビューが新しい値を参照し続けられるようにする
+     * @param {Object|Array} target - 置き換え先
+     * @param {Object|Array} source - 新しい内容
+     */
+    static replaceContents(target, source) {
+        Object.keys(target).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(source, key)) {
+                delete target[key];
+            }
+        });
+        if (Array.isArray(target)) {
+            target.length = source.length;
+        }
+        Object.keys(source).forEach(key => {
+            const current = target[key];
+            const next = source[key];
+            const sameShape = (ConfigStore.isPlainObject(current) && ConfigStore.isPlainObject(next)) ||
+                (Array.isArray(current) && Array.isArray(next));
+            if (sameShape) {
+                ConfigStore.replaceContents(current, next);
+            } else {
+                target[key] = next;
+            }
+        });
+    }
+
+    /**
+     * パスが存在するかどうか
+     * @param {string} path - ドット区切りのパス
+     * @returns {boolean} 存在するかどうか
+     */
+    has(path) {
+        return ConfigStore.resolve(this.values, path).found;
+    }
+
+    /**
+     * 設定値の取得
+     * オブジェクトは読み取りビューとして返し、代入は set() 経由で反映される
+     * @param {string} path - ドット区切りのパス
+     * @param {*} defaultValue - 存在しない場合の値
+     * @returns {*} 設定値
+     */
+    get(path, defaultValue = undefined) {
+        const { found, value } = ConfigStore.resolve(this.values, path);
+        if (!found) return defaultValue;
+        return value !== null && typeof value === 'object' ? this.getView(path) : value;
+    }
+
+    /**
+     * デフォルト値の取得（コピー）
+     * @param {string} path - ドット区切りのパス
+     * @returns {*} デフォルト値
+     */
+    getDefault(path) {
+        return ConfigStore.deepClone(ConfigStore.resolve(this.defaults, path).value);
+    }
+
+    /**
+     * 現在の設定値のコピーを取得
+     * @param {string} path - ドット区切りのパス（省略時は全体）
+     * @returns {*} 設定値のコピー
+     */
+    getSnapshot(path = '') {
+        return ConfigStore.deepClone(ConfigStore.resolve(this.values, path).value);
+    }
+
+    /**
+     * 設定値の変更
+     * @param {string} path - ドット区切りのパス
+     * @param {*} value - 新しい値
+     * @returns {boolean} 変更できたかどうか
+     */
+    set(path, value) {
+        const keys = ConfigStore.splitPath(path);
+        if (keys.length === 0) {
+            console.warn('Config set failed: empty path');
+            return false;
+        }
+
+        const key = keys[keys.length - 1];
+        const parentPath = keys.slice(0, -1).join('.');
+        const parent = ConfigStore.resolve(this.values, parentPath).value;
+        if (parent === null || typeof parent !== 'object') {
+            console.warn(`Config set failed: ${path} has no parent category`);
+            return false;
+        }
+
+        const current = parent[key];
+        const next = ConfigStore.deepClone(value);
+        if (ConfigStore.deepEqual(current, next)) return true;
+
+        const violations = this.validate(path, next);
+        if (violations.length > 0) {
+            this.validator.report(violations, 'Config change rejected');
+            return false;
+        }
+
+        const oldValue = ConfigStore.deepClone(current);
+        const sameShape = (ConfigStore.isPlainObject(current) && ConfigStore.isPlainObject(next)) ||
+            (Array.isArray(current) && Array.isArray(next));
+
+        if (sameShape) {
+            ConfigStore.replaceContents(current, next);
+        } else {
+            parent[key] = next;
+            this.dropViews(path);
+        }
+
+        this.notify(path, oldValue);
+        return true;
+    }
+
+    /**
+     * デフォルト値の追加定義（プラグイン等による設定の拡張）
+     * 既に現在値がある場合（オーバーライド済み等）は現在値を維持する
+     * @param {string} path - ドット区切りのパス
+     * @param {*} value - デフォルト値
+     * @returns {boolean} 定義できたかどうか
+     */
+    define(path, value) {
+        const keys = ConfigStore.splitPath(path);
+        const parent = ConfigStore.resolve(this.defaults, keys.slice(0, -1).join('.')).value;
+        if (keys.length === 0 || parent === null || typeof parent !== 'object') {
+            console.warn(`Config define failed: ${path} has no parent category`);
+            return false;
+        }
+
+        const violations = this.validate(path, value);
+        if (violations.length > 0) {
+            this.validator.report(violations, 'Config definition rejected');
+            return false;
+        }
+
+        parent[keys[keys.length - 1]] = ConfigStore.deepClone(value);
+        return this.has(path) || this.set(path, value);
+    }
+
+    /**
+     * 検証器の設定
+     * @param {Object} validator - validate(value, path) と report(violations, context) を持つオブジェクト
+     */
+    setValidator(validator) {
+        this.validator = validator;
+    }
+
+    /**
+     * 変更候補の検証（値は変更しない）
+     * 変更を反映したカテゴリ全体を検証し、変更パスに関係する違反のみを返す
+     * @param {string} path - ドット区切りのパス
+     * @param {*} value - 新しい値
+     * @returns {Array<{path: string, message: string, value: *}>} 違反リスト
+     */
+    validate(path, value) {
+        if (!this.validator) return [];
+
+        const keys = ConfigStore.splitPath(path);
+        const category = keys[0];
+        let candidate = ConfigStore.deepClone(value);
+        if (keys.length > 1) {
+            candidate = this.getSnapshot(category);
+            const parent = ConfigStore.resolve(candidate, keys.slice(1, -1).join('.')).value;
+            parent[keys[keys.length - 1]] = ConfigStore.deepClone(value);
+        }
+
+        return this.validator.validate(candidate, category).filter(violation =>
+            ConfigStore.isWithin(violation.path, path) || ConfigStore.isWithin(path, violation.path)
+        );
+    }
+
+    /**
+     * デフォルト値へのリセット
+     * @param {string} path - リセットするパス（省略時は全体）
+     */
+    reset(path = '') {
+        if (path) {
+            this.set(path, this.getDefault(path));
+            return;
+        }
+        Object.keys(this.defaults).forEach(category => {
+            this.set(category, this.getDefault(category));
+        });
+    }
+
+    /**
+     * 設定変更の購読
+     * 購読パス自身、その配下、またはその祖先が変更されたときに呼び出される
+     * @param {string} path - 購読するパス（空文字で全体）
+     * @param {Function} callback - (value, change) => void
+     * @returns {Function} 購読解除関数
+     */
+    subscribe(path, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error(`Config subscription for ${path} requires a callback`);
+        }
+        if (!this.listeners.has(path)) {
+            this.listeners.set(path, new Set());
+        }
+        this.listeners.get(path).add(callback);
+
+        return () => {
+            const callbacks = this.listeners.get(path);
+            if (callbacks) {
+                callbacks.delete(callback);
+                if (callbacks.size === 0) this.listeners.delete(path);
+            }
+        };
+    }
+
+    /**
+     * 変更の通知
+     * @param {string} changedPath - 変更されたパス
+     * @param {*} oldValue - 変更前の値
+     */
+    notify(changedPath, oldValue) {
+        const change = { path: changedPath, value: this.get(changedPath), oldValue };
+
+        for (const [listenerPath, callbacks] of this.listeners.entries()) {
+            const affectsListener = ConfigStore.isWithin(changedPath, listenerPath);
+            const replacesListener = !affectsListener && ConfigStore.isWithin(listenerPath, changedPath);
+            if (!affectsListener && !replacesListener) continue;
+
+            // 祖先が置き換えられた場合は購読パスの値が実際に変わったときのみ通知
+            if (replacesListener) {
+                const relativePath = listenerPath.slice(changedPath.length + 1);
+                const before = ConfigStore.resolve(oldValue, relativePath).value;
+                const after = ConfigStore.resolve(this.values, listenerPath).value;
+                if (ConfigStore.deepEqual(before, after)) continue;
+            }
+
+            const value = this.get(listenerPath);
+            [...callbacks].forEach(callback => {
+                try {
+                    callback(value, change);
+                } catch (error) {
+                    console.warn(`Config listener failed: ${listenerPath}`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * 読み取りビュー（Proxy）の取得
+     * ビューへの代入は set() として扱われ、購読者に通知される
+     * @param {string} path - ドット区切りのパス
+     * @returns {Object|Array} 読み取りビュー
+     */
+    getView(path) {
+        if (this.views.has(path)) return this.views.get(path);
+
+        const target = ConfigStore.resolve(this.values, path).value;
+        const store = this;
+        const view = new Proxy(target, {
+            get(obj, prop) {
+                const value = obj[prop];
+                if (typeof prop === 'string' && value !== null && typeof value === 'object' &&
+                    Object.prototype.hasOwnProperty.call(obj, prop)) {
+                    return store.getView(ConfigStore.joinPath(path, prop));
+                }
+                return value;
+            },
+            set(obj, prop, value) {
+                if (typeof prop === 'string') {
+                    store.set(ConfigStore.joinPath(path, prop), value);
+                }
+                return true;
+            },
+            deleteProperty(obj, prop) {
+                console.warn(`Config keys cannot be deleted: ${ConfigStore.joinPath(path, String(prop))}`);
+                return true;
+            }
+        });
+
+        this.views.set(path, view);
+        return view;
+    }
+
+    /**
+     * 置き換えられた値のビューを破棄
+     * @param {string} path - 置き換えられたパス
+     */
+    dropViews(path) {
+        for (const viewPath of [...this.views.keys()]) {
+            if (ConfigStore.isWithin(viewPath, path)) {
+                this.views.delete(viewPath);
+            }
+        }
+    }
+}
+
+/** 実行時設定ストアのインスタンス */
+const configStore = new ConfigStore(DefaultConfig.toObject());
+
+/**
+ * アプリケーション全体の設定アクセスクラス
+ * カテゴリは実行時設定ストアのビューを返すため、変更は即座に全体へ反映される
+ */
+class AppConfig {
+    static get CANVAS() { return configStore.getView('CANVAS'); }
+    static get SIMULATION() { return configStore.getView('SIMULATION'); }
+    static get UI() { return configStore.getView('UI'); }
+    static get RENDERING() { return configStore.getView('RENDERING'); }
+    static get PARTICLES() { return configStore.getView('PARTICLES'); }
+    static get DRAG_TRAIL() { return configStore.getView('DRAG_TRAIL'); }
+    static get SOUND() { return configStore.getView('SOUND'); }
+    static get PERFORMANCE() { return configStore.getView('PERFORMANCE'); }
+    static get EFFECTS() { return configStore.getView('EFFECTS'); }
+    static get POST_PROCESSING() { return configStore.getView('POST_PROCESSING'); }
+    static get PALETTES() { return configStore.getView('PALETTES'); }
+    static get THEMES() { return configStore.getView('THEMES'); }
+    static get RANDOM() { return configStore.getView('RANDOM'); }
+    static get REPLAY() { return configStore.getView('REPLAY'); }
+    static get ATTRACT() { return configStore.getView('ATTRACT'); }
+    static get VIRTUAL_CURSOR() { return configStore.getView('VIRTUAL_CURSOR'); }
+    static get QUALITY() { return configStore.getView('QUALITY'); }
+    static get FORCE_FIELDS() { return configStore.getView('FORCE_FIELDS'); }
+
+    /**
+     * 設定カテゴリ名の一覧
+     * @returns {string[]} カテゴリ名
+     */
+    static get CATEGORIES() {
+        return Object.keys(configStore.values);
+    }
+
+    /**
+     * パス指定での設定値の取得
+     * @param {string} path - ドット区切りのパス（例: 'PARTICLES.MAX_COUNT'）
+     * @param {*} defaultValue - 存在しない場合の値
+     * @returns {*} 設定値
+     */
+    static get(path, defaultValue = undefined) {
+        return configStore.get(path, defaultValue);
+    }
+
+    /**
+     * パス指定での設定値の変更
+     * @param {string} path - ドット区切りのパス
+     * @param {*} value - 新しい値
+     * @returns {boolean} 変更できたかどうか
+     */
+    static set(path, value) {
+        return configStore.set(path, value);
+    }
+
+    /**
+     * デフォルト値の追加定義
+     * @param {string} path - ドット区切りのパス
+     * @param {*} value - デフォルト値
+     * @returns {boolean} 定義できたかどうか
+     */
+    static define(path, value) {
+        return configStore.define(path, value);
+    }
+
+    /**
+     * パスが存在するかどうか
+     * @param {string} path - ドット区切りのパス
+     * @returns {boolean} 存在するかどうか
+     */
+    static has(path) {
+        return configStore.has(path);
+    }
+
+    /**
+     * 設定変更の購読
+     * @param {string} path - 購読するパス（空文字で全体）
+     * @param {Function} callback - (value, change) => void
+     * @returns {Function} 購読解除関数
+     */
+    static subscribe(path, callback) {
+        return configStore.subscribe(path, callback);
+    }
+
+    /**
+     * デフォルト値へのリセット
+     * @param {string} path - リセットするパス（省略時は全体）
+     */
+    static reset(path = '') {
+        configStore.reset(path);
+    }
+
+    /**
+     * デフォルト値の取得
+     * @param {string} path - ドット区切りのパス
+     * @returns {*} デフォルト値のコピー
+     */
+    static getDefault(path) {
+        return configStore.getDefault(path);
+    }
+
+    /**
+     * 現在の設定値のコピーを取得
+     * @param {string} path - ドット区切りのパス（省略時は全体）
+     * @returns {*} 設定値のコピー
+     */
+    static getSnapshot(path = '') {
+        return configStore.getSnapshot(path);
+    }
+
     /**
      * 設定値の検証
      * @param {string} category - 設定カテゴリ
@@ -475,19 +1354,36 @@ class AppConfig {
      */
     static validateConfig(category, key, value) {
         try {
-            const config = this[category];
-            if (!config || !config[key]) return false;
-            
-            // 基本的な型チェック
-            if (typeof value !== typeof config[key]) return false;
-            
-            return true;
+            const path = ConfigStore.joinPath(category, key);
+            if (!configStore.has(path)) return false;
+
+            if (!configStore.validator) {
+                // スキーマ未読み込み時は型のみチェック
+                return typeof value === typeof configStore.get(path);
+            }
+            return configStore.validate(path, value).length === 0;
         } catch (error) {
             console.warn(`Config validation failed: ${category}.${key}`, error);
             return false;
         }
     }
 
+    /**
+     * 全設定値のスキーマ検証
+     * 違反は errorHandler に ErrorCategory.SYSTEM の警告として報告される
+     * @param {boolean} report - 違反を報告するかどうか
+     * @returns {Array<{path: string, message: string, value: *}>} 違反リスト
+     */
+    static validateAll(report = true) {
+        if (!configStore.validator) return [];
+
+        const violations = configStore.validator.validate(configStore.getSnapshot());
+        if (report && violations.length > 0) {
+            configStore.validator.report(violations, 'Invalid config');
+        }
+        return violations;
+    }
+
     /**
      * 設定値の安全な取得
      * @param {string} category - 設定カテゴリ
@@ -0,0 +1,218 @@
+/**
+ * 設定オーバーライドの読み込み
+ * index.html と同じ場所の config.override.json と URL クエリを AppConfig に重ねる
+ * 優先順位: デフォルト < config.override.json < URLクエリ
+ */
+
+/**
+ * URLクエリの短縮名 → 設定パス
+ */
+const QUERY_ALIASES = {
+    effect: 'EFFECTS.DEFAULT_EFFECT',
+    maxParticles: 'PARTICLES.MAX_COUNT',
+    backend: 'PARTICLES.BACKEND',
+    renderer: 'RENDERING.RENDERER',
+    volume: 'SOUND.DEFAULT_MASTER_VOLUME',
+    bpm: 'SOUND.HEARTBEAT_BPM',
+    seed: 'RANDOM.SEED',
+    theme: 'THEMES.ACTIVE',
+    replay: 'REPLAY.URL'
+};
+
+/**
+ * 設定オーバーライド管理クラス
+ */
+class ConfigOverrides {
+    /**
+     * @param {Object} options - { fileUrl, fetchTimeout }
+     */
+    constructor(options = {}) {
+        this.fileUrl = options.fileUrl || 'config.override.json';
+        this.fetchTimeout = options.fetchTimeout || 3000;
+        /** 適用されたオーバーライド（パス → { value, source }） */
+        this.applied = {};
+    }
+
+    /**
+     * JSONファイルとURLクエリのオーバーライドを順に適用
+     * 失敗しても例外は投げず、errorHandler に報告してデフォルトで続行する
+     * @param {string} search - URLクエリ文字列（省略時は location.search）
+     * @returns {Promise<Object>} 適用されたオーバーライド
+     */
+    async load(search = window.location.search) {
+        const fileOverrides = await this.loadFile();
+        if (fileOverrides) {
+            this.applyTree(fileOverrides, '', this.fileUrl);
+        }
+
+        this.applyQuery(search);
+
+        const count = Object.keys(this.applied).length;
+        if (count > 0) {
+            console.log(`⚙️ Applied ${count} config override(s)`, this.applied);
+        }
+        return this.applied;
+    }
+
+    /**
+     * オーバーライドファイルの取得
+     * ファイルが存在しない場合は null（エラー扱いしない）
+     * @returns {Promise<Object|null>} オーバーライドツリー
+     */
+    async loadFile() {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.fetchTimeout) : null;
+
+        let response;
+        try {
+            response = await fetch(this.fileUrl, { cache: 'no-store', signal: controller?.signal });
+        } catch (error) {
+            // file:// での起動やタイムアウト時はファイルなしとして扱う
+            console.log(`⚙️ No config override file loaded (${error.message})`);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            if (response.status !== 404) {
+                this.report(`Failed to load ${this.fileUrl}: HTTP ${response.status}`, ErrorCategory.NETWORK);
+            }
+            return null;
+        }
+
+        try {
+            const data = await response.json();
+            if (!ConfigStore.isPlainObject(data)) {
+                this.report(`${this.fileUrl} must contain a JSON object`);
+                return null;
+            }
+            return data;
+        } catch (error) {
+            this.report(`${this.fileUrl} is not valid JSON: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * オーバーライドツリーのディープマージ
+     * オブジェクト同士は再帰的にマージし、それ以外は値を置き換える
+     * @param {Object} tree - オーバーライドツリー
+     * @param {string} basePath - 現在のパス
+     * @param {string} source - 出所（報告用）
+     */
+    applyTree(tree, basePath, source) {
+        Object.keys(tree).forEach(key => {
+            const path = ConfigStore.joinPath(basePath, key);
+            const value = tree[key];
+
+            if (ConfigStore.isPlainObject(value) && ConfigStore.isPlainObject(Config.getSnapshot(path))) {
+                this.applyTree(value, path, source);
+                return;
+            }
+            this.applyValue(path, value, source);
+        });
+    }
+
+    /**
+     * URLクエリのオーバーライド適用
+     * 短縮名（effect, maxParticles, volume, bpm）とドット区切りのパスを受け付ける
+     * どちらでもないクエリ（utm_source などの設定と無関係なもの）は報告せずに無視する
+     * @param {string} search - URLクエリ文字列
+     */
+    applyQuery(search) {
+        const params = new URLSearchParams(search);
+        params.forEach((rawValue, name) => {
+            if (!QUERY_ALIASES[name] && !ConfigOverrides.isConfigPathLike(name)) return;
+
+            const path = QUERY_ALIASES[name] || name;
+            const source = `URL query "${name}"`;
+
+            if (!Config.has(path)) {
+                this.report(`Unknown config key in ${source}`);
+                return;
+            }
+
+            const value = this.parseQueryValue(rawValue, Config.getDefault(path));
+            if (value === undefined) {
+                this.report(`Cannot parse "${rawValue}" for ${path} in ${source}`);
+                return;
+            }
+            this.applyValue(path, value, source);
+        });
+    }
+
+    /**
+     * 設定パスとして書かれたクエリ名かどうか（ドット区切り、または PARTICLES のような大文字の名前）
+     * @param {string} name - クエリ名
+     * @returns {boolean} 設定パスの形をしているかどうか
+     */
+    static isConfigPathLike(name) {
+        return name.includes('.') || /^[A-Z][A-Z0-9_]*$/.test(name);
+    }
+
+    /**
+     * クエリ文字列の値をデフォルト値の型に合わせて変換
+     * @param {string} rawValue - クエリの値
+     * @param {*} defaultValue - デフォルト値
+     * @returns {*} 変換後の値（変換できない場合はundefined）
+     */
+    parseQueryValue(rawValue, defaultValue) {
+        switch (typeof defaultValue) {
+            case 'number': {
+                const value = Number(rawValue);
+                return rawValue.trim() !== '' && isFinite(value) ? value : undefined;
+            }
+            case 'boolean':
+                if (rawValue === 'true' || rawValue === '1') return true;
+                if (rawValue === 'false' || rawValue === '0') return false;
+                return undefined;
+            case 'string':
+                return rawValue;
+            default:
+                // オブジェクト・配列はJSONとして解釈
+                try {
+                    return JSON.parse(rawValue);
+                } catch (error) {
+                    return undefined;
+                }
+        }
+    }
+
+    /**
+     * 単一パスへの値の適用
+     * 不正な値はスキーマ検証により拒否・報告される（ここでは重ねて報告しない）
+     * @param {string} path - ドット区切りのパス
+     * @param {*} value - 新しい値
+     * @param {string} source - 出所（報告用）
+     * @returns {boolean} 適用できたかどうか
+     */
+    applyValue(path, value, source) {
+        const parentPath = ConfigStore.splitPath(path).slice(0, -1).join('.');
+        if (!Config.has(path) && !Config.has(parentPath)) {
+            this.report(`Unknown config key "${path}" in ${source}`);
+            return false;
+        }
+
+        if (!Config.set(path, value)) return false;
+
+        this.applied[path] = { value, source };
+        return true;
+    }
+
+    /**
+     * errorHandler への警告報告
+     * @param {string} message - メッセージ
+     * @param {string} category - エラーカテゴリ
+     */
+    report(message, category = ErrorCategory.SYSTEM) {
+        errorHandler.handleError(new AppError(message, category, ErrorLevel.WARN));
+    }
+}
+
+// グローバルインスタンス
+const configOverrides = new ConfigOverrides();
+
+// グローバルアクセス用
+window.ConfigOverrides = ConfigOverrides;
+window.configOverrides = configOverrides;
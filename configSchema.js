@@ -0,0 +1,938 @@
+/**
+ * 設定スキーマ定義と検証
+ * config.js の全キーについて型・範囲・列挙値を宣言的に定義し、違反を一覧化する
+ */
+
+/**
+ * スキーマ定義ヘルパー
+ */
+const SchemaTypes = {
+    /**
+     * 数値
+     * @param {Object} options - { min, max, integer }
+     * @returns {Object} スキーマ
+     */
+    number(options = {}) {
+        return { type: 'number', ...options };
+    },
+
+    /**
+     * 整数
+     * @param {Object} options - { min, max }
+     * @returns {Object} スキーマ
+     */
+    integer(options = {}) {
+        return { type: 'number', integer: true, ...options };
+    },
+
+    /**
+     * 真偽値
+     * @returns {Object} スキーマ
+     */
+    boolean() {
+        return { type: 'boolean' };
+    },
+
+    /**
+     * 文字列
+     * @param {Object} options - { pattern }
+     * @returns {Object} スキーマ
+     */
+    string(options = {}) {
+        return { type: 'string', ...options };
+    },
+
+    /**
+     * 列挙値
+     * @param {Array|Function} values - 許可される値（関数の場合は検証時に評価）
+     * @returns {Object} スキーマ
+     */
+    enumOf(values) {
+        return { type: 'enum', values };
+    },
+
+    /**
+     * {min, max} 形式の範囲オブジェクト（min <= max を検証）
+     * @param {Object} options - 各値の境界 { min, max, integer }
+     * @returns {Object} スキーマ
+     */
+    range(options = {}) {
+        return { type: 'range', ...options };
+    },
+
+    /**
+     * 固定キーのオブジェクト
+     * @param {Object} properties - キーごとのスキーマ
+     * @returns {Object} スキーマ
+     */
+    object(properties) {
+        return { type: 'object', properties };
+    },
+
+    /**
+     * 配列
+     * @param {Object} items - 要素のスキーマ
+     * @param {Object} options - { minLength, maxLength }
+     * @returns {Object} スキーマ
+     */
+    array(items, options = {}) {
+        return { type: 'array', items, ...options };
+    },
+
+    /**
+     * 任意キーのオブジェクト（エフェクト番号をキーとする設定など）
+     * @param {Object} values - 値のスキーマ
+     * @param {Object} options - { keyPattern }
+     * @returns {Object} スキーマ
+     */
+    record(values, options = {}) {
+        return { type: 'record', values, ...options };
+    },
+
+    /**
+     * 省略可能なキー
+     * @param {Object} schema - 元のスキーマ
+     * @returns {Object} スキーマ
+     */
+    optional(schema) {
+        return { ...schema, optional: true };
+    }
+};
+
+/** テーマのブレンドモード（p5.js の定数名。WebGL の描画でも同じ合成にできるもの） */
+const THEME_BLEND_MODES = ['ADD', 'SCREEN', 'MULTIPLY', 'BLEND'];
+
+/** テーマのUIの配色 */
+const THEME_UI_MODES = ['dark', 'light'];
+
+/** パーティクルの格納方式（particleStorage.js） */
+const PARTICLE_BACKENDS = ['objects', 'soa'];
+
+/** パーティクルの描画方式（particleRenderer.js） */
+const PARTICLE_RENDERERS = ['2d', 'webgl'];
+
+/** 組み込みのパーティクルの形（particleShapes.js、位置が形の番号） */
+const PARTICLE_SHAPES = ['circle', 'star', 'petal', 'polygon', 'spark'];
+
+/** 力場の種類（forceFields.js） */
+const FORCE_FIELD_TYPES = ['attractor', 'repeller', 'vortex', 'wall', 'flow'];
+
+/** 力場の距離による減衰 */
+const FORCE_FIELD_FALLOFFS = ['constant', 'linear', 'quadratic'];
+
+/** 力場の配置に使う修飾キー */
+const FORCE_FIELD_MODIFIERS = ['alt', 'shift', 'ctrl', 'meta'];
+
+/** p5.sound の波形・ノイズ種別 */
+const WAVEFORM_TYPES = ['sine', 'triangle', 'sawtooth', 'square', 'white', 'pink', 'brown'];
+
+/** ポストエフェクトのパス名（かける順、POST_PROCESSING の各パスのパラメータのスキーマと同じキー） */
+const POST_PROCESSING_PASSES = ['feedback', 'bloom', 'chromaticAberration', 'vignette', 'grain'];
+
+/**
+ * 全設定キーのスキーマ
+ * 定義ヘルパーは SchemaTypes から関数内で取り出す（number・string などをページ全体のグローバルにしない）
+ */
+const ConfigSchema = (() => {
+    const { number, integer, boolean, string, enumOf, range, object, array, record, optional } = SchemaTypes;
+
+    /** ADSRエンベロープ */
+    const ENVELOPE_SCHEMA = object({
+        attack: number({ min: 0, max: 10 }),
+        decay: number({ min: 0, max: 10 }),
+        sustain: number({ min: 0, max: 1 }),
+        release: number({ min: 0, max: 10 })
+    });
+
+    /** 力場の強さと範囲 */
+    const FORCE_FIELD_PARAMS_SCHEMA = {
+        radius: number({ min: 1, max: 10000 }),
+        strength: number({ min: -10, max: 10 }),
+        falloff: enumOf(FORCE_FIELD_FALLOFFS)
+    };
+
+    /** ポストエフェクトのパスごとのパラメータ（postProcessing.js、キーは POST_PROCESSING_PASSES） */
+    const POST_PROCESSING_PARAMS_SCHEMA = {
+        feedback: {
+            amount: number({ min: 0, max: 0.99 }),
+            zoom: number({ min: 0.5, max: 2 }),
+            rotation: number({ min: -0.5, max: 0.5 })
+        },
+        bloom: {
+            threshold: number({ min: 0, max: 1 }),
+            intensity: number({ min: 0, max: 10 }),
+            radius: number({ min: 0, max: 20 })
+        },
+        chromaticAberration: {
+            offset: number({ min: 0, max: 50 })
+        },
+        vignette: {
+            strength: number({ min: 0, max: 1 }),
+            radius: number({ min: 0, max: 1 })
+        },
+        grain: {
+            amount: number({ min: 0, max: 1 })
+        }
+    };
+
+    /** エフェクトごとのポストエフェクト（書いたパスだけをかけ、省略したパラメータは POST_PROCESSING.DEFAULTS） */
+    const EFFECT_POST_PROCESSING_SCHEMA = object(Object.fromEntries(POST_PROCESSING_PASSES.map(pass => [
+        pass,
+        optional(object(Object.fromEntries(
+            Object.entries(POST_PROCESSING_PARAMS_SCHEMA[pass]).map(([key, schema]) => [key, optional(schema)])
+        )))
+    ])));
+
+    /** CSSの16進カラー */
+    const HEX_COLOR_SCHEMA = string({ pattern: /^#([0-9a-f]{3}|[0-9a-f]{6})$/i });
+
+    return object({
+        CANVAS: object({
+            DEFAULT_BG_ALPHA: number({ min: 0, max: 100 }),
+            TARGET_FPS: integer({ min: 1, max: 240 }),
+            COLOR_MODE: object({
+                R_MAX: number({ min: 1 }),
+                G_MAX: number({ min: 1 }),
+                B_MAX: number({ min: 1 }),
+                A_MAX: number({ min: 1 })
+            })
+        }),
+
+        SIMULATION: object({
+            STEP_RATE: integer({ min: 1, max: 1000 }),
+            MAX_STEPS_PER_FRAME: integer({ min: 1, max: 100 }),
+            INTERPOLATE: boolean()
+        }),
+
+        UI: object({
+            DEBUG_KEY: integer({ min: 0, max: 255 }),
+            PAUSE_KEY: integer({ min: 0, max: 255 }),
+            RESET_KEY: integer({ min: 0, max: 255 }),
+            MUTE_KEY: integer({ min: 0, max: 255 }),
+            FIELD_TYPE_KEY: integer({ min: 0, max: 255 }),
+            FIELD_CLEAR_KEY: integer({ min: 0, max: 255 }),
+            POST_PROCESSING_KEY: integer({ min: 0, max: 255 }),
+            EFFECT_KEYS: array(integer({ min: 0, max: 255 })),
+            DEBUG_POSITION: object({
+                X: number({ min: 0 }),
+                Y_OFFSET_POST_PROCESSING: number({ min: 0 }),
+                Y_OFFSET_FIELDS: number({ min: 0 }),
+                Y_OFFSET_QUALITY_CHANGE: number({ min: 0 }),
+                Y_OFFSET_QUALITY: number({ min: 0 }),
+                Y_OFFSET_POOL: number({ min: 0 }),
+                Y_OFFSET_SEED: number({ min: 0 }),
+                Y_OFFSET_FPS: number({ min: 0 }),
+                Y_OFFSET_PARTICLES: number({ min: 0 }),
+                Y_OFFSET_TRAILS: number({ min: 0 })
+            }),
+            VOLUME: object({
+                SLIDER_SCALE: number({ min: 1 }),
+                MUTED_OPACITY: number({ min: 0, max: 1 }),
+                NORMAL_OPACITY: number({ min: 0, max: 1 })
+            }),
+            TIMING: object({
+                SOUND_DELAY_MS: integer({ min: 0, max: 10000 })
+            }),
+            STATUS_COLORS: object({
+                SUCCESS: HEX_COLOR_SCHEMA,
+                WARNING: HEX_COLOR_SCHEMA,
+                ERROR: HEX_COLOR_SCHEMA,
+                INFO: HEX_COLOR_SCHEMA
+            })
+        }),
+
+        RENDERING: object({
+            RENDERER: enumOf(PARTICLE_RENDERERS),
+            WEBGL: object({
+                GLOW_SOFTNESS: number({ min: 0, max: 1 })
+            }),
+            TRAIL: object({
+                MIN_VELOCITY_FOR_DISPLAY: number({ min: 0 }),
+                THICKNESS_MULTIPLIER: number({ min: 0, max: 10 }),
+                ALPHA_MULTIPLIER: number({ min: 0, max: 1 })
+            }),
+            GLOW: object({
+                LAYERS: integer({ min: 0, max: 10 }),
+                SIZE_MULTIPLIER_BASE: number({ min: 0, max: 10 }),
+                SIZE_MULTIPLIER_STEP: number({ min: 0, max: 10 }),
+                ALPHA_DIVISOR_BASE: number({ min: 0, max: 1 })
+            }),
+            BOUNDS: object({
+                BOUNCE_DAMPING: number({ min: 0, max: 1 })
+            }),
+            EFFECTS: object({
+                PULSE_SPEED: number({ min: 0, max: 1 }),
+                RAINBOW_HUE_SPEED: number({ min: 0, max: 360 }),
+                EXPLOSION_DECAY_RATE: number({ min: 0, max: 1 }),
+                EXPLOSION_MIN_FORCE: number({ min: 0 })
+            })
+        }),
+
+        PARTICLES: object({
+            MAX_COUNT: integer({ min: 1, max: 100000 }),
+            BACKEND: enumOf(PARTICLE_BACKENDS),
+            INITIAL_COUNT: integer({ min: 0, max: 100000 }),
+            MIN_COUNT: integer({ min: 0, max: 100000 }),
+            AUTO_GENERATE_PROBABILITY: number({ min: 0, max: 1 }),
+            NEW_GENERATION_RANGE: range({ min: 0, max: 100 }),
+            SPATIAL_GRID: object({
+                CELL_SIZE: number({ min: 4, max: 2000 })
+            }),
+
+            PHYSICS: object({
+                DEFAULT_GRAVITY: object({
+                    x: number({ min: -10, max: 10 }),
+                    y: number({ min: -10, max: 10 })
+                }),
+                DEFAULT_DAMPING: number({ min: 0, max: 1 }),
+                BOUNCE_FACTOR: number({ min: 0, max: 1 }),
+                SPEED_RANGE: range({ min: 0, max: 100 }),
+                MASS_COEFFICIENT: number({ min: 0.001, max: 10 }),
+                ROTATION_SPEED_RANGE: range({ min: -Math.PI, max: Math.PI }),
+                MOUSE_ATTRACTION_DISTANCE: range({ min: 0, max: 10000 })
+            }),
+
+            APPEARANCE: object({
+                SIZE_RANGE: range({ min: 0, max: 200 }),
+                INITIAL_SIZE_RANGE: range({ min: 0, max: 200 }),
+                SIZE_MULTIPLIERS: range({ min: 0, max: 20 }),
+                SATURATION_RANGE: range({ min: 0, max: 100 }),
+                HUE_RANGE: number({ min: 0, max: 360 }),
+                LIFESPAN_RANGE: range({ min: 0.01, max: 600 }),
+                INITIAL_LIFESPAN_RANGE: range({ min: 0.01, max: 600 }),
+                FADE_START_TIME: number({ min: 0, max: 600 }),
+                GLOW_LAYERS: integer({ min: 0, max: 10 })
+            }),
+
+            SHAPES: object({
+                FACTORY_SHAPES: record(enumOf(() => particleShapes.names())),
+                STAR: object({
+                    POINTS: integer({ min: 3, max: 12 }),
+                    INNER_RATIO: number({ min: 0.05, max: 1 })
+                }),
+                PETAL: object({
+                    COUNT: integer({ min: 1, max: 12 }),
+                    INNER_RATIO: number({ min: 0, max: 1 })
+                }),
+                POLYGON: object({
+                    SIDES: integer({ min: 3, max: 12 })
+                }),
+                SPARK: object({
+                    LENGTH_FACTOR: number({ min: 0, max: 20 }),
+                    MAX_STRETCH: number({ min: 1, max: 20 }),
+                    THICKNESS_RATIO: number({ min: 0.05, max: 1 })
+                }),
+                SPRITES: record(string())
+            }),
+
+            DRAG_INTERACTION: object({
+                BASE_INFLUENCE_RADIUS: number({ min: 0, max: 5000 }),
+                ENHANCED_INFLUENCE_RADIUS: number({ min: 0, max: 5000 }),
+                SYNC_RADIUS: number({ min: 0, max: 5000 }),
+                BASE_FORCE_MULTIPLIER: number({ min: 0, max: 10 }),
+                ENHANCED_FORCE_RANGE: range({ min: 0, max: 10 }),
+                DRAG_SPEED_RANGE: range({ min: 0, max: 1000 }),
+                ATTRACTION_STRENGTH: number({ min: 0, max: 10 }),
+                SYNC_STRENGTH: number({ min: 0, max: 10 }),
+                MIN_DRAG_SPEED_FOR_ATTRACTION: number({ min: 0, max: 1000 }),
+                PRESSURE_ATTRACTION_RANGE: range({ min: 0, max: 4 })
+            }),
+
+            INTERACTIONS: object({
+                NEIGHBOR_RADIUS: number({ min: 1, max: 500 }),
+                MAX_NEIGHBORS: integer({ min: 1, max: 200 }),
+                SEPARATION_WEIGHT: number({ min: 0 }),
+                ALIGNMENT_WEIGHT: number({ min: 0 }),
+                COHESION_WEIGHT: number({ min: 0 }),
+                MAX_FLOCK_FORCE: number({ min: 0 }),
+                COLLISION_RADIUS_FACTOR: number({ min: 0.01, max: 5 }),
+                COLLISION_STIFFNESS: number({ min: 0 }),
+                COLLISION_DAMPING: number({ min: 0, max: 1 }),
+                MERGE_DISTANCE_RATIO: number({ min: 0, max: 1 }),
+                MERGE_MAX_SIZE: number({ min: 1, max: 500 })
+            }),
+
+            EXPLOSION: object({
+                PARTICLE_COUNT_RANGE: range({ min: 0, max: 1000 }),
+                FORCE_RANGE: range({ min: 0, max: 100 }),
+                ANGLE_VARIATION: number({ min: 0, max: Math.PI }),
+                INFLUENCE_RADIUS: number({ min: 0, max: 5000 }),
+                LIFESPAN_RANGE: range({ min: 0.01, max: 600 })
+            }),
+
+            PATH_EXPLOSION: object({
+                PARTICLE_COUNT_MULTIPLIER: number({ min: 0, max: 10 }),
+                SPREAD_ANGLE: number({ min: 0, max: Math.PI }),
+                VELOCITY_COEFFICIENT: number({ min: 0, max: 10 }),
+                SIZE_RANGE: range({ min: 0, max: 200 }),
+                LIFESPAN_MULTIPLIER: number({ min: 0, max: 10 }),
+                DIRECTION_REFERENCE_POINTS: integer({ min: 1, max: 100 })
+            }),
+
+            PATH_FOLLOWING: object({
+                PROGRESS_SPEED: number({ min: 0, max: 1 }),
+                MAX_ATTRACTION_DISTANCE: number({ min: 0, max: 5000 }),
+                ATTRACTION_COEFFICIENT: number({ min: 0, max: 10 }),
+                INFLUENCE_RANGE: range({ min: 0, max: 1 }),
+                SIMPLIFICATION_THRESHOLD: integer({ min: 2, max: 1000 })
+            })
+        }),
+
+        DRAG_TRAIL: object({
+            MAX_TRAILS: integer({ min: 0, max: 1000 }),
+            DURATION_SECONDS: number({ min: 0.01, max: 600 }),
+            MAX_SEGMENTS: integer({ min: 1, max: 100000 }),
+            CLEANUP_KEEP_COUNT: integer({ min: 0, max: 100000 }),
+            RECENT_INFLUENCE_SECONDS: number({ min: 0, max: 600 }),
+
+            RENDERING: object({
+                THICKNESS_RANGE: range({ min: 0, max: 100 }),
+                VELOCITY_RANGE: range({ min: 0, max: 1000 }),
+                GRADIENT_LAYERS: integer({ min: 0, max: 10 }),
+                CORE_THICKNESS_FACTOR: number({ min: 0, max: 1 }),
+                HUE_CHANGE_SPEED: number({ min: 0, max: 360 }),
+                STREAM_HUE_OFFSET: number({ min: 0, max: 360 }),
+                SATURATION: number({ min: 0, max: 100 }),
+                BRIGHTNESS: number({ min: 0, max: 100 }),
+                ALPHA_FADE_FACTOR: number({ min: 0, max: 1 }),
+                PRESSURE_THICKNESS_RANGE: range({ min: 0, max: 4 }),
+                TILT_HUE_RANGE: number({ min: 0, max: 180 }),
+                TWIST_HUE_FACTOR: number({ min: 0, max: 1 })
+            })
+        }),
+
+        SOUND: object({
+            DEFAULT_MASTER_VOLUME: number({ min: 0, max: 1 }),
+            MAX_ACTIVE_SOUNDS: integer({ min: 1, max: 200 }),
+            BASE_FREQUENCY: number({ min: 20, max: 20000 }),
+            GOLDEN_RATIO: number({ min: 1, max: 10 }),
+            DEFAULT_HARMONIC_COUNT: integer({ min: 1, max: 32 }),
+            AMBIENT_BASE_VOLUME: number({ min: 0, max: 1 }),
+            HEARTBEAT_BPM: number({ min: 1, max: 300 }),
+            PENTATONIC_RATIOS: array(number({ min: 0.01, max: 16 }), { minLength: 1 }),
+
+            INITIALIZATION: object({
+                P5_READY_CHECK_INTERVAL: integer({ min: 1, max: 60000 }),
+                TEST_SOUND_DURATION: integer({ min: 0, max: 60000 }),
+                AMBIENT_START_DELAY: integer({ min: 0, max: 60000 })
+            }),
+
+            DRAG_VOICES: object({
+                MAX: integer({ min: 1, max: 20 }),
+                GLIDE_TIME: number({ min: 0, max: 1 }),
+                RELEASE_DELAY_MS: integer({ min: 10, max: 5000 }),
+                RELEASE_TIME: number({ min: 0, max: 5 }),
+                PRESSURE_VOLUME_RANGE: range({ min: 0, max: 4 }),
+                FILTER_FREQUENCY_RANGE: range({ min: 20, max: 22050 }),
+                FILTER_RESONANCE: number({ min: 0, max: 100 })
+            }),
+
+            EFFECT_TYPES: record(object({
+                type: enumOf(() => effectRegistry.voiceTypes()),
+                envelope: ENVELOPE_SCHEMA,
+                reverb: optional(object({ wet: number({ min: 0, max: 1 }) })),
+                delay: optional(object({
+                    time: number({ min: 0, max: 10 }),
+                    feedback: number({ min: 0, max: 1 })
+                })),
+                filter: optional(object({
+                    frequency: number({ min: 10, max: 22050 }),
+                    resonance: number({ min: 0, max: 1000 })
+                })),
+                pitchBend: optional(object({ amount: number({ min: 0, max: 10 }) })),
+                panning: optional(object({ range: number({ min: 0, max: 1 }) }))
+            }), { keyPattern: /^\d+$/ }),
+
+            WAVEFORMS: object({
+                SINE: enumOf(WAVEFORM_TYPES),
+                TRIANGLE: enumOf(WAVEFORM_TYPES),
+                SAWTOOTH: enumOf(WAVEFORM_TYPES),
+                SQUARE: enumOf(WAVEFORM_TYPES),
+                WHITE_NOISE: enumOf(WAVEFORM_TYPES)
+            }),
+
+            EFFECTS: object({
+                REVERB: object({
+                    duration: number({ min: 0, max: 10 }),
+                    decay: number({ min: 0, max: 100 }),
+                    reverse: boolean()
+                }),
+                DELAY: object({
+                    type: enumOf(['pingPong', 'default']),
+                    maxTime: number({ min: 0, max: 60000 })
+                }),
+                LFO: object({
+                    frequency: number({ min: 0, max: 100 }),
+                    amplitude: number({ min: 0, max: 10000 })
+                }),
+                FILTER: object({
+                    type: enumOf(['lowpass', 'highpass', 'bandpass', 'lowshelf', 'highshelf', 'peaking', 'notch', 'allpass']),
+                    defaultFreq: number({ min: 10, max: 22050 }),
+                    defaultRes: number({ min: 0, max: 1000 })
+                }),
+                HIGH_PASS: object({
+                    frequency: number({ min: 10, max: 22050 })
+                })
+            }),
+
+            AUDIO_PARAMS: object({
+                EXPLOSION: object({
+                    bassFreqRange: range({ min: 10, max: 22050 }),
+                    volumeBase: number({ min: 0, max: 1 }),
+                    shimmerDuration: integer({ min: 0, max: 60000 }),
+                    cleanupDelay: integer({ min: 0, max: 60000 })
+                }),
+                TRAIL: object({
+                    octaveRange: range({ min: -8, max: 8, integer: true }),
+                    volumeBase: number({ min: 0, max: 1 }),
+                    delayParams: object({
+                        time: number({ min: 0, max: 10 }),
+                        feedback: number({ min: 0, max: 1 }),
+                        maxTime: number({ min: 0, max: 60000 })
+                    }),
+                    cleanupDelay: integer({ min: 0, max: 60000 })
+                }),
+                BELL: object({
+                    partials: array(number({ min: 0.01, max: 64 }), { minLength: 1 }),
+                    volumeBase: number({ min: 0, max: 1 }),
+                    cleanupDelay: integer({ min: 0, max: 60000 })
+                }),
+                AMBIENT: object({
+                    octaveShift: integer({ min: -8, max: 8 }),
+                    fadeInTime: number({ min: 0, max: 60 }),
+                    fadeOutTime: number({ min: 0, max: 60 })
+                }),
+                HEARTBEAT: object({
+                    frequency: number({ min: 10, max: 22050 }),
+                    volume: number({ min: 0, max: 1 }),
+                    duration: integer({ min: 0, max: 60000 })
+                })
+            }),
+
+            MAPPING: object({
+                SCREEN_TO_FREQUENCY: range({ min: 10, max: 22050 }),
+                VELOCITY_TO_VOLUME: range({ min: 0, max: 1 }),
+                PAN_RANGE: range({ min: -1, max: 1 }),
+                PAN_RANGE_LIMITED: range({ min: -1, max: 1 }),
+                Y_TO_PITCH_BEND: range({ min: 0.01, max: 16 })
+            }),
+
+            CLEANUP: object({
+                INTERVAL: integer({ min: 100, max: 600000 }),
+                MAX_NODE_LIFETIME: integer({ min: 100, max: 600000 })
+            }),
+
+            DEBUG: object({
+                TEST_FREQUENCY: number({ min: 10, max: 22050 }),
+                LOG_LEVEL: enumOf(['debug', 'info', 'warn', 'error']),
+                PERFORMANCE_MONITORING: boolean()
+            })
+        }),
+
+        PERFORMANCE: object({
+            MEASUREMENT_INTERVAL: integer({ min: 100, max: 60000 }),
+            DEBUG_UPDATE_INTERVAL: integer({ min: 1, max: 10000 }),
+            MEMORY_WARNING_THRESHOLD: number({ min: 1 }),
+            FPS_WARNING_THRESHOLD: number({ min: 1, max: 240 })
+        }),
+
+        EFFECTS: object({
+            DEFAULT_EFFECT: enumOf(() => effectRegistry.numbers()),
+            CONFIGS: record(object({
+                mode: enumOf(() => effectRegistry.modeNames()),
+                trail: boolean(),
+                gravity: boolean(),
+                mouseAttraction: number({ min: 0, max: 10 }),
+                bgAlpha: number({ min: 0, max: 100 }),
+                interactions: optional(object({
+                    flocking: boolean(),
+                    collisions: boolean(),
+                    merging: boolean()
+                })),
+                shape: optional(enumOf(() => particleShapes.names())),
+                postProcessing: optional(EFFECT_POST_PROCESSING_SCHEMA)
+            }), { keyPattern: /^\d+$/ })
+        }),
+
+        POST_PROCESSING: object({
+            ENABLED: boolean(),
+            PASSES: object(Object.fromEntries(POST_PROCESSING_PASSES.map(pass => [pass, boolean()]))),
+            DEFAULTS: object(Object.fromEntries(POST_PROCESSING_PASSES.map(pass => [pass, object(POST_PROCESSING_PARAMS_SCHEMA[pass])]))),
+            BLOOM_DOWNSAMPLE: integer({ min: 1, max: 8 })
+        }),
+
+        PALETTES: object({
+            ACTIVE: enumOf(() => paletteManager.names()),
+            VARIATION: object({
+                HUE: number({ min: 0, max: 180 }),
+                SATURATION: number({ min: 0, max: 100 }),
+                BRIGHTNESS: number({ min: 0, max: 100 })
+            }),
+            EXTRACTION: object({
+                COLORS: integer({ min: 1, max: 16 }),
+                SAMPLE_SIZE: integer({ min: 8, max: 512 }),
+                ITERATIONS: integer({ min: 1, max: 100 }),
+                MIN_BRIGHTNESS: number({ min: 0, max: 100 }),
+                MIN_ALPHA: integer({ min: 0, max: 255 })
+            }),
+            DEFINITIONS: record(array(HEX_COLOR_SCHEMA, { minLength: 1 }), { keyPattern: /^(?!spectrum$)[\w-]+$/ })
+        }),
+
+        THEMES: object({
+            ACTIVE: enumOf(() => [AUTO_THEME].concat(themeManager.names())),
+            AUTO: object({
+                DARK: enumOf(() => themeManager.names()),
+                LIGHT: enumOf(() => themeManager.names())
+            }),
+            DEFINITIONS: record(object({
+                BACKGROUND: HEX_COLOR_SCHEMA,
+                FADE: HEX_COLOR_SCHEMA,
+                BLEND_MODE: enumOf(THEME_BLEND_MODES),
+                SATURATION: number({ min: 0.1, max: 3 }),
+                BRIGHTNESS: number({ min: 0.1, max: 2 }),
+                UI: enumOf(THEME_UI_MODES)
+            }), { keyPattern: /^(?!auto$)[\w-]+$/ })
+        }),
+
+        RANDOM: object({
+            SEED: integer({ min: 0, max: 4294967295 })
+        }),
+
+        REPLAY: object({
+            URL: string(),
+            LOOP: boolean()
+        }),
+
+        ATTRACT: object({
+            ENABLED: boolean(),
+            IDLE_SECONDS: number({ min: 1, max: 3600 }),
+            BEATS_PER_BAR: integer({ min: 1, max: 16 }),
+            GESTURE_INTERVAL_BEATS: integer({ min: 1, max: 32 }),
+            DRAG_PROBABILITY: number({ min: 0, max: 1 }),
+            DRAG_BEATS: number({ min: 0.25, max: 16 }),
+            EFFECT_CHANGE_BARS: integer({ min: 1, max: 64 }),
+            MARGIN: number({ min: 0, max: 0.45 })
+        }),
+
+        VIRTUAL_CURSOR: object({
+            ENABLED: boolean(),
+            SPEED: number({ min: 1, max: 5000 }),
+            HIDE_AFTER_SECONDS: number({ min: 0, max: 3600 }),
+            KEYS: object({
+                UP: array(integer({ min: 0, max: 255 })),
+                DOWN: array(integer({ min: 0, max: 255 })),
+                LEFT: array(integer({ min: 0, max: 255 })),
+                RIGHT: array(integer({ min: 0, max: 255 })),
+                FIRE: array(integer({ min: 0, max: 255 })),
+                DRAW: array(integer({ min: 0, max: 255 }))
+            }),
+            GAMEPAD: object({
+                DEADZONE: number({ min: 0, max: 0.95 }),
+                FIRE_BUTTONS: array(integer({ min: 0, max: 31 })),
+                DRAW_BUTTONS: array(integer({ min: 0, max: 31 }))
+            }),
+            RENDERING: object({
+                SIZE: number({ min: 1, max: 500 }),
+                STROKE_WEIGHT: number({ min: 0, max: 50 }),
+                HUE: number({ min: 0, max: 360 }),
+                ALPHA: number({ min: 0, max: 100 })
+            })
+        }),
+
+        QUALITY: object({
+            ENABLED: boolean(),
+            DOWNGRADE_FPS_RATIO: number({ min: 0, max: 1 }),
+            UPGRADE_FPS_RATIO: number({ min: 0, max: 1 }),
+            DOWNGRADE_SAMPLES: integer({ min: 1, max: 60 }),
+            UPGRADE_SAMPLES: integer({ min: 1, max: 60 }),
+            LEVELS: array(object({
+                PARTICLES: number({ min: 0.01, max: 1 }),
+                GLOW: number({ min: 0, max: 1 }),
+                TRAIL: number({ min: 0, max: 1 }),
+                SOUNDS: number({ min: 0.01, max: 1 })
+            })),
+            HISTORY_LENGTH: integer({ min: 1, max: 100 })
+        }),
+
+        FORCE_FIELDS: object({
+            FIELDS: array(object({
+                type: enumOf(FORCE_FIELD_TYPES),
+                x: number(),
+                y: number(),
+                x2: optional(number()),
+                y2: optional(number()),
+                ...FORCE_FIELD_PARAMS_SCHEMA
+            })),
+            DEFAULTS: object({
+                attractor: object(FORCE_FIELD_PARAMS_SCHEMA),
+                repeller: object(FORCE_FIELD_PARAMS_SCHEMA),
+                vortex: object(FORCE_FIELD_PARAMS_SCHEMA),
+                wall: object(FORCE_FIELD_PARAMS_SCHEMA),
+                flow: object(FORCE_FIELD_PARAMS_SCHEMA)
+            }),
+            VORTEX_INWARD_RATIO: number({ min: -1, max: 1 }),
+            FLOW: object({
+                NOISE_SCALE: number({ min: 0, max: 1 }),
+                TIME_SCALE: number({ min: 0, max: 1 })
+            }),
+            PLACEMENT: object({
+                MODIFIER: enumOf(FORCE_FIELD_MODIFIERS),
+                MIN_DRAG: number({ min: 0, max: 500 }),
+                HIT_RADIUS: number({ min: 0, max: 500 })
+            }),
+            GIZMOS: object({
+                VISIBLE: boolean(),
+                ALPHA: number({ min: 0, max: 100 }),
+                STROKE_WEIGHT: number({ min: 0, max: 20 }),
+                FLOW_ARROW_SPACING: number({ min: 8, max: 1000 }),
+                HUES: object({
+                    attractor: number({ min: 0, max: 360 }),
+                    repeller: number({ min: 0, max: 360 }),
+                    vortex: number({ min: 0, max: 360 }),
+                    wall: number({ min: 0, max: 360 }),
+                    flow: number({ min: 0, max: 360 })
+                })
+            })
+        })
+    });
+})();
+
+/**
+ * スキーマに基づく設定検証クラス
+ */
+class ConfigValidator {
+    /**
+     * @param {Object} schema - ルートスキーマ
+     */
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    /**
+     * パスに対応するスキーマの取得
+     * @param {string} path - ドット区切りのパス
+     * @returns {Object|null} スキーマ（未定義の場合はnull）
+     */
+    getSchema(path) {
+        let schema = this.schema;
+        for (const key of ConfigStore.splitPath(path)) {
+            if (!schema) return null;
+            switch (schema.type) {
+                case 'object':
+                    schema = schema.properties[key] || null;
+                    break;
+                case 'record':
+                    schema = schema.keyPattern && !schema.keyPattern.test(key) ? null : schema.values;
+                    break;
+                case 'array':
+                    schema = /^\d+$/.test(key) ? schema.items : null;
+                    break;
+                case 'range':
+                    schema = key === 'min' || key === 'max' ? this.getSchemaForRangeBound(schema) : null;
+                    break;
+                default:
+                    return null;
+            }
+        }
+        return schema;
+    }
+
+    /**
+     * 値の検証
+     * @param {*} value - 検証する値
+     * @param {string} path - 値のパス（省略時はルート）
+     * @returns {Array<{path: string, message: string, value: *}>} 違反リスト
+     */
+    validate(value, path = '') {
+        const violations = [];
+        const schema = this.getSchema(path);
+        if (!schema) {
+            violations.push({ path, message: 'unknown configuration key', value });
+            return violations;
+        }
+        this.validateNode(value, schema, path, violations);
+        return violations;
+    }
+
+    /**
+     * スキーマノードの検証（再帰）
+     * @param {*} value - 検証する値
+     * @param {Object} schema - スキーマノード
+     * @param {string} path - 値のパス
+     * @param {Array} violations - 違反の蓄積先
+     */
+    validateNode(value, schema, path, violations) {
+        const fail = (message) => violations.push({ path, message, value });
+
+        switch (schema.type) {
+            case 'number':
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    fail(`expected a finite number but got ${ConfigValidator.describe(value)}`);
+                    return;
+                }
+                if (schema.integer && !Number.isInteger(value)) fail(`expected an integer but got ${value}`);
+                if (schema.min !== undefined && value < schema.min) fail(`${value} is below the minimum ${schema.min}`);
+                if (schema.max !== undefined && value > schema.max) fail(`${value} is above the maximum ${schema.max}`);
+                return;
+
+            case 'boolean':
+                if (typeof value !== 'boolean') fail(`expected a boolean but got ${ConfigValidator.describe(value)}`);
+                return;
+
+            case 'string':
+                if (typeof value !== 'string') {
+                    fail(`expected a string but got ${ConfigValidator.describe(value)}`);
+                } else if (schema.pattern && !schema.pattern.test(value)) {
+                    fail(`"${value}" does not match ${schema.pattern}`);
+                }
+                return;
+
+            case 'enum': {
+                const values = ConfigValidator.enumValues(schema);
+                if (!values.includes(value)) {
+                    fail(`${ConfigValidator.describe(value)} is not one of ${values.join(', ')}`);
+                }
+                return;
+            }
+
+            case 'range': {
+                if (!ConfigStore.isPlainObject(value)) {
+                    fail(`expected a {min, max} range but got ${ConfigValidator.describe(value)}`);
+                    return;
+                }
+                const boundSchema = this.getSchemaForRangeBound(schema);
+                const before = violations.length;
+                this.validateProperties(value, { min: boundSchema, max: boundSchema }, path, violations);
+                if (violations.length === before && value.min > value.max) {
+                    fail(`min (${value.min}) must not exceed max (${value.max})`);
+                }
+                return;
+            }
+
+            case 'object':
+                if (!ConfigStore.isPlainObject(value)) {
+                    fail(`expected an object but got ${ConfigValidator.describe(value)}`);
+                    return;
+                }
+                this.validateProperties(value, schema.properties, path, violations);
+                return;
+
+            case 'record':
+                if (!ConfigStore.isPlainObject(value)) {
+                    fail(`expected an object but got ${ConfigValidator.describe(value)}`);
+                    return;
+                }
+                Object.keys(value).forEach(key => {
+                    const childPath = ConfigStore.joinPath(path, key);
+                    if (schema.keyPattern && !schema.keyPattern.test(key)) {
+                        violations.push({ path: childPath, message: `key does not match ${schema.keyPattern}`, value: value[key] });
+                        return;
+                    }
+                    this.validateNode(value[key], schema.values, childPath, violations);
+                });
+                return;
+
+            case 'array':
+                if (!Array.isArray(value)) {
+                    fail(`expected an array but got ${ConfigValidator.describe(value)}`);
+                    return;
+                }
+                if (schema.minLength !== undefined && value.length < schema.minLength) {
+                    fail(`expected at least ${schema.minLength} item(s) but got ${value.length}`);
+                }
+                if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                    fail(`expected at most ${schema.maxLength} item(s) but got ${value.length}`);
+                }
+                value.forEach((item, index) => {
+                    this.validateNode(item, schema.items, ConfigStore.joinPath(path, index), violations);
+                });
+                return;
+
+            default:
+                fail(`unsupported schema type: ${schema.type}`);
+        }
+    }
+
+    /**
+     * 固定キーの検証（欠落キーと未定義キーを検出）
+     * @param {Object} value - 検証するオブジェクト
+     * @param {Object} properties - キーごとのスキーマ
+     * @param {string} path - 値のパス
+     * @param {Array} violations - 違反の蓄積先
+     */
+    validateProperties(value, properties, path, violations) {
+        Object.keys(properties).forEach(key => {
+            const childPath = ConfigStore.joinPath(path, key);
+            if (value[key] === undefined) {
+                if (!properties[key].optional) {
+                    violations.push({ path: childPath, message: 'required key is missing', value: undefined });
+                }
+                return;
+            }
+            this.validateNode(value[key], properties[key], childPath, violations);
+        });
+
+        Object.keys(value).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+                violations.push({ path: ConfigStore.joinPath(path, key), message: 'unknown configuration key', value: value[key] });
+            }
+        });
+    }
+
+    /**
+     * 範囲オブジェクトの min/max 各値のスキーマ
+     * @param {Object} schema - 範囲スキーマ
+     * @returns {Object} 数値スキーマ
+     */
+    getSchemaForRangeBound(schema) {
+        return { type: 'number', min: schema.min, max: schema.max, integer: schema.integer };
+    }
+
+    /**
+     * 違反を errorHandler に報告
+     * @param {Array} violations - 違反リスト
+     * @param {string} context - 検証のコンテキスト
+     */
+    report(violations, context = 'Config validation') {
+        violations.forEach(violation => {
+            errorHandler.handleError(new AppError(
+                `${context}: ${violation.path || '(root)'} ${violation.message}`,
+                ErrorCategory.SYSTEM,
+                ErrorLevel.WARN,
+                { path: violation.path, value: violation.value }
+            ));
+        });
+    }
+
+    /**
+     * 列挙スキーマの許可値
+     * @param {Object} schema - 列挙スキーマ
+     * @returns {Array} 許可される値
+     */
+    static enumValues(schema) {
+        return typeof schema.values === 'function' ? schema.values() : schema.values;
+    }
+
+    /**
+     * 値の読みやすい表記
+     * @param {*} value - 対象の値
+     * @returns {string} 表記
+     */
+    static describe(value) {
+        if (value === undefined) return 'undefined';
+        if (Array.isArray(value)) return 'an array';
+        if (value === null) return 'null';
+        if (typeof value === 'object') return 'an object';
+        if (typeof value === 'string') return `"${value}"`;
+        return `${typeof value} ${value}`;
+    }
+}
+
+// 設定ストアに検証を組み込む
+const configValidator = new ConfigValidator(ConfigSchema);
+configStore.setValidator(configValidator);
+
+// グローバルアクセス用
+window.ConfigSchema = ConfigSchema;
+window.ConfigValidator = ConfigValidator;
+window.configValidator = configValidator;
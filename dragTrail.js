@@ -13,15 +13,18 @@ class DragTrail {
             // 設定値の初期化（Config使用）
             const config = Config.DRAG_TRAIL;
             this.maxTrails = options.maxTrails || config.MAX_TRAILS;
-            this.trailDuration = options.duration || config.DURATION_FRAMES;
+            this.trailDuration = options.duration || config.DURATION_SECONDS;
             this.maxSegments = options.maxSegments || config.MAX_SEGMENTS;
             this.cleanupKeepCount = options.cleanupKeepCount || config.CLEANUP_KEEP_COUNT;
-            this.recentInfluenceFrames = config.RECENT_INFLUENCE_FRAMES;
+            this.recentInfluenceSeconds = config.RECENT_INFLUENCE_SECONDS;
             
             // 軌跡データ
             this.trails = [];
             this.totalSegments = 0;
             
+            // ポインターごとの軌跡ストリーム（ストリームID → { slot }）
+            this.streams = new Map();
+            
             // パフォーマンス監視
             this.lastCleanupTime = 0;
             this.renderStats = {
@@ -30,8 +33,14 @@ class DragTrail {
                 skippedSegments: 0
             };
             
-            // 描画設定
-            this.renderingConfig = config.RENDERING;
+            // 描画設定（updateConfigによる個別変更がConfig全体に波及しないようコピーを保持）
+            this.renderingConfig = { ...config.RENDERING };
+            
+            // 品質の自動調整によるグラデーションレイヤー数の縮小率
+            this.qualityScale = 1;
+            
+            // 実行時の設定変更を購読
+            this.subscribeToConfig();
             
             console.log('✅ DragTrail initialized successfully');
         } catch (error) {
@@ -52,34 +61,63 @@ class DragTrail {
      */
     initializeFallbackSettings() {
         this.maxTrails = 10;
-        this.trailDuration = 180;
+        this.trailDuration = 3;
         this.maxSegments = 500;
         this.cleanupKeepCount = 300;
-        this.recentInfluenceFrames = 30;
+        this.recentInfluenceSeconds = 0.5;
         this.trails = [];
         this.totalSegments = 0;
+        this.streams = new Map();
         this.renderStats = { lastRenderTime: 0, segmentsRendered: 0, skippedSegments: 0 };
+        this.qualityScale = 1;
         this.renderingConfig = {
             THICKNESS_RANGE: { min: 2, max: 8 },
             VELOCITY_RANGE: { min: 0, max: 20 },
             GRADIENT_LAYERS: 3,
             CORE_THICKNESS_FACTOR: 0.3,
             HUE_CHANGE_SPEED: 2,
+            STREAM_HUE_OFFSET: 137.5,
             SATURATION: 80,
             BRIGHTNESS: 100,
-            ALPHA_FADE_FACTOR: 0.3
+            ALPHA_FADE_FACTOR: 0.3,
+            PRESSURE_THICKNESS_RANGE: { min: 0.3, max: 1.7 },
+            TILT_HUE_RANGE: 60,
+            TWIST_HUE_FACTOR: 0.5
         };
     }
     
+    /**
+     * 設定変更の購読
+     * 実行時に変更された設定値を稼働中の軌跡システムへ反映する
+     */
+    subscribeToConfig() {
+        this.configSubscriptions = [
+            Config.subscribe('DRAG_TRAIL', (config, change) => {
+                this.maxTrails = config.MAX_TRAILS;
+                this.trailDuration = config.DURATION_SECONDS;
+                this.maxSegments = config.MAX_SEGMENTS;
+                this.cleanupKeepCount = config.CLEANUP_KEEP_COUNT;
+                this.recentInfluenceSeconds = config.RECENT_INFLUENCE_SECONDS;
+                
+                if (ConfigStore.isWithin(change.path, 'DRAG_TRAIL.RENDERING') ||
+                    ConfigStore.isWithin('DRAG_TRAIL.RENDERING', change.path)) {
+                    this.renderingConfig = { ...config.RENDERING };
+                }
+            })
+        ];
+    }
+    
     /**
      * 新しい軌跡ポイントを追加
      * @param {number} x - 現在のX座標
      * @param {number} y - 現在のY座標
      * @param {number} prevX - 前のX座標
      * @param {number} prevY - 前のY座標
+     * @param {number} streamId - 軌跡ストリームID（ポインターID）
+     * @param {Object} pen - ペン入力（筆圧・傾き・回転）
      * @returns {boolean} 追加に成功したかどうか
      */
-    addPoint(x, y, prevX, prevY) {
+    addPoint(x, y, prevX, prevY, streamId = 0, pen = NEUTRAL_PEN) {
         return ErrorUtils.safeExecute(() => {
             // 入力値の検証
             if (!this.validateCoordinates(x, y, prevX, prevY)) {
@@ -87,7 +125,7 @@ class DragTrail {
             }
             
             // 軌跡セグメントの作成
-            const trail = this.createTrailSegment(x, y, prevX, prevY);
+            const trail = this.createTrailSegment(x, y, prevX, prevY, this.getStream(streamId), pen);
             this.trails.push(trail);
             this.totalSegments++;
             
@@ -98,6 +136,32 @@ class DragTrail {
         }, 'DragTrail.addPoint', false);
     }
     
+    /**
+     * 軌跡ストリームの取得（なければ開始）
+     * 同時に描かれている軌跡同士が見分けられるよう、空いている番号順に色相をずらす
+     * @param {number} streamId - 軌跡ストリームID
+     * @returns {Object} ストリーム { id, slot }
+     */
+    getStream(streamId) {
+        let stream = this.streams.get(streamId);
+        if (!stream) {
+            const usedSlots = new Set([...this.streams.values()].map(s => s.slot));
+            let slot = 0;
+            while (usedSlots.has(slot)) slot++;
+            stream = { id: streamId, slot };
+            this.streams.set(streamId, stream);
+        }
+        return stream;
+    }
+    
+    /**
+     * 軌跡ストリームの終了（描かれたセグメントはそのままフェードアウトする）
+     * @param {number} streamId - 軌跡ストリームID
+     */
+    endStream(streamId = 0) {
+        this.streams.delete(streamId);
+    }
+    
     /**
      * 座標の検証
      * @param {number} x - X座標
@@ -128,12 +192,22 @@ class DragTrail {
      * @param {number} y - Y座標
      * @param {number} prevX - 前のX座標
      * @param {number} prevY - 前のY座標
+     * @param {Object} stream - 軌跡ストリーム
+     * @param {Object} pen - ペン入力
      * @returns {Object} 軌跡セグメント
      */
-    createTrailSegment(x, y, prevX, prevY) {
+    createTrailSegment(x, y, prevX, prevY, stream, pen) {
         const deltaX = x - prevX;
         const deltaY = y - prevY;
         const velocity = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+        const config = this.renderingConfig;
+        
+        // ペンを傾けた方向と回転で色相をずらす
+        const tiltAngle = Math.atan2(pen.tiltY, pen.tiltX) / Math.PI;
+        const penHueShift = penTiltAmount(pen) * config.TILT_HUE_RANGE * tiltAngle + pen.twist * config.TWIST_HUE_FACTOR;
+        const huePosition = ((simulationClock.steps * config.HUE_CHANGE_SPEED + stream.slot * config.STREAM_HUE_OFFSET + penHueShift) % 360 + 360) % 360;
+        // 色相の位置をアクティブなパレット上の色に変換する
+        const color = paletteManager.at(huePosition / 360, config.SATURATION, config.BRIGHTNESS);
         
         return {
             x: x,
@@ -143,7 +217,12 @@ class DragTrail {
             age: 0,
             maxAge: this.trailDuration,
             velocity: velocity,
-            hue: (frameCount * this.renderingConfig.HUE_CHANGE_SPEED) % 360,
+            hue: color.hue,
+            saturation: color.saturation,
+            brightness: color.brightness,
+            // 筆圧による太さの倍率
+            pressureScale: penPressureFactor(pen, config.PRESSURE_THICKNESS_RANGE),
+            streamId: stream.id,
             direction: velocity > 0 ? { x: deltaX / velocity, y: deltaY / velocity } : { x: 0, y: 0 },
             createTime: performance.now()
         };
@@ -200,18 +279,27 @@ class DragTrail {
         ));
     }
     
+    /**
+     * 品質の自動調整によるグラデーションレイヤー数の縮小率の設定
+     * @param {number} scale - 縮小率
+     */
+    setQuality(scale) {
+        this.qualityScale = scale;
+    }
+    
     /**
      * 軌跡の更新
-     * フレームごとに呼び出される
+     * シミュレーションの1ステップごとに呼び出される
+     * @param {number} dt - ステップの長さ（秒）
      */
-    update() {
+    update(dt = simulationClock.stepSeconds) {
         return ErrorUtils.executeWithPerformanceMonitoring(() => {
             const updateStartTime = performance.now();
             
             // 各軌跡の年齢を更新
             for (let i = this.trails.length - 1; i >= 0; i--) {
                 const trail = this.trails[i];
-                trail.age++;
+                trail.age += dt;
                 
                 // 期限切れの軌跡を削除
                 if (trail.age >= trail.maxAge) {
@@ -240,7 +328,9 @@ class DragTrail {
             this.renderStats.skippedSegments = 0;
             
             push();
-            colorMode(HSB, 360, 100, 100, 100);
+            // 合成方法と彩度・明度はテーマに合わせる（パーティクルと同じ）
+            blendMode(themeManager.blendMode);
+            themeManager.colorMode();
             
             // 描画ループの最適化
             this.renderTrailSegments();
@@ -283,14 +373,14 @@ class DragTrail {
                 continue;
             }
             
-            // 線の太さ計算
+            // 線の太さ計算（速度と筆圧）
             const thickness = map(
                 trail.velocity, 
                 config.VELOCITY_RANGE.min, 
                 config.VELOCITY_RANGE.max, 
                 config.THICKNESS_RANGE.min, 
                 config.THICKNESS_RANGE.max
-            );
+            ) * trail.pressureScale;
             
             // グラデーション効果のレイヤー描画
             this.renderGradientLayers(trail, thickness, alpha, config);
@@ -310,12 +400,13 @@ class DragTrail {
      * @param {Object} config - 描画設定
      */
     renderGradientLayers(trail, thickness, alpha, config) {
-        for (let layer = config.GRADIENT_LAYERS; layer >= 1; layer--) {
+        const layers = Math.round(config.GRADIENT_LAYERS * this.qualityScale);
+        for (let layer = layers; layer >= 1; layer--) {
             const layerThickness = thickness * (layer / 2);
             const layerAlpha = alpha * (config.ALPHA_FADE_FACTOR / layer);
             
             strokeWeight(layerThickness);
-            stroke(trail.hue, config.SATURATION, config.BRIGHTNESS, layerAlpha);
+            stroke(trail.hue, trail.saturation, trail.brightness, layerAlpha);
             line(trail.prevX, trail.prevY, trail.x, trail.y);
         }
     }
@@ -329,7 +420,7 @@ class DragTrail {
      */
     renderCoreLine(trail, thickness, alpha, config) {
         strokeWeight(thickness * config.CORE_THICKNESS_FACTOR);
-        stroke(trail.hue, config.SATURATION * 0.4, config.BRIGHTNESS, alpha);
+        stroke(trail.hue, trail.saturation * 0.4, trail.brightness, alpha);
         line(trail.prevX, trail.prevY, trail.x, trail.y);
     }
     
@@ -343,7 +434,7 @@ class DragTrail {
             
             for (const trail of this.trails) {
                 // 最近の軌跡のみを返す（影響を与える範囲）
-                if (trail.age < this.recentInfluenceFrames) {
+                if (trail.age < this.recentInfluenceSeconds) {
                     recentTrails.push({
                         x: trail.x,
                         y: trail.y,
@@ -351,7 +442,8 @@ class DragTrail {
                         prevY: trail.prevY,
                         velocity: trail.velocity,
                         age: trail.age,
-                        direction: trail.direction
+                        direction: trail.direction,
+                        streamId: trail.streamId
                     });
                 }
             }
@@ -367,6 +459,7 @@ class DragTrail {
         ErrorUtils.safeExecute(() => {
             this.trails = [];
             this.totalSegments = 0;
+            this.streams.clear();
             this.renderStats = {
                 lastRenderTime: 0,
                 segmentsRendered: 0,
@@ -0,0 +1,146 @@
+/**
+ * 追加エフェクトのプラグイン
+ * effectRegistry.register() だけで新しいエフェクトを追加する例
+ */
+
+/**
+ * 短い単音の再生（プラグイン音色用）
+ * @param {SoundSystem} sound - サウンドシステム
+ * @param {Object} options - { waveform, frequency, volume, envelope, pan, duration }
+ */
+function playPluginTone(sound, options) {
+    return ErrorUtils.safeExecute(() => {
+        const osc = new p5.Oscillator(options.waveform);
+        const env = new p5.Envelope();
+        const envelope = options.envelope;
+
+        osc.freq(options.frequency);
+        osc.pan(options.pan);
+        env.setADSR(envelope.attack, envelope.decay, envelope.sustain, envelope.release);
+        env.setRange(options.volume, 0);
+
+        const soundId = sound.generateSoundId(options.name);
+        sound.trackActiveSound(soundId, [osc, env]);
+
+        osc.start();
+        env.play(osc);
+
+        setTimeout(() => {
+            sound.cleanupSoundById(soundId);
+        }, options.duration);
+    }, `Plugin voice: ${options.name}`);
+}
+
+// ホタル：黄緑色の光がゆらゆらと漂いながら明滅する
+effectRegistry.register({
+    number: 6,
+    name: 'fireflies',
+    emoji: '✨',
+    behavior: {
+        init(particle) {
+            // 全色相のパレットでは黄緑の光、それ以外はパレットの色で光る
+            const color = paletteManager.sample(
+                randomService.particles,
+                randomService.particles.random(70, 100),
+                particle.brightness,
+                { min: 60, max: 90 }
+            );
+            particle.hue = color.hue;
+            particle.saturation = color.saturation;
+            particle.brightness = color.brightness;
+            particle.damping = 0.96;
+            particle.trail = false;
+        },
+        update(particle) {
+            // ゆっくりとした不規則な漂い
+            particle.velocity.x += randomService.particles.random(-0.08, 0.08);
+            particle.velocity.y += randomService.particles.random(-0.08, 0.08);
+
+            // フェードアウトを保ったまま明滅させる
+            const fadeStart = Config.PARTICLES.APPEARANCE.FADE_START_TIME;
+            const baseAlpha = particle.lifespan < fadeStart ?
+                map(particle.lifespan, 0, fadeStart, 0, particle.maxAlpha) :
+                particle.maxAlpha;
+            const blink = (sin(particle.pulsePhase + simulationClock.steps * 0.08) + 1) / 2;
+            particle.alpha = baseAlpha * (0.2 + blink * 0.8);
+        }
+    },
+    config: {
+        trail: false,
+        gravity: false,
+        mouseAttraction: 0.4,
+        bgAlpha: 12,
+        // 近くのホタル同士で緩やかに群れる
+        interactions: { flocking: true, collisions: false, merging: false },
+        // 暗い夜の草むら
+        postProcessing: { bloom: { threshold: 0.3, intensity: 1.2 }, vignette: { strength: 0.6 }, grain: {} }
+    },
+    // 画面下半分の草むらから
+    spawn: () => ({ x: randomService.particles.random(width), y: randomService.particles.random(height * 0.5, height) }),
+    sound: {
+        type: 'fireflies',
+        envelope: { attack: 0.02, decay: 0.15, sustain: 0.1, release: 0.6 }
+    },
+    // 高音域の柔らかい瞬き
+    voice: (sound, x, y, intensity, params) => {
+        playPluginTone(sound, {
+            name: 'fireflies',
+            waveform: Config.SOUND.WAVEFORMS.SINE,
+            frequency: sound.getPentatonicFrequency(floor(randomService.sound.random(5)), 2),
+            volume: 0.15 * intensity,
+            envelope: params.envelope,
+            pan: map(x, 0, width, Config.SOUND.MAPPING.PAN_RANGE.min, Config.SOUND.MAPPING.PAN_RANGE.max),
+            duration: 1500
+        });
+    }
+});
+
+// 雪：白い粒が左右に揺れながら静かに降る
+effectRegistry.register({
+    number: 7,
+    name: 'snow',
+    emoji: '❄️',
+    behavior: {
+        init(particle) {
+            // パレットの色をごく淡くした白（全色相のパレットでは青みがかった白）
+            const color = paletteManager.sample(randomService.particles, 100, particle.brightness, { min: 190, max: 220 });
+            particle.hue = color.hue;
+            particle.saturation = color.saturation * randomService.particles.random(0, 0.2);
+            particle.brightness = color.brightness;
+            particle.damping = 0.98;
+            particle.trail = false;
+        }
+    },
+    config: {
+        trail: false,
+        gravity: false,
+        mouseAttraction: 0.2,
+        bgAlpha: 30,
+        // 六角形の雪片
+        shape: 'polygon',
+        postProcessing: { vignette: {}, grain: { amount: 0.06 } }
+    },
+    // 上部から
+    spawn: () => ({ x: randomService.particles.random(width), y: -10 }),
+    // 粒ごとに位相をずらした横揺れと一定の落下
+    forces: (particle, system) => {
+        const sway = sin(system.time * 0.02 + particle.pulsePhase) * 0.02;
+        particle.applyForce(createVector(sway * particle.mass, 0.02 * particle.mass));
+    },
+    sound: {
+        type: 'snow',
+        envelope: { attack: 0.05, decay: 0.4, sustain: 0.1, release: 1.5 }
+    },
+    // 澄んだ鈴のような音
+    voice: (sound, x, y, intensity, params) => {
+        playPluginTone(sound, {
+            name: 'snow',
+            waveform: Config.SOUND.WAVEFORMS.TRIANGLE,
+            frequency: sound.getPentatonicFrequency(floor(randomService.sound.random(5)), 1),
+            volume: 0.2 * intensity,
+            envelope: params.envelope,
+            pan: map(x, 0, width, Config.SOUND.MAPPING.PAN_RANGE_LIMITED.min, Config.SOUND.MAPPING.PAN_RANGE_LIMITED.max),
+            duration: 2500
+        });
+    }
+});
@@ -0,0 +1,335 @@
+/**
+ * エフェクトレジストリ
+ * エフェクトごとのパーティクル挙動・生成位置・背景アルファ・サウンド・ボタン・キー割り当てを
+ * ひとつの登録オブジェクトで定義する
+ *
+ * 登録オブジェクトの形式:
+ * {
+ *     number: 6,                  // エフェクト番号（省略時は空き番号）
+ *     name: 'fireflies',          // 識別名
+ *     emoji: '✨',                // ボタン表示
+ *     key: '6',                   // キー割り当て（省略時は1桁の番号）
+ *     mode: 'rainbow',            // 登録済みのパーティクル挙動名、または
+ *     behavior: { init, update }, // 独自のパーティクル挙動（name で登録される）
+ *     config: { trail, gravity, mouseAttraction, bgAlpha, interactions, postProcessing }, // EFFECTS.CONFIGS に追加
+ *     spawn: (system, index) => ({ x, y }),                  // 自動生成位置
+ *     forces: (particle, system) => {},                     // 毎フレームの追加の力
+ *     sound: { type, envelope, ... },                       // SOUND.EFFECT_TYPES に追加
+ *     voice: (soundSystem, x, y, intensity, params) => {}   // 独自の音色（name で登録される）
+ * }
+ */
+class EffectRegistry {
+    constructor() {
+        /** エフェクト番号 → 定義 */
+        this.effects = new Map();
+        /** 挙動名 → { init(particle), update(particle) } */
+        this.modes = new Map();
+        /** 音色名 → (soundSystem, x, y, intensity, params) => void */
+        this.voices = new Map();
+        /** 登録時のコールバック */
+        this.listeners = new Set();
+    }
+
+    /**
+     * パーティクル挙動の登録
+     * @param {string} name - 挙動名（EFFECTS.CONFIGS の mode）
+     * @param {Object} behavior - { init(particle), update(particle) }
+     */
+    registerMode(name, behavior = {}) {
+        this.modes.set(name, behavior);
+    }
+
+    /**
+     * 音色の登録
+     * @param {string} type - 音色名（SOUND.EFFECT_TYPES の type）
+     * @param {Function} play - (soundSystem, x, y, intensity, params) => void
+     */
+    registerVoice(type, play) {
+        this.voices.set(type, play);
+    }
+
+    /**
+     * エフェクトの登録
+     * @param {Object} definition - 登録オブジェクト
+     * @returns {Object|null} 登録された定義
+     */
+    register(definition) {
+        try {
+            const effect = this.normalize(definition);
+
+            // 独自の挙動・音色は設定値より先に登録する（スキーマの列挙値に含めるため）
+            if (definition.behavior) this.registerMode(effect.mode, definition.behavior);
+            if (definition.voice) this.registerVoice(effect.name, definition.voice);
+
+            if (definition.config && !Config.define(`EFFECTS.CONFIGS.${effect.number}`, { mode: effect.mode, ...definition.config })) {
+                throw new Error('invalid effect config');
+            }
+            if (!Config.has(`EFFECTS.CONFIGS.${effect.number}`)) {
+                throw new Error(`EFFECTS.CONFIGS.${effect.number} is not defined`);
+            }
+
+            const sound = definition.sound || (definition.voice ? { type: effect.name, envelope: { attack: 0.01, decay: 0.2, sustain: 0.2, release: 0.5 } } : null);
+            if (sound && !Config.define(`SOUND.EFFECT_TYPES.${effect.number}`, sound)) {
+                throw new Error('invalid effect sound');
+            }
+
+            this.effects.set(effect.number, effect);
+            this.listeners.forEach(listener => listener(effect));
+            return effect;
+        } catch (error) {
+            errorHandler.handleError(new AppError(
+                `Effect registration failed: ${error.message}`,
+                ErrorCategory.SYSTEM,
+                ErrorLevel.WARN,
+                { definition }
+            ));
+            return null;
+        }
+    }
+
+    /**
+     * 登録オブジェクトの正規化と検証
+     * @param {Object} definition - 登録オブジェクト
+     * @returns {Object} 正規化された定義
+     */
+    normalize(definition) {
+        if (!definition || typeof definition.name !== 'string' || !definition.name) {
+            throw new Error('effect name is required');
+        }
+
+        const number = definition.number !== undefined ? definition.number : this.nextNumber();
+        if (!Number.isInteger(number) || number < 1) {
+            throw new Error(`invalid effect number: ${number}`);
+        }
+        if (this.effects.has(number)) {
+            throw new Error(`effect number ${number} is already registered`);
+        }
+
+        const mode = definition.behavior ? definition.name : (definition.mode || 'normal');
+        if (!definition.behavior && !this.modes.has(mode)) {
+            throw new Error(`unknown particle mode: ${mode}`);
+        }
+
+        const key = definition.key !== undefined ? definition.key : (number < 10 ? String(number) : null);
+        if (key !== null && this.findByKey(key)) {
+            throw new Error(`key "${key}" is already assigned to effect ${this.findByKey(key).number}`);
+        }
+
+        return {
+            number,
+            name: definition.name,
+            emoji: definition.emoji || String(number),
+            key,
+            mode,
+            spawn: definition.spawn || null,
+            forces: definition.forces || null
+        };
+    }
+
+    /**
+     * 空いている最小のエフェクト番号
+     * @returns {number} エフェクト番号
+     */
+    nextNumber() {
+        let number = 1;
+        while (this.effects.has(number)) number++;
+        return number;
+    }
+
+    /**
+     * エフェクト定義の取得
+     * @param {number} number - エフェクト番号
+     * @returns {Object|undefined} 定義
+     */
+    get(number) {
+        return this.effects.get(number);
+    }
+
+    /**
+     * エフェクトが登録されているかどうか
+     * @param {number} number - エフェクト番号
+     * @returns {boolean} 登録されているかどうか
+     */
+    has(number) {
+        return this.effects.has(number);
+    }
+
+    /**
+     * 全エフェクト定義（番号順）
+     * @returns {Object[]} 定義の配列
+     */
+    getAll() {
+        return [...this.effects.values()].sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * 登録済みのエフェクト番号（番号順）
+     * @returns {number[]} エフェクト番号
+     */
+    numbers() {
+        return this.getAll().map(effect => effect.number);
+    }
+
+    /**
+     * キーに割り当てられたエフェクト
+     * @param {string} key - 押されたキー
+     * @returns {Object|undefined} 定義
+     */
+    findByKey(key) {
+        return this.getAll().find(effect => effect.key === key);
+    }
+
+    /**
+     * パーティクル挙動の取得
+     * @param {string} name - 挙動名
+     * @returns {Object|undefined} 挙動
+     */
+    getMode(name) {
+        return this.modes.get(name);
+    }
+
+    /**
+     * 登録済みの挙動名
+     * @returns {string[]} 挙動名
+     */
+    modeNames() {
+        return [...this.modes.keys()];
+    }
+
+    /**
+     * 音色の取得
+     * @param {string} type - 音色名
+     * @returns {Function|undefined} 再生関数
+     */
+    getVoice(type) {
+        return this.voices.get(type);
+    }
+
+    /**
+     * 登録済みの音色名
+     * @returns {string[]} 音色名
+     */
+    voiceTypes() {
+        return [...this.voices.keys()];
+    }
+
+    /**
+     * エフェクト登録の購読
+     * @param {Function} callback - (effect) => void
+     * @returns {Function} 購読解除関数
+     */
+    onRegister(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+}
+
+// グローバルインスタンス
+const effectRegistry = new EffectRegistry();
+
+// 組み込みのパーティクル挙動
+effectRegistry.registerMode('normal');
+effectRegistry.registerMode('trail', {
+    init(particle) {
+        particle.trail = true;
+        particle.damping = 0.95;
+    }
+});
+effectRegistry.registerMode('pulse', {
+    init(particle) {
+        particle.pulsePhase = randomService.particles.random(TWO_PI);
+    },
+    update(particle) {
+        const pulse = sin(particle.pulsePhase + simulationClock.steps * Config.RENDERING.EFFECTS.PULSE_SPEED);
+        particle.size = map(pulse, -1, 1, particle.minSize, particle.maxSize);
+    }
+});
+effectRegistry.registerMode('rainbow', {
+    init(particle) {
+        const color = paletteManager.sample(randomService.particles, particle.saturation, particle.brightness);
+        particle.hue = color.hue;
+        particle.saturation = color.saturation;
+        particle.brightness = color.brightness;
+    },
+    update(particle) {
+        paletteManager.cycle(particle, Config.RENDERING.EFFECTS.RAINBOW_HUE_SPEED);
+    }
+});
+effectRegistry.registerMode('gravity', {
+    init(particle) {
+        particle.damping = 0.99;
+    }
+});
+effectRegistry.registerMode('swirl', {
+    init(particle) {
+        particle.rotationSpeed = randomService.particles.random(-0.2, 0.2);
+    }
+});
+
+// 組み込みの音色
+effectRegistry.registerVoice('explosion', (sound, x, y, intensity) => sound.playExplosionSound(x, y, intensity));
+effectRegistry.registerVoice('trail', (sound, x, y, intensity) => sound.playTrailSound(x, y, intensity));
+effectRegistry.registerVoice('rainbow', (sound, x, y, intensity) => sound.playRainbowSound(x, y, intensity));
+effectRegistry.registerVoice('gravity', (sound, x, y, intensity) => sound.playGravitySound(x, y, intensity));
+effectRegistry.registerVoice('swirl', (sound, x, y, intensity) => sound.playSwirlSound(x, y, intensity));
+
+// 組み込みエフェクト（設定値は config.js の EFFECTS.CONFIGS / SOUND.EFFECT_TYPES）
+effectRegistry.register({
+    number: 1,
+    name: 'explosion',
+    emoji: '1️⃣',
+    mode: 'normal',
+    // 中心から
+    spawn: () => ({ x: width / 2 + randomService.particles.random(-50, 50), y: height / 2 + randomService.particles.random(-50, 50) })
+});
+effectRegistry.register({
+    number: 2,
+    name: 'trail',
+    emoji: '2️⃣',
+    mode: 'trail',
+    // 画面端から
+    spawn: () => {
+        if (randomService.particles.random() < 0.5) {
+            return { x: randomService.particles.random() < 0.5 ? 0 : width, y: randomService.particles.random(height) };
+        }
+        return { x: randomService.particles.random(width), y: randomService.particles.random() < 0.5 ? 0 : height };
+    }
+});
+effectRegistry.register({
+    number: 3,
+    name: 'rainbow',
+    emoji: '3️⃣',
+    mode: 'rainbow',
+    // ランダム
+    spawn: () => ({ x: randomService.particles.random(width), y: randomService.particles.random(height) })
+});
+effectRegistry.register({
+    number: 4,
+    name: 'gravity',
+    emoji: '4️⃣',
+    mode: 'gravity',
+    // 上部から
+    spawn: () => ({ x: randomService.particles.random(width), y: -10 })
+});
+effectRegistry.register({
+    number: 5,
+    name: 'swirl',
+    emoji: '5️⃣',
+    mode: 'swirl',
+    // 円形に配置
+    spawn: () => {
+        const angle = randomService.particles.random(TWO_PI);
+        const radius = min(width, height) * 0.4;
+        return { x: width / 2 + cos(angle) * radius, y: height / 2 + sin(angle) * radius };
+    },
+    // 風の効果（サイン波で変化）
+    forces: (particle, system) => {
+        system.wind.x = sin(system.time * 0.01) * 0.05;
+        system.wind.y = cos(system.time * 0.015) * 0.03;
+        particle.applyForce(system.wind);
+    }
+});
+
+// グローバルアクセス用
+window.EffectRegistry = EffectRegistry;
+window.effectRegistry = effectRegistry;
@@ -55,9 +55,9 @@ class BasicExplosionStrategy extends ExplosionStrategy {
 
         const explosionConfig = Config.PARTICLES.EXPLOSION;
         const numParticles = options.particleCount || 
-            random(explosionConfig.PARTICLE_COUNT_RANGE.min, explosionConfig.PARTICLE_COUNT_RANGE.max);
+            randomService.particles.random(explosionConfig.PARTICLE_COUNT_RANGE.min, explosionConfig.PARTICLE_COUNT_RANGE.max);
         const explosionForce = options.force || 
-            random(explosionConfig.FORCE_RANGE.min, explosionConfig.FORCE_RANGE.max);
+            randomService.particles.random(explosionConfig.FORCE_RANGE.min, explosionConfig.FORCE_RANGE.max);
 
         console.log(`Creating basic explosion at (${x.toFixed(1)}, ${y.toFixed(1)}) with ${Math.floor(numParticles)} particles`);
 
@@ -86,18 +86,16 @@ class BasicExplosionStrategy extends ExplosionStrategy {
         const explosionConfig = Config.PARTICLES.EXPLOSION;
 
         for (let i = 0; i < numParticles; i++) {
-            const angle = (TWO_PI / numParticles) * i + random(-explosionConfig.ANGLE_VARIATION, explosionConfig.ANGLE_VARIATION);
-            const speed = random(explosionForce * 0.5, explosionForce);
+            const angle = (TWO_PI / numParticles) * i + randomService.particles.random(-explosionConfig.ANGLE_VARIATION, explosionConfig.ANGLE_VARIATION);
+            const speed = randomService.particles.random(explosionForce * 0.5, explosionForce);
 
             const particleConfig = particleSystem.createParticleConfig({
                 direction: { x: cos(angle), y: sin(angle) },
                 speed: speed,
-                size: random(explosionConfig.SIZE_RANGE?.min || 4, explosionConfig.SIZE_RANGE?.max || 10),
-                hue: random(Config.PARTICLES.APPEARANCE.HUE_RANGE),
-                saturation: 100,
-                brightness: 100,
+                size: randomService.particles.random(explosionConfig.SIZE_RANGE?.min || 4, explosionConfig.SIZE_RANGE?.max || 10),
+                ...paletteManager.sample(randomService.particles),
                 alpha: 100,
-                lifespan: random(explosionConfig.LIFESPAN_RANGE.min, explosionConfig.LIFESPAN_RANGE.max),
+                lifespan: randomService.particles.random(explosionConfig.LIFESPAN_RANGE.min, explosionConfig.LIFESPAN_RANGE.max),
                 mode: particleSystem.effectConfigs[particleSystem.currentEffect].mode,
                 trail: true
             });
@@ -118,9 +116,8 @@ class BasicExplosionStrategy extends ExplosionStrategy {
         let affectedCount = 0;
         const influenceRadius = Config.PARTICLES.EXPLOSION.INFLUENCE_RADIUS;
 
-        particleSystem.particles.forEach(p => {
-            const distance = dist(p.position.x, p.position.y, x, y);
-            if (distance < influenceRadius && distance > 0) {
+        particleSystem.forEachParticleNear(x, y, influenceRadius, (p, distance) => {
+            if (distance > 0) {
                 const force = map(distance, 0, influenceRadius, explosionForce, 0);
                 if (typeof p.explode === 'function') {
                     p.explode(x, y, force);
@@ -156,9 +153,9 @@ class PathExplosionStrategy extends ExplosionStrategy {
         
         const multiplier = pathExplosionConfig.PARTICLE_COUNT_MULTIPLIER;
         const numParticles = options.particleCount || 
-            random(explosionConfig.PARTICLE_COUNT_RANGE.min * multiplier, explosionConfig.PARTICLE_COUNT_RANGE.max * multiplier);
+            randomService.particles.random(explosionConfig.PARTICLE_COUNT_RANGE.min * multiplier, explosionConfig.PARTICLE_COUNT_RANGE.max * multiplier);
         const explosionForce = options.force || 
-            random(explosionConfig.FORCE_RANGE.min, explosionConfig.FORCE_RANGE.max);
+            randomService.particles.random(explosionConfig.FORCE_RANGE.min, explosionConfig.FORCE_RANGE.max);
 
         // パスの方向と速度を計算
         const pathInfo = this.calculatePathDirection(options.path, pathExplosionConfig);
@@ -215,22 +212,20 @@ class PathExplosionStrategy extends ExplosionStrategy {
             // パスの方向を基準にした角度の計算
             const baseAngle = atan2(pathInfo.direction.y, pathInfo.direction.x);
             const spreadAngle = pathConfig.SPREAD_ANGLE;
-            const angle = baseAngle + random(-spreadAngle, spreadAngle);
+            const angle = baseAngle + randomService.particles.random(-spreadAngle, spreadAngle);
 
             // パスの速度に応じた初期速度
             const velocityCoeff = pathConfig.VELOCITY_COEFFICIENT;
             const baseSpeed = explosionForce + pathInfo.velocity * velocityCoeff;
-            const speed = random(baseSpeed * 0.5, baseSpeed);
+            const speed = randomService.particles.random(baseSpeed * 0.5, baseSpeed);
 
             const particleConfig = particleSystem.createParticleConfig({
                 direction: { x: cos(angle), y: sin(angle) },
                 speed: speed,
-                size: random(pathConfig.SIZE_RANGE.min, pathConfig.SIZE_RANGE.max),
-                hue: random(Config.PARTICLES.APPEARANCE.HUE_RANGE),
-                saturation: 100,
-                brightness: 100,
+                size: randomService.particles.random(pathConfig.SIZE_RANGE.min, pathConfig.SIZE_RANGE.max),
+                ...paletteManager.sample(randomService.particles),
                 alpha: 100,
-                lifespan: random(
+                lifespan: randomService.particles.random(
                     explosionConfig.LIFESPAN_RANGE.min * pathConfig.LIFESPAN_MULTIPLIER,
                     explosionConfig.LIFESPAN_RANGE.max * pathConfig.LIFESPAN_MULTIPLIER
                 ),
@@ -240,7 +235,7 @@ class PathExplosionStrategy extends ExplosionStrategy {
                 followPath: true,
                 pathData: this.simplifyPath(path),
                 pathProgress: 0,
-                pathInfluence: random(
+                pathInfluence: randomService.particles.random(
                     Config.PARTICLES.PATH_FOLLOWING.INFLUENCE_RANGE.min,
                     Config.PARTICLES.PATH_FOLLOWING.INFLUENCE_RANGE.max
                 )
@@ -0,0 +1,417 @@
+/**
+ * 力場システム
+ * 配置した引力点・斥力点・渦・壁・流れ場（パーリンノイズ）からパーティクルに力を加える
+ *
+ * 力場は FORCE_FIELDS.FIELDS に画面に対する比率の座標で保存されるため、
+ * プリセットに含めて舞台ごと保存・共有でき、画面サイズが変わっても同じ配置になる
+ * 力の計算ではピクセル座標に変換した一覧（compile）を使う
+ */
+class ForceFieldSystem {
+    constructor() {
+        /** 力の計算結果（forceAt で使い回す） */
+        this.force = createVector(0, 0);
+        /** ピクセル座標に変換した力場 */
+        this.active = [];
+        this.dirty = true;
+        this.compiledWidth = 0;
+        this.compiledHeight = 0;
+        /** 流れ場のノイズの時間座標 */
+        this.noiseTime = 0;
+        /** 次に配置する力場の種類 */
+        this.placementType = FORCE_FIELD_TYPES[0];
+
+        // 配置・プリセット・パラメータ調整パネルからの変更は次の計算で反映
+        Config.subscribe('FORCE_FIELDS', () => {
+            this.dirty = true;
+        });
+    }
+
+    /** 配置済みの力場の数 */
+    get count() {
+        return Config.FORCE_FIELDS.FIELDS.length;
+    }
+
+    /**
+     * 1フレーム分の準備（ParticleSystem.update で力の適用前に呼ぶ）
+     * @param {number} time - パーティクルシステムのフレーム数
+     */
+    prepare(time) {
+        this.noiseTime = time * Config.FORCE_FIELDS.FLOW.TIME_SCALE;
+        this.ensureCompiled();
+    }
+
+    /**
+     * 設定または画面サイズが変わっていればピクセル座標の一覧を作り直す
+     */
+    ensureCompiled() {
+        if (!this.dirty && width === this.compiledWidth && height === this.compiledHeight) return;
+
+        const config = Config.FORCE_FIELDS;
+        this.active = Config.getSnapshot('FORCE_FIELDS.FIELDS').map(field => ForceFieldSystem.compileField(field));
+        this.vortexInwardRatio = config.VORTEX_INWARD_RATIO;
+        this.noiseScale = config.FLOW.NOISE_SCALE;
+        this.dirty = false;
+        this.compiledWidth = width;
+        this.compiledHeight = height;
+    }
+
+    /**
+     * 保存形式の力場をピクセル座標に変換
+     * @param {Object} field - { type, x, y, x2?, y2?, radius, strength, falloff }
+     * @returns {Object} 計算用の力場
+     */
+    static compileField(field) {
+        const compiled = {
+            type: field.type,
+            x: field.x * width,
+            y: field.y * height,
+            radius: field.radius,
+            radiusSq: field.radius * field.radius,
+            strength: field.strength,
+            falloff: field.falloff
+        };
+
+        if (field.type === 'wall') {
+            compiled.x2 = (typeof field.x2 === 'number' ? field.x2 : field.x) * width;
+            compiled.y2 = (typeof field.y2 === 'number' ? field.y2 : field.y) * height;
+            compiled.dx = compiled.x2 - compiled.x;
+            compiled.dy = compiled.y2 - compiled.y;
+            compiled.lengthSq = compiled.dx * compiled.dx + compiled.dy * compiled.dy;
+        }
+        return compiled;
+    }
+
+    /**
+     * 距離による減衰
+     * @param {string} falloff - 'constant' | 'linear' | 'quadratic'
+     * @param {number} t - 影響半径に対する距離の比率（0〜1）
+     * @returns {number} 係数（0〜1）
+     */
+    static falloffFactor(falloff, t) {
+        switch (falloff) {
+            case 'linear':
+                return 1 - t;
+            case 'quadratic':
+                return (1 - t) * (1 - t);
+            default:
+                return 1;
+        }
+    }
+
+    /**
+     * 位置にかかる力の合計（戻り値のベクトルは次の呼び出しで上書きされる）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {p5.Vector} 力
+     */
+    forceAt(x, y) {
+        let fx = 0;
+        let fy = 0;
+
+        for (let f = 0; f < this.active.length; f++) {
+            const field = this.active[f];
+
+            // 壁は線分からの距離で押し返す
+            let dx;
+            let dy;
+            if (field.type === 'wall') {
+                const t = field.lengthSq > 0
+                    ? Math.min(1, Math.max(0, ((x - field.x) * field.dx + (y - field.y) * field.dy) / field.lengthSq))
+                    : 0;
+                dx = field.x + field.dx * t - x;
+                dy = field.y + field.dy * t - y;
+            } else {
+                dx = field.x - x;
+                dy = field.y - y;
+            }
+
+            const distanceSq = dx * dx + dy * dy;
+            if (distanceSq >= field.radiusSq) continue;
+
+            const distance = Math.sqrt(distanceSq);
+            const magnitude = field.strength * ForceFieldSystem.falloffFactor(field.falloff, distance / field.radius);
+
+            if (field.type === 'flow') {
+                const angle = this.flowAngle(x, y);
+                fx += Math.cos(angle) * magnitude;
+                fy += Math.sin(angle) * magnitude;
+                continue;
+            }
+            if (distance === 0) continue;
+
+            // 中心（壁は線分上の最も近い点）に向かう単位ベクトル
+            const nx = dx / distance;
+            const ny = dy / distance;
+            switch (field.type) {
+                case 'attractor':
+                    fx += nx * magnitude;
+                    fy += ny * magnitude;
+                    break;
+                case 'repeller':
+                case 'wall':
+                    fx -= nx * magnitude;
+                    fy -= ny * magnitude;
+                    break;
+                case 'vortex':
+                    // 接線方向（強さが正なら画面上で時計回り）と、外へ飛ばされないための中心向きの力
+                    fx += (ny + nx * this.vortexInwardRatio) * magnitude;
+                    fy += (-nx + ny * this.vortexInwardRatio) * magnitude;
+                    break;
+            }
+        }
+
+        return this.force.set(fx, fy);
+    }
+
+    /**
+     * 流れ場の向き（パーリンノイズ。シードは RandomService が設定する）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {number} 角度（ラジアン）
+     */
+    flowAngle(x, y) {
+        return noise(x * this.noiseScale, y * this.noiseScale, this.noiseTime) * TWO_PI * 2;
+    }
+
+    /**
+     * 配置操作の処理（ライブ入力と再生で共通）
+     * 短いクリックで既存の力場に触れていれば削除、それ以外は追加する
+     * @param {number} x1 - 押下位置X
+     * @param {number} y1 - 押下位置Y
+     * @param {number} x2 - 解放位置X
+     * @param {number} y2 - 解放位置Y
+     * @param {string} type - 力場の種類
+     */
+    handleGesture(x1, y1, x2, y2, type) {
+        const placement = Config.FORCE_FIELDS.PLACEMENT;
+        const dragged = dist(x1, y1, x2, y2) >= placement.MIN_DRAG;
+
+        if (!dragged) {
+            const index = this.findAt(x1, y1, placement.HIT_RADIUS);
+            if (index !== -1) {
+                this.remove(index);
+                return;
+            }
+            if (type === 'wall') {
+                console.log('🧲 Drag to draw a wall');
+                return;
+            }
+        }
+
+        this.add(this.createField(type, x1, y1, x2, y2, dragged));
+    }
+
+    /**
+     * 配置操作から保存形式の力場を作成
+     * 壁は押下位置から解放位置までの線分、それ以外はドラッグ距離を影響半径にする
+     * @param {string} type - 力場の種類
+     * @param {number} x1 - 押下位置X
+     * @param {number} y1 - 押下位置Y
+     * @param {number} x2 - 解放位置X
+     * @param {number} y2 - 解放位置Y
+     * @param {boolean} dragged - ドラッグかどうか
+     * @returns {Object} 力場
+     */
+    createField(type, x1, y1, x2, y2, dragged) {
+        const field = {
+            type,
+            x: x1 / width,
+            y: y1 / height,
+            ...Config.getSnapshot(`FORCE_FIELDS.DEFAULTS.${type}`)
+        };
+
+        if (type === 'wall') {
+            field.x2 = x2 / width;
+            field.y2 = y2 / height;
+        } else if (dragged) {
+            field.radius = dist(x1, y1, x2, y2);
+        }
+        return field;
+    }
+
+    /**
+     * 力場の追加
+     * @param {Object} field - 保存形式の力場
+     */
+    add(field) {
+        Config.set('FORCE_FIELDS.FIELDS', [...Config.getSnapshot('FORCE_FIELDS.FIELDS'), field]);
+        console.log(`🧲 Force field added: ${field.type} (${this.count})`);
+    }
+
+    /**
+     * 力場の削除
+     * @param {number} index - 位置
+     */
+    remove(index) {
+        const fields = Config.getSnapshot('FORCE_FIELDS.FIELDS');
+        const [removed] = fields.splice(index, 1);
+        Config.set('FORCE_FIELDS.FIELDS', fields);
+        console.log(`🧲 Force field removed: ${removed.type} (${this.count})`);
+    }
+
+    /**
+     * 全力場の削除
+     */
+    clear() {
+        Config.set('FORCE_FIELDS.FIELDS', []);
+        console.log('🧲 Force fields cleared');
+    }
+
+    /**
+     * 位置にある力場（つまみの位置が近いもの。新しく置いたものを優先）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {number} radius - 判定距離
+     * @returns {number} 位置（なければ -1）
+     */
+    findAt(x, y, radius) {
+        this.ensureCompiled();
+        for (let i = this.active.length - 1; i >= 0; i--) {
+            const handle = ForceFieldSystem.handleOf(this.active[i]);
+            if (dist(x, y, handle.x, handle.y) <= radius) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * 力場のつまみの位置（壁は線分の中点、それ以外は中心）
+     * @param {Object} field - 計算用の力場
+     * @returns {Object} { x, y }
+     */
+    static handleOf(field) {
+        if (field.type === 'wall') {
+            return { x: (field.x + field.x2) / 2, y: (field.y + field.y2) / 2 };
+        }
+        return { x: field.x, y: field.y };
+    }
+
+    /**
+     * 配置する種類の切り替え
+     * @returns {string} 切り替え後の種類
+     */
+    cycleType() {
+        const index = FORCE_FIELD_TYPES.indexOf(this.placementType);
+        this.placementType = FORCE_FIELD_TYPES[(index + 1) % FORCE_FIELD_TYPES.length];
+        console.log(`🧲 Force field type: ${this.placementType}`);
+        return this.placementType;
+    }
+
+    /**
+     * 配置済みの力場の表示
+     */
+    display() {
+        const gizmos = Config.FORCE_FIELDS.GIZMOS;
+        if (!gizmos.VISIBLE) return;
+
+        this.ensureCompiled();
+        this.active.forEach(field => this.drawGizmo(field, gizmos.ALPHA));
+    }
+
+    /**
+     * 配置中の力場の表示（ドラッグ中のプレビュー）
+     * @param {string} type - 力場の種類
+     * @param {number} x1 - 押下位置X
+     * @param {number} y1 - 押下位置Y
+     * @param {number} x2 - 現在位置X
+     * @param {number} y2 - 現在位置Y
+     */
+    displayPreview(type, x1, y1, x2, y2) {
+        this.ensureCompiled();
+        const dragged = dist(x1, y1, x2, y2) >= Config.FORCE_FIELDS.PLACEMENT.MIN_DRAG;
+        const field = ForceFieldSystem.compileField(this.createField(type, x1, y1, x2, y2, dragged));
+        this.drawGizmo(field, Config.FORCE_FIELDS.GIZMOS.ALPHA * 2);
+
+        push();
+        blendMode(BLEND);
+        noStroke();
+        fill(themeManager.foreground, 60);
+        textSize(12);
+        text(type, x1 + 10, y1 - 10);
+        pop();
+    }
+
+    /**
+     * 力場の表示（影響範囲・つまみ・種類ごとの記号）
+     * @param {Object} field - 計算用の力場
+     * @param {number} alpha - 不透明度
+     */
+    drawGizmo(field, alpha) {
+        const gizmos = Config.FORCE_FIELDS.GIZMOS;
+        const handle = ForceFieldSystem.handleOf(field);
+        const mark = Config.FORCE_FIELDS.PLACEMENT.HIT_RADIUS * 0.5;
+
+        push();
+        blendMode(BLEND);
+        colorMode(HSB, 360, 100, 100, 100);
+        stroke(gizmos.HUES[field.type], 60, 100, alpha);
+        strokeWeight(gizmos.STROKE_WEIGHT);
+        noFill();
+
+        if (field.type === 'wall') {
+            // 線分と押し返す範囲
+            line(field.x, field.y, field.x2, field.y2);
+            strokeWeight(field.radius * 2);
+            stroke(gizmos.HUES[field.type], 60, 100, alpha * 0.25);
+            line(field.x, field.y, field.x2, field.y2);
+        } else {
+            circle(field.x, field.y, field.radius * 2);
+        }
+
+        // つまみ（クリックで削除できる位置）
+        strokeWeight(gizmos.STROKE_WEIGHT);
+        stroke(gizmos.HUES[field.type], 60, 100, alpha);
+        circle(handle.x, handle.y, mark * 2);
+
+        switch (field.type) {
+            case 'attractor':
+                line(handle.x - mark, handle.y, handle.x + mark, handle.y);
+                line(handle.x, handle.y - mark, handle.x, handle.y + mark);
+                break;
+            case 'repeller':
+                line(handle.x - mark, handle.y, handle.x + mark, handle.y);
+                break;
+            case 'vortex': {
+                // 回転方向を示す矢印付きの弧
+                const arcRadius = field.radius * 0.5;
+                arc(field.x, field.y, arcRadius * 2, arcRadius * 2, 0, PI * 1.5);
+                const clockwise = field.strength >= 0;
+                const tipAngle = clockwise ? PI * 1.5 : 0;
+                const tipX = field.x + Math.cos(tipAngle) * arcRadius;
+                const tipY = field.y + Math.sin(tipAngle) * arcRadius;
+                // 進行方向（時計回りの接線は角度 + 90°）
+                const heading = tipAngle + (clockwise ? HALF_PI : -HALF_PI);
+                [heading + PI * 0.8, heading - PI * 0.8].forEach(angle => {
+                    line(tipX, tipY, tipX + Math.cos(angle) * mark, tipY + Math.sin(angle) * mark);
+                });
+                break;
+            }
+            case 'flow':
+                this.drawFlowArrows(field, gizmos.FLOW_ARROW_SPACING);
+                break;
+        }
+        pop();
+    }
+
+    /**
+     * 流れ場の向きを示す矢印
+     * @param {Object} field - 計算用の力場
+     * @param {number} spacing - 矢印の間隔
+     */
+    drawFlowArrows(field, spacing) {
+        const length = spacing * 0.4;
+        for (let x = field.x - field.radius; x <= field.x + field.radius; x += spacing) {
+            for (let y = field.y - field.radius; y <= field.y + field.radius; y += spacing) {
+                if (dist(x, y, field.x, field.y) >= field.radius) continue;
+
+                const angle = this.flowAngle(x, y);
+                const tipX = x + Math.cos(angle) * length;
+                const tipY = y + Math.sin(angle) * length;
+                line(x, y, tipX, tipY);
+                point(tipX, tipY);
+            }
+        }
+    }
+}
+
+// グローバルアクセス用
+window.ForceFieldSystem = ForceFieldSystem;
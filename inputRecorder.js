@@ -0,0 +1,441 @@
+/**
+ * 入力の記録と再生
+ * sketch.js の入力イベントをフレーム番号付きのJSONログとして記録し、同じ順序・同じフレームで再生する
+ * フレームはシミュレーションの固定ステップ（SIMULATION.STEP_RATE）単位のため、描画のフレームレートによらず同じ結果になる
+ *
+ * ログの形式:
+ * {
+ *     version: 1,
+ *     seed: 12345,                  // 記録開始時の乱数シード
+ *     effect: 1, bgAlpha: 20, paused: false,
+ *     fields: [...],                // 記録開始時の力場の配置（FORCE_FIELDS.FIELDS、省略可）
+ *     width: 1280, height: 720,     // 記録時のキャンバスサイズ
+ *     frames: 600,                  // 記録したフレーム（ステップ）数
+ *     events: [[frame, type, ...args], ...]
+ * }
+ *
+ * イベントの種類:
+ * - down: [x, y, pointerId]           ポインター押下
+ * - drag: [x, y, px, py, pointerId, pressure?, tiltX?, tiltY?, twist?]
+ *                                     ドラッグ（ペン入力のときのみ筆圧・傾き・回転を含む）
+ * - up: [x, y, pointerId]             ポインター解放
+ * - field: [x1, y1, x2, y2, type]     力場の配置・削除（修飾キーを押しながらのクリック・ドラッグ）
+ * - action: [actionId]     キーマップの操作（'pause', 'reset', 'mute', 'effect.3' など）
+ * - key: [key]             キー入力（キーマップ導入前の形式、既定の割り当てで再生）
+ * - effect: [number]       エフェクト切り替え（ボタン・プリセット）
+ */
+
+/** 入力ログ形式のバージョン */
+const INPUT_LOG_VERSION = 1;
+
+/** 入力イベントの種類 */
+const INPUT_EVENT_TYPES = ['down', 'drag', 'up', 'field', 'key', 'action', 'effect'];
+
+/** 座標を引数に持つイベントと座標引数の数（再生時にキャンバスサイズに合わせて拡縮する） */
+const POINTER_COORDINATE_COUNTS = { down: 2, drag: 4, up: 2, field: 4 };
+
+/**
+ * 入力の記録クラス
+ */
+class InputRecorder {
+    /**
+     * @param {Object} host - アプリ状態へのアクセス
+     * @param {Function} host.getState - () => { effect, bgAlpha, paused, fields }
+     * @param {Function} host.resetScene - (log) => void 記録・再生開始時のシーンの初期化
+     */
+    constructor(host) {
+        this.host = host;
+        this.isRecording = false;
+        /** 記録開始からのフレーム数 */
+        this.frame = 0;
+        this.header = null;
+        this.events = [];
+    }
+
+    /**
+     * 記録の開始
+     * 再生時と同じ初期状態から始めるため、現在のシードでシーンを初期化する
+     */
+    start() {
+        const state = this.host.getState();
+        this.header = {
+            version: INPUT_LOG_VERSION,
+            seed: randomService.seed,
+            effect: state.effect,
+            bgAlpha: state.bgAlpha,
+            paused: state.paused,
+            fields: state.fields,
+            width,
+            height
+        };
+        this.host.resetScene(this.header);
+
+        this.frame = 0;
+        this.events = [];
+        this.isRecording = true;
+        console.log('⏺️ Input recording started');
+    }
+
+    /**
+     * 記録の終了
+     * @returns {Object|null} 入力ログ
+     */
+    stop() {
+        if (!this.isRecording) return null;
+
+        this.isRecording = false;
+        const log = { ...this.header, frames: this.frame, events: this.events };
+        console.log(`⏹️ Input recording stopped (${log.events.length} events, ${log.frames} frames)`);
+        return log;
+    }
+
+    /**
+     * フレームの進行（draw の先頭で呼ぶ）
+     */
+    tick() {
+        if (this.isRecording) this.frame++;
+    }
+
+    /**
+     * イベントの記録
+     * @param {string} type - イベントの種類
+     * @param {Array} args - 引数
+     */
+    record(type, args) {
+        if (this.isRecording) {
+            this.events.push([this.frame, type, ...args]);
+        }
+    }
+}
+
+/**
+ * 入力ログの再生クラス
+ */
+class InputReplayer {
+    /**
+     * @param {Object} host - アプリ状態へのアクセス
+     * @param {Function} host.resetScene - (log) => void 再生開始時のシーンの初期化
+     * @param {Function} host.dispatch - (type, args) => void イベントの実行
+     */
+    constructor(host) {
+        this.host = host;
+        this.isPlaying = false;
+        this.log = null;
+        this.loop = false;
+        this.frame = 0;
+        this.index = 0;
+        this.scale = { x: 1, y: 1 };
+        /** 再生状態の変更時のコールバック */
+        this.listeners = new Set();
+    }
+
+    /**
+     * 再生の開始
+     * @param {Object} log - 入力ログ
+     * @param {Object} options - { loop }
+     * @returns {boolean} 再生を開始できたかどうか
+     */
+    play(log, options = {}) {
+        if (!InputReplayer.isValidLog(log)) {
+            this.report('Invalid input log format');
+            return false;
+        }
+
+        this.log = log;
+        this.loop = !!options.loop;
+        this.restart();
+        console.log(`▶️ Replaying input log (${log.events.length} events, ${log.frames} frames${this.loop ? ', loop' : ''})`);
+        this.listeners.forEach(listener => listener(true));
+        return true;
+    }
+
+    /**
+     * URLの入力ログを取得して再生
+     * @param {string} url - 入力ログのURL
+     * @param {Object} options - { loop }
+     * @returns {Promise<boolean>} 再生を開始できたかどうか
+     */
+    async playUrl(url, options = {}) {
+        let log;
+        try {
+            const response = await fetch(url, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            log = await response.json();
+        } catch (error) {
+            this.report(`Failed to load input log ${url}: ${error.message}`, ErrorCategory.NETWORK);
+            return false;
+        }
+        return this.play(log, options);
+    }
+
+    /**
+     * 先頭からの再生（ループ時も同じ初期状態に戻す）
+     */
+    restart() {
+        this.host.resetScene(this.log);
+        this.scale = {
+            x: width / this.log.width,
+            y: height / this.log.height
+        };
+        this.frame = 0;
+        this.index = 0;
+        this.isPlaying = true;
+    }
+
+    /**
+     * 再生の停止
+     */
+    stop() {
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+        console.log('⏹️ Input replay stopped');
+        this.listeners.forEach(listener => listener(false));
+    }
+
+    /**
+     * 再生状態の変更の購読
+     * @param {Function} callback - (isPlaying) => void
+     * @returns {Function} 購読解除関数
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * 現在フレームまでのイベントを実行（draw の先頭で呼ぶ）
+     * 記録時にフレーム N の描画後に発生したイベントは、フレーム N+1 の更新前に実行される
+     */
+    update() {
+        if (!this.isPlaying) return;
+
+        const events = this.log.events;
+        if (this.index >= events.length && this.frame >= this.log.frames) {
+            if (!this.loop) {
+                this.stop();
+                return;
+            }
+            this.restart();
+        }
+
+        while (this.index < events.length && events[this.index][0] <= this.frame) {
+            const [, type, ...args] = events[this.index++];
+            ErrorUtils.safeExecute(() => {
+                this.host.dispatch(type, this.scaleArgs(type, args));
+            }, `Input replay: ${type}`);
+        }
+        this.frame++;
+    }
+
+    /**
+     * 座標イベントの引数を現在のキャンバスサイズに合わせて拡縮
+     * @param {string} type - イベントの種類
+     * @param {Array} args - 引数
+     * @returns {Array} 拡縮後の引数
+     */
+    scaleArgs(type, args) {
+        const count = POINTER_COORDINATE_COUNTS[type] || 0;
+        return args.map((value, i) => i < count ? value * (i % 2 === 0 ? this.scale.x : this.scale.y) : value);
+    }
+
+    /**
+     * JSONファイルから入力ログを読み込む
+     * @param {File} file - 読み込むファイル
+     * @returns {Promise<Object|null>} 入力ログ
+     */
+    async readFile(file) {
+        try {
+            const log = JSON.parse(await file.text());
+            if (InputReplayer.isValidLog(log)) return log;
+            this.report(`${file.name} is not an input log`);
+        } catch (error) {
+            this.report(`${file.name} is not valid JSON: ${error.message}`);
+        }
+        return null;
+    }
+
+    /**
+     * errorHandler への警告報告
+     * @param {string} message - メッセージ
+     * @param {string} category - エラーカテゴリ
+     */
+    report(message, category = ErrorCategory.USER_INPUT) {
+        errorHandler.handleError(new AppError(message, category, ErrorLevel.WARN));
+    }
+
+    /**
+     * 入力ログ形式の検証
+     * @param {*} log - 検証する値
+     * @returns {boolean} 有効かどうか
+     */
+    static isValidLog(log) {
+        return ConfigStore.isPlainObject(log) &&
+            log.version === INPUT_LOG_VERSION &&
+            Number.isInteger(log.seed) &&
+            Number.isInteger(log.effect) &&
+            typeof log.bgAlpha === 'number' &&
+            (log.fields === undefined || Array.isArray(log.fields)) &&
+            log.width > 0 && log.height > 0 &&
+            Number.isInteger(log.frames) &&
+            Array.isArray(log.events) &&
+            log.events.every(event => Array.isArray(event) && Number.isInteger(event[0]) && INPUT_EVENT_TYPES.includes(event[1]));
+    }
+
+    /**
+     * 入力ログをJSONファイルとしてダウンロード
+     * @param {Object} log - 入力ログ
+     */
+    static exportFile(log) {
+        const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `sonicbloom-input-${log.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * ドロワー内の記録・再生パネル
+ */
+class InputRecorderPanel {
+    /**
+     * @param {string} containerId - パネルを構築する要素のID
+     * @param {InputRecorder} recorder - 入力の記録
+     * @param {InputReplayer} replayer - 入力ログの再生
+     */
+    constructor(containerId, recorder, replayer) {
+        this.containerId = containerId;
+        this.recorder = recorder;
+        this.replayer = replayer;
+        /** 最後に記録・取り込みした入力ログ */
+        this.log = null;
+        this.recordButton = null;
+        this.playButton = null;
+        this.status = null;
+    }
+
+    /**
+     * パネルの構築
+     */
+    init() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.warn('Input recorder panel container not found:', this.containerId);
+            return;
+        }
+        const body = container.querySelector('.recorder-body');
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', async () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            const log = file && await this.replayer.readFile(file);
+            if (log) {
+                this.log = log;
+                this.updateStatus();
+            }
+        });
+
+        const loopInput = document.createElement('input');
+        loopInput.type = 'checkbox';
+        loopInput.checked = Config.REPLAY.LOOP;
+        loopInput.addEventListener('change', () => Config.set('REPLAY.LOOP', loopInput.checked));
+        Config.subscribe('REPLAY.LOOP', (loop) => { loopInput.checked = loop; });
+
+        const loopRow = document.createElement('label');
+        loopRow.className = 'tweak-row';
+        const loopLabel = document.createElement('span');
+        loopLabel.className = 'tweak-label';
+        loopLabel.textContent = 'ループ再生';
+        loopRow.append(loopLabel, loopInput);
+
+        this.recordButton = this.createButton('', () => this.toggleRecording());
+        this.playButton = this.createButton('', () => this.togglePlayback());
+        const actions = document.createElement('div');
+        actions.className = 'tweak-actions';
+        actions.append(this.recordButton, this.playButton);
+
+        const fileActions = document.createElement('div');
+        fileActions.className = 'tweak-actions';
+        fileActions.appendChild(this.createButton('⬇️ 書き出し', () => this.log && InputReplayer.exportFile(this.log)));
+        fileActions.appendChild(this.createButton('⬆️ 取り込み', () => fileInput.click()));
+
+        this.status = document.createElement('p');
+        this.status.className = 'recorder-status';
+
+        body.append(actions, loopRow, fileActions, this.status, fileInput);
+        this.replayer.onChange(() => this.updateStatus());
+        this.updateStatus();
+    }
+
+    /**
+     * ボタンの生成
+     * @param {string} label - 表示テキスト
+     * @param {Function} onClick - () => void
+     * @returns {HTMLButtonElement} ボタン
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * 記録の開始・終了
+     */
+    toggleRecording() {
+        if (this.recorder.isRecording) {
+            this.log = this.recorder.stop();
+        } else {
+            this.replayer.stop();
+            this.recorder.start();
+        }
+        this.updateStatus();
+    }
+
+    /**
+     * 再生の開始・停止
+     */
+    togglePlayback() {
+        if (this.replayer.isPlaying) {
+            this.replayer.stop();
+        } else if (this.log) {
+            if (this.recorder.isRecording) this.log = this.recorder.stop();
+            this.replayer.play(this.log, { loop: Config.REPLAY.LOOP });
+        }
+        this.updateStatus();
+    }
+
+    /**
+     * ボタン表示と状態表示の更新
+     */
+    updateStatus() {
+        if (!this.status) return;
+
+        this.recordButton.textContent = this.recorder.isRecording ? '⏹️ 記録終了' : '⏺️ 記録';
+        this.playButton.textContent = this.replayer.isPlaying ? '⏹️ 停止' : '▶️ 再生';
+        this.playButton.disabled = !this.log && !this.replayer.isPlaying;
+
+        if (this.recorder.isRecording) {
+            this.status.textContent = '記録中…';
+        } else if (this.log) {
+            this.status.textContent = `${this.log.events.length} イベント / ${this.log.frames} フレーム（シード ${this.log.seed}）`;
+        } else {
+            this.status.textContent = '入力ログなし';
+        }
+    }
+}
+
+// グローバルアクセス用
+window.InputRecorder = InputRecorder;
+window.InputReplayer = InputReplayer;
+window.InputRecorderPanel = InputRecorderPanel;
@@ -0,0 +1,490 @@
+/**
+ * キー割り当て（キーマップ）
+ * ショートカットの操作とキーコードの対応を設定（UI.*_KEY・エフェクト登録）から読み込み、
+ * ドロワーでの変更を重複チェックしたうえで localStorage に保存する
+ */
+
+/** 変更できないキー（Escape はドロワーを閉じる） */
+const RESERVED_KEY_CODES = [27];
+
+/** キーコードの表示名（英数字以外） */
+const KEY_NAMES = {
+    8: 'Backspace', 9: 'Tab', 13: 'Enter', 16: 'Shift', 17: 'Ctrl', 18: 'Alt', 27: 'Escape', 32: 'Space',
+    37: '←', 38: '↑', 39: '→', 40: '↓',
+    186: ';', 187: '=', 188: ',', 189: '-', 190: '.', 191: '/', 192: '`', 219: '[', 220: '\\', 221: ']', 222: "'"
+};
+
+/** 仮想カーソルの操作名（重複チェックの表示用） */
+const CURSOR_KEY_LABELS = {
+    UP: 'カーソル上', DOWN: 'カーソル下', LEFT: 'カーソル左', RIGHT: 'カーソル右',
+    FIRE: 'カーソル爆発', DRAW: 'カーソル描画'
+};
+
+/**
+ * キーマップクラス
+ */
+class Keymap {
+    constructor() {
+        /** 操作ID → { id, label, defaultCode } */
+        this.actions = new Map();
+        /** 操作ID → キーコード（未割り当ては null） */
+        this.bindings = new Map();
+        /** 変更時のコールバック */
+        this.listeners = new Set();
+        this.storageKey = 'sonicbloom.keymap';
+    }
+
+    /**
+     * 設定・登録済みエフェクト・保存済みの変更からキー割り当てを構築
+     */
+    load() {
+        const ui = Config.UI;
+        this.actions.clear();
+        this.defineAction('pause', '一時停止', ui.PAUSE_KEY);
+        this.defineAction('reset', 'リセット', ui.RESET_KEY);
+        this.defineAction('mute', 'ミュート', ui.MUTE_KEY);
+        this.defineAction('debug', 'デバッグ情報（押している間）', ui.DEBUG_KEY);
+        this.defineAction('fieldType', '配置する力場の種類', ui.FIELD_TYPE_KEY);
+        this.defineAction('fieldClear', '力場の全削除', ui.FIELD_CLEAR_KEY);
+        this.defineAction('postProcessing', 'ポストエフェクト', ui.POST_PROCESSING_KEY);
+        effectRegistry.getAll().forEach(effect => this.defineEffectAction(effect));
+
+        this.bindings.clear();
+        const stored = this.readStored();
+        this.actions.forEach(action => {
+            const code = stored[action.id] !== undefined ? stored[action.id] : action.defaultCode;
+            this.assign(action.id, code);
+        });
+        this.notify();
+    }
+
+    /**
+     * 操作の定義
+     * @param {string} id - 操作ID
+     * @param {string} label - 表示名
+     * @param {number|null} defaultCode - 既定のキーコード
+     */
+    defineAction(id, label, defaultCode) {
+        this.actions.set(id, { id, label, defaultCode: Number.isInteger(defaultCode) ? defaultCode : null });
+    }
+
+    /**
+     * エフェクト切り替え操作の定義
+     * UI.EFFECT_KEYS にあればそのキー、なければエフェクト登録時のキーを既定にする
+     * @param {Object} effect - エフェクト定義
+     */
+    defineEffectAction(effect) {
+        const configured = Config.UI.EFFECT_KEYS[effect.number - 1];
+        const defaultCode = configured !== undefined ? configured : Keymap.keyCodeOf(effect.key);
+        this.defineAction(Keymap.effectActionId(effect.number), `${effect.emoji} エフェクト${effect.number}`, defaultCode);
+    }
+
+    /**
+     * 後から登録されたエフェクトの追加
+     * @param {Object} effect - エフェクト定義
+     */
+    addEffect(effect) {
+        const id = Keymap.effectActionId(effect.number);
+        if (this.actions.has(id)) return;
+        this.defineEffectAction(effect);
+        const stored = this.readStored();
+        this.assign(id, stored[id] !== undefined ? stored[id] : this.actions.get(id).defaultCode);
+        this.notify();
+    }
+
+    /**
+     * 重複がなければキーを割り当て、重複していれば未割り当てにして警告
+     * @param {string} id - 操作ID
+     * @param {number|null} code - キーコード
+     */
+    assign(id, code) {
+        const conflict = code === null ? null : this.findConflict(id, code);
+        if (conflict) {
+            this.report(`Key ${Keymap.keyName(code)} for "${this.actions.get(id).label}" is already used by "${conflict}"`);
+            code = null;
+        }
+        this.bindings.set(id, code);
+    }
+
+    /**
+     * キーを使っている他の操作
+     * @param {string} id - 割り当てる操作ID
+     * @param {number} code - キーコード
+     * @returns {string|null} 重複している操作の表示名
+     */
+    findConflict(id, code) {
+        if (RESERVED_KEY_CODES.includes(code)) return 'ドロワーを閉じる';
+
+        for (const [otherId, otherCode] of this.bindings) {
+            if (otherId !== id && otherCode === code) return this.actions.get(otherId).label;
+        }
+
+        if (Config.VIRTUAL_CURSOR.ENABLED) {
+            const cursorKeys = Config.VIRTUAL_CURSOR.KEYS;
+            const name = Object.keys(cursorKeys).find(name => cursorKeys[name].includes(code));
+            if (name) return CURSOR_KEY_LABELS[name] || name;
+        }
+        return null;
+    }
+
+    /**
+     * キーの割り当て変更（保存される）
+     * @param {string} id - 操作ID
+     * @param {number} code - キーコード
+     * @returns {boolean} 変更できたかどうか
+     */
+    rebind(id, code) {
+        if (!this.actions.has(id)) {
+            this.report(`Unknown key action: ${id}`);
+            return false;
+        }
+
+        const conflict = this.findConflict(id, code);
+        if (conflict) {
+            this.report(`Key ${Keymap.keyName(code)} is already used by "${conflict}"`, { action: id });
+            return false;
+        }
+
+        this.bindings.set(id, code);
+        this.writeStored();
+        this.notify();
+        console.log(`⌨️ ${this.actions.get(id).label}: ${Keymap.keyName(code)}`);
+        return true;
+    }
+
+    /**
+     * 既定の割り当てに戻す（保存済みの変更を削除）
+     */
+    resetToDefaults() {
+        ErrorUtils.safeExecute(() => localStorage.removeItem(this.storageKey), 'Keymap.resetToDefaults');
+        this.bindings.clear();
+        this.actions.forEach(action => this.assign(action.id, action.defaultCode));
+        this.notify();
+    }
+
+    /**
+     * キーコードに割り当てられた操作
+     * @param {number} code - キーコード
+     * @returns {string|null} 操作ID
+     */
+    actionFor(code) {
+        for (const [id, boundCode] of this.bindings) {
+            if (boundCode === code) return id;
+        }
+        return null;
+    }
+
+    /**
+     * 既定の割り当てでキーコードに対応する操作（キーマップ導入前の入力ログの再生用）
+     * @param {number} code - キーコード
+     * @returns {string|null} 操作ID
+     */
+    defaultActionFor(code) {
+        for (const action of this.actions.values()) {
+            if (action.defaultCode === code) return action.id;
+        }
+        return null;
+    }
+
+    /**
+     * 操作のキーが押されているか
+     * @param {string} id - 操作ID
+     * @returns {boolean} 押されているかどうか
+     */
+    isDown(id) {
+        const code = this.bindings.get(id);
+        return code !== null && code !== undefined && keyIsDown(code);
+    }
+
+    /**
+     * 操作の一覧と現在の割り当て
+     * @returns {Array<{id: string, label: string, code: number|null}>} 割り当て
+     */
+    list() {
+        return [...this.actions.values()].map(action => ({
+            id: action.id,
+            label: action.label,
+            code: this.bindings.get(action.id)
+        }));
+    }
+
+    /**
+     * 変更時のコールバック登録
+     * @param {Function} callback - () => void
+     * @returns {Function} 登録解除関数
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * 変更の通知
+     */
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    /**
+     * 保存済みの変更の読み込み
+     * @returns {Object} 操作ID → キーコード
+     */
+    readStored() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            if (!ConfigStore.isPlainObject(data)) return {};
+            return Object.fromEntries(Object.entries(data).filter(([, code]) => Number.isInteger(code)));
+        } catch (error) {
+            this.report(`Failed to read key bindings: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * 既定と異なる割り当ての保存
+     * @returns {boolean} 保存できたかどうか
+     */
+    writeStored() {
+        const changed = {};
+        this.actions.forEach(action => {
+            const code = this.bindings.get(action.id);
+            if (code !== action.defaultCode && code !== null) changed[action.id] = code;
+        });
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(changed));
+            return true;
+        } catch (error) {
+            this.report(`Failed to save key bindings: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * errorHandler への警告報告
+     * @param {string} message - メッセージ
+     * @param {Object} context - 追加情報
+     */
+    report(message, context = {}) {
+        errorHandler.handleError(new AppError(message, ErrorCategory.USER_INPUT, ErrorLevel.WARN, context));
+    }
+
+    /**
+     * エフェクト切り替えの操作ID
+     * @param {number} number - エフェクト番号
+     * @returns {string} 操作ID
+     */
+    static effectActionId(number) {
+        return `effect.${number}`;
+    }
+
+    /**
+     * 操作IDのエフェクト番号
+     * @param {string} id - 操作ID
+     * @returns {number|null} エフェクト番号（エフェクト切り替えでなければ null）
+     */
+    static effectNumberOf(id) {
+        const match = /^effect\.(\d+)$/.exec(id);
+        return match ? Number(match[1]) : null;
+    }
+
+    /**
+     * キーコードの表示名
+     * @param {number|null} code - キーコード
+     * @returns {string} 表示名
+     */
+    static keyName(code) {
+        if (code === null || code === undefined) return '—';
+        if (KEY_NAMES[code]) return KEY_NAMES[code];
+        if ((code >= 48 && code <= 57) || (code >= 65 && code <= 90)) return String.fromCharCode(code);
+        if (code >= 112 && code <= 123) return `F${code - 111}`;
+        return `Key ${code}`;
+    }
+
+    /**
+     * 1文字のキー（'r', '6', ' ' など）のキーコード
+     * @param {string|null} key - キー
+     * @returns {number|null} キーコード
+     */
+    static keyCodeOf(key) {
+        if (typeof key !== 'string' || key.length !== 1) return null;
+        if (key === ' ') return 32;
+        const upper = key.toUpperCase();
+        return /[0-9A-Z]/.test(upper) ? upper.charCodeAt(0) : null;
+    }
+}
+
+/**
+ * ドロワー内のキー割り当てパネルと操作方法の一覧
+ */
+class KeymapPanel {
+    /**
+     * @param {string} containerId - パネルを構築する要素のID
+     * @param {string} helpListId - 操作方法の一覧（ul）の要素のID
+     * @param {Keymap} keymap - キーマップ
+     */
+    constructor(containerId, helpListId, keymap) {
+        this.containerId = containerId;
+        this.helpListId = helpListId;
+        this.keymap = keymap;
+        this.list = null;
+        this.status = null;
+        /** キー入力待ちの操作 { id, button, handler } */
+        this.capture = null;
+    }
+
+    /**
+     * パネルの構築
+     */
+    init() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.warn('Keymap panel container not found:', this.containerId);
+            return;
+        }
+        const body = container.querySelector('.keymap-body');
+
+        this.list = document.createElement('div');
+
+        const actions = document.createElement('div');
+        actions.className = 'tweak-actions';
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.textContent = '↩️ 既定に戻す';
+        resetButton.addEventListener('click', () => {
+            this.cancelCapture();
+            this.keymap.resetToDefaults();
+            this.setStatus('既定の割り当てに戻しました');
+        });
+        actions.appendChild(resetButton);
+
+        this.status = document.createElement('p');
+        this.status.className = 'recorder-status';
+
+        body.append(this.list, actions, this.status);
+        this.keymap.onChange(() => this.render());
+        this.render();
+    }
+
+    /**
+     * 割り当て一覧と操作方法の一覧の再描画
+     */
+    render() {
+        this.renderHelp();
+        if (!this.list) return;
+
+        this.list.textContent = '';
+        this.keymap.list().forEach(({ id, label, code }) => {
+            const row = document.createElement('div');
+            row.className = 'tweak-row';
+            const name = document.createElement('span');
+            name.className = 'tweak-label';
+            name.textContent = label;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'keymap-button';
+            button.textContent = Keymap.keyName(code);
+            button.addEventListener('click', () => this.startCapture(id, button));
+
+            row.append(name, button);
+            this.list.appendChild(row);
+        });
+    }
+
+    /**
+     * ドロワーの操作方法の一覧に現在のキー割り当てを表示
+     */
+    renderHelp() {
+        const helpList = document.getElementById(this.helpListId);
+        if (!helpList) return;
+
+        helpList.querySelectorAll('.keymap-help-item').forEach(item => item.remove());
+
+        const bindings = this.keymap.list();
+        const effectKeys = bindings
+            .filter(binding => Keymap.effectNumberOf(binding.id) !== null && binding.code !== null)
+            .map(binding => Keymap.keyName(binding.code));
+        const lines = bindings
+            .filter(binding => Keymap.effectNumberOf(binding.id) === null && binding.code !== null)
+            .map(binding => `${Keymap.keyName(binding.code)}：${binding.label}`);
+        if (effectKeys.length > 0) {
+            lines.push(`${effectKeys.join(' ')}：エフェクト切替`);
+        }
+
+        if (Config.VIRTUAL_CURSOR.ENABLED) {
+            const keys = Config.VIRTUAL_CURSOR.KEYS;
+            const names = (codes) => codes.map(code => Keymap.keyName(code)).join('/');
+            const moveCount = Math.max(keys.UP.length, keys.LEFT.length, keys.DOWN.length, keys.RIGHT.length);
+            const moveGroups = [];
+            for (let i = 0; i < moveCount; i++) {
+                moveGroups.push([keys.UP[i], keys.LEFT[i], keys.DOWN[i], keys.RIGHT[i]]
+                    .filter(code => code !== undefined).map(code => Keymap.keyName(code)).join(''));
+            }
+            lines.push(`${moveGroups.join(' / ')}：カーソル移動（${names(keys.FIRE)}で爆発、${names(keys.DRAW)}を押しながら移動で描画）`);
+        }
+
+        lines.forEach(text => {
+            const item = document.createElement('li');
+            item.className = 'keymap-help-item';
+            item.textContent = text;
+            helpList.appendChild(item);
+        });
+    }
+
+    /**
+     * キー入力待ちの開始（次に押されたキーを割り当てる、Escape で中止）
+     * @param {string} id - 操作ID
+     * @param {HTMLButtonElement} button - 押されたボタン
+     */
+    startCapture(id, button) {
+        this.cancelCapture();
+
+        // フォーカスしたボタンが Space / Enter で再度押されないよう外す
+        button.blur();
+        button.textContent = 'キーを押す…';
+
+        const handler = (event) => {
+            // p5 のショートカット処理に渡さない
+            event.preventDefault();
+            event.stopPropagation();
+            this.cancelCapture();
+
+            if (event.keyCode === 27) {
+                this.setStatus('');
+                return;
+            }
+            const label = this.keymap.actions.get(id).label;
+            if (this.keymap.rebind(id, event.keyCode)) {
+                this.setStatus(`${label} を ${Keymap.keyName(event.keyCode)} に割り当てました`);
+            } else {
+                const conflict = this.keymap.findConflict(id, event.keyCode);
+                this.setStatus(`${Keymap.keyName(event.keyCode)} は「${conflict}」で使われています`);
+            }
+        };
+        window.addEventListener('keydown', handler, true);
+        this.capture = { id, button, handler };
+        this.setStatus('割り当てるキーを押してください（Escape で中止）');
+    }
+
+    /**
+     * キー入力待ちの中止
+     */
+    cancelCapture() {
+        if (!this.capture) return;
+        window.removeEventListener('keydown', this.capture.handler, true);
+        this.capture = null;
+        this.render();
+    }
+
+    /**
+     * 状態表示の更新
+     * @param {string} text - 表示テキスト
+     */
+    setStatus(text) {
+        if (this.status) this.status.textContent = text;
+    }
+}
+
+// グローバルアクセス用
+window.Keymap = Keymap;
+window.KeymapPanel = KeymapPanel;
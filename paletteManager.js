@@ -0,0 +1,460 @@
+/**
+ * カラーパレット
+ * パーティクル（全ファクトリー・爆発・自動生成・虹色モード）とドラッグ軌跡の色は、すべて使用中のパレットから取り出す
+ *
+ * - spectrum: 全色相から選ぶ（パレット導入前と同じ色）
+ * - PALETTES.DEFINITIONS の名前付きパレット（pastel / neon / monochrome / complementary / 季節）
+ * - ドロップした画像から k-means で抽出したパレット
+ *
+ * 取り出し方は2通り:
+ *   sample(rng): パレットの色を1つ選び、PALETTES.VARIATION の範囲でばらつかせる（生成時の色）
+ *   at(phase): パレットの色を順に補間した帯の位置 phase（0〜1、循環）の色（時間で移り変わる色）
+ */
+
+/** 全色相から選ぶパレットの名前 */
+const SPECTRUM_PALETTE = 'spectrum';
+
+/** 画像から抽出したパレットの既定の名前 */
+const IMAGE_PALETTE = 'image';
+
+/** k-means の初期中心の選択に使うシード（同じ画像からは同じパレットを作る） */
+const PALETTE_EXTRACTION_SEED = 1;
+
+class PaletteManager {
+    constructor() {
+        /** 変換済みの色（パレット名 → HSB の配列。設定の変更で作り直す） */
+        this.cache = new Map();
+        Config.subscribe('PALETTES.DEFINITIONS', () => this.cache.clear());
+    }
+
+    /**
+     * 選択できるパレットの名前
+     * @returns {Array<string>} spectrum と PALETTES.DEFINITIONS のキー
+     */
+    names() {
+        return [SPECTRUM_PALETTE].concat(Object.keys(Config.PALETTES.DEFINITIONS));
+    }
+
+    /**
+     * 使用中のパレットの名前
+     * @returns {string} パレット名
+     */
+    get active() {
+        return Config.PALETTES.ACTIVE;
+    }
+
+    /**
+     * パレットの色（HSB）
+     * @param {string} name - パレット名
+     * @returns {Array<Object>|null} { hue, saturation, brightness } の配列（spectrum・未定義は null）
+     */
+    colors(name = this.active) {
+        if (name === SPECTRUM_PALETTE) return null;
+        if (!this.cache.has(name)) {
+            const definition = Config.PALETTES.DEFINITIONS[name];
+            this.cache.set(name, definition && definition.length > 0 ? definition.map(hex => PaletteManager.hexToHsb(hex)) : null);
+        }
+        return this.cache.get(name);
+    }
+
+    /**
+     * 生成時の色の取り出し
+     * @param {SeededRandom} rng - 乱数ストリーム
+     * @param {number} saturation - spectrum の場合の彩度
+     * @param {number} brightness - spectrum の場合の明度
+     * @param {Object} [hueRange] - spectrum の場合に選ぶ色相の範囲 { min, max }（エフェクト固有の色味。省略時は全色相）
+     * @returns {Object} { hue, saturation, brightness }
+     */
+    sample(rng, saturation = 100, brightness = 100, hueRange = null) {
+        const colors = this.colors();
+        if (!colors) {
+            const hue = hueRange ?
+                rng.random(hueRange.min, hueRange.max) :
+                rng.random(Config.PARTICLES.APPEARANCE.HUE_RANGE);
+            return { hue: PaletteManager.wrapHue(hue), saturation, brightness };
+        }
+
+        const color = colors[Math.floor(rng.random(colors.length))];
+        const variation = Config.PALETTES.VARIATION;
+        return {
+            hue: PaletteManager.wrapHue(color.hue + rng.random(-variation.HUE, variation.HUE)),
+            saturation: constrain(color.saturation + rng.random(-variation.SATURATION, variation.SATURATION), 0, 100),
+            brightness: constrain(color.brightness + rng.random(-variation.BRIGHTNESS, variation.BRIGHTNESS), 0, 100)
+        };
+    }
+
+    /**
+     * 帯の位置の色（パレットの色を順に並べ、隣り合う色の間をなめらかに補間する）
+     * @param {number} phase - 位置（0〜1、範囲外は循環）
+     * @param {number} saturation - spectrum の場合の彩度
+     * @param {number} brightness - spectrum の場合の明度
+     * @returns {Object} { hue, saturation, brightness }
+     */
+    at(phase, saturation = 100, brightness = 100) {
+        const wrapped = phase - Math.floor(phase);
+        const colors = this.colors();
+        if (!colors) {
+            return { hue: wrapped * 360, saturation, brightness };
+        }
+
+        const position = wrapped * colors.length;
+        const index = Math.floor(position);
+        const from = colors[index % colors.length];
+        const to = colors[(index + 1) % colors.length];
+        // 補間の途中より元の色の近くにいる時間を長くする
+        const t = position - index;
+        const eased = t * t * (3 - 2 * t);
+
+        // 色相は近い方向に回る
+        let hueDelta = to.hue - from.hue;
+        if (hueDelta > 180) hueDelta -= 360;
+        if (hueDelta < -180) hueDelta += 360;
+
+        return {
+            hue: PaletteManager.wrapHue(from.hue + hueDelta * eased),
+            saturation: lerp(from.saturation, to.saturation, eased),
+            brightness: lerp(from.brightness, to.brightness, eased)
+        };
+    }
+
+    /**
+     * 時間による色の移り変わり（虹色モード）
+     * spectrum は色相を degrees ずつ回し、それ以外はパレットの帯をパーティクルごとにずらした位置から進む
+     * @param {Particle|SoAParticleView} particle - 対象パーティクル
+     * @param {number} degrees - 1ステップの色相の変化（度）
+     */
+    cycle(particle, degrees) {
+        if (!this.colors()) {
+            particle.hue = (particle.hue + degrees) % 360;
+            return;
+        }
+        const color = this.at(particle.pulsePhase / TWO_PI + simulationClock.steps * degrees / 360);
+        particle.hue = color.hue;
+        particle.saturation = color.saturation;
+        particle.brightness = color.brightness;
+    }
+
+    /**
+     * パレットの切り替え
+     * @param {string} name - パレット名
+     * @returns {boolean} 切り替えられたかどうか
+     */
+    setActive(name) {
+        return Config.set('PALETTES.ACTIVE', name);
+    }
+
+    /**
+     * 画像ファイルからパレットを作って使用中にする
+     * @param {File|Blob} file - 画像ファイル
+     * @param {string} name - パレット名
+     * @returns {Promise<Array<string>|null>} 抽出した色（失敗した場合は null）
+     */
+    async importImage(file, name = IMAGE_PALETTE) {
+        try {
+            if (!file.type.startsWith('image/')) {
+                throw new Error(`${file.name || 'file'} is not an image`);
+            }
+            const image = await createImageBitmap(file);
+            const colors = PaletteManager.extractColors(image, Config.PALETTES.EXTRACTION);
+            if (image.close) image.close();
+            if (colors.length === 0) {
+                throw new Error('the image has no usable colors');
+            }
+
+            if (!Config.set(`PALETTES.DEFINITIONS.${name}`, colors) || !this.setActive(name)) {
+                return null;
+            }
+            console.log(`🎨 Palette "${name}" extracted: ${colors.join(' ')}`);
+            return colors;
+        } catch (error) {
+            errorHandler.handleError(new AppError(
+                `Palette extraction failed: ${error.message}`,
+                ErrorCategory.USER_INPUT,
+                ErrorLevel.WARN,
+                { name, error }
+            ));
+            return null;
+        }
+    }
+
+    /**
+     * 画像の代表色の抽出（縮小した画像の画素を k-means でまとめ、画素数の多い順に並べる）
+     * 透明な画素と暗い画素（背景になりやすい）は除く
+     * @param {CanvasImageSource} image - 画像
+     * @param {Object} options - PALETTES.EXTRACTION
+     * @returns {Array<string>} 色（'#rrggbb'）
+     */
+    static extractColors(image, options) {
+        const scale = Math.min(1, options.SAMPLE_SIZE / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        const data = context.getImageData(0, 0, canvas.width, canvas.height).data;
+
+        const minValue = options.MIN_BRIGHTNESS * 2.55;
+        const pixels = [];
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < options.MIN_ALPHA) continue;
+            if (Math.max(data[i], data[i + 1], data[i + 2]) < minValue) continue;
+            pixels.push(data[i], data[i + 1], data[i + 2]);
+        }
+        if (pixels.length === 0) return [];
+
+        const clusters = PaletteManager.kMeans(Float32Array.from(pixels), options.COLORS, options.ITERATIONS);
+        return clusters.map(cluster => PaletteManager.rgbToHex(cluster.center));
+    }
+
+    /**
+     * k-means（初期中心は k-means++ で選ぶ）
+     * @param {Float32Array} pixels - [r, g, b, r, g, b, ...]
+     * @param {number} k - クラスタ数
+     * @param {number} iterations - 最大反復回数
+     * @returns {Array<Object>} { center: [r, g, b], size } の配列（size の大きい順、空のクラスタは除く）
+     */
+    static kMeans(pixels, k, iterations) {
+        const count = pixels.length / 3;
+        const rng = new SeededRandom(PALETTE_EXTRACTION_SEED);
+        const distanceTo = (i, center) => {
+            const dr = pixels[i * 3] - center[0];
+            const dg = pixels[i * 3 + 1] - center[1];
+            const db = pixels[i * 3 + 2] - center[2];
+            return dr * dr + dg * dg + db * db;
+        };
+        const pixelAt = (i) => [pixels[i * 3], pixels[i * 3 + 1], pixels[i * 3 + 2]];
+
+        // 既存の中心から遠い画素ほど選ばれやすくする
+        const centers = [pixelAt(Math.floor(rng.random(count)))];
+        const nearest = new Float32Array(count).fill(Infinity);
+        while (centers.length < k) {
+            const latest = centers[centers.length - 1];
+            let total = 0;
+            for (let i = 0; i < count; i++) {
+                nearest[i] = Math.min(nearest[i], distanceTo(i, latest));
+                total += nearest[i];
+            }
+            // 残りの画素がすべていずれかの中心と同じ色
+            if (total === 0) break;
+
+            let target = rng.random(total);
+            let chosen = count - 1;
+            for (let i = 0; i < count; i++) {
+                target -= nearest[i];
+                if (target <= 0) {
+                    chosen = i;
+                    break;
+                }
+            }
+            centers.push(pixelAt(chosen));
+        }
+
+        const assignments = new Int32Array(count).fill(-1);
+        const sizes = new Array(centers.length).fill(0);
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            // 最も近い中心への割り当て
+            let changed = false;
+            for (let i = 0; i < count; i++) {
+                let best = 0;
+                let bestDistance = Infinity;
+                for (let c = 0; c < centers.length; c++) {
+                    const distance = distanceTo(i, centers[c]);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = c;
+                    }
+                }
+                if (assignments[i] !== best) {
+                    assignments[i] = best;
+                    changed = true;
+                }
+            }
+            if (!changed) break;
+
+            // 割り当てた画素の平均を新しい中心にする（画素のないクラスタは中心を残す）
+            const sums = centers.map(() => [0, 0, 0]);
+            sizes.fill(0);
+            for (let i = 0; i < count; i++) {
+                const cluster = assignments[i];
+                sums[cluster][0] += pixels[i * 3];
+                sums[cluster][1] += pixels[i * 3 + 1];
+                sums[cluster][2] += pixels[i * 3 + 2];
+                sizes[cluster]++;
+            }
+            sums.forEach((sum, c) => {
+                if (sizes[c] > 0) centers[c] = sum.map(value => value / sizes[c]);
+            });
+        }
+
+        sizes.fill(0);
+        for (let i = 0; i < count; i++) sizes[assignments[i]]++;
+        return centers
+            .map((center, c) => ({ center, size: sizes[c] }))
+            .filter(cluster => cluster.size > 0)
+            .sort((a, b) => b.size - a.size);
+    }
+
+    /**
+     * 色相の 0〜360 への正規化
+     * @param {number} hue - 色相
+     * @returns {number} 色相
+     */
+    static wrapHue(hue) {
+        return ((hue % 360) + 360) % 360;
+    }
+
+    /**
+     * '#rgb' / '#rrggbb' → HSB（色相 0〜360、彩度・明度 0〜100）
+     * @param {string} hex - 色
+     * @returns {Object} { hue, saturation, brightness }
+     */
+    static hexToHsb(hex) {
+        let digits = hex.slice(1);
+        if (digits.length === 3) {
+            digits = digits.split('').map(digit => digit + digit).join('');
+        }
+        const r = parseInt(digits.slice(0, 2), 16) / 255;
+        const g = parseInt(digits.slice(2, 4), 16) / 255;
+        const b = parseInt(digits.slice(4, 6), 16) / 255;
+
+        const max = Math.max(r, g, b);
+        const delta = max - Math.min(r, g, b);
+        let hue = 0;
+        if (delta > 0) {
+            if (max === r) hue = ((g - b) / delta) % 6;
+            else if (max === g) hue = (b - r) / delta + 2;
+            else hue = (r - g) / delta + 4;
+        }
+        return {
+            hue: PaletteManager.wrapHue(hue * 60),
+            saturation: max === 0 ? 0 : delta / max * 100,
+            brightness: max * 100
+        };
+    }
+
+    /**
+     * [r, g, b]（0〜255）→ '#rrggbb'
+     * @param {Array<number>} rgb - 色
+     * @returns {string} 色
+     */
+    static rgbToHex(rgb) {
+        return '#' + rgb.map(value => Math.round(constrain(value, 0, 255)).toString(16).padStart(2, '0')).join('');
+    }
+}
+
+/**
+ * ドロワーのパレット選択パネル
+ * パレットごとの色見本のボタンと、画像からの作成（ファイル選択・画面へのドロップ）
+ */
+class PalettePanel {
+    /**
+     * @param {string} containerId - パネルを構築する要素のID
+     * @param {PaletteManager} manager - パレット管理
+     */
+    constructor(containerId, manager) {
+        this.containerId = containerId;
+        this.manager = manager;
+        this.list = null;
+    }
+
+    /**
+     * パネルの構築
+     */
+    init() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.warn('Palette panel container not found:', this.containerId);
+            return;
+        }
+        const body = container.querySelector('.palette-body');
+
+        this.list = document.createElement('div');
+        this.list.className = 'palette-list';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'image/*';
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            if (file) this.manager.importImage(file);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'tweak-actions';
+        const importButton = document.createElement('button');
+        importButton.type = 'button';
+        importButton.textContent = '🖼️ 画像から作成';
+        importButton.addEventListener('click', () => fileInput.click());
+        actions.appendChild(importButton);
+
+        const hint = document.createElement('p');
+        hint.className = 'palette-hint';
+        hint.textContent = '画像を画面にドロップしても作成できます';
+
+        body.append(this.list, actions, hint, fileInput);
+        this.setupDrop();
+        this.refresh();
+        Config.subscribe('PALETTES', () => this.refresh());
+    }
+
+    /**
+     * 画面への画像のドロップ
+     */
+    setupDrop() {
+        const hasFiles = (event) => event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files');
+        window.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+        });
+        window.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            const file = Array.from(event.dataTransfer.files).find(candidate => candidate.type.startsWith('image/'));
+            if (file) this.manager.importImage(file);
+        });
+    }
+
+    /**
+     * パレットの一覧の更新（使用中のパレットを強調）
+     */
+    refresh() {
+        this.list.textContent = '';
+        this.manager.names().forEach(name => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'palette-option';
+            button.setAttribute('aria-pressed', String(name === this.manager.active));
+            button.addEventListener('click', () => this.manager.setActive(name));
+
+            const label = document.createElement('span');
+            label.className = 'palette-name';
+            label.textContent = name;
+
+            const swatches = document.createElement('span');
+            swatches.className = 'palette-swatches';
+            const colors = name === SPECTRUM_PALETTE ?
+                [0, 60, 120, 180, 240, 300].map(hue => `hsl(${hue}, 100%, 50%)`) :
+                Config.PALETTES.DEFINITIONS[name];
+            colors.forEach(color => {
+                const swatch = document.createElement('span');
+                swatch.className = 'palette-swatch';
+                swatch.style.background = color;
+                swatches.appendChild(swatch);
+            });
+
+            button.append(label, swatches);
+            this.list.appendChild(button);
+        });
+    }
+}
+
+// グローバルインスタンス
+const paletteManager = new PaletteManager();
+
+// グローバルアクセス用
+window.PaletteManager = PaletteManager;
+window.PalettePanel = PalettePanel;
+window.paletteManager = paletteManager;
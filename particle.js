@@ -31,15 +31,15 @@ class Particle {
             const particleConfig = Config.PARTICLES;
             
             // 位置ベクトル
-            this.position = createVector(x, y);
-            this.previousPosition = createVector(x, y);
+            this.setVector('position', x, y);
+            this.setVector('previousPosition', x, y);
             
             // 速度と加速度
             const dir = config.direction || randomDirection();
             const speedRange = Config.PARTICLES.PHYSICS.SPEED_RANGE;
-            const speed = config.speed || random(speedRange.min, speedRange.max);
-            this.velocity = createVector(dir.x * speed, dir.y * speed);
-            this.acceleration = createVector(0, 0);
+            const speed = config.speed || randomService.particles.random(speedRange.min, speedRange.max);
+            this.setVector('velocity', dir.x * speed, dir.y * speed);
+            this.setVector('acceleration', 0, 0);
             
             // 外観プロパティ
             this.initializeAppearance(config, particleConfig);
@@ -78,14 +78,15 @@ class Particle {
     initializeAppearance(config, particleConfig) {
         const sizeRange = particleConfig.APPEARANCE.SIZE_RANGE;
         
-        this.size = config.size || random(sizeRange.min, sizeRange.max);
+        this.size = config.size || randomService.particles.random(sizeRange.min, sizeRange.max);
         const sizeMultipliers = particleConfig.APPEARANCE.SIZE_MULTIPLIERS;
         this.maxSize = this.size * sizeMultipliers.max;
         this.minSize = this.size * sizeMultipliers.min;
-        this.hue = config.hue || random(particleConfig.APPEARANCE.HUE_RANGE);
+        // パレットの色は色相0・彩度0（白）もありうるため、未指定かどうかで判定する
+        this.hue = config.hue !== undefined ? config.hue : paletteManager.sample(randomService.particles).hue;
         const satRange = particleConfig.APPEARANCE.SATURATION_RANGE;
-        this.saturation = config.saturation || random(satRange.min, satRange.max);
-        this.brightness = config.brightness || 100;
+        this.saturation = config.saturation !== undefined ? config.saturation : randomService.particles.random(satRange.min, satRange.max);
+        this.brightness = config.brightness !== undefined ? config.brightness : 100;
         this.alpha = config.alpha || 100;
         this.maxAlpha = this.alpha;
     }
@@ -99,7 +100,7 @@ class Particle {
         const lifespanRange = particleConfig.APPEARANCE.LIFESPAN_RANGE;
         
         this.mass = this.size * Config.PARTICLES.PHYSICS.MASS_COEFFICIENT;
-        this.lifespan = config.lifespan || random(lifespanRange.min, lifespanRange.max);
+        this.lifespan = config.lifespan || randomService.particles.random(lifespanRange.min, lifespanRange.max);
         this.maxLifespan = this.lifespan;
         this.damping = config.damping || particleConfig.PHYSICS.DEFAULT_DAMPING;
     }
@@ -110,18 +111,34 @@ class Particle {
      */
     initializeBehavior(config) {
         this.mode = config.mode || 'normal';
+        this.behavior = effectRegistry.getMode(this.mode) || null;
         this.trail = config.trail || false;
-        this.pulsePhase = random(TWO_PI);
+        this.pulsePhase = randomService.particles.random(TWO_PI);
         const rotRange = Config.PARTICLES.PHYSICS.ROTATION_SPEED_RANGE;
-        this.rotationSpeed = random(rotRange.min, rotRange.max);
+        this.rotationSpeed = randomService.particles.random(rotRange.min, rotRange.max);
         this.rotation = 0;
+        this.shapeId = particleShapes.idOf(config.shape);
         
         // パスに沿った動きのプロパティ
         this.followPath = config.followPath || false;
         this.pathData = config.pathData || null;
         this.pathProgress = config.pathProgress || 0;
         this.pathInfluence = config.pathInfluence || 0.5;
-        this.pathVelocity = createVector(0, 0);
+        this.setVector('pathVelocity', 0, 0);
+    }
+    
+    /**
+     * ベクトルの設定（プールから再利用されたパーティクルは既存のベクトルを使い回す）
+     * @param {string} name - プロパティ名
+     * @param {number} x - X成分
+     * @param {number} y - Y成分
+     */
+    setVector(name, x, y) {
+        if (this[name]) {
+            this[name].set(x, y);
+        } else {
+            this[name] = createVector(x, y);
+        }
     }
     
     /**
@@ -143,26 +160,29 @@ class Particle {
     initializeFallback(x, y) {
         this.position = createVector(x || 0, y || 0);
         this.previousPosition = createVector(x || 0, y || 0);
-        this.velocity = createVector(random(-2, 2), random(-2, 2));
+        this.velocity = createVector(randomService.particles.random(-2, 2), randomService.particles.random(-2, 2));
         this.acceleration = createVector(0, 0);
-        this.size = random(2, 8);
+        this.size = randomService.particles.random(2, 8);
         this.maxSize = this.size * 2;
         this.minSize = this.size * 0.5;
-        this.hue = random(360);
-        this.saturation = random(60, 100);
-        this.brightness = 100;
+        const color = paletteManager.sample(randomService.particles, randomService.particles.random(60, 100));
+        this.hue = color.hue;
+        this.saturation = color.saturation;
+        this.brightness = color.brightness;
         this.alpha = 100;
         this.maxAlpha = 100;
         this.mass = this.size * Config.PARTICLES.PHYSICS.MASS_COEFFICIENT;
-        this.lifespan = random(60, 180);
+        this.lifespan = randomService.particles.random(1, 3);
         this.maxLifespan = this.lifespan;
         this.damping = 0.98;
         this.mode = 'normal';
+        this.behavior = null;
         this.trail = false;
-        this.pulsePhase = random(TWO_PI);
+        this.pulsePhase = randomService.particles.random(TWO_PI);
         const rotRange = Config.PARTICLES.PHYSICS.ROTATION_SPEED_RANGE;
-        this.rotationSpeed = random(rotRange.min, rotRange.max);
+        this.rotationSpeed = randomService.particles.random(rotRange.min, rotRange.max);
         this.rotation = 0;
+        this.shapeId = SHAPE_CIRCLE;
         this.target = null;
         this.isExploding = false;
         this.explosionForce = 0;
@@ -186,14 +206,13 @@ class Particle {
     reset(x, y, config = {}) {
         return ErrorUtils.safeExecute(() => {
             this.initialize(x, y, config);
-            console.debug('Particle reset for object pool reuse');
         }, 'Particle.reset');
     }
     
     // 力を加える
     applyForce(force) {
-        const f = p5.Vector.div(force, this.mass);
-        this.acceleration.add(f);
+        this.acceleration.x += force.x / this.mass;
+        this.acceleration.y += force.y / this.mass;
     }
     
     // マウスへの引力/斥力
@@ -221,8 +240,8 @@ class Particle {
         this.explosionForce = force;
     }
     
-    // 更新処理
-    update() {
+    // 更新処理（1ステップ分。dt: ステップの長さ（秒）、ライフスパンの減少に使う）
+    update(dt = simulationClock.stepSeconds) {
         // 前の位置を記録（トレイル用）
         this.previousPosition.x = this.position.x;
         this.previousPosition.y = this.position.y;
@@ -241,8 +260,8 @@ class Particle {
         // 回転
         this.rotation += this.rotationSpeed;
         
-        // ライフスパンの減少
-        this.lifespan--;
+        // ライフスパンの減少（秒）
+        this.lifespan -= dt;
         
         // アルファ値の更新（フェードアウト効果）
         const fadeStart = Config.PARTICLES.APPEARANCE.FADE_START_TIME;
@@ -250,15 +269,9 @@ class Particle {
             this.alpha = map(this.lifespan, 0, fadeStart, 0, this.maxAlpha);
         }
         
-        // サイズのパルス効果
-        if (this.mode === 'pulse') {
-            const pulse = sin(this.pulsePhase + frameCount * Config.RENDERING.EFFECTS.PULSE_SPEED);
-            this.size = map(pulse, -1, 1, this.minSize, this.maxSize);
-        }
-        
-        // 色相の変化
-        if (this.mode === 'rainbow') {
-            this.hue = (this.hue + Config.RENDERING.EFFECTS.RAINBOW_HUE_SPEED) % 360;
+        // モード固有の挙動（パルス・色相変化など）
+        if (this.behavior && this.behavior.update) {
+            this.behavior.update(this);
         }
         
         // 爆発効果の減衰
@@ -289,41 +302,59 @@ class Particle {
         }
     }
     
-    // 描画処理
-    display() {
+    // 描画処理（glowLayers: グローのレイヤー数、品質の自動調整で減らされる
+    //          alpha: 1つ前のステップと最新のステップの間の補間係数）
+    display(glowLayers = Config.RENDERING.GLOW.LAYERS, alpha = 1) {
         push();
         
-        // トレイル効果
+        // 描画位置（ステップ間の補間）
+        const stepX = this.position.x - this.previousPosition.x;
+        const stepY = this.position.y - this.previousPosition.y;
+        const x = this.previousPosition.x + stepX * alpha;
+        const y = this.previousPosition.y + stepY * alpha;
+        
+        // トレイル効果（1ステップ分の移動）
         const trailConfig = Config.RENDERING.TRAIL;
         if (this.trail && this.velocity.mag() > trailConfig.MIN_VELOCITY_FOR_DISPLAY) {
             strokeWeight(this.size * trailConfig.THICKNESS_MULTIPLIER);
             stroke(this.hue, this.saturation, this.brightness, this.alpha * trailConfig.ALPHA_MULTIPLIER);
-            line(this.previousPosition.x, this.previousPosition.y, 
-                 this.position.x, this.position.y);
+            line(x - stepX, y - stepY, x, y);
         }
         
-        // パーティクル本体
-        translate(this.position.x, this.position.y);
-        rotate(this.rotation);
+        // パーティクル本体（spark は速度の向き、それ以外は rotation で回転）
+        const shapeId = this.shapeId;
+        translate(x, y);
+        rotate(particleShapes.orientation(shapeId, this.rotation, this.velocity.x, this.velocity.y));
         
         noStroke();
         
-        // グロー効果
-        const glowConfig = Config.RENDERING.GLOW;
-        for (let i = glowConfig.LAYERS; i > 0; i--) {
-            const glowSize = this.size * (glowConfig.SIZE_MULTIPLIER_BASE + i * glowConfig.SIZE_MULTIPLIER_STEP);
-            const glowAlpha = this.alpha * (glowConfig.ALPHA_DIVISOR_BASE / i);
-            fill(this.hue, this.saturation, this.brightness, glowAlpha);
-            ellipse(0, 0, glowSize, glowSize);
-        }
-        
-        // コア
-        fill(this.hue, this.saturation * 0.5, 100, this.alpha);
-        ellipse(0, 0, this.size, this.size);
+        // グロー効果とコア
+        const stretch = particleShapes.stretch(shapeId, this.velocity.x, this.velocity.y, this.size);
+        particleShapes.display(shapeId, this.size, stretch, this.hue, this.saturation, this.brightness, this.alpha, glowLayers);
         
         pop();
     }
     
+    // WebGL 描画用のインスタンスデータの書き込み（並びは PARTICLE_INSTANCE_FLOATS を参照）
+    writeInstance(target, offset, alpha = 1) {
+        const stepX = this.position.x - this.previousPosition.x;
+        const stepY = this.position.y - this.previousPosition.y;
+        const showTrail = this.trail && this.velocity.mag() > Config.RENDERING.TRAIL.MIN_VELOCITY_FOR_DISPLAY;
+        
+        target[offset] = this.previousPosition.x + stepX * alpha;
+        target[offset + 1] = this.previousPosition.y + stepY * alpha;
+        target[offset + 2] = showTrail ? stepX : 0;
+        target[offset + 3] = showTrail ? stepY : 0;
+        target[offset + 4] = this.size;
+        target[offset + 5] = this.hue;
+        target[offset + 6] = this.saturation;
+        target[offset + 7] = this.brightness;
+        target[offset + 8] = this.alpha;
+        target[offset + 9] = particleShapes.orientation(this.shapeId, this.rotation, this.velocity.x, this.velocity.y);
+        target[offset + 10] = this.shapeId;
+        target[offset + 11] = particleShapes.stretch(this.shapeId, this.velocity.x, this.velocity.y, this.size);
+    }
+    
     // パーティクルが生きているかチェック
     isDead() {
         return this.lifespan <= 0 || this.alpha <= 0;
@@ -332,27 +363,23 @@ class Particle {
     // エフェクトモードの設定
     setMode(mode) {
         this.mode = mode;
+        this.behavior = effectRegistry.getMode(mode) || null;
         
-        switch(mode) {
-            case 'trail':
-                this.trail = true;
-                this.damping = 0.95;
-                break;
-            case 'pulse':
-                this.pulsePhase = random(TWO_PI);
-                break;
-            case 'rainbow':
-                this.hue = random(360);
-                break;
-            case 'gravity':
-                this.damping = 0.99;
-                break;
-            case 'swirl':
-                this.rotationSpeed = random(-0.2, 0.2);
-                break;
+        // 挙動は effectRegistry に登録されたものを使用
+        if (this.behavior && this.behavior.init) {
+            this.behavior.init(this);
         }
     }
     
+    // 形の名前（描画には particleShapes の番号 shapeId を使う）
+    get shape() {
+        return particleShapes.nameOf(this.shapeId);
+    }
+    
+    set shape(name) {
+        this.shapeId = particleShapes.idOf(name);
+    }
+    
     /**
      * パスに沿った動きの更新
      */
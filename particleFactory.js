@@ -12,9 +12,10 @@ class AbstractParticleFactory {
      * @param {number} x - X座標
      * @param {number} y - Y座標
      * @param {Object} options - 作成オプション
+     * @param {Particle|null} recycled - 再初期化して使うプールのパーティクル
      * @returns {Particle} 作成されたパーティクル
      */
-    createParticle(x, y, options = {}) {
+    createParticle(x, y, options = {}, recycled = null) {
         throw new Error('AbstractParticleFactory.createParticle() must be implemented by subclass');
     }
 
@@ -37,6 +38,24 @@ class AbstractParticleFactory {
         return isFinite(x) && isFinite(y) && !isNaN(x) && !isNaN(y);
     }
 
+    /**
+     * パーティクルの実体化
+     * プールのパーティクルがあれば再初期化し、なければ新しく生成する
+     * （どちらでも乱数の消費は同じなので、プールの状態で再生結果が変わらない）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {Object} config - パーティクル設定
+     * @param {Particle|null} recycled - プールのパーティクル
+     * @returns {Particle} パーティクル
+     */
+    instantiate(x, y, config, recycled) {
+        if (recycled) {
+            recycled.reset(x, y, config);
+            return recycled;
+        }
+        return new Particle(x, y, config);
+    }
+
     /**
      * デフォルト設定を取得
      * @returns {Object} デフォルト設定
@@ -45,13 +64,14 @@ class AbstractParticleFactory {
         const particleConfig = Config.PARTICLES;
         return {
             direction: { x: 0, y: 0 },
-            speed: random(particleConfig.PHYSICS.SPEED_RANGE.min, particleConfig.PHYSICS.SPEED_RANGE.max),
-            size: random(particleConfig.APPEARANCE.SIZE_RANGE.min, particleConfig.APPEARANCE.SIZE_RANGE.max),
-            hue: random(particleConfig.APPEARANCE.HUE_RANGE),
-            saturation: random(particleConfig.APPEARANCE.SATURATION_RANGE.min, particleConfig.APPEARANCE.SATURATION_RANGE.max),
-            brightness: 100,
-            alpha: random(60, 100),
-            lifespan: random(particleConfig.APPEARANCE.LIFESPAN_RANGE.min, particleConfig.APPEARANCE.LIFESPAN_RANGE.max),
+            speed: randomService.particles.random(particleConfig.PHYSICS.SPEED_RANGE.min, particleConfig.PHYSICS.SPEED_RANGE.max),
+            size: randomService.particles.random(particleConfig.APPEARANCE.SIZE_RANGE.min, particleConfig.APPEARANCE.SIZE_RANGE.max),
+            ...paletteManager.sample(
+                randomService.particles,
+                randomService.particles.random(particleConfig.APPEARANCE.SATURATION_RANGE.min, particleConfig.APPEARANCE.SATURATION_RANGE.max)
+            ),
+            alpha: randomService.particles.random(60, 100),
+            lifespan: randomService.particles.random(particleConfig.APPEARANCE.LIFESPAN_RANGE.min, particleConfig.APPEARANCE.LIFESPAN_RANGE.max),
             mode: 'normal',
             trail: false,
             damping: particleConfig.PHYSICS.DEFAULT_DAMPING
@@ -69,13 +89,13 @@ class BasicParticleFactory extends AbstractParticleFactory {
         this.effectConfig = effectConfig;
     }
 
-    createParticle(x, y, options = {}) {
+    createParticle(x, y, options = {}, recycled = null) {
         if (!this.validateCoordinates(x, y)) {
             throw new Error(`Invalid particle coordinates: x=${x}, y=${y}`);
         }
 
         const config = this.createConfig(options);
-        return new Particle(x, y, config);
+        return this.instantiate(x, y, config, recycled);
     }
 
     createConfig(baseConfig = {}) {
@@ -104,13 +124,13 @@ class ExplosionParticleFactory extends AbstractParticleFactory {
         this.explosionType = explosionType;
     }
 
-    createParticle(x, y, options = {}) {
+    createParticle(x, y, options = {}, recycled = null) {
         if (!this.validateCoordinates(x, y)) {
             throw new Error(`Invalid explosion particle coordinates: x=${x}, y=${y}`);
         }
 
         const config = this.createConfig(options);
-        return new Particle(x, y, config);
+        return this.instantiate(x, y, config, recycled);
     }
 
     createConfig(baseConfig = {}) {
@@ -119,12 +139,10 @@ class ExplosionParticleFactory extends AbstractParticleFactory {
         
         // 爆発パーティクル専用の設定
         const explosionDefaults = {
-            size: random(explosionConfig.SIZE_RANGE?.min || 4, explosionConfig.SIZE_RANGE?.max || 10),
-            hue: random(Config.PARTICLES.APPEARANCE.HUE_RANGE),
-            saturation: 100,
-            brightness: 100,
+            size: randomService.particles.random(explosionConfig.SIZE_RANGE?.min || 4, explosionConfig.SIZE_RANGE?.max || 10),
+            ...paletteManager.sample(randomService.particles),
             alpha: 100,
-            lifespan: random(explosionConfig.LIFESPAN_RANGE.min, explosionConfig.LIFESPAN_RANGE.max),
+            lifespan: randomService.particles.random(explosionConfig.LIFESPAN_RANGE.min, explosionConfig.LIFESPAN_RANGE.max),
             trail: true,
             mode: baseConfig.mode || 'normal'
         };
@@ -132,8 +150,8 @@ class ExplosionParticleFactory extends AbstractParticleFactory {
         // パス爆発の場合の追加設定
         if (this.explosionType === 'path') {
             const pathConfig = Config.PARTICLES.PATH_EXPLOSION;
-            explosionDefaults.size = random(pathConfig.SIZE_RANGE.min, pathConfig.SIZE_RANGE.max);
-            explosionDefaults.lifespan = random(
+            explosionDefaults.size = randomService.particles.random(pathConfig.SIZE_RANGE.min, pathConfig.SIZE_RANGE.max);
+            explosionDefaults.lifespan = randomService.particles.random(
                 explosionConfig.LIFESPAN_RANGE.min * pathConfig.LIFESPAN_MULTIPLIER,
                 explosionConfig.LIFESPAN_RANGE.max * pathConfig.LIFESPAN_MULTIPLIER
             );
@@ -144,7 +162,7 @@ class ExplosionParticleFactory extends AbstractParticleFactory {
                 explosionDefaults.pathData = baseConfig.pathData;
                 explosionDefaults.pathProgress = 0;
                 explosionDefaults.pathInfluence = baseConfig.pathInfluence || 
-                    random(Config.PARTICLES.PATH_FOLLOWING.INFLUENCE_RANGE.min, 
+                    randomService.particles.random(Config.PARTICLES.PATH_FOLLOWING.INFLUENCE_RANGE.min, 
                            Config.PARTICLES.PATH_FOLLOWING.INFLUENCE_RANGE.max);
             }
         }
@@ -158,13 +176,13 @@ class ExplosionParticleFactory extends AbstractParticleFactory {
  * ドラッグトレイル用のパーティクル生成
  */
 class TrailParticleFactory extends AbstractParticleFactory {
-    createParticle(x, y, options = {}) {
+    createParticle(x, y, options = {}, recycled = null) {
         if (!this.validateCoordinates(x, y)) {
             throw new Error(`Invalid trail particle coordinates: x=${x}, y=${y}`);
         }
 
         const config = this.createConfig(options);
-        return new Particle(x, y, config);
+        return this.instantiate(x, y, config, recycled);
     }
 
     createConfig(baseConfig = {}) {
@@ -175,9 +193,9 @@ class TrailParticleFactory extends AbstractParticleFactory {
             trail: true,
             mode: 'trail',
             damping: 0.95,
-            size: random(2, 6),
-            alpha: random(40, 80),
-            lifespan: random(30, 90)
+            size: randomService.particles.random(2, 6),
+            alpha: randomService.particles.random(40, 80),
+            lifespan: randomService.particles.random(0.5, 1.5)
         };
 
         return { ...defaultConfig, ...trailDefaults, ...baseConfig };
@@ -189,13 +207,13 @@ class TrailParticleFactory extends AbstractParticleFactory {
  * アプリケーション起動時のパーティクル生成用
  */
 class InitialParticleFactory extends AbstractParticleFactory {
-    createParticle(x, y, options = {}) {
+    createParticle(x, y, options = {}, recycled = null) {
         if (!this.validateCoordinates(x, y)) {
             throw new Error(`Invalid initial particle coordinates: x=${x}, y=${y}`);
         }
 
         const config = this.createConfig(options);
-        return new Particle(x, y, config);
+        return this.instantiate(x, y, config, recycled);
     }
 
     createConfig(baseConfig = {}) {
@@ -204,10 +222,10 @@ class InitialParticleFactory extends AbstractParticleFactory {
         
         // 初期パーティクル専用の設定
         const initialDefaults = {
-            size: random(particleConfig.APPEARANCE.INITIAL_SIZE_RANGE.min, particleConfig.APPEARANCE.INITIAL_SIZE_RANGE.max),
-            alpha: random(80, 100),
-            lifespan: random(particleConfig.APPEARANCE.INITIAL_LIFESPAN_RANGE.min, particleConfig.APPEARANCE.INITIAL_LIFESPAN_RANGE.max),
-            speed: random(0.5, 2)
+            size: randomService.particles.random(particleConfig.APPEARANCE.INITIAL_SIZE_RANGE.min, particleConfig.APPEARANCE.INITIAL_SIZE_RANGE.max),
+            alpha: randomService.particles.random(80, 100),
+            lifespan: randomService.particles.random(particleConfig.APPEARANCE.INITIAL_LIFESPAN_RANGE.min, particleConfig.APPEARANCE.INITIAL_LIFESPAN_RANGE.max),
+            speed: randomService.particles.random(0.5, 2)
         };
 
         return { ...defaultConfig, ...initialDefaults, ...baseConfig };
@@ -222,6 +240,8 @@ class ParticleFactoryManager {
     constructor() {
         this.factories = new Map();
         this.currentEffectConfig = {};
+        /** ファクトリーごとの形の上書き（PARTICLES.SHAPES.FACTORY_SHAPES より優先） */
+        this.shapeOverrides = new Map();
         this.initializeFactories();
     }
 
@@ -260,22 +280,51 @@ class ParticleFactoryManager {
         this.factories.set('basic', basicFactory);
     }
 
+    /**
+     * ファクトリーごとの形の上書き
+     * @param {string} type - ファクトリータイプ
+     * @param {string|null} shape - 形の名前（null で上書きを解除）
+     */
+    setShape(type, shape) {
+        if (shape) {
+            this.shapeOverrides.set(type, shape);
+        } else {
+            this.shapeOverrides.delete(type);
+        }
+    }
+
+    /**
+     * 生成するパーティクルの形
+     * 優先順位: 作成オプションの shape > setShape > PARTICLES.SHAPES.FACTORY_SHAPES > エフェクトの shape > circle
+     * @param {string} type - ファクトリータイプ
+     * @param {Object} options - 作成オプション
+     * @returns {string} 形の名前
+     */
+    resolveShape(type, options = {}) {
+        if (options.shape) return options.shape;
+        if (this.shapeOverrides.has(type)) return this.shapeOverrides.get(type);
+        const factoryShape = Config.PARTICLES.SHAPES.FACTORY_SHAPES[type];
+        if (factoryShape) return factoryShape;
+        return this.currentEffectConfig.shape || 'circle';
+    }
+
     /**
      * パーティクルを作成
      * @param {string} type - パーティクルタイプ
      * @param {number} x - X座標
      * @param {number} y - Y座標
      * @param {Object} options - 作成オプション
+     * @param {Particle|null} recycled - 再初期化して使うプールのパーティクル
      * @returns {Particle} 作成されたパーティクル
      */
-    createParticle(type, x, y, options = {}) {
+    createParticle(type, x, y, options = {}, recycled = null) {
         const factory = this.factories.get(type);
         if (!factory) {
             throw new Error(`Unknown particle type: ${type}. Available types: ${Array.from(this.factories.keys()).join(', ')}`);
         }
 
         return ErrorUtils.safeExecute(() => {
-            return factory.createParticle(x, y, options);
+            return factory.createParticle(x, y, { ...options, shape: this.resolveShape(type, options) }, recycled);
         }, `ParticleFactoryManager.createParticle(${type})`, null);
     }
 
@@ -298,9 +347,10 @@ class ParticleFactoryManager {
      * 複数のパーティクルを一括作成
      * @param {string} type - パーティクルタイプ
      * @param {Array} positions - 位置配列 [{x, y, options}, ...]
+     * @param {Function} acquire - () => Particle|null プールからの取り出し（省略時は常に新規生成）
      * @returns {Array} 作成されたパーティクル配列
      */
-    createMultipleParticles(type, positions) {
+    createMultipleParticles(type, positions, acquire = () => null) {
         const particles = [];
         const factory = this.factories.get(type);
         
@@ -310,7 +360,8 @@ class ParticleFactoryManager {
 
         for (const pos of positions) {
             try {
-                const particle = factory.createParticle(pos.x, pos.y, pos.options || {});
+                const options = pos.options || {};
+                const particle = factory.createParticle(pos.x, pos.y, { ...options, shape: this.resolveShape(type, options) }, acquire());
                 if (particle) {
                     particles.push(particle);
                 }
@@ -356,9 +407,10 @@ class ParticleCreationHelpers {
      * @param {number} count - パーティクル数
      * @param {number} radius - 半径
      * @param {Object} baseOptions - 基本オプション
+     * @param {Function} acquire - () => Particle|null プールからの取り出し
      * @returns {Array} 作成されたパーティクル配列
      */
-    static createCircularLayout(manager, type, centerX, centerY, count, radius, baseOptions = {}) {
+    static createCircularLayout(manager, type, centerX, centerY, count, radius, baseOptions = {}, acquire) {
         const positions = [];
         
         for (let i = 0; i < count; i++) {
@@ -374,7 +426,7 @@ class ParticleCreationHelpers {
             positions.push({ x, y, options });
         }
         
-        return manager.createMultipleParticles(type, positions);
+        return manager.createMultipleParticles(type, positions, acquire);
     }
 
     /**
@@ -386,15 +438,16 @@ class ParticleCreationHelpers {
      * @param {number} count - パーティクル数
      * @param {number} force - 爆発力
      * @param {Object} baseOptions - 基本オプション
+     * @param {Function} acquire - () => Particle|null プールからの取り出し
      * @returns {Array} 作成されたパーティクル配列
      */
-    static createExplosionPattern(manager, type, centerX, centerY, count, force, baseOptions = {}) {
+    static createExplosionPattern(manager, type, centerX, centerY, count, force, baseOptions = {}, acquire) {
         const positions = [];
         const explosionConfig = Config.PARTICLES.EXPLOSION;
         
         for (let i = 0; i < count; i++) {
-            const angle = (TWO_PI / count) * i + random(-explosionConfig.ANGLE_VARIATION, explosionConfig.ANGLE_VARIATION);
-            const speed = random(force * 0.5, force);
+            const angle = (TWO_PI / count) * i + randomService.particles.random(-explosionConfig.ANGLE_VARIATION, explosionConfig.ANGLE_VARIATION);
+            const speed = randomService.particles.random(force * 0.5, force);
             
             const options = {
                 ...baseOptions,
@@ -405,7 +458,7 @@ class ParticleCreationHelpers {
             positions.push({ x: centerX, y: centerY, options });
         }
         
-        return manager.createMultipleParticles(type, positions);
+        return manager.createMultipleParticles(type, positions, acquire);
     }
 
     /**
@@ -415,18 +468,19 @@ class ParticleCreationHelpers {
      * @param {number} count - パーティクル数
      * @param {Object} bounds - 境界 {x, y, width, height}
      * @param {Object} baseOptions - 基本オプション
+     * @param {Function} acquire - () => Particle|null プールからの取り出し
      * @returns {Array} 作成されたパーティクル配列
      */
-    static createRandomLayout(manager, type, count, bounds, baseOptions = {}) {
+    static createRandomLayout(manager, type, count, bounds, baseOptions = {}, acquire) {
         const positions = [];
         
         for (let i = 0; i < count; i++) {
-            const x = random(bounds.x, bounds.x + bounds.width);
-            const y = random(bounds.y, bounds.y + bounds.height);
+            const x = randomService.particles.random(bounds.x, bounds.x + bounds.width);
+            const y = randomService.particles.random(bounds.y, bounds.y + bounds.height);
             
             positions.push({ x, y, options: baseOptions });
         }
         
-        return manager.createMultipleParticles(type, positions);
+        return manager.createMultipleParticles(type, positions, acquire);
     }
 }
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * パーティクル同士の相互作用
+ * - 群れ（boids）: 分離・整列・結合
+ * - 衝突: 重なった分だけ押し返すやわらかい衝突（質量は PARTICLES.PHYSICS.MASS_COEFFICIENT によるサイズ比例）
+ * - 合体: 深く重なったパーティクルを大きい方に吸収する（質量・運動量を保存）
+ *
+ * 有効にする挙動はエフェクトごとに EFFECTS.CONFIGS の interactions で指定する
+ * 近傍は ParticleSystem の空間グリッドで探すため、全パーティクルの組み合わせは調べない
+ */
+class ParticleInteractions {
+    constructor() {
+        /** 力の適用で使い回すベクトル */
+        this.force = createVector(0, 0);
+        /** 1フレーム分の共通の値（apply の中でのみ有効） */
+        this.frame = null;
+        /** 処理中のパーティクルと近傍の集計 */
+        this.index = 0;
+        this.particle = null;
+        this.absorbed = false;
+        this.neighbors = 0;
+        this.sumX = 0;
+        this.sumY = 0;
+        this.sumVX = 0;
+        this.sumVY = 0;
+        this.separationX = 0;
+        this.separationY = 0;
+        // グリッド検索のコールバック（パーティクルごとにクロージャを作らない）
+        this.visitNeighbor = (index) => this.handleNeighbor(index);
+    }
+
+    /**
+     * 現在のエフェクトで有効な相互作用の適用（ParticleSystem.update で物理演算の前に呼ぶ）
+     * @param {ParticleSystem} system - パーティクルシステム
+     */
+    apply(system) {
+        const effectConfig = system.effectConfigs[system.currentEffect];
+        const flags = effectConfig && effectConfig.interactions;
+        if (!flags || !(flags.flocking || flags.collisions || flags.merging)) return;
+
+        system.refreshSpatialGrid();
+        const storage = system.storage;
+        const grid = system.spatialGrid;
+        const config = Config.PARTICLES.INTERACTIONS;
+        const count = Math.min(storage.count, grid.count);
+        const contacts = flags.collisions || flags.merging;
+
+        // 衝突相手を探す距離（自分の衝突半径 + 最大の衝突半径）
+        let maxRadius = 0;
+        if (contacts) {
+            for (let i = 0; i < count; i++) {
+                maxRadius = Math.max(maxRadius, storage.at(i).size * config.COLLISION_RADIUS_FACTOR);
+            }
+        }
+
+        this.frame = {
+            storage,
+            count,
+            config,
+            flags,
+            contacts,
+            massCoefficient: Config.PARTICLES.PHYSICS.MASS_COEFFICIENT
+        };
+
+        for (let i = 0; i < count; i++) {
+            const particle = storage.at(i, 0);
+            if (particle.lifespan <= 0) continue;
+
+            this.beginParticle(i, particle);
+            const contactReach = contacts ? particle.size * config.COLLISION_RADIUS_FACTOR + maxRadius : 0;
+            const flockReach = flags.flocking ? config.NEIGHBOR_RADIUS : 0;
+            grid.query(particle.position.x, particle.position.y, Math.max(contactReach, flockReach), this.visitNeighbor);
+
+            if (flags.flocking && !this.absorbed) {
+                this.applyFlocking(particle, config);
+            }
+        }
+
+        this.frame = null;
+        this.particle = null;
+    }
+
+    /**
+     * 近傍の集計の開始
+     * @param {number} index - 位置
+     * @param {Particle|SoAParticleView} particle - 対象パーティクル
+     */
+    beginParticle(index, particle) {
+        this.index = index;
+        this.particle = particle;
+        this.absorbed = false;
+        this.neighbors = 0;
+        this.sumX = 0;
+        this.sumY = 0;
+        this.sumVX = 0;
+        this.sumVY = 0;
+        this.separationX = 0;
+        this.separationY = 0;
+    }
+
+    /**
+     * 近傍候補の処理
+     * @param {number} index - 候補の位置
+     */
+    handleNeighbor(index) {
+        const { storage, count, config, flags, contacts } = this.frame;
+        if (index === this.index || index >= count || this.absorbed) return;
+
+        const self = this.particle;
+        const other = storage.at(index, 1);
+        if (other.lifespan <= 0) return;
+
+        const dx = other.position.x - self.position.x;
+        const dy = other.position.y - self.position.y;
+        const distanceSq = dx * dx + dy * dy;
+
+        // 群れ: 近傍の位置・速度の集計と、近いほど強い分離
+        if (flags.flocking && this.neighbors < config.MAX_NEIGHBORS &&
+            distanceSq < config.NEIGHBOR_RADIUS * config.NEIGHBOR_RADIUS) {
+            this.neighbors++;
+            this.sumX += other.position.x;
+            this.sumY += other.position.y;
+            this.sumVX += other.velocity.x;
+            this.sumVY += other.velocity.y;
+            if (distanceSq > 0) {
+                this.separationX -= dx / distanceSq;
+                this.separationY -= dy / distanceSq;
+            }
+        }
+
+        // 衝突・合体（同じ組を二重に処理しないよう、位置番号が大きい相手のみ）
+        if (contacts && index > this.index) {
+            const reach = (self.size + other.size) * config.COLLISION_RADIUS_FACTOR;
+            if (distanceSq < reach * reach) {
+                this.handleContact(self, other, dx, dy, Math.sqrt(distanceSq), reach);
+            }
+        }
+    }
+
+    /**
+     * 重なった2つのパーティクルの衝突・合体
+     * @param {Particle|SoAParticleView} self - 処理中のパーティクル
+     * @param {Particle|SoAParticleView} other - 相手
+     * @param {number} dx - 相手へのX方向の差
+     * @param {number} dy - 相手へのY方向の差
+     * @param {number} distance - 中心間距離
+     * @param {number} reach - 衝突半径の和
+     */
+    handleContact(self, other, dx, dy, distance, reach) {
+        const { config, flags } = this.frame;
+
+        if (flags.merging && distance < reach * config.MERGE_DISTANCE_RATIO &&
+            Math.max(self.size, other.size) < config.MERGE_MAX_SIZE) {
+            this.merge(self, other);
+            return;
+        }
+        if (!flags.collisions || distance === 0) return;
+
+        // 換算質量で重なりに比例する反発力と、近づく速度の減衰（重い方ほど動かない）
+        const nx = dx / distance;
+        const ny = dy / distance;
+        const reducedMass = (self.mass * other.mass) / (self.mass + other.mass);
+        const closingSpeed = (other.velocity.x - self.velocity.x) * nx + (other.velocity.y - self.velocity.y) * ny;
+        let magnitude = config.COLLISION_STIFFNESS * (reach - distance) * reducedMass;
+        if (closingSpeed < 0) {
+            magnitude -= closingSpeed * config.COLLISION_DAMPING * reducedMass;
+        }
+
+        self.applyForce(this.force.set(-nx * magnitude, -ny * magnitude));
+        other.applyForce(this.force.set(nx * magnitude, ny * magnitude));
+    }
+
+    /**
+     * 合体（大きい方が小さい方を吸収する。小さい方は寿命を0にして次の更新で取り除く）
+     * @param {Particle|SoAParticleView} self - 処理中のパーティクル
+     * @param {Particle|SoAParticleView} other - 相手
+     */
+    merge(self, other) {
+        const { config, massCoefficient } = this.frame;
+        const large = self.size >= other.size ? self : other;
+        const small = large === self ? other : self;
+
+        // 位置と速度は質量の重み付き平均（運動量の保存）
+        const totalMass = large.mass + small.mass;
+        large.position.x = (large.position.x * large.mass + small.position.x * small.mass) / totalMass;
+        large.position.y = (large.position.y * large.mass + small.position.y * small.mass) / totalMass;
+        large.velocity.x = (large.velocity.x * large.mass + small.velocity.x * small.mass) / totalMass;
+        large.velocity.y = (large.velocity.y * large.mass + small.velocity.y * small.mass) / totalMass;
+
+        // 質量はサイズに比例するため、サイズの和が合体後のサイズ
+        const size = Math.min(config.MERGE_MAX_SIZE, large.size + small.size);
+        const growth = size / large.size;
+        large.minSize *= growth;
+        large.maxSize *= growth;
+        large.size = size;
+        large.mass = size * massCoefficient;
+        large.lifespan = Math.max(large.lifespan, small.lifespan);
+        large.maxLifespan = Math.max(large.maxLifespan, small.maxLifespan);
+
+        small.lifespan = 0;
+        small.alpha = 0;
+        if (small === self) {
+            this.absorbed = true;
+        }
+    }
+
+    /**
+     * 群れの力（分離・整列・結合の合計を上限で制限し、質量によらない加速度として加える）
+     * @param {Particle|SoAParticleView} particle - 対象パーティクル
+     * @param {Object} config - PARTICLES.INTERACTIONS
+     */
+    applyFlocking(particle, config) {
+        const count = this.neighbors;
+        if (count === 0) return;
+
+        let fx = this.separationX * config.SEPARATION_WEIGHT +
+            (this.sumVX / count - particle.velocity.x) * config.ALIGNMENT_WEIGHT +
+            (this.sumX / count - particle.position.x) * config.COHESION_WEIGHT;
+        let fy = this.separationY * config.SEPARATION_WEIGHT +
+            (this.sumVY / count - particle.velocity.y) * config.ALIGNMENT_WEIGHT +
+            (this.sumY / count - particle.position.y) * config.COHESION_WEIGHT;
+
+        const magnitude = Math.sqrt(fx * fx + fy * fy);
+        if (magnitude > config.MAX_FLOCK_FORCE) {
+            fx *= config.MAX_FLOCK_FORCE / magnitude;
+            fy *= config.MAX_FLOCK_FORCE / magnitude;
+        }
+
+        particle.applyForce(this.force.set(fx * particle.mass, fy * particle.mass));
+    }
+}
+
+// グローバルアクセス用
+window.ParticleInteractions = ParticleInteractions;
@@ -0,0 +1,501 @@
+/**
+ * パーティクルの描画方式（レンダラー）
+ * - 2d: p5.js の2Dキャンバスにパーティクルごとの ellipse でグローを重ねて描く（従来の描画）
+ * - webgl: WebGL2 のインスタンス描画で全パーティクルをまとめて描き、グローと形はシェーダーで計算する
+ *
+ * webgl は別のキャンバスに描いてから p5.js のキャンバスにテーマの合成方法（themeManager.js）で重ねるため、
+ * 軌跡・力場・デバッグ表示などの 2D描画はそのまま使える。WebGL2 が使えない・コンテキストが失われた場合は 2d に切り替える
+ *
+ * どちらも ParticleSystem から同じインターフェースで使う:
+ *   name / render(storage, glowLayers, alpha) → 描画できたかどうか / dispose()
+ */
+
+/**
+ * インスタンスデータの1パーティクル分の並び（Float32Array の要素数）
+ * [x, y, stepX, stepY, size, hue, saturation, brightness, alpha, orientation, shape, stretch]
+ * - x, y: ステップ間を補間した描画位置
+ * - stepX, stepY: 1ステップ分の移動（トレイルを描かない場合は 0）
+ * - hue 0〜360, saturation / brightness / alpha 0〜100（2D描画の HSB と同じ値）
+ * - orientation, shape, stretch: 形の向き・番号・伸び率（particleShapes.js）
+ */
+const PARTICLE_INSTANCE_FLOATS = 12;
+
+/** シェーダーで計算するグローのレイヤー数の上限（RENDERING.GLOW.LAYERS の上限と同じ） */
+const MAX_GLOW_LAYERS = 10;
+
+/** 描画パス（トレイル / グローとコア） */
+const RENDER_PASS_TRAIL = 0;
+const RENDER_PASS_GLOW = 1;
+
+const PARTICLE_VERTEX_SHADER = `#version 300 es
+in vec2 a_corner;
+in vec4 a_motion;
+in float a_size;
+in vec4 a_color;
+in vec3 a_shape;
+
+uniform vec2 u_resolution;
+uniform int u_pass;
+uniform float u_glowExtent;
+uniform float u_trailThickness;
+uniform float u_sparkThickness;
+
+out vec2 v_local;
+out float v_size;
+out vec4 v_color;
+out vec2 v_shape;
+
+void main() {
+    vec2 center = a_motion.xy;
+    vec2 position;
+
+    if (u_pass == ${RENDER_PASS_TRAIL}) {
+        // 1ステップ前の位置から現在の位置までの線分を太さのある四角形にする
+        vec2 stepVector = a_motion.zw;
+        float stepLength = length(stepVector);
+        float halfWidth = a_size * u_trailThickness * 0.5;
+        if (stepLength == 0.0 || halfWidth == 0.0) {
+            // トレイルのないパーティクルは画面外に縮退させる
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            return;
+        }
+        vec2 normal = vec2(-stepVector.y, stepVector.x) / stepLength;
+        position = mix(center - stepVector, center, a_corner.x * 0.5 + 0.5) + normal * a_corner.y * halfWidth;
+        v_local = vec2(0.0);
+    } else {
+        // いちばん外側のグローが収まる四角形を形の向きに回す（spark は進行方向に伸ばし、幅を細くする）
+        float radius = a_size * u_glowExtent * 0.5;
+        vec2 extent = int(a_shape.y) == ${SHAPE_SPARK} ? radius * vec2(a_shape.z, u_sparkThickness) : vec2(radius);
+        vec2 local = a_corner * extent;
+        float c = cos(a_shape.x);
+        float s = sin(a_shape.x);
+        position = center + vec2(local.x * c - local.y * s, local.x * s + local.y * c);
+        v_local = local;
+    }
+
+    v_size = a_size;
+    v_color = a_color;
+    v_shape = a_shape.yz;
+    vec2 clip = position / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+precision highp int;
+
+in vec2 v_local;
+in float v_size;
+in vec4 v_color;
+in vec2 v_shape;
+
+uniform int u_pass;
+uniform int u_glowLayers;
+uniform float u_glowSizeBase;
+uniform float u_glowSizeStep;
+uniform float u_glowAlphaBase;
+uniform float u_glowSoftness;
+uniform float u_trailAlpha;
+uniform vec2 u_star;
+uniform vec2 u_petal;
+uniform float u_polygonSides;
+uniform float u_sparkThickness;
+uniform sampler2D u_sprites;
+uniform vec2 u_spriteGrid;
+uniform vec2 u_colorScale;
+
+out vec4 outColor;
+
+const float PI = 3.14159265;
+
+// HSB（各 0〜1）→ RGB
+vec3 hsbToRgb(float hue, float saturation, float brightness) {
+    vec3 rgb = clamp(abs(mod(fract(hue) * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+    return brightness * mix(vec3(1.0), rgb, saturation);
+}
+
+// 星形の輪郭までの距離（ParticleShapes.starRadius と同じ式）
+float starRadius(float angle, float points, float inner) {
+    float sector = 2.0 * PI / points;
+    float folded = mod(angle, sector);
+    folded = min(folded, sector - folded);
+    vec2 valley = inner * vec2(cos(sector * 0.5), sin(sector * 0.5));
+    return valley.y / (valley.y * cos(folded) - (valley.x - 1.0) * sin(folded));
+}
+
+// 中心から輪郭までの距離（円の半径を1とする比率、ParticleShapes.radiusAt と同じ式）
+float shapeRadius(int shape, vec2 local) {
+    float angle = atan(local.y, local.x);
+    if (shape == ${SHAPE_STAR}) return starRadius(angle, u_star.x, u_star.y);
+    if (shape == ${SHAPE_POLYGON}) return starRadius(angle, u_polygonSides, cos(PI / u_polygonSides));
+    if (shape == ${SHAPE_PETAL}) return mix(u_petal.y, 1.0, sqrt(abs(cos(angle * u_petal.x * 0.5))));
+    return 1.0;
+}
+
+void main() {
+    float hue = v_color.x / 360.0;
+    // テーマの彩度・明度の倍率（2D描画の themeManager.colorMode と同じ）
+    float saturation = clamp(v_color.y / 100.0 * u_colorScale.x, 0.0, 1.0);
+    float brightness = clamp(v_color.z / 100.0 * u_colorScale.y, 0.0, 1.0);
+    float opacity = clamp(v_color.w / 100.0, 0.0, 1.0);
+
+    if (u_pass == ${RENDER_PASS_TRAIL}) {
+        float alpha = opacity * u_trailAlpha;
+        outColor = vec4(hsbToRgb(hue, saturation, brightness) * alpha, alpha);
+        return;
+    }
+
+    // 形の輪郭を円に引き伸ばした距離（グローとコアは同じ形の相似形）
+    int shape = int(v_shape.x + 0.5);
+    bool sprite = shape >= ${SHAPE_SPRITE_BASE};
+    float centerDistance;
+    if (shape == ${SHAPE_SPARK}) {
+        centerDistance = length(v_local / vec2(v_shape.y, u_sparkThickness));
+    } else if (sprite) {
+        centerDistance = length(v_local);
+    } else {
+        centerDistance = length(v_local) / shapeRadius(shape, v_local);
+    }
+
+    // 2D描画の同心円のグロー（内側ほど重なって濃くなる）を、縁をぼかして足し合わせる
+    float glow = 0.0;
+    for (int layer = 1; layer <= ${MAX_GLOW_LAYERS}; layer++) {
+        if (layer > u_glowLayers) break;
+        float radius = v_size * (u_glowSizeBase + float(layer) * u_glowSizeStep) * 0.5;
+        glow += (u_glowAlphaBase / float(layer)) * (1.0 - smoothstep(radius * (1.0 - u_glowSoftness), radius, centerDistance));
+    }
+    float coreRadius = v_size * 0.5;
+    vec3 coreColor = hsbToRgb(hue, saturation * 0.5, min(1.0, u_colorScale.y));
+    vec4 coreTexel;
+    if (sprite) {
+        // アトラスの区画の画像をコアの色で着色する（テクスチャは乗算済みアルファ）
+        vec2 uv = v_local / coreRadius * 0.5 + 0.5;
+        float index = float(shape - ${SHAPE_SPRITE_BASE});
+        vec2 cell = vec2(mod(index, u_spriteGrid.x), floor(index / u_spriteGrid.x));
+        bool inside = all(greaterThanEqual(uv, vec2(0.0))) && all(lessThanEqual(uv, vec2(1.0)));
+        coreTexel = inside ? textureLod(u_sprites, (cell + uv) / u_spriteGrid, 0.0) : vec4(0.0);
+    } else {
+        float core = 1.0 - smoothstep(coreRadius - 1.0, coreRadius, centerDistance);
+        coreTexel = vec4(core);
+    }
+
+    // 乗算済みアルファで出力する（加算合成・通常の合成のどちらでも使える）
+    vec3 color = hsbToRgb(hue, saturation, brightness) * glow + coreColor * coreTexel.rgb;
+    outColor = vec4(color * opacity, min(1.0, (glow + coreTexel.a) * opacity));
+}
+`;
+
+/**
+ * 2Dキャンバスへの描画（各格納方式の display を使う）
+ */
+class Canvas2DParticleRenderer {
+    constructor() {
+        this.name = '2d';
+    }
+
+    /**
+     * 描画
+     * @param {ObjectParticleStorage|SoAParticleStorage} storage - パーティクルの格納先
+     * @param {number} glowLayers - グローのレイヤー数
+     * @param {number} alpha - ステップ間の補間係数
+     * @returns {boolean} 描画できたかどうか
+     */
+    render(storage, glowLayers, alpha) {
+        push();
+        blendMode(themeManager.blendMode);
+        themeManager.colorMode();
+        storage.display(glowLayers, alpha);
+        pop();
+        return true;
+    }
+
+    dispose() {}
+}
+
+/**
+ * WebGL2 のインスタンス描画
+ * 1つの四角形を全パーティクル分インスタンス化し、トレイルとグロー・コアの2回の描画呼び出しで描く
+ * 加算合成（ADD のテーマ）では描く順序は見た目に影響しない。それ以外のテーマでは重なりを通常の合成で描く
+ */
+class WebGLParticleRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvas - 描画先（p5.js のキャンバスとは別）
+     * @param {WebGL2RenderingContext} gl - コンテキスト
+     */
+    constructor(canvas, gl) {
+        this.name = 'webgl';
+        this.canvas = canvas;
+        this.gl = gl;
+        this.lost = false;
+        /** インスタンスデータ（足りなくなったら2倍に確保し直す） */
+        this.instances = new Float32Array(PARTICLE_INSTANCE_FLOATS * 1024);
+
+        this.program = WebGLParticleRenderer.createProgram(gl);
+        this.uniforms = {};
+        ['u_resolution', 'u_pass', 'u_glowExtent', 'u_trailThickness', 'u_glowLayers', 'u_glowSizeBase',
+            'u_glowSizeStep', 'u_glowAlphaBase', 'u_glowSoftness', 'u_trailAlpha', 'u_star', 'u_petal',
+            'u_polygonSides', 'u_sparkThickness', 'u_sprites', 'u_spriteGrid', 'u_colorScale'].forEach(name => {
+            this.uniforms[name] = gl.getUniformLocation(this.program, name);
+        });
+        this.createBuffers();
+        this.createSpriteTexture();
+
+        this.handleContextLost = (event) => {
+            event.preventDefault();
+            this.lost = true;
+        };
+        canvas.addEventListener('webglcontextlost', this.handleContextLost);
+    }
+
+    /**
+     * 生成（WebGL2 が使えない・シェーダーを作れない場合は null）
+     * @returns {WebGLParticleRenderer|null} レンダラー
+     */
+    static create() {
+        const canvas = document.createElement('canvas');
+        const gl = canvas.getContext('webgl2', { alpha: true, premultipliedAlpha: true, antialias: false, depth: false });
+        if (!gl) {
+            errorHandler.handleError(new AppError(
+                'WebGL2 is not available, falling back to the 2D particle renderer',
+                ErrorCategory.GRAPHICS,
+                ErrorLevel.WARN
+            ));
+            return null;
+        }
+
+        try {
+            return new WebGLParticleRenderer(canvas, gl);
+        } catch (error) {
+            errorHandler.handleError(new AppError(
+                `WebGL particle renderer initialization failed, falling back to 2D: ${error.message}`,
+                ErrorCategory.GRAPHICS,
+                ErrorLevel.WARN,
+                { error }
+            ));
+            return null;
+        }
+    }
+
+    /**
+     * シェーダーのコンパイルとリンク
+     * @param {WebGL2RenderingContext} gl - コンテキスト
+     * @returns {WebGLProgram} プログラム
+     */
+    static createProgram(gl) {
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                const log = gl.getShaderInfoLog(shader);
+                gl.deleteShader(shader);
+                throw new Error(`Shader compilation failed: ${log}`);
+            }
+            return shader;
+        };
+
+        const vertexShader = compile(gl.VERTEX_SHADER, PARTICLE_VERTEX_SHADER);
+        const fragmentShader = compile(gl.FRAGMENT_SHADER, PARTICLE_FRAGMENT_SHADER);
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+        }
+        return program;
+    }
+
+    /**
+     * 頂点配列（四角形の角とインスタンスデータ）の作成
+     */
+    createBuffers() {
+        const gl = this.gl;
+        const program = this.program;
+        this.vertexArray = gl.createVertexArray();
+        gl.bindVertexArray(this.vertexArray);
+
+        // 四角形の角（TRIANGLE_STRIP）
+        this.cornerBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        const corner = gl.getAttribLocation(program, 'a_corner');
+        gl.enableVertexAttribArray(corner);
+        gl.vertexAttribPointer(corner, 2, gl.FLOAT, false, 0, 0);
+
+        // パーティクルごとのデータ（PARTICLE_INSTANCE_FLOATS の並び）
+        this.instanceBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        const stride = PARTICLE_INSTANCE_FLOATS * Float32Array.BYTES_PER_ELEMENT;
+        [['a_motion', 4, 0], ['a_size', 1, 4], ['a_color', 4, 5], ['a_shape', 3, 9]].forEach(([name, size, offset]) => {
+            const location = gl.getAttribLocation(program, name);
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset * Float32Array.BYTES_PER_ELEMENT);
+            gl.vertexAttribDivisor(location, 1);
+        });
+
+        gl.bindVertexArray(null);
+    }
+
+    /**
+     * スプライトのアトラスのテクスチャの作成（画像は updateSpriteTexture で転送する）
+     */
+    createSpriteTexture() {
+        const gl = this.gl;
+        this.spriteTexture = gl.createTexture();
+        this.spriteVersion = -1;
+        gl.bindTexture(gl.TEXTURE_2D, this.spriteTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(4));
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
+
+    /**
+     * スプライトの登録・置き換えをアトラスのテクスチャに反映
+     */
+    updateSpriteTexture() {
+        if (this.spriteVersion === particleShapes.spriteVersion) return;
+
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.spriteTexture);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, particleShapes.atlas());
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        this.spriteVersion = particleShapes.spriteVersion;
+    }
+
+    /**
+     * 描画（WebGL のキャンバスに描いてから p5.js のキャンバスへ加算合成する）
+     * @param {ObjectParticleStorage|SoAParticleStorage} storage - パーティクルの格納先
+     * @param {number} glowLayers - グローのレイヤー数
+     * @param {number} alpha - ステップ間の補間係数
+     * @returns {boolean} 描画できたかどうか（コンテキストが失われていれば false）
+     */
+    render(storage, glowLayers, alpha) {
+        if (this.lost || this.gl.isContextLost()) return false;
+
+        const gl = this.gl;
+        const target = drawingContext.canvas;
+        if (this.canvas.width !== target.width || this.canvas.height !== target.height) {
+            this.canvas.width = target.width;
+            this.canvas.height = target.height;
+        }
+
+        const needed = storage.count * PARTICLE_INSTANCE_FLOATS;
+        if (this.instances.length < needed) {
+            this.instances = new Float32Array(Math.max(needed, this.instances.length * 2));
+        }
+        const count = storage.writeInstances(this.instances, alpha);
+
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        if (count === 0) return true;
+
+        gl.useProgram(this.program);
+        gl.bindVertexArray(this.vertexArray);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.instances, gl.DYNAMIC_DRAW, 0, count * PARTICLE_INSTANCE_FLOATS);
+
+        // 色は乗算済みアルファのため、通常の合成は (ONE, ONE_MINUS_SRC_ALPHA)
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, themeManager.isAdditive ? gl.ONE : gl.ONE_MINUS_SRC_ALPHA);
+        this.updateSpriteTexture();
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.spriteTexture);
+        this.setUniforms(glowLayers);
+
+        gl.uniform1i(this.uniforms.u_pass, RENDER_PASS_TRAIL);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+        gl.uniform1i(this.uniforms.u_pass, RENDER_PASS_GLOW);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+
+        gl.bindVertexArray(null);
+
+        // 変換行列を外してピクセル単位で重ねる（pixelDensity によらず同じ大きさ）
+        drawingContext.save();
+        drawingContext.setTransform(1, 0, 0, 1, 0, 0);
+        drawingContext.globalCompositeOperation = themeManager.blendMode;
+        drawingContext.drawImage(this.canvas, 0, 0);
+        drawingContext.restore();
+        return true;
+    }
+
+    /**
+     * 設定値のシェーダーへの反映
+     * @param {number} glowLayers - グローのレイヤー数
+     */
+    setUniforms(glowLayers) {
+        const gl = this.gl;
+        const uniforms = this.uniforms;
+        const rendering = Config.RENDERING;
+        const glowConfig = rendering.GLOW;
+        const layers = Math.min(MAX_GLOW_LAYERS, Math.max(0, glowLayers));
+
+        gl.uniform2f(uniforms.u_resolution, width, height);
+        gl.uniform1f(uniforms.u_glowExtent, Math.max(1, glowConfig.SIZE_MULTIPLIER_BASE + layers * glowConfig.SIZE_MULTIPLIER_STEP));
+        gl.uniform1f(uniforms.u_trailThickness, rendering.TRAIL.THICKNESS_MULTIPLIER);
+        gl.uniform1i(uniforms.u_glowLayers, layers);
+        gl.uniform1f(uniforms.u_glowSizeBase, glowConfig.SIZE_MULTIPLIER_BASE);
+        gl.uniform1f(uniforms.u_glowSizeStep, glowConfig.SIZE_MULTIPLIER_STEP);
+        gl.uniform1f(uniforms.u_glowAlphaBase, glowConfig.ALPHA_DIVISOR_BASE);
+        gl.uniform1f(uniforms.u_glowSoftness, rendering.WEBGL.GLOW_SOFTNESS);
+        gl.uniform1f(uniforms.u_trailAlpha, rendering.TRAIL.ALPHA_MULTIPLIER);
+
+        // 形（particleShapes.js）
+        const shapes = Config.PARTICLES.SHAPES;
+        gl.uniform2f(uniforms.u_star, shapes.STAR.POINTS, shapes.STAR.INNER_RATIO);
+        gl.uniform2f(uniforms.u_petal, shapes.PETAL.COUNT, shapes.PETAL.INNER_RATIO);
+        gl.uniform1f(uniforms.u_polygonSides, shapes.POLYGON.SIDES);
+        gl.uniform1f(uniforms.u_sparkThickness, shapes.SPARK.THICKNESS_RATIO);
+        gl.uniform1i(uniforms.u_sprites, 0);
+        gl.uniform2f(uniforms.u_spriteGrid, SPRITE_ATLAS_COLUMNS, Math.ceil(MAX_SPRITES / SPRITE_ATLAS_COLUMNS));
+
+        // テーマ（themeManager.js）
+        const theme = themeManager.theme;
+        gl.uniform2f(uniforms.u_colorScale, theme.SATURATION, theme.BRIGHTNESS);
+    }
+
+    /**
+     * GPU資源の解放
+     */
+    dispose() {
+        this.canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+        if (this.lost || this.gl.isContextLost()) return;
+
+        const gl = this.gl;
+        gl.deleteBuffer(this.cornerBuffer);
+        gl.deleteBuffer(this.instanceBuffer);
+        gl.deleteTexture(this.spriteTexture);
+        gl.deleteVertexArray(this.vertexArray);
+        gl.deleteProgram(this.program);
+    }
+}
+
+/**
+ * 描画方式の生成
+ */
+class ParticleRenderer {
+    /**
+     * 描画方式の生成（webgl を使えない場合は 2d）
+     * @param {string} type - '2d' | 'webgl'
+     * @returns {Canvas2DParticleRenderer|WebGLParticleRenderer} レンダラー
+     */
+    static create(type) {
+        if (type === 'webgl') {
+            const renderer = WebGLParticleRenderer.create();
+            if (renderer) return renderer;
+        }
+        return new Canvas2DParticleRenderer();
+    }
+}
+
+// グローバルアクセス用
+window.Canvas2DParticleRenderer = Canvas2DParticleRenderer;
+window.WebGLParticleRenderer = WebGLParticleRenderer;
+window.ParticleRenderer = ParticleRenderer;
@@ -0,0 +1,368 @@
+/**
+ * パーティクルの形
+ * - circle: 円（従来の見た目）
+ * - star: 星形（PARTICLES.SHAPES.STAR）
+ * - petal: 中心から花弁が放射状に開く花びら（PARTICLES.SHAPES.PETAL）
+ * - polygon: 正多角形（PARTICLES.SHAPES.POLYGON）
+ * - spark: 速度の向きに伸びる線状の火花（PARTICLES.SHAPES.SPARK）
+ * - 画像スプライト: PARTICLES.SHAPES.SPRITES で指定した画像、または registerSprite で登録した画像（名前で指定する）
+ *
+ * star / petal / polygon は中心から輪郭までの距離を角度の関数（radiusAt）で表す。2D描画はこの関数の頂点で、
+ * WebGL 描画は同じ式をシェーダーで計算するため、どちらの描画方式でも同じ形になる
+ * 形はパーティクルの rotation で回転する（spark のみ速度の向き）
+ */
+
+/** スプライトの番号の開始値（組み込みの形は PARTICLE_SHAPES の位置、スプライトはこの値 + 登録順） */
+const SHAPE_SPRITE_BASE = PARTICLE_SHAPES.length;
+
+/** 登録できるスプライトの上限（WebGL のアトラスの区画数） */
+const MAX_SPRITES = 16;
+
+/** スプライトのアトラスの列数と1区画の大きさ（px） */
+const SPRITE_ATLAS_COLUMNS = 4;
+const SPRITE_ATLAS_CELL_SIZE = 128;
+
+/** 組み込みの形の番号 */
+const SHAPE_CIRCLE = PARTICLE_SHAPES.indexOf('circle');
+const SHAPE_STAR = PARTICLE_SHAPES.indexOf('star');
+const SHAPE_PETAL = PARTICLE_SHAPES.indexOf('petal');
+const SHAPE_POLYGON = PARTICLE_SHAPES.indexOf('polygon');
+const SHAPE_SPARK = PARTICLE_SHAPES.indexOf('spark');
+
+/** 花びらの輪郭の1枚あたりの頂点数 */
+const PETAL_VERTICES_PER_LOBE = 12;
+
+class ParticleShapes {
+    constructor() {
+        /** 登録済みのスプライト { name, image, source }（番号は SHAPE_SPRITE_BASE + 位置） */
+        this.sprites = [];
+        /** 読み込み中のスプライト（名前 → URL） */
+        this.pending = new Map();
+        /** 図形ごとの半径1の輪郭の頂点 [x0, y0, x1, y1, ...]（形の設定の変更で作り直す） */
+        this.outlines = new Map();
+        /** スプライトの登録で増える（WebGL のテクスチャの更新判定に使う） */
+        this.spriteVersion = 0;
+        /** アトラス（WebGL 用に全スプライトを1枚に並べたキャンバス） */
+        this.atlasCanvas = null;
+        this.atlasVersion = -1;
+    }
+
+    /**
+     * 初期化（設定の画像スプライトの読み込みと、形の設定の変更の購読）
+     */
+    init() {
+        Config.subscribe('PARTICLES.SHAPES', () => {
+            this.outlines.clear();
+            this.loadSprites();
+        });
+        this.loadSprites();
+    }
+
+    /**
+     * 指定できる形の名前の一覧（組み込み・設定の画像・登録済みの画像）
+     * @returns {Array<string>} 形の名前
+     */
+    names() {
+        const spriteNames = Object.keys(Config.PARTICLES.SHAPES.SPRITES).concat(this.sprites.map(sprite => sprite.name));
+        return PARTICLE_SHAPES.concat(spriteNames.filter((name, index) => spriteNames.indexOf(name) === index));
+    }
+
+    /**
+     * 形の名前 → 番号（未知の名前・読み込み前の画像は円）
+     * @param {string} name - 形の名前
+     * @returns {number} 番号
+     */
+    idOf(name) {
+        if (!name) return SHAPE_CIRCLE;
+        const builtIn = PARTICLE_SHAPES.indexOf(name);
+        if (builtIn !== -1) return builtIn;
+        const sprite = this.sprites.findIndex(entry => entry.name === name);
+        return sprite === -1 ? SHAPE_CIRCLE : SHAPE_SPRITE_BASE + sprite;
+    }
+
+    /**
+     * 番号 → 形の名前
+     * @param {number} id - 番号
+     * @returns {string} 形の名前
+     */
+    nameOf(id) {
+        if (id < SHAPE_SPRITE_BASE) return PARTICLE_SHAPES[id];
+        const sprite = this.sprites[id - SHAPE_SPRITE_BASE];
+        return sprite ? sprite.name : 'circle';
+    }
+
+    /**
+     * 設定（PARTICLES.SHAPES.SPRITES）の画像の読み込み（読み込み済み・読み込み中の画像は除く）
+     */
+    loadSprites() {
+        Object.entries(Config.PARTICLES.SHAPES.SPRITES).forEach(([name, url]) => {
+            const loaded = this.sprites.find(sprite => sprite.name === name);
+            if ((loaded && loaded.source === url) || this.pending.get(name) === url) return;
+
+            this.pending.set(name, url);
+            loadImage(url, (image) => {
+                if (this.pending.get(name) !== url) return;
+                this.pending.delete(name);
+                this.registerSprite(name, image, url);
+            }, () => {
+                this.pending.delete(name);
+                errorHandler.handleError(new AppError(
+                    `Failed to load particle sprite "${name}" from ${url}, drawing circles instead`,
+                    ErrorCategory.NETWORK,
+                    ErrorLevel.WARN,
+                    { name, url }
+                ));
+            });
+        });
+    }
+
+    /**
+     * 画像スプライトの登録（同じ名前は置き換え）
+     * 白い画像を使うと、パーティクルの色で着色される
+     * @param {string} name - 形の名前
+     * @param {p5.Image|HTMLImageElement|HTMLCanvasElement} image - 画像
+     * @param {string|null} source - 読み込み元のURL
+     * @returns {boolean} 登録できたかどうか
+     */
+    registerSprite(name, image, source = null) {
+        if (PARTICLE_SHAPES.includes(name)) {
+            errorHandler.handleError(new AppError(
+                `Particle sprite name "${name}" is reserved for a built-in shape`,
+                ErrorCategory.GRAPHICS,
+                ErrorLevel.WARN,
+                { name }
+            ));
+            return false;
+        }
+
+        const index = this.sprites.findIndex(sprite => sprite.name === name);
+        if (index === -1 && this.sprites.length >= MAX_SPRITES) {
+            errorHandler.handleError(new AppError(
+                `Too many particle sprites (max ${MAX_SPRITES}), "${name}" was not registered`,
+                ErrorCategory.GRAPHICS,
+                ErrorLevel.WARN,
+                { name }
+            ));
+            return false;
+        }
+
+        const sprite = { name, image: ParticleShapes.toP5Image(image), source };
+        if (index === -1) {
+            this.sprites.push(sprite);
+        } else {
+            this.sprites[index] = sprite;
+        }
+        this.spriteVersion++;
+        return true;
+    }
+
+    /**
+     * p5.js の image / tint で描ける画像への変換
+     * @param {p5.Image|HTMLImageElement|HTMLCanvasElement} image - 画像
+     * @returns {p5.Image} 画像
+     */
+    static toP5Image(image) {
+        if (image instanceof p5.Image) return image;
+        const converted = createImage(image.width, image.height);
+        converted.drawingContext.drawImage(image, 0, 0);
+        converted.modified = true;
+        return converted;
+    }
+
+    /**
+     * 番号の画像（画像スプライト以外は null）
+     * @param {number} id - 番号
+     * @returns {p5.Image|null} 画像
+     */
+    spriteImage(id) {
+        const sprite = id >= SHAPE_SPRITE_BASE ? this.sprites[id - SHAPE_SPRITE_BASE] : null;
+        return sprite ? sprite.image : null;
+    }
+
+    /**
+     * 星形の輪郭までの距離（先端を1とする）
+     * 先端（角度0）とくぼみ（角度 π / points、半径 inner）を結ぶ直線までの距離を求める
+     * 正多角形は inner = cos(π / sides) の星形と同じ形になる
+     * @param {number} angle - 角度（ラジアン）
+     * @param {number} points - 先端の数
+     * @param {number} inner - くぼみの半径
+     * @returns {number} 距離
+     */
+    static starRadius(angle, points, inner) {
+        const sector = TWO_PI / points;
+        let folded = ((angle % sector) + sector) % sector;
+        if (folded > sector / 2) folded = sector - folded;
+        const valleyX = inner * Math.cos(sector / 2);
+        const valleyY = inner * Math.sin(sector / 2);
+        return valleyY / (valleyY * Math.cos(folded) - (valleyX - 1) * Math.sin(folded));
+    }
+
+    /**
+     * 中心から輪郭までの距離（円の半径を1とする比率）
+     * シェーダー（particleRenderer.js の shapeRadius）と同じ式
+     * @param {number} id - 番号
+     * @param {number} angle - 角度（ラジアン）
+     * @returns {number} 距離
+     */
+    radiusAt(id, angle) {
+        const config = Config.PARTICLES.SHAPES;
+        switch (id) {
+            case SHAPE_STAR:
+                return ParticleShapes.starRadius(angle, config.STAR.POINTS, config.STAR.INNER_RATIO);
+            case SHAPE_POLYGON:
+                return ParticleShapes.starRadius(angle, config.POLYGON.SIDES, Math.cos(PI / config.POLYGON.SIDES));
+            case SHAPE_PETAL:
+                return lerp(config.PETAL.INNER_RATIO, 1, Math.sqrt(Math.abs(Math.cos(angle * config.PETAL.COUNT / 2))));
+            default:
+                return 1;
+        }
+    }
+
+    /**
+     * 半径1の輪郭の頂点（star / polygon は角の位置、petal は花弁ごとに分割した位置）
+     * @param {number} id - 番号
+     * @returns {Array<number>} [x0, y0, x1, y1, ...]
+     */
+    outline(id) {
+        let vertices = this.outlines.get(id);
+        if (vertices) return vertices;
+
+        const config = Config.PARTICLES.SHAPES;
+        const count = id === SHAPE_STAR ? config.STAR.POINTS * 2 :
+            id === SHAPE_POLYGON ? config.POLYGON.SIDES :
+            config.PETAL.COUNT * PETAL_VERTICES_PER_LOBE;
+        vertices = [];
+        for (let i = 0; i < count; i++) {
+            const angle = TWO_PI * i / count;
+            const radius = this.radiusAt(id, angle);
+            vertices.push(Math.cos(angle) * radius, Math.sin(angle) * radius);
+        }
+        this.outlines.set(id, vertices);
+        return vertices;
+    }
+
+    /**
+     * 描画の向き（spark は速度の向き、それ以外はパーティクルの回転角）
+     * @param {number} id - 番号
+     * @param {number} rotation - 回転角
+     * @param {number} vx - X方向の速度
+     * @param {number} vy - Y方向の速度
+     * @returns {number} 角度（ラジアン）
+     */
+    orientation(id, rotation, vx, vy) {
+        return id === SHAPE_SPARK ? Math.atan2(vy, vx) : rotation;
+    }
+
+    /**
+     * 進行方向への伸び率（spark のみ速さに比例して伸びる。それ以外は 1）
+     * @param {number} id - 番号
+     * @param {number} vx - X方向の速度
+     * @param {number} vy - Y方向の速度
+     * @param {number} size - サイズ
+     * @returns {number} 伸び率
+     */
+    stretch(id, vx, vy, size) {
+        if (id !== SHAPE_SPARK || size <= 0) return 1;
+        const config = Config.PARTICLES.SHAPES.SPARK;
+        return Math.min(config.MAX_STRETCH, 1 + Math.sqrt(vx * vx + vy * vy) * config.LENGTH_FACTOR / size);
+    }
+
+    /**
+     * 形の塗りつぶし（translate / rotate 済みの座標系の原点に描く。画像スプライトは円）
+     * @param {number} id - 番号
+     * @param {number} diameter - 円に換算した直径
+     * @param {number} stretch - 伸び率（spark）
+     */
+    drawShape(id, diameter, stretch) {
+        if (id === SHAPE_SPARK) {
+            ellipse(0, 0, diameter * stretch, diameter * Config.PARTICLES.SHAPES.SPARK.THICKNESS_RATIO);
+            return;
+        }
+        if (id !== SHAPE_STAR && id !== SHAPE_POLYGON && id !== SHAPE_PETAL) {
+            ellipse(0, 0, diameter, diameter);
+            return;
+        }
+
+        const vertices = this.outline(id);
+        const radius = diameter / 2;
+        beginShape();
+        for (let i = 0; i < vertices.length; i += 2) {
+            vertex(vertices[i] * radius, vertices[i + 1] * radius);
+        }
+        endShape(CLOSE);
+    }
+
+    /**
+     * グローとコアの描画（Particle.display と SoA の display で共通、原点に描く）
+     * 画像スプライトはグローを円で描き、コアに画像をパーティクルの色で着色して重ねる
+     * @param {number} id - 番号
+     * @param {number} size - サイズ
+     * @param {number} stretch - 伸び率（spark）
+     * @param {number} hue - 色相
+     * @param {number} saturation - 彩度
+     * @param {number} brightness - 明度
+     * @param {number} alpha - 不透明度
+     * @param {number} glowLayers - グローのレイヤー数
+     */
+    display(id, size, stretch, hue, saturation, brightness, alpha, glowLayers) {
+        const glowConfig = Config.RENDERING.GLOW;
+        for (let layer = glowLayers; layer > 0; layer--) {
+            const glowSize = size * (glowConfig.SIZE_MULTIPLIER_BASE + layer * glowConfig.SIZE_MULTIPLIER_STEP);
+            fill(hue, saturation, brightness, alpha * (glowConfig.ALPHA_DIVISOR_BASE / layer));
+            this.drawShape(id, glowSize, stretch);
+        }
+
+        const sprite = this.spriteImage(id);
+        if (sprite) {
+            // 縦横比を保って size の正方形に収める（アトラスと同じ）
+            const scale = size / Math.max(sprite.width, sprite.height);
+            imageMode(CENTER);
+            tint(hue, saturation * 0.5, 100, alpha);
+            image(sprite, 0, 0, sprite.width * scale, sprite.height * scale);
+            noTint();
+            return;
+        }
+        fill(hue, saturation * 0.5, 100, alpha);
+        this.drawShape(id, size, stretch);
+    }
+
+    /**
+     * WebGL 用のアトラス（全スプライトを SPRITE_ATLAS_COLUMNS 列の区画に並べたキャンバス）
+     * 区画の番号はスプライトの登録順。スプライトの追加・置き換えで作り直す
+     * @returns {HTMLCanvasElement} アトラス
+     */
+    atlas() {
+        if (this.atlasCanvas && this.atlasVersion === this.spriteVersion) return this.atlasCanvas;
+
+        const rows = Math.ceil(MAX_SPRITES / SPRITE_ATLAS_COLUMNS);
+        const canvas = this.atlasCanvas || document.createElement('canvas');
+        canvas.width = SPRITE_ATLAS_COLUMNS * SPRITE_ATLAS_CELL_SIZE;
+        canvas.height = rows * SPRITE_ATLAS_CELL_SIZE;
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+
+        // 縦横比を保って区画に収める（隣の区画ににじまないよう余白を空ける）
+        const padding = 2;
+        const inner = SPRITE_ATLAS_CELL_SIZE - padding * 2;
+        this.sprites.forEach((sprite, index) => {
+            const source = sprite.image.canvas;
+            const scale = inner / Math.max(source.width, source.height);
+            const w = source.width * scale;
+            const h = source.height * scale;
+            const cellX = (index % SPRITE_ATLAS_COLUMNS) * SPRITE_ATLAS_CELL_SIZE;
+            const cellY = Math.floor(index / SPRITE_ATLAS_COLUMNS) * SPRITE_ATLAS_CELL_SIZE;
+            context.drawImage(source, cellX + (SPRITE_ATLAS_CELL_SIZE - w) / 2, cellY + (SPRITE_ATLAS_CELL_SIZE - h) / 2, w, h);
+        });
+
+        this.atlasCanvas = canvas;
+        this.atlasVersion = this.spriteVersion;
+        return canvas;
+    }
+}
+
+// グローバルインスタンス
+const particleShapes = new ParticleShapes();
+
+// グローバルアクセス用
+window.ParticleShapes = ParticleShapes;
+window.particleShapes = particleShapes;
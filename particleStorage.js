@@ -0,0 +1,912 @@
+/**
+ * パーティクルの格納方式（バックエンド）
+ * - objects: Particle インスタンスの配列（オブジェクトプールで再利用）
+ * - soa: 位置・速度・寿命・色相・サイズなどをフィールドごとの型付き配列に格納（Structure of Arrays）
+ *
+ * どちらも ParticleSystem から同じインターフェースで使う:
+ *   acquire() / add(particle) / forEach(callback) / at(i) / getX(i) / getY(i) / update(system, dt) / display(glowLayers, alpha) /
+ *   writeInstances(target, alpha) / clear() / setCapacity(n) / count
+ *
+ * 生成は両方とも Particle を介する（ファクトリーが設定と初期値を決め、soa は add 時に配列へ写して
+ * Particle をプールに戻す）ため、同じシードならどちらの方式でも同じ乱数列で同じパーティクルになる。
+ */
+
+/**
+ * Particle インスタンスの配列による格納
+ */
+class ObjectParticleStorage {
+    /**
+     * @param {number} capacity - 最大パーティクル数
+     */
+    constructor(capacity) {
+        this.particles = [];
+        this.capacity = capacity;
+        // オブジェクトプール（メモリ効率化）
+        this.pool = [];
+        this.maxPoolSize = Math.min(capacity * 2, 2000);
+        this.poolStats = { hits: 0, misses: 0, released: 0, dropped: 0 };
+    }
+
+    /** 現在のパーティクル数 */
+    get count() {
+        return this.particles.length;
+    }
+
+    /**
+     * プールからパーティクルを取り出す
+     * @returns {Particle|null} 再利用するパーティクル（空の場合は null）
+     */
+    acquire() {
+        const particle = this.pool.pop();
+        if (particle) {
+            this.poolStats.hits++;
+            return particle;
+        }
+        this.poolStats.misses++;
+        return null;
+    }
+
+    /**
+     * パーティクルをプールに返却
+     * @param {Particle} particle - 返却するパーティクル
+     */
+    release(particle) {
+        if (!particle) return;
+        if (this.pool.length < this.maxPoolSize) {
+            this.pool.push(particle);
+            this.poolStats.released++;
+        } else {
+            this.poolStats.dropped++;
+        }
+    }
+
+    /**
+     * パーティクルの追加
+     * 最大数に達している場合は残り寿命が最も短いパーティクルを削除する
+     * @param {Particle} particle - 追加するパーティクル
+     * @returns {boolean} 追加に成功したかどうか
+     */
+    add(particle) {
+        if (this.capacity <= 0) return false;
+        if (this.particles.length >= this.capacity) {
+            this.removeAt(this.findShortestLivedIndex());
+        }
+        this.particles.push(particle);
+        return true;
+    }
+
+    /**
+     * パーティクルの削除（末尾との入れ替えで配列を詰めずに削除し、プールに返却）
+     * 描画順は変わるが、splice と違い削除のたびに要素を移動しない
+     * @param {number} index - 削除する位置
+     */
+    removeAt(index) {
+        const particle = this.particles[index];
+        const last = this.particles.pop();
+        if (index < this.particles.length) {
+            this.particles[index] = last;
+        }
+        this.release(particle);
+    }
+
+    /**
+     * 残り寿命が最も短いパーティクルの位置
+     * @returns {number} 位置
+     */
+    findShortestLivedIndex() {
+        let shortestIndex = 0;
+        for (let i = 1; i < this.particles.length; i++) {
+            if (this.particles[i].lifespan < this.particles[shortestIndex].lifespan) {
+                shortestIndex = i;
+            }
+        }
+        return shortestIndex;
+    }
+
+    /**
+     * 最大パーティクル数の変更（超えた分は先頭から削除）
+     * @param {number} capacity - 最大パーティクル数
+     */
+    setCapacity(capacity) {
+        this.capacity = capacity;
+        this.maxPoolSize = Math.min(capacity * 2, 2000);
+
+        const excess = this.particles.length - capacity;
+        if (excess > 0) {
+            this.particles.splice(0, excess).forEach(particle => this.release(particle));
+        }
+        if (this.pool.length > this.maxPoolSize) {
+            this.pool.length = this.maxPoolSize;
+        }
+    }
+
+    /**
+     * 全パーティクルへの処理
+     * @param {Function} callback - (particle) => void
+     */
+    forEach(callback) {
+        this.particles.forEach(callback);
+    }
+    
+    /**
+     * 位置番号のパーティクル
+     * @param {number} index - 位置
+     * @param {number} slot - 未使用（SoA のビューの番号と引数を揃えるため）
+     * @returns {Particle} パーティクル
+     */
+    at(index, slot = 0) {
+        return this.particles[index];
+    }
+    
+    /** 位置番号のパーティクルのX座標（空間グリッド用） */
+    getX(index) {
+        return this.particles[index].position.x;
+    }
+    
+    /** 位置番号のパーティクルのY座標（空間グリッド用） */
+    getY(index) {
+        return this.particles[index].position.y;
+    }
+
+    /**
+     * 1ステップ分の更新（力の適用・物理演算・寿命切れの削除）
+     * @param {ParticleSystem} system - パーティクルシステム
+     * @param {number} dt - ステップの長さ（秒）
+     */
+    update(system, dt) {
+        const config = system.effectConfigs[system.currentEffect];
+        const effect = effectRegistry.get(system.currentEffect);
+        const pressureRange = Config.PARTICLES.DRAG_INTERACTION.PRESSURE_ATTRACTION_RANGE;
+        const fields = system.forceFields;
+        const hasFields = fields.active.length > 0;
+
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            const particle = this.particles[i];
+
+            // 重力の適用
+            if (config.gravity) {
+                particle.applyForce(system.gravity);
+            }
+
+            // 配置された力場（引力・斥力・渦・壁・流れ場）
+            if (hasFields) {
+                particle.applyForce(fields.forceAt(particle.position.x, particle.position.y));
+            }
+
+            // 押下中のポインターへの引力
+            if (config.mouseAttraction > 0) {
+                for (const point of system.attractors) {
+                    const pressureFactor = penPressureFactor(point.pen || NEUTRAL_PEN, pressureRange);
+                    particle.attractToMouse(point.x, point.y, config.mouseAttraction * pressureFactor);
+                }
+            }
+
+            // エフェクト固有の力（渦巻きの風など）
+            if (effect && effect.forces) {
+                effect.forces(particle, system);
+            }
+
+            particle.update(dt);
+
+            // 死んだパーティクルの削除（後ろから走査しているので入れ替え後の要素は処理済み）
+            if (particle.isDead()) {
+                this.removeAt(i);
+            }
+        }
+    }
+
+    /**
+     * 描画
+     * @param {number} glowLayers - グローのレイヤー数
+     * @param {number} alpha - ステップ間の補間係数
+     */
+    display(glowLayers, alpha) {
+        this.particles.forEach(particle => {
+            particle.display(glowLayers, alpha);
+        });
+    }
+
+    /**
+     * WebGL 描画用のインスタンスデータの書き込み
+     * @param {Float32Array} target - 書き込み先（count × PARTICLE_INSTANCE_FLOATS 以上）
+     * @param {number} alpha - ステップ間の補間係数
+     * @returns {number} 書き込んだパーティクル数
+     */
+    writeInstances(target, alpha) {
+        for (let i = 0; i < this.particles.length; i++) {
+            this.particles[i].writeInstance(target, i * PARTICLE_INSTANCE_FLOATS, alpha);
+        }
+        return this.particles.length;
+    }
+
+    /**
+     * 全パーティクルの削除（プールに返却）
+     */
+    clear() {
+        this.particles.forEach(particle => this.release(particle));
+        this.particles = [];
+    }
+
+    /**
+     * オブジェクトプールの統計
+     * @returns {Object} プールサイズ・再利用（hit）と新規生成（miss）の回数など
+     */
+    getPoolStats() {
+        return ParticleStorage.describePool(this.pool.length, this.maxPoolSize, this.poolStats);
+    }
+}
+
+/** SoA の数値フィールド（Float32Array） */
+const SOA_FLOAT_FIELDS = [
+    'x', 'y', 'px', 'py', 'vx', 'vy', 'ax', 'ay',
+    'size', 'minSize', 'maxSize', 'hue', 'saturation', 'brightness', 'alpha', 'maxAlpha',
+    'mass', 'life', 'maxLife', 'damping', 'rotation', 'rotationSpeed', 'pulsePhase',
+    'explosionForce', 'pathProgress', 'pathInfluence'
+];
+
+/** SoA のフラグ・番号フィールド（Uint8Array。shape は particleShapes の番号） */
+const SOA_BYTE_FIELDS = ['trail', 'exploding', 'followPath', 'mode', 'shape'];
+
+/**
+ * 型付き配列による格納（Structure of Arrays）
+ * 毎フレームの更新はスカラー演算のみで行い、ベクトルなどのオブジェクトを生成しない
+ */
+class SoAParticleStorage {
+    /**
+     * @param {number} capacity - 最大パーティクル数
+     */
+    constructor(capacity) {
+        this.capacity = 0;
+        this.length = 0;
+        /** 追従するドラッグパス（パス爆発のパーティクルのみ） */
+        this.paths = [];
+        /** 挙動名の一覧（mode フィールドはこの番号） */
+        this.modeNames = [];
+        /** 番号 → 挙動（effectRegistry の登録） */
+        this.behaviors = [];
+        /** 生成時に使う Particle のプール（add で配列に写した後に戻す） */
+        this.pool = [];
+        this.maxPoolSize = 256;
+        this.poolStats = { hits: 0, misses: 0, released: 0, dropped: 0 };
+        /** 外部の処理（挙動・力・爆発）に渡す共有ビュー（2つ目はパーティクル同士の相互作用用） */
+        this.views = [new SoAParticleView(this), new SoAParticleView(this)];
+        this.view = this.views[0];
+        this.allocate(capacity);
+    }
+
+    /** 現在のパーティクル数 */
+    get count() {
+        return this.length;
+    }
+
+    /**
+     * 配列の確保（既存の内容は容量の範囲で引き継ぐ）
+     * @param {number} capacity - 容量
+     */
+    allocate(capacity) {
+        const keep = Math.min(this.length, capacity);
+        SOA_FLOAT_FIELDS.forEach(name => {
+            const array = new Float32Array(capacity);
+            if (this[name]) array.set(this[name].subarray(0, keep));
+            this[name] = array;
+        });
+        SOA_BYTE_FIELDS.forEach(name => {
+            const array = new Uint8Array(capacity);
+            if (this[name]) array.set(this[name].subarray(0, keep));
+            this[name] = array;
+        });
+        this.paths.length = keep;
+        this.length = keep;
+        this.capacity = capacity;
+    }
+
+    /**
+     * 挙動名の番号（未登録なら追加）
+     * @param {string} name - 挙動名
+     * @returns {number} 番号
+     */
+    modeIndex(name) {
+        let index = this.modeNames.indexOf(name);
+        if (index === -1) {
+            index = this.modeNames.length;
+            this.modeNames.push(name);
+            this.behaviors.push(effectRegistry.getMode(name) || null);
+        }
+        return index;
+    }
+
+    /**
+     * 生成用の Particle をプールから取り出す
+     * @returns {Particle|null} 再利用するパーティクル（空の場合は null）
+     */
+    acquire() {
+        const particle = this.pool.pop();
+        if (particle) {
+            this.poolStats.hits++;
+            return particle;
+        }
+        this.poolStats.misses++;
+        return null;
+    }
+
+    /**
+     * パーティクルの追加（Particle の値を配列に写し、Particle はプールに戻す）
+     * 最大数に達している場合は残り寿命が最も短いパーティクルを削除する
+     * @param {Particle} particle - 追加するパーティクル
+     * @returns {boolean} 追加に成功したかどうか
+     */
+    add(particle) {
+        if (this.capacity <= 0) return false;
+        if (this.length >= this.capacity) {
+            this.removeAt(this.findShortestLivedIndex());
+        }
+
+        const i = this.length++;
+        this.x[i] = particle.position.x;
+        this.y[i] = particle.position.y;
+        this.px[i] = particle.previousPosition.x;
+        this.py[i] = particle.previousPosition.y;
+        this.vx[i] = particle.velocity.x;
+        this.vy[i] = particle.velocity.y;
+        this.ax[i] = particle.acceleration.x;
+        this.ay[i] = particle.acceleration.y;
+        this.size[i] = particle.size;
+        this.minSize[i] = particle.minSize;
+        this.maxSize[i] = particle.maxSize;
+        this.hue[i] = particle.hue;
+        this.saturation[i] = particle.saturation;
+        this.brightness[i] = particle.brightness;
+        this.alpha[i] = particle.alpha;
+        this.maxAlpha[i] = particle.maxAlpha;
+        this.mass[i] = particle.mass;
+        this.life[i] = particle.lifespan;
+        this.maxLife[i] = particle.maxLifespan;
+        this.damping[i] = particle.damping;
+        this.rotation[i] = particle.rotation;
+        this.rotationSpeed[i] = particle.rotationSpeed;
+        this.pulsePhase[i] = particle.pulsePhase;
+        this.explosionForce[i] = particle.explosionForce;
+        this.pathProgress[i] = particle.pathProgress;
+        this.pathInfluence[i] = particle.pathInfluence;
+        this.trail[i] = particle.trail ? 1 : 0;
+        this.exploding[i] = particle.isExploding ? 1 : 0;
+        this.followPath[i] = particle.followPath ? 1 : 0;
+        this.mode[i] = this.modeIndex(particle.mode);
+        this.shape[i] = particle.shapeId;
+        this.paths[i] = particle.followPath ? particle.pathData : null;
+
+        // 生成用の Particle を次の生成で使い回す
+        particle.pathData = null;
+        if (this.pool.length < this.maxPoolSize) {
+            this.pool.push(particle);
+            this.poolStats.released++;
+        } else {
+            this.poolStats.dropped++;
+        }
+        return true;
+    }
+
+    /**
+     * パーティクルの削除（末尾の要素を移して詰める）
+     * @param {number} index - 削除する位置
+     */
+    removeAt(index) {
+        const last = --this.length;
+        if (index !== last) {
+            for (let f = 0; f < SOA_FLOAT_FIELDS.length; f++) {
+                const array = this[SOA_FLOAT_FIELDS[f]];
+                array[index] = array[last];
+            }
+            for (let f = 0; f < SOA_BYTE_FIELDS.length; f++) {
+                const array = this[SOA_BYTE_FIELDS[f]];
+                array[index] = array[last];
+            }
+            this.paths[index] = this.paths[last];
+        }
+        this.paths[last] = null;
+    }
+
+    /**
+     * 残り寿命が最も短いパーティクルの位置
+     * @returns {number} 位置
+     */
+    findShortestLivedIndex() {
+        let shortestIndex = 0;
+        for (let i = 1; i < this.length; i++) {
+            if (this.life[i] < this.life[shortestIndex]) {
+                shortestIndex = i;
+            }
+        }
+        return shortestIndex;
+    }
+
+    /**
+     * 最大パーティクル数の変更（超えた分は末尾から削除）
+     * @param {number} capacity - 最大パーティクル数
+     */
+    setCapacity(capacity) {
+        this.allocate(capacity);
+    }
+
+    /**
+     * 全パーティクルへの処理
+     * コールバックには共有ビューが渡されるため、参照を保持しないこと
+     * @param {Function} callback - (view) => void
+     */
+    forEach(callback) {
+        for (let i = 0; i < this.length; i++) {
+            callback(this.view.at(i));
+        }
+    }
+
+    /**
+     * 位置番号のパーティクル（共有ビュー）
+     * 2つのパーティクルを同時に扱う場合は slot を変えて別のビューを使う
+     * @param {number} index - 位置
+     * @param {number} slot - ビューの番号（0 または 1）
+     * @returns {SoAParticleView} ビュー
+     */
+    at(index, slot = 0) {
+        return this.views[slot].at(index);
+    }
+
+    /** 位置番号のパーティクルのX座標（空間グリッド用） */
+    getX(index) {
+        return this.x[index];
+    }
+
+    /** 位置番号のパーティクルのY座標（空間グリッド用） */
+    getY(index) {
+        return this.y[index];
+    }
+
+    /**
+     * 1ステップ分の更新（力の適用・物理演算・寿命切れの削除）
+     * Particle.update と同じ順序・同じ式をスカラー演算で行う
+     * @param {ParticleSystem} system - パーティクルシステム
+     * @param {number} dt - ステップの長さ（秒）
+     */
+    update(system, dt) {
+        const config = system.effectConfigs[system.currentEffect];
+        const effect = effectRegistry.get(system.currentEffect);
+        const forces = effect && effect.forces;
+        const particleConfig = Config.PARTICLES;
+        const pressureRange = particleConfig.DRAG_INTERACTION.PRESSURE_ATTRACTION_RANGE;
+        const attractDistance = particleConfig.PHYSICS.MOUSE_ATTRACTION_DISTANCE;
+        const pathConfig = particleConfig.PATH_FOLLOWING;
+        const fadeStart = particleConfig.APPEARANCE.FADE_START_TIME;
+        const effectsConfig = Config.RENDERING.EFFECTS;
+        const bounceCoeff = -Config.RENDERING.BOUNDS.BOUNCE_DAMPING;
+        const gravityX = config.gravity ? system.gravity.x : 0;
+        const gravityY = config.gravity ? system.gravity.y : 0;
+        const attractors = config.mouseAttraction > 0 ? system.attractors : [];
+        const view = this.view;
+        const fields = system.forceFields;
+        const hasFields = fields.active.length > 0;
+
+        for (let i = this.length - 1; i >= 0; i--) {
+            const mass = this.mass[i];
+
+            // 重力の適用
+            this.ax[i] += gravityX / mass;
+            this.ay[i] += gravityY / mass;
+
+            // 配置された力場（引力・斥力・渦・壁・流れ場）
+            if (hasFields) {
+                const force = fields.forceAt(this.x[i], this.y[i]);
+                this.ax[i] += force.x / mass;
+                this.ay[i] += force.y / mass;
+            }
+
+            // 押下中のポインターへの引力
+            for (let a = 0; a < attractors.length; a++) {
+                const point = attractors[a];
+                const strength = config.mouseAttraction * penPressureFactor(point.pen || NEUTRAL_PEN, pressureRange);
+                const dx = point.x - this.x[i];
+                const dy = point.y - this.y[i];
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance > attractDistance.min && distance < attractDistance.max) {
+                    const magnitude = strength / (distance * distance * distance);
+                    this.ax[i] += dx * magnitude;
+                    this.ay[i] += dy * magnitude;
+                }
+            }
+
+            // エフェクト固有の力（渦巻きの風など）
+            if (forces) {
+                forces(view.at(i), system);
+            }
+
+            // パスに沿った動き
+            if (this.followPath[i]) {
+                this.updatePathMovement(i, pathConfig);
+            }
+
+            // 物理演算
+            const damping = this.damping[i];
+            this.px[i] = this.x[i];
+            this.py[i] = this.y[i];
+            this.vx[i] = (this.vx[i] + this.ax[i]) * damping;
+            this.vy[i] = (this.vy[i] + this.ay[i]) * damping;
+            this.x[i] += this.vx[i];
+            this.y[i] += this.vy[i];
+            this.ax[i] = 0;
+            this.ay[i] = 0;
+            this.rotation[i] += this.rotationSpeed[i];
+
+            // ライフスパンとフェードアウト
+            this.life[i] -= dt;
+            if (this.life[i] < fadeStart) {
+                this.alpha[i] = this.maxAlpha[i] * this.life[i] / fadeStart;
+            }
+
+            // モード固有の挙動（パルス・色相変化など）
+            const behavior = this.behaviors[this.mode[i]];
+            if (behavior && behavior.update) {
+                behavior.update(view.at(i));
+            }
+
+            // 爆発効果の減衰
+            if (this.exploding[i]) {
+                this.explosionForce[i] *= effectsConfig.EXPLOSION_DECAY_RATE;
+                if (this.explosionForce[i] < effectsConfig.EXPLOSION_MIN_FORCE) {
+                    this.exploding[i] = 0;
+                }
+            }
+
+            // 画面端での跳ね返り
+            const margin = this.size[i];
+            if (this.x[i] < margin || this.x[i] > width - margin) {
+                this.vx[i] *= bounceCoeff;
+                this.x[i] = constrain(this.x[i], margin, width - margin);
+            }
+            if (this.y[i] < margin || this.y[i] > height - margin) {
+                this.vy[i] *= bounceCoeff;
+                this.y[i] = constrain(this.y[i], margin, height - margin);
+            }
+
+            // 死んだパーティクルの削除（後ろから走査しているので移した要素は処理済み）
+            if (this.life[i] <= 0 || this.alpha[i] <= 0) {
+                this.removeAt(i);
+            }
+        }
+    }
+
+    /**
+     * パスに沿った引力（Particle.updatePathMovement と同じ）
+     * @param {number} i - 位置
+     * @param {Object} pathConfig - PARTICLES.PATH_FOLLOWING
+     */
+    updatePathMovement(i, pathConfig) {
+        const path = this.paths[i];
+        if (!path || path.length < 2) return;
+
+        this.pathProgress[i] += pathConfig.PROGRESS_SPEED;
+        if (this.pathProgress[i] >= 1) {
+            this.followPath[i] = 0;
+            this.paths[i] = null;
+            return;
+        }
+
+        // 進行度に対応するパス上の点（線形補間）
+        const position = this.pathProgress[i] * (path.length - 1);
+        const i1 = Math.floor(position);
+        const i2 = Math.min(i1 + 1, path.length - 1);
+        const t = position - i1;
+        const targetX = path[i1].x + (path[i2].x - path[i1].x) * t;
+        const targetY = path[i1].y + (path[i2].y - path[i1].y) * t;
+
+        const dx = targetX - this.x[i];
+        const dy = targetY - this.y[i];
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > 0 && distance < pathConfig.MAX_ATTRACTION_DISTANCE) {
+            const magnitude = this.pathInfluence[i] * pathConfig.ATTRACTION_COEFFICIENT / distance / this.mass[i];
+            this.ax[i] += dx * magnitude;
+            this.ay[i] += dy * magnitude;
+        }
+    }
+
+    /**
+     * 描画（Particle.display と同じ見た目、円は回転を省略して座標変換なしで描く）
+     * @param {number} glowLayers - グローのレイヤー数
+     * @param {number} alpha - ステップ間の補間係数
+     */
+    display(glowLayers, alpha) {
+        const trailConfig = Config.RENDERING.TRAIL;
+        const glowConfig = Config.RENDERING.GLOW;
+        const minTrailSpeed = trailConfig.MIN_VELOCITY_FOR_DISPLAY;
+
+        for (let i = 0; i < this.length; i++) {
+            // 描画位置（ステップ間の補間）
+            const stepX = this.x[i] - this.px[i];
+            const stepY = this.y[i] - this.py[i];
+            const x = this.px[i] + stepX * alpha;
+            const y = this.py[i] + stepY * alpha;
+            const size = this.size[i];
+            const hue = this.hue[i];
+            const saturation = this.saturation[i];
+            const opacity = this.alpha[i];
+
+            // トレイル効果
+            if (this.trail[i] && this.vx[i] * this.vx[i] + this.vy[i] * this.vy[i] > minTrailSpeed * minTrailSpeed) {
+                strokeWeight(size * trailConfig.THICKNESS_MULTIPLIER);
+                stroke(hue, saturation, this.brightness[i], opacity * trailConfig.ALPHA_MULTIPLIER);
+                line(x - stepX, y - stepY, x, y);
+            }
+
+            noStroke();
+
+            // 円以外の形（spark は速度の向き、それ以外は rotation で回転）
+            const shapeId = this.shape[i];
+            if (shapeId !== SHAPE_CIRCLE) {
+                push();
+                translate(x, y);
+                rotate(particleShapes.orientation(shapeId, this.rotation[i], this.vx[i], this.vy[i]));
+                const stretch = particleShapes.stretch(shapeId, this.vx[i], this.vy[i], size);
+                particleShapes.display(shapeId, size, stretch, hue, saturation, this.brightness[i], opacity, glowLayers);
+                pop();
+                continue;
+            }
+
+            // グロー効果
+            for (let layer = glowLayers; layer > 0; layer--) {
+                const glowSize = size * (glowConfig.SIZE_MULTIPLIER_BASE + layer * glowConfig.SIZE_MULTIPLIER_STEP);
+                fill(hue, saturation, this.brightness[i], opacity * (glowConfig.ALPHA_DIVISOR_BASE / layer));
+                ellipse(x, y, glowSize, glowSize);
+            }
+
+            // コア
+            fill(hue, saturation * 0.5, 100, opacity);
+            ellipse(x, y, size, size);
+        }
+    }
+
+    /**
+     * WebGL 描画用のインスタンスデータの書き込み（Particle.writeInstance と同じ並び）
+     * @param {Float32Array} target - 書き込み先（count × PARTICLE_INSTANCE_FLOATS 以上）
+     * @param {number} alpha - ステップ間の補間係数
+     * @returns {number} 書き込んだパーティクル数
+     */
+    writeInstances(target, alpha) {
+        const minTrailSpeed = Config.RENDERING.TRAIL.MIN_VELOCITY_FOR_DISPLAY;
+
+        for (let i = 0; i < this.length; i++) {
+            const offset = i * PARTICLE_INSTANCE_FLOATS;
+            const stepX = this.x[i] - this.px[i];
+            const stepY = this.y[i] - this.py[i];
+            const showTrail = this.trail[i] && this.vx[i] * this.vx[i] + this.vy[i] * this.vy[i] > minTrailSpeed * minTrailSpeed;
+
+            target[offset] = this.px[i] + stepX * alpha;
+            target[offset + 1] = this.py[i] + stepY * alpha;
+            target[offset + 2] = showTrail ? stepX : 0;
+            target[offset + 3] = showTrail ? stepY : 0;
+            target[offset + 4] = this.size[i];
+            target[offset + 5] = this.hue[i];
+            target[offset + 6] = this.saturation[i];
+            target[offset + 7] = this.brightness[i];
+            target[offset + 8] = this.alpha[i];
+            target[offset + 9] = particleShapes.orientation(this.shape[i], this.rotation[i], this.vx[i], this.vy[i]);
+            target[offset + 10] = this.shape[i];
+            target[offset + 11] = particleShapes.stretch(this.shape[i], this.vx[i], this.vy[i], this.size[i]);
+        }
+        return this.length;
+    }
+
+    /**
+     * 全パーティクルの削除
+     */
+    clear() {
+        this.length = 0;
+        this.paths.length = 0;
+    }
+
+    /**
+     * 生成用 Particle のプールの統計
+     * @returns {Object} プールサイズ・再利用（hit）と新規生成（miss）の回数など
+     */
+    getPoolStats() {
+        return ParticleStorage.describePool(this.pool.length, this.maxPoolSize, this.poolStats);
+    }
+}
+
+/**
+ * SoA の1要素のベクトル（position / velocity などを p5.Vector のように読み書きする）
+ */
+class SoAVectorView {
+    /**
+     * @param {SoAParticleView} view - 親のビュー
+     * @param {string} xField - X成分のフィールド名
+     * @param {string} yField - Y成分のフィールド名
+     */
+    constructor(view, xField, yField) {
+        this.view = view;
+        this.xField = xField;
+        this.yField = yField;
+    }
+
+    get x() { return this.view.store[this.xField][this.view.index]; }
+    set x(value) { this.view.store[this.xField][this.view.index] = value; }
+    get y() { return this.view.store[this.yField][this.view.index]; }
+    set y(value) { this.view.store[this.yField][this.view.index] = value; }
+
+    set(x, y) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+
+    add(vector) {
+        this.x += vector.x;
+        this.y += vector.y;
+        return this;
+    }
+
+    mult(scalar) {
+        this.x *= scalar;
+        this.y *= scalar;
+        return this;
+    }
+
+    mag() {
+        return Math.hypot(this.x, this.y);
+    }
+
+    copy() {
+        return createVector(this.x, this.y);
+    }
+}
+
+/**
+ * SoA の1要素を Particle と同じプロパティ・メソッドで扱う共有ビュー
+ * エフェクトの挙動（behavior.init / update）・力（forces）・爆発やドラッグの力の適用に渡す
+ */
+class SoAParticleView {
+    /**
+     * @param {SoAParticleStorage} store - 格納先
+     */
+    constructor(store) {
+        this.store = store;
+        this.index = 0;
+        this.position = new SoAVectorView(this, 'x', 'y');
+        this.previousPosition = new SoAVectorView(this, 'px', 'py');
+        this.velocity = new SoAVectorView(this, 'vx', 'vy');
+        this.acceleration = new SoAVectorView(this, 'ax', 'ay');
+    }
+
+    /**
+     * 対象の要素の切り替え
+     * @param {number} index - 位置
+     * @returns {SoAParticleView} this
+     */
+    at(index) {
+        this.index = index;
+        return this;
+    }
+
+    get mode() { return this.store.modeNames[this.store.mode[this.index]]; }
+    get behavior() { return this.store.behaviors[this.store.mode[this.index]]; }
+
+    // 力を加える
+    applyForce(force) {
+        const mass = this.store.mass[this.index];
+        this.store.ax[this.index] += force.x / mass;
+        this.store.ay[this.index] += force.y / mass;
+    }
+
+    // マウスへの引力/斥力
+    attractToMouse(mouseX, mouseY, strength = 1) {
+        const store = this.store;
+        const i = this.index;
+        const dx = mouseX - store.x[i];
+        const dy = mouseY - store.y[i];
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const distRange = Config.PARTICLES.PHYSICS.MOUSE_ATTRACTION_DISTANCE;
+        if (distance > distRange.min && distance < distRange.max) {
+            const magnitude = strength / (distance * distance * distance);
+            store.ax[i] += dx * magnitude;
+            store.ay[i] += dy * magnitude;
+        }
+    }
+
+    // 爆発エフェクト
+    explode(centerX, centerY, force) {
+        const store = this.store;
+        const i = this.index;
+        const dx = store.x[i] - centerX;
+        const dy = store.y[i] - centerY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > 0) {
+            const magnitude = force / distance / store.mass[i];
+            store.ax[i] += dx * magnitude;
+            store.ay[i] += dy * magnitude;
+        }
+        store.exploding[i] = 1;
+        store.explosionForce[i] = force;
+    }
+
+    // パーティクルが生きているかチェック
+    isDead() {
+        return this.lifespan <= 0 || this.alpha <= 0;
+    }
+
+    // エフェクトモードの設定
+    setMode(mode) {
+        this.store.mode[this.index] = this.store.modeIndex(mode);
+        const behavior = this.behavior;
+        if (behavior && behavior.init) {
+            behavior.init(this);
+        }
+    }
+}
+
+// Particle と同じ名前のスカラープロパティを配列に対応付ける
+Object.entries({
+    size: 'size', minSize: 'minSize', maxSize: 'maxSize',
+    hue: 'hue', saturation: 'saturation', brightness: 'brightness', alpha: 'alpha', maxAlpha: 'maxAlpha',
+    mass: 'mass', lifespan: 'life', maxLifespan: 'maxLife', damping: 'damping',
+    rotation: 'rotation', rotationSpeed: 'rotationSpeed', pulsePhase: 'pulsePhase',
+    explosionForce: 'explosionForce', pathProgress: 'pathProgress', pathInfluence: 'pathInfluence'
+}).forEach(([property, field]) => {
+    Object.defineProperty(SoAParticleView.prototype, property, {
+        get() { return this.store[field][this.index]; },
+        set(value) { this.store[field][this.index] = value; }
+    });
+});
+['trail', 'followPath'].forEach(field => {
+    Object.defineProperty(SoAParticleView.prototype, field, {
+        get() { return this.store[field][this.index] === 1; },
+        set(value) { this.store[field][this.index] = value ? 1 : 0; }
+    });
+});
+Object.defineProperty(SoAParticleView.prototype, 'shapeId', {
+    get() { return this.store.shape[this.index]; },
+    set(value) { this.store.shape[this.index] = value; }
+});
+Object.defineProperty(SoAParticleView.prototype, 'shape', {
+    get() { return particleShapes.nameOf(this.store.shape[this.index]); },
+    set(name) { this.store.shape[this.index] = particleShapes.idOf(name); }
+});
+Object.defineProperty(SoAParticleView.prototype, 'isExploding', {
+    get() { return this.store.exploding[this.index] === 1; },
+    set(value) { this.store.exploding[this.index] = value ? 1 : 0; }
+});
+
+/**
+ * 格納方式の生成
+ */
+class ParticleStorage {
+    /**
+     * 格納方式の生成
+     * @param {string} backend - 'objects' | 'soa'
+     * @param {number} capacity - 最大パーティクル数
+     * @returns {ObjectParticleStorage|SoAParticleStorage} 格納方式
+     */
+    static create(backend, capacity) {
+        return backend === 'soa' ? new SoAParticleStorage(capacity) : new ObjectParticleStorage(capacity);
+    }
+
+    /**
+     * プール統計の表示用の形式
+     * @param {number} size - プール内の数
+     * @param {number} maxSize - プールの上限
+     * @param {Object} stats - { hits, misses, released, dropped }
+     * @returns {Object} プール統計
+     */
+    static describePool(size, maxSize, stats) {
+        const requests = stats.hits + stats.misses;
+        return {
+            size,
+            maxSize,
+            hits: stats.hits,
+            misses: stats.misses,
+            hitRate: requests > 0 ? stats.hits / requests : 0,
+            released: stats.released,
+            dropped: stats.dropped
+        };
+    }
+}
+
+// グローバルアクセス用
+window.ObjectParticleStorage = ObjectParticleStorage;
+window.SoAParticleStorage = SoAParticleStorage;
+window.ParticleStorage = ParticleStorage;
@@ -15,7 +15,6 @@ class ParticleSystem {
             const effectsConfig = Config.EFFECTS;
             
             // 基本設定
-            this.particles = [];
             this.maxParticles = options.maxParticles || particleConfig.MAX_COUNT;
             this.currentEffect = options.initialEffect || 1;
             this.time = 0;
@@ -34,6 +33,12 @@ class ParticleSystem {
             );
             this.wind = createVector(0, 0);
             
+            // 力の計算で使い回すベクトル（パーティクルごとの生成を避ける）
+            this.scratchForce = createVector(0, 0);
+            
+            // 押下中のポインター位置（パーティクルを引き寄せる点）
+            this.attractors = [];
+            
             // エフェクト別の設定（Configから取得）
             this.effectConfigs = effectsConfig.CONFIGS;
             
@@ -45,18 +50,36 @@ class ParticleSystem {
                 lastPerformanceCheck: 0
             };
             
-            // オブジェクトプール（メモリ効率化）
-            this.particlePool = [];
-            this.maxPoolSize = Math.min(this.maxParticles * 2, 2000);
+            // パーティクルの格納方式（オブジェクト配列 / 型付き配列）とオブジェクトプール
+            this.backend = particleConfig.BACKEND;
+            this.storage = ParticleStorage.create(this.backend, this.maxParticles);
+            
+            // パーティクルの描画方式（2D / WebGL）
+            this.renderer = ParticleRenderer.create(Config.RENDERING.RENDERER);
+            
+            // 近傍検索の空間グリッド（update の最後に作り直す）
+            this.spatialGrid = new SpatialHashGrid(particleConfig.SPATIAL_GRID.CELL_SIZE);
+            
+            // パーティクル同士の相互作用（エフェクトごとに有効化）
+            this.interactions = new ParticleInteractions();
+            
+            // 配置された力場（FORCE_FIELDS.FIELDS）
+            this.forceFields = new ForceFieldSystem();
             
-            // 自動パフォーマンス調整
+            // 自動パフォーマンス調整（QualityGovernor が参照・更新する）
             this.adaptiveSettings = {
-                enabled: true,
+                enabled: Config.QUALITY.ENABLED,
                 targetFPS: Config.CANVAS.TARGET_FPS,
                 minParticles: particleConfig.MIN_COUNT,
                 performanceHistory: []
             };
             
+            // 品質の自動調整による縮小率（最大パーティクル数・グローのレイヤー数）
+            this.qualityScales = { particles: 1, glow: 1 };
+            
+            // 実行時の設定変更を購読
+            this.subscribeToConfig();
+            
             console.log('✅ ParticleSystem initialized successfully');
         } catch (error) {
             errorHandler.handleError(new AppError(
@@ -75,15 +98,20 @@ class ParticleSystem {
      * フォールバック設定の初期化
      */
     initializeFallbackSettings() {
-        this.particles = [];
         this.maxParticles = 1000;
         this.currentEffect = 1;
         this.gravity = createVector(0, 0.1);
         this.wind = createVector(0, 0);
+        this.scratchForce = createVector(0, 0);
+        this.attractors = [];
         this.time = 0;
         this.soundSystem = null;
-        this.particlePool = [];
-        this.maxPoolSize = 2000;
+        this.backend = 'objects';
+        this.storage = new ObjectParticleStorage(this.maxParticles);
+        this.renderer = new Canvas2DParticleRenderer();
+        this.spatialGrid = new SpatialHashGrid(50);
+        this.interactions = new ParticleInteractions();
+        this.forceFields = new ForceFieldSystem();
         
         // 爆発管理システム
         this.explosionManager = new ExplosionManager();
@@ -107,6 +135,117 @@ class ParticleSystem {
         this.adaptiveSettings = {
             enabled: true, targetFPS: 60, minParticles: 50, performanceHistory: []
         };
+        this.qualityScales = { particles: 1, glow: 1 };
+    }
+    
+    /**
+     * 設定変更の購読
+     * 実行時に変更された設定値を稼働中のシステムへ反映する
+     */
+    subscribeToConfig() {
+        this.configSubscriptions = [
+            Config.subscribe('PARTICLES.MAX_COUNT', (maxCount) => {
+                this.setMaxParticles(this.scaledMaxParticles(maxCount));
+            }),
+            Config.subscribe('PARTICLES.MIN_COUNT', (minCount) => {
+                this.adaptiveSettings.minParticles = minCount;
+            }),
+            Config.subscribe('PARTICLES.PHYSICS.DEFAULT_GRAVITY', (gravity) => {
+                this.gravity.set(gravity.x, gravity.y);
+            }),
+            Config.subscribe('CANVAS.TARGET_FPS', (targetFPS) => {
+                this.adaptiveSettings.targetFPS = targetFPS;
+            }),
+            Config.subscribe('QUALITY.ENABLED', (enabled) => {
+                this.adaptiveSettings.enabled = enabled;
+            }),
+            Config.subscribe('PARTICLES.BACKEND', (backend) => {
+                this.setBackend(backend);
+            }),
+            Config.subscribe('RENDERING.RENDERER', (renderer) => {
+                this.setRenderer(renderer);
+            }),
+            Config.subscribe('PARTICLES.SPATIAL_GRID.CELL_SIZE', (cellSize) => {
+                this.spatialGrid.setCellSize(cellSize);
+                this.spatialGrid.rebuild(this.storage);
+            })
+        ];
+    }
+    
+    /**
+     * 最大パーティクル数の変更
+     * 上限を超えた分は古いものから削除する
+     * @param {number} maxParticles - 新しい最大パーティクル数
+     */
+    setMaxParticles(maxParticles) {
+        return ErrorUtils.safeExecute(() => {
+            if (!isFinite(maxParticles) || maxParticles < 0) {
+                throw new Error(`Invalid max particle count: ${maxParticles}`);
+            }
+            
+            this.maxParticles = Math.floor(maxParticles);
+            const count = this.storage.count;
+            this.storage.setCapacity(this.maxParticles);
+            if (this.storage.count < count) {
+                // 超えた分の削除で位置番号が変わったため、近傍検索の前に空間グリッドを作り直す
+                this.spatialGrid.markStale();
+            }
+            
+            console.log(`ParticleSystem max particles set to ${this.maxParticles}`);
+        }, 'ParticleSystem.setMaxParticles');
+    }
+    
+    /**
+     * 品質の自動調整による縮小率の設定
+     * @param {number} particleScale - 最大パーティクル数の縮小率
+     * @param {number} glowScale - グローのレイヤー数の縮小率
+     */
+    setQuality(particleScale, glowScale) {
+        this.qualityScales = { particles: particleScale, glow: glowScale };
+        this.setMaxParticles(this.scaledMaxParticles(Config.PARTICLES.MAX_COUNT));
+    }
+    
+    /**
+     * 品質の縮小率を適用した最大パーティクル数（最小維持数は下回らない）
+     * @param {number} maxCount - 設定上の最大パーティクル数
+     * @returns {number} 最大パーティクル数
+     */
+    scaledMaxParticles(maxCount) {
+        const scaled = Math.floor(maxCount * this.qualityScales.particles);
+        return Math.min(maxCount, Math.max(this.adaptiveSettings.minParticles, scaled));
+    }
+    
+    /**
+     * パーティクルの格納方式の切り替え
+     * 格納形式が異なるため、現在のパーティクルは破棄して初期パーティクルを作り直す
+     * @param {string} backend - 'objects' | 'soa'
+     */
+    setBackend(backend) {
+        return ErrorUtils.safeExecute(() => {
+            if (backend === this.backend) return;
+            
+            this.storage.clear();
+            this.backend = backend;
+            this.storage = ParticleStorage.create(backend, this.maxParticles);
+            this.createInitialParticles();
+            
+            console.log(`ParticleSystem backend set to ${backend}`);
+        }, 'ParticleSystem.setBackend');
+    }
+    
+    /**
+     * パーティクルの描画方式の切り替え（webgl を使えない場合は 2d）
+     * @param {string} type - '2d' | 'webgl'
+     */
+    setRenderer(type) {
+        return ErrorUtils.safeExecute(() => {
+            if (type === this.renderer.name) return;
+            
+            this.renderer.dispose();
+            this.renderer = ParticleRenderer.create(type);
+            
+            console.log(`ParticleSystem renderer set to ${this.renderer.name}`);
+        }, 'ParticleSystem.setRenderer');
     }
     
     /**
@@ -147,8 +286,9 @@ class ParticleSystem {
                 centerX,
                 centerY,
                 numParticles,
-                random(50, 150),
-                baseOptions
+                randomService.particles.random(50, 150),
+                baseOptions,
+                () => this.storage.acquire()
             );
             
             // 作成されたパーティクルを追加
@@ -158,7 +298,9 @@ class ParticleSystem {
                 }
             });
             
-            console.log(`✅ Created ${this.particles.length} initial particles`);
+            this.spatialGrid.rebuild(this.storage);
+            
+            console.log(`✅ Created ${this.storage.count} initial particles`);
         }, 'ParticleSystem.createInitialParticles', 50);
     }
     
@@ -189,33 +331,24 @@ class ParticleSystem {
      */
     createParticle(x, y, config) {
         return ErrorUtils.safeExecute(() => {
-            // オブジェクトプールから再利用
-            let particle = this.particlePool.pop();
-            
-            if (particle) {
-                // 既存パーティクルを再初期化
-                particle.reset(x, y, config);
-            } else {
-                // パーティクルのタイプを判定
-                let type = 'basic';
-                if (config.followPath) {
-                    type = 'pathExplosion';
-                } else if (config.isExplosion) {
-                    type = 'explosion';
-                } else if (config.trail && config.mode === 'trail') {
-                    type = 'trail';
-                }
-                
-                // ファクトリーシステムを使用して新しいパーティクルを作成
-                particle = this.particleFactoryManager.createParticle(type, x, y, config);
+            // パーティクルのタイプを判定
+            let type = 'basic';
+            if (config.followPath) {
+                type = 'pathExplosion';
+            } else if (config.isExplosion) {
+                type = 'explosion';
+            } else if (config.trail && config.mode === 'trail') {
+                type = 'trail';
             }
             
-            return particle;
+            // ファクトリーシステムで作成（プールにあれば再初期化して再利用）
+            return this.particleFactoryManager.createParticle(type, x, y, config, this.storage.acquire());
         }, 'ParticleSystem.createParticle', null);
     }
     
     /**
      * パーティクルの追加
+     * 最大数に達している場合は残り寿命が最も短いパーティクルを削除する
      * @param {Particle} particle - 追加するパーティクル
      * @returns {boolean} 追加に成功したかどうか
      */
@@ -226,27 +359,69 @@ class ParticleSystem {
                 return false;
             }
             
-            if (this.particles.length >= this.maxParticles) {
-                // 最大数に達している場合、最も古いパーティクルを削除
-                const removedParticle = this.particles.shift();
-                this.returnParticleToPool(removedParticle);
+            const count = this.storage.count;
+            const added = this.storage.add(particle);
+            if (added && this.storage.count <= count) {
+                // 最大数に達していたため入れ替えで削除された（空間グリッドの位置番号が別のパーティクルを指す）
+                this.spatialGrid.markStale();
             }
-            
-            this.particles.push(particle);
-            return true;
+            return added;
         }, 'ParticleSystem.addParticle', false);
     }
     
     /**
-     * パーティクルをプールに返却
-     * @param {Particle} particle - 返却するパーティクル
+     * 全パーティクルへの処理
+     * 型付き配列の格納方式では共有ビューが渡されるため、コールバックの外で参照を保持しないこと
+     * @param {Function} callback - (particle) => void
+     */
+    forEachParticle(callback) {
+        this.storage.forEach(callback);
+    }
+    
+    /**
+     * 半径内のパーティクルへの処理（空間グリッドで候補を絞り込む）
+     * グリッドは update の最後に作り直すため、それ以降に追加されたパーティクルは対象外
+     * （最大数に達した追加などで位置番号が入れ替わった場合は、ここで作り直してから検索する）
+     * @param {number} x - 中心X座標
+     * @param {number} y - 中心Y座標
+     * @param {number} radius - 半径（この距離未満が対象）
+     * @param {Function} callback - (particle, distance) => void
+     */
+    forEachParticleNear(x, y, radius, callback) {
+        this.refreshSpatialGrid();
+        const count = this.storage.count;
+        const radiusSq = radius * radius;
+        
+        this.spatialGrid.query(x, y, radius, index => {
+            // 作り直し後の削除で範囲外になった位置は飛ばす
+            if (index >= count) return;
+            
+            const dx = this.storage.getX(index) - x;
+            const dy = this.storage.getY(index) - y;
+            const distanceSq = dx * dx + dy * dy;
+            if (distanceSq < radiusSq) {
+                callback(this.storage.at(index), Math.sqrt(distanceSq));
+            }
+        });
+    }
+    
+    /**
+     * 位置番号が入れ替わって古くなった空間グリッドの作り直し
      */
-    returnParticleToPool(particle) {
-        if (particle && this.particlePool.length < this.maxPoolSize) {
-            this.particlePool.push(particle);
+    refreshSpatialGrid() {
+        if (this.spatialGrid.stale) {
+            this.spatialGrid.rebuild(this.storage);
         }
     }
     
+    /**
+     * オブジェクトプールの統計
+     * @returns {Object} プールサイズ・再利用（hit）と新規生成（miss）の回数など
+     */
+    getPoolStats() {
+        return this.storage.getPoolStats();
+    }
+    
     /**
      * 爆発エフェクトの作成
      * @param {number} x - 爆発の中心X座標
@@ -304,29 +479,27 @@ class ParticleSystem {
             // パスの方向を基準にした角度の計算
             const baseAngle = atan2(pathDirection.y, pathDirection.x);
             const spreadAngle = Config.PARTICLES.PATH_EXPLOSION.SPREAD_ANGLE;
-            const angle = baseAngle + random(-spreadAngle, spreadAngle);
+            const angle = baseAngle + randomService.particles.random(-spreadAngle, spreadAngle);
             
             // パスの速度に応じた初期速度
             const velocityCoeff = Config.PARTICLES.PATH_EXPLOSION.VELOCITY_COEFFICIENT;
             const baseSpeed = explosionForce + pathVelocity * velocityCoeff;
-            const speed = random(baseSpeed * 0.5, baseSpeed);
+            const speed = randomService.particles.random(baseSpeed * 0.5, baseSpeed);
             
             const particleConfig = this.createParticleConfig({
                 direction: { x: cos(angle), y: sin(angle) },
                 speed: speed,
-                size: random(Config.PARTICLES.PATH_EXPLOSION.SIZE_RANGE.min, Config.PARTICLES.PATH_EXPLOSION.SIZE_RANGE.max),
-                hue: random(Config.PARTICLES.APPEARANCE.HUE_RANGE),
-                saturation: 100,
-                brightness: 100,
+                size: randomService.particles.random(Config.PARTICLES.PATH_EXPLOSION.SIZE_RANGE.min, Config.PARTICLES.PATH_EXPLOSION.SIZE_RANGE.max),
+                ...paletteManager.sample(randomService.particles),
                 alpha: 100,
-                lifespan: random(explosionConfig.LIFESPAN_RANGE.min * Config.PARTICLES.PATH_EXPLOSION.LIFESPAN_MULTIPLIER, explosionConfig.LIFESPAN_RANGE.max * Config.PARTICLES.PATH_EXPLOSION.LIFESPAN_MULTIPLIER),
+                lifespan: randomService.particles.random(explosionConfig.LIFESPAN_RANGE.min * Config.PARTICLES.PATH_EXPLOSION.LIFESPAN_MULTIPLIER, explosionConfig.LIFESPAN_RANGE.max * Config.PARTICLES.PATH_EXPLOSION.LIFESPAN_MULTIPLIER),
                 mode: this.effectConfigs[this.currentEffect].mode,
                 trail: true,
                 // パスに沿った動きのための追加プロパティ
                 followPath: true,
                 pathData: this.simplifyPath(path),
                 pathProgress: 0,
-                pathInfluence: random(Config.PARTICLES.PATH_FOLLOWING.INFLUENCE_RANGE.min, Config.PARTICLES.PATH_FOLLOWING.INFLUENCE_RANGE.max)
+                pathInfluence: randomService.particles.random(Config.PARTICLES.PATH_FOLLOWING.INFLUENCE_RANGE.min, Config.PARTICLES.PATH_FOLLOWING.INFLUENCE_RANGE.max)
             });
             
             const particle = this.createParticle(x, y, particleConfig);
@@ -390,18 +563,16 @@ class ParticleSystem {
         const explosionConfig = Config.PARTICLES.EXPLOSION;
         
         for (let i = 0; i < numParticles; i++) {
-            const angle = (TWO_PI / numParticles) * i + random(-explosionConfig.ANGLE_VARIATION, explosionConfig.ANGLE_VARIATION);
-            const speed = random(explosionForce * 0.5, explosionForce);
+            const angle = (TWO_PI / numParticles) * i + randomService.particles.random(-explosionConfig.ANGLE_VARIATION, explosionConfig.ANGLE_VARIATION);
+            const speed = randomService.particles.random(explosionForce * 0.5, explosionForce);
             
             const particleConfig = this.createParticleConfig({
                 direction: { x: cos(angle), y: sin(angle) },
                 speed: speed,
-                size: random(explosionConfig.SIZE_RANGE?.min || 4, explosionConfig.SIZE_RANGE?.max || 10),
-                hue: random(Config.PARTICLES.APPEARANCE.HUE_RANGE),
-                saturation: 100,
-                brightness: 100,
+                size: randomService.particles.random(explosionConfig.SIZE_RANGE?.min || 4, explosionConfig.SIZE_RANGE?.max || 10),
+                ...paletteManager.sample(randomService.particles),
                 alpha: 100,
-                lifespan: random(explosionConfig.LIFESPAN_RANGE.min, explosionConfig.LIFESPAN_RANGE.max),
+                lifespan: randomService.particles.random(explosionConfig.LIFESPAN_RANGE.min, explosionConfig.LIFESPAN_RANGE.max),
                 mode: this.effectConfigs[this.currentEffect].mode,
                 trail: true
             });
@@ -425,11 +596,8 @@ class ParticleSystem {
         let affectedCount = 0;
         const influenceRadius = Config.PARTICLES.EXPLOSION.INFLUENCE_RADIUS;
         
-        this.particles.forEach(p => {
-            if (!p.position) return;
-            
-            const distance = dist(p.position.x, p.position.y, x, y);
-            if (distance < influenceRadius && distance > 0) {
+        this.forEachParticleNear(x, y, influenceRadius, (p, distance) => {
+            if (distance > 0) {
                 const force = map(distance, 0, influenceRadius, explosionForce, 0);
                 if (typeof p.explode === 'function') {
                     p.explode(x, y, force);
@@ -465,12 +633,9 @@ class ParticleSystem {
             let affectedCount = 0;
             const influenceRadius = dragConfig.BASE_INFLUENCE_RADIUS;
             
-            this.particles.forEach(particle => {
-                if (!particle.position) return;
-                
-                const distance = dist(particle.position.x, particle.position.y, mouseX, mouseY);
-                if (distance < influenceRadius && distance > 0) {
-                    const scaledForce = p5.Vector.mult(force, map(distance, 0, influenceRadius, 1, 0));
+            this.forEachParticleNear(mouseX, mouseY, influenceRadius, (particle, distance) => {
+                if (distance > 0) {
+                    const scaledForce = this.scratchForce.set(force).mult(map(distance, 0, influenceRadius, 1, 0));
                     if (typeof particle.applyForce === 'function') {
                         particle.applyForce(scaledForce);
                         affectedCount++;
@@ -482,15 +647,25 @@ class ParticleSystem {
         }, 'ParticleSystem.applyForce', 5);
     }
     
+    /**
+     * 押下中のポインター位置の設定
+     * 各ポインターがそれぞれパーティクルを引き寄せる
+     * @param {Array<{x: number, y: number}>} points - ポインター位置
+     */
+    setAttractors(points) {
+        this.attractors = points;
+    }
+    
     /**
      * 強化されたマウスによる力の適用
      * @param {number} mouseX - 現在のマウスX座標
      * @param {number} mouseY - 現在のマウスY座標
      * @param {number} pmouseX - 前のマウスX座標
      * @param {number} pmouseY - 前のマウスY座標
+     * @param {Object} pen - ペン入力（筆圧で引力の強さが変わる）
      * @returns {Object} 詳細な影響統計
      */
-    applyEnhancedForce(mouseX, mouseY, pmouseX, pmouseY) {
+    applyEnhancedForce(mouseX, mouseY, pmouseX, pmouseY, pen = NEUTRAL_PEN) {
         return ErrorUtils.executeWithPerformanceMonitoring(() => {
             // 座標の検証
             if (!this.validateMouseCoordinates(mouseX, mouseY, pmouseX, pmouseY)) {
@@ -515,21 +690,17 @@ class ParticleSystem {
             const influenceRadius = dragConfig.ENHANCED_INFLUENCE_RADIUS;
             const syncRadius = dragConfig.SYNC_RADIUS;
             const minSpeedForAttraction = dragConfig.MIN_DRAG_SPEED_FOR_ATTRACTION;
+            const pressureFactor = penPressureFactor(pen, dragConfig.PRESSURE_ATTRACTION_RANGE);
             
-            this.particles.forEach(particle => {
-                if (!particle.position || typeof particle.applyForce !== 'function') return;
-                
-                const distance = dist(particle.position.x, particle.position.y, mouseX, mouseY);
-                
-                if (distance < influenceRadius && distance > 0) {
+            this.forEachParticleNear(mouseX, mouseY, influenceRadius, (particle, distance) => {
+                if (distance > 0) {
                     stats.totalAffected++;
                     
                     // 距離による力の減衰計算
                     const distanceRatio = map(distance, 0, influenceRadius, 1, 0.1);
                     
                     // 基本的なドラッグ力の適用
-                    const dragForce = p5.Vector.mult(dragVector, distanceRatio);
-                    particle.applyForce(dragForce);
+                    particle.applyForce(this.scratchForce.set(dragVector).mult(distanceRatio));
                     stats.dragAffected++;
                     
                     // ドラッグ位置への引力効果（速いドラッグ時のみ）
@@ -537,14 +708,14 @@ class ParticleSystem {
                         const attraction = this.calculateAttractionForce(
                             particle, mouseX, mouseY, dragSpeed, distanceRatio, dragConfig
                         );
+                        attraction.mult(pressureFactor);
                         particle.applyForce(attraction);
                         stats.attractionAffected++;
                     }
                     
                     // 近距離でのドラッグ同期効果
                     if (distance < syncRadius) {
-                        const syncForce = p5.Vector.mult(dragVector, dragConfig.SYNC_STRENGTH);
-                        particle.applyForce(syncForce);
+                        particle.applyForce(this.scratchForce.set(dragVector).mult(dragConfig.SYNC_STRENGTH));
                         stats.syncAffected++;
                     }
                 }
@@ -599,117 +770,79 @@ class ParticleSystem {
         return attraction;
     }
     
-    // システムの更新
-    update() {
+    // システムの更新（1ステップ分。dt: ステップの長さ（秒））
+    update(dt = simulationClock.stepSeconds) {
         this.time++;
         
-        // パーティクルの更新
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            
-            // エフェクト設定に基づく処理
-            const config = this.effectConfigs[this.currentEffect];
-            
-            // 重力の適用
-            if (config.gravity) {
-                particle.applyForce(this.gravity);
-            }
-            
-            // マウスへの引力
-            if (mouseIsPressed && config.mouseAttraction > 0) {
-                particle.attractToMouse(mouseX, mouseY, config.mouseAttraction);
-            }
-            
-            // 風の効果（サイン波で変化）
-            if (this.currentEffect === 5) {
-                this.wind.x = sin(this.time * 0.01) * 0.05;
-                this.wind.y = cos(this.time * 0.015) * 0.03;
-                particle.applyForce(this.wind);
-            }
-            
-            particle.update();
-            
-            // 死んだパーティクルの削除
-            if (particle.isDead()) {
-                this.particles.splice(i, 1);
-            }
-        }
+        // 力場の準備（設定・画面サイズの変更の反映と流れ場の時間）
+        this.forceFields.prepare(this.time);
+        
+        // パーティクル同士の相互作用（群れ・衝突・合体。前フレームの空間グリッドを使う）
+        this.interactions.apply(this);
+        
+        // パーティクルの更新（力の適用・物理演算・寿命切れの削除は格納方式ごとに行う）
+        this.storage.update(this, dt);
+        
+        // 近傍検索の空間グリッドの作り直し（この後の入力・次フレームの力の計算で使う）
+        this.spatialGrid.rebuild(this.storage);
         
         // パーティクル数の維持（エフェクトによって自動生成）
-        if (this.particles.length < 50 && random() < 0.1) {
+        const particleConfig = Config.PARTICLES;
+        if (this.storage.count < particleConfig.MIN_COUNT && randomService.particles.random() < particleConfig.AUTO_GENERATE_PROBABILITY) {
             this.generateNewParticles();
         }
     }
     
     // 新しいパーティクルの自動生成
     generateNewParticles() {
-        const numNew = random(1, 5);
+        const generationRange = Config.PARTICLES.NEW_GENERATION_RANGE;
+        const numNew = randomService.particles.random(generationRange.min, generationRange.max);
+        
+        const effect = effectRegistry.get(this.currentEffect);
         
         for (let i = 0; i < numNew; i++) {
-            let x, y;
-            
-            // エフェクトによって生成位置を変える
-            switch(this.currentEffect) {
-                case 1: // 中心から
-                    x = width / 2 + random(-50, 50);
-                    y = height / 2 + random(-50, 50);
-                    break;
-                case 2: // 画面端から
-                    if (random() < 0.5) {
-                        x = random() < 0.5 ? 0 : width;
-                        y = random(height);
-                    } else {
-                        x = random(width);
-                        y = random() < 0.5 ? 0 : height;
-                    }
-                    break;
-                case 3: // ランダム
-                    x = random(width);
-                    y = random(height);
-                    break;
-                case 4: // 上部から
-                    x = random(width);
-                    y = -10;
-                    break;
-                case 5: // 円形に配置
-                    const angle = random(TWO_PI);
-                    const radius = min(width, height) * 0.4;
-                    x = width / 2 + cos(angle) * radius;
-                    y = height / 2 + sin(angle) * radius;
-                    break;
-            }
+            // エフェクトによって生成位置を変える（未定義ならランダム）
+            const { x, y } = effect && effect.spawn ?
+                effect.spawn(this, i) :
+                { x: randomService.particles.random(width), y: randomService.particles.random(height) };
             
             const config = {
-                speed: random(0.5, 3),
-                size: random(2, 6),
-                hue: (this.time * 2 + i * 60) % 360,
-                saturation: random(60, 100),
-                brightness: 100,
-                alpha: random(60, 100),
-                lifespan: random(120, 300),
+                speed: randomService.particles.random(0.5, 3),
+                size: randomService.particles.random(2, 6),
+                // 時間とともにパレットの帯を進む色
+                ...paletteManager.at(((this.time * 2 + i * 60) % 360) / 360, randomService.particles.random(60, 100)),
+                alpha: randomService.particles.random(60, 100),
+                lifespan: randomService.particles.random(2, 5),
                 mode: this.effectConfigs[this.currentEffect].mode
             };
             
-            this.addParticle(new Particle(x, y, config));
+            const particle = this.createParticle(x, y, config);
+            if (particle) {
+                this.addParticle(particle);
+            }
             
             // パーティクル生成音の再生
-            if (this.soundSystem && random() < 0.3) {
+            if (this.soundSystem && randomService.particles.random() < 0.3) {
                 this.soundSystem.playInteractionSound('particleCreate', x, y);
             }
         }
     }
     
-    // 描画処理
-    display() {
-        // カラーモードをHSBに設定
-        push();
-        colorMode(HSB, 360, 100, 100, 100);
+    // 描画処理（alpha: ステップ間の補間係数）
+    display(alpha = 1) {
+        const glowLayers = Math.round(Config.RENDERING.GLOW.LAYERS * this.qualityScales.glow);
         
-        this.particles.forEach(particle => {
-            particle.display();
-        });
-        
-        pop();
+        // WebGL のコンテキストが失われた場合は 2D に切り替えて描き直す
+        if (!this.renderer.render(this.storage, glowLayers, alpha)) {
+            errorHandler.handleError(new AppError(
+                `Particle renderer '${this.renderer.name}' stopped working, falling back to 2D`,
+                ErrorCategory.GRAPHICS,
+                ErrorLevel.WARN
+            ));
+            this.renderer.dispose();
+            this.renderer = new Canvas2DParticleRenderer();
+            this.renderer.render(this.storage, glowLayers, alpha);
+        }
     }
     
     // エフェクトの設定
@@ -721,7 +854,7 @@ class ParticleSystem {
         this.particleFactoryManager.updateEffectConfig(config);
         
         // 既存のパーティクルのモードを更新
-        this.particles.forEach(particle => {
+        this.forEachParticle(particle => {
             particle.setMode(config.mode);
             particle.trail = config.trail;
         });
@@ -729,12 +862,13 @@ class ParticleSystem {
     
     // システムのリセット
     reset() {
-        this.particles = [];
+        this.storage.clear();
+        this.spatialGrid.rebuild(this.storage);
         this.time = 0;
     }
     
     // パーティクル数の取得
     getParticleCount() {
-        return this.particles.length;
+        return this.storage.count;
     }
 }
\ No newline at end of file
@@ -0,0 +1,509 @@
+/**
+ * ポストエフェクト
+ * パーティクルを描いた後の画面を WebGL2 のシェーダーで加工する。パスは次の順にかかる:
+ * - feedback: 前のフレームの結果を拡大・回転して重ねる（放射状の残像）
+ * - bloom: 明るい部分を抜き出してぼかし、加算する
+ * - chromaticAberration: 画面の端ほど赤と青をずらす
+ * - vignette: 画面の四隅を暗くする
+ * - grain: フィルムの粒状ノイズ
+ *
+ * どのパスをかけるかはエフェクトごとに EFFECTS.CONFIGS の postProcessing で指定し（パラメータは
+ * POST_PROCESSING.DEFAULTS を上書き）、POST_PROCESSING.ENABLED（既定は無効）/ PASSES で実行時に切り替えられる
+ *
+ * p5.js のキャンバスは背景の半透明の塗りで前のフレームを残していくため、加工した画像を残すと次のフレームで
+ * 効果が重なっていく。加工前の画面を保存しておき、次のフレームの描画前（restoreScene）に戻す
+ */
+
+/**
+ * 加算合成（ADD）のテーマでのみかけるパス
+ * 明るい背景では bloom が背景ごと白く飛ばし、vignette が四隅を灰色にくすませるため
+ */
+const ADDITIVE_THEME_PASSES = ['bloom', 'vignette'];
+
+/** 全画面の三角形（頂点属性を使わず gl_VertexID から作る） */
+const POST_VERTEX_SHADER = `#version 300 es
+out vec2 v_uv;
+
+void main() {
+    vec2 corner = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+    v_uv = corner;
+    gl_Position = vec4(corner * 2.0 - 1.0, 0.0, 1.0);
+}
+`;
+
+/** パスごとのフラグメントシェーダー（共通の宣言は POST_FRAGMENT_HEADER） */
+const POST_FRAGMENT_HEADER = `#version 300 es
+precision highp float;
+
+in vec2 v_uv;
+uniform sampler2D u_source;
+uniform vec2 u_resolution;
+out vec4 outColor;
+`;
+
+const POST_FRAGMENT_SHADERS = {
+    copy: `
+void main() {
+    outColor = texture(u_source, v_uv);
+}
+`,
+
+    feedback: `
+uniform sampler2D u_history;
+uniform float u_amount;
+uniform float u_zoom;
+uniform float u_rotation;
+
+void main() {
+    // 画面中心まわりに回転・拡大した位置の前フレーム（縦横比を保つ）
+    float aspect = u_resolution.x / u_resolution.y;
+    vec2 offset = (v_uv - 0.5) * vec2(aspect, 1.0);
+    float c = cos(u_rotation);
+    float s = sin(u_rotation);
+    offset = mat2(c, s, -s, c) * offset / u_zoom;
+    vec2 uv = offset / vec2(aspect, 1.0) + 0.5;
+
+    vec4 history = all(greaterThanEqual(uv, vec2(0.0))) && all(lessThanEqual(uv, vec2(1.0))) ? texture(u_history, uv) : vec4(0.0);
+    outColor = max(texture(u_source, v_uv), history * u_amount);
+}
+`,
+
+    bloomExtract: `
+uniform float u_threshold;
+
+void main() {
+    vec3 color = texture(u_source, v_uv).rgb;
+    float luminance = max(color.r, max(color.g, color.b));
+    outColor = vec4(color * max(0.0, luminance - u_threshold) / max(luminance, 0.0001), 1.0);
+}
+`,
+
+    bloomBlur: `
+uniform vec2 u_direction;
+
+void main() {
+    // 9タップのガウスぼかし（u_direction は1タップの間隔）
+    vec3 color = texture(u_source, v_uv).rgb * 0.2270270270;
+    color += texture(u_source, v_uv + u_direction * 1.3846153846).rgb * 0.3162162162;
+    color += texture(u_source, v_uv - u_direction * 1.3846153846).rgb * 0.3162162162;
+    color += texture(u_source, v_uv + u_direction * 3.2307692308).rgb * 0.0702702703;
+    color += texture(u_source, v_uv - u_direction * 3.2307692308).rgb * 0.0702702703;
+    outColor = vec4(color, 1.0);
+}
+`,
+
+    bloomCombine: `
+uniform sampler2D u_bloom;
+uniform float u_intensity;
+
+void main() {
+    vec4 color = texture(u_source, v_uv);
+    outColor = vec4(color.rgb + texture(u_bloom, v_uv).rgb * u_intensity, 1.0);
+}
+`,
+
+    chromaticAberration: `
+uniform float u_offset;
+
+void main() {
+    // 中心からの方向に、画面の端で u_offset px になるようにずらす
+    vec2 shift = (v_uv - 0.5) * 2.0 * u_offset / u_resolution;
+    outColor = vec4(
+        texture(u_source, v_uv + shift).r,
+        texture(u_source, v_uv).g,
+        texture(u_source, v_uv - shift).b,
+        1.0
+    );
+}
+`,
+
+    vignette: `
+uniform float u_strength;
+uniform float u_radius;
+
+void main() {
+    // 中心 0 〜 四隅 1 の距離（縦横比を保つ）
+    float aspect = u_resolution.x / u_resolution.y;
+    float distanceFromCenter = length((v_uv - 0.5) * vec2(aspect, 1.0)) / length(vec2(aspect, 1.0) * 0.5);
+    float shade = 1.0 - u_strength * smoothstep(u_radius, 1.0, distanceFromCenter);
+    outColor = vec4(texture(u_source, v_uv).rgb * shade, 1.0);
+}
+`,
+
+    grain: `
+uniform float u_amount;
+uniform float u_seed;
+
+float hash(vec2 point) {
+    return fract(sin(dot(point, vec2(12.9898, 78.233)) + u_seed) * 43758.5453);
+}
+
+void main() {
+    float noise = hash(floor(v_uv * u_resolution)) - 0.5;
+    outColor = vec4(texture(u_source, v_uv).rgb + noise * u_amount, 1.0);
+}
+`
+};
+
+/**
+ * ポストエフェクトの管理クラス
+ */
+class PostProcessor {
+    constructor() {
+        /** WebGL のキャンバスとコンテキスト（最初にパスをかけるときに作る） */
+        this.canvas = null;
+        this.gl = null;
+        /** WebGL2 が使えない・コンテキストが失われた場合は false（以降はパスをかけない） */
+        this.available = true;
+        /** 加工した画像を p5.js のキャンバスに描いたかどうか（次のフレームの前に元に戻す） */
+        this.presented = false;
+        /** 加工前の画面 */
+        this.sceneCanvas = null;
+        /** 直前にかけたパス名（デバッグ表示用） */
+        this.lastPasses = [];
+    }
+
+    /**
+     * 現在のエフェクトでかけるパスとパラメータ（加算合成でないテーマでは ADDITIVE_THEME_PASSES を除く）
+     * @param {Object} effectConfig - EFFECTS.CONFIGS の1エフェクト分
+     * @returns {Array<{name: string, params: Object}>} パス（かける順）
+     */
+    static activePasses(effectConfig) {
+        const config = Config.POST_PROCESSING;
+        const passes = effectConfig && effectConfig.postProcessing;
+        if (!config.ENABLED || !passes) return [];
+
+        return POST_PROCESSING_PASSES
+            .filter(name => passes[name] && config.PASSES[name])
+            .filter(name => themeManager.isAdditive || !ADDITIVE_THEME_PASSES.includes(name))
+            .map(name => ({ name, params: { ...config.DEFAULTS[name], ...passes[name] } }));
+    }
+
+    /**
+     * パスをかけるかどうかの切り替え（実行時）
+     * @param {string} name - パス名（省略時は全体）
+     * @returns {boolean} 切り替え後に有効かどうか
+     */
+    toggle(name) {
+        const path = name ? `POST_PROCESSING.PASSES.${name}` : 'POST_PROCESSING.ENABLED';
+        const enabled = !Config.get(path);
+        Config.set(path, enabled);
+        console.log(`🎞️ Post-processing ${name || 'all'}: ${enabled ? 'on' : 'off'}`);
+        return enabled;
+    }
+
+    /**
+     * 加工前の画面に戻す（背景の塗りより前に呼ぶ）
+     */
+    restoreScene() {
+        if (!this.presented) return;
+        this.presented = false;
+
+        const context = drawingContext;
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.globalCompositeOperation = 'copy';
+        context.drawImage(this.sceneCanvas, 0, 0);
+        context.restore();
+    }
+
+    /**
+     * ポストエフェクトをかける（パーティクルの描画の直後に呼ぶ）
+     * @param {Object} effectConfig - EFFECTS.CONFIGS の1エフェクト分
+     * @returns {boolean} かけたかどうか
+     */
+    apply(effectConfig) {
+        const passes = PostProcessor.activePasses(effectConfig);
+        this.lastPasses = passes.map(pass => pass.name);
+        if (passes.length === 0 || !this.available) return false;
+
+        return ErrorUtils.safeExecute(() => {
+            if (!this.ensureContext()) return false;
+            if (this.gl.isContextLost()) {
+                this.disable('WebGL context for post-processing was lost');
+                return false;
+            }
+
+            const target = drawingContext.canvas;
+            this.resize(target.width, target.height);
+
+            // 加工前の画面を保存し、テクスチャに転送する
+            this.sceneContext.globalCompositeOperation = 'copy';
+            this.sceneContext.drawImage(target, 0, 0);
+            const gl = this.gl;
+            gl.bindTexture(gl.TEXTURE_2D, this.sceneTexture);
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, target);
+
+            let source = this.sceneTexture;
+            passes.forEach(pass => {
+                source = this.runPass(pass.name, source, pass.params);
+            });
+
+            // 結果を p5.js のキャンバスに描く
+            this.draw('copy', null, source);
+            const context = drawingContext;
+            context.save();
+            context.setTransform(1, 0, 0, 1, 0, 0);
+            context.globalCompositeOperation = 'copy';
+            context.drawImage(this.canvas, 0, 0);
+            context.restore();
+            this.presented = true;
+            return true;
+        }, 'PostProcessor.apply', false);
+    }
+
+    /**
+     * 1パスの実行
+     * @param {string} name - パス名
+     * @param {WebGLTexture} source - 入力
+     * @param {Object} params - パラメータ
+     * @returns {WebGLTexture} 出力
+     */
+    runPass(name, source, params) {
+        const { width: w, height: h } = this.canvas;
+
+        if (name === 'feedback') {
+            // 前フレームの結果を残すため、専用の2枚を交互に使う
+            const history = this.feedbackTargets[this.feedbackIndex];
+            this.feedbackIndex = 1 - this.feedbackIndex;
+            const output = this.feedbackTargets[this.feedbackIndex];
+            this.draw('feedback', output, source, {
+                u_history: history.texture,
+                u_amount: params.amount,
+                u_zoom: params.zoom,
+                u_rotation: params.rotation
+            });
+            return output.texture;
+        }
+
+        const output = this.nextTarget(source);
+        if (name === 'bloom') {
+            const [bright, blurred] = this.bloomTargets;
+            const texel = Math.max(1, Config.POST_PROCESSING.BLOOM_DOWNSAMPLE) / w;
+            const texelY = Math.max(1, Config.POST_PROCESSING.BLOOM_DOWNSAMPLE) / h;
+            this.draw('bloomExtract', bright, source, { u_threshold: params.threshold });
+            this.draw('bloomBlur', blurred, bright.texture, { u_direction: [params.radius * texel, 0] });
+            this.draw('bloomBlur', bright, blurred.texture, { u_direction: [0, params.radius * texelY] });
+            this.draw('bloomCombine', output, source, { u_bloom: bright.texture, u_intensity: params.intensity });
+        } else if (name === 'chromaticAberration') {
+            this.draw(name, output, source, { u_offset: params.offset * pixelDensity() });
+        } else if (name === 'vignette') {
+            this.draw(name, output, source, { u_strength: params.strength, u_radius: params.radius });
+        } else if (name === 'grain') {
+            this.draw(name, output, source, { u_amount: params.amount, u_seed: frameCount % 1000 });
+        }
+        return output.texture;
+    }
+
+    /**
+     * 入力と重ならない作業用の描画先
+     * @param {WebGLTexture} source - 入力
+     * @returns {Object} 描画先
+     */
+    nextTarget(source) {
+        return this.pingPong[0].texture === source ? this.pingPong[1] : this.pingPong[0];
+    }
+
+    /**
+     * シェーダーでの描画
+     * @param {string} program - POST_FRAGMENT_SHADERS のキー
+     * @param {Object|null} target - 描画先（null は WebGL のキャンバス）
+     * @param {WebGLTexture} source - u_source
+     * @param {Object} uniforms - 追加の uniform（テクスチャ・数値・配列）
+     */
+    draw(program, target, source, uniforms = {}) {
+        const gl = this.gl;
+        const { program: glProgram, locations } = this.programs[program];
+        gl.useProgram(glProgram);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+        gl.viewport(0, 0, target ? target.width : this.canvas.width, target ? target.height : this.canvas.height);
+
+        let unit = 0;
+        const bindTexture = (name, texture) => {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(locations(name), unit);
+            unit++;
+        };
+        bindTexture('u_source', source);
+        gl.uniform2f(locations('u_resolution'), this.canvas.width, this.canvas.height);
+
+        Object.entries(uniforms).forEach(([name, value]) => {
+            if (value instanceof WebGLTexture) {
+                bindTexture(name, value);
+            } else if (Array.isArray(value)) {
+                gl.uniform2f(locations(name), value[0], value[1]);
+            } else {
+                gl.uniform1f(locations(name), value);
+            }
+        });
+
+        gl.bindVertexArray(this.vertexArray);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+    }
+
+    /**
+     * WebGL2 コンテキストとシェーダーの準備（初回のみ）
+     * @returns {boolean} 使えるかどうか
+     */
+    ensureContext() {
+        if (this.gl) return true;
+
+        const canvas = document.createElement('canvas');
+        const gl = canvas.getContext('webgl2', { alpha: false, antialias: false, depth: false });
+        if (!gl) {
+            this.disable('WebGL2 is not available, post-processing is disabled');
+            return false;
+        }
+
+        try {
+            this.canvas = canvas;
+            this.gl = gl;
+            this.programs = {};
+            Object.entries(POST_FRAGMENT_SHADERS).forEach(([name, source]) => {
+                this.programs[name] = PostProcessor.createProgram(gl, POST_FRAGMENT_HEADER + source);
+            });
+            this.vertexArray = gl.createVertexArray();
+            this.sceneTexture = PostProcessor.createTexture(gl, 1, 1);
+            this.sceneCanvas = document.createElement('canvas');
+            this.sceneContext = this.sceneCanvas.getContext('2d');
+            this.targetWidth = 0;
+            this.targetHeight = 0;
+            canvas.addEventListener('webglcontextlost', (event) => {
+                event.preventDefault();
+                this.disable('WebGL context for post-processing was lost');
+            });
+            return true;
+        } catch (error) {
+            this.gl = null;
+            this.disable(`Post-processing initialization failed: ${error.message}`, { error });
+            return false;
+        }
+    }
+
+    /**
+     * 以降のポストエフェクトの停止（画面は加工前に戻す）
+     * @param {string} message - 理由
+     * @param {Object} context - エラーの付加情報
+     */
+    disable(message, context = {}) {
+        this.available = false;
+        this.restoreScene();
+        errorHandler.handleError(new AppError(message, ErrorCategory.GRAPHICS, ErrorLevel.WARN, context));
+    }
+
+    /**
+     * 画面サイズに合わせた描画先の確保（サイズが変わったときのみ）
+     * @param {number} targetWidth - 幅（px）
+     * @param {number} targetHeight - 高さ（px）
+     */
+    resize(targetWidth, targetHeight) {
+        if (targetWidth === this.targetWidth && targetHeight === this.targetHeight) return;
+
+        const gl = this.gl;
+        [...(this.pingPong || []), ...(this.feedbackTargets || []), ...(this.bloomTargets || [])].forEach(target => {
+            gl.deleteFramebuffer(target.framebuffer);
+            gl.deleteTexture(target.texture);
+        });
+
+        this.targetWidth = targetWidth;
+        this.targetHeight = targetHeight;
+        this.canvas.width = targetWidth;
+        this.canvas.height = targetHeight;
+        this.sceneCanvas.width = targetWidth;
+        this.sceneCanvas.height = targetHeight;
+
+        const downsample = Math.max(1, Config.POST_PROCESSING.BLOOM_DOWNSAMPLE);
+        const bloomWidth = Math.max(1, Math.round(targetWidth / downsample));
+        const bloomHeight = Math.max(1, Math.round(targetHeight / downsample));
+        this.pingPong = [0, 1].map(() => PostProcessor.createTarget(gl, targetWidth, targetHeight));
+        this.feedbackTargets = [0, 1].map(() => PostProcessor.createTarget(gl, targetWidth, targetHeight));
+        this.feedbackIndex = 0;
+        this.bloomTargets = [0, 1].map(() => PostProcessor.createTarget(gl, bloomWidth, bloomHeight));
+    }
+
+    /**
+     * シェーダーのコンパイルとリンク
+     * @param {WebGL2RenderingContext} gl - コンテキスト
+     * @param {string} fragmentSource - フラグメントシェーダー
+     * @returns {Object} { program, locations(name) }
+     */
+    static createProgram(gl, fragmentSource) {
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                const log = gl.getShaderInfoLog(shader);
+                gl.deleteShader(shader);
+                throw new Error(`Shader compilation failed: ${log}`);
+            }
+            return shader;
+        };
+
+        const vertexShader = compile(gl.VERTEX_SHADER, POST_VERTEX_SHADER);
+        const fragmentShader = compile(gl.FRAGMENT_SHADER, fragmentSource);
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+        }
+
+        const cache = new Map();
+        const locations = (name) => {
+            if (!cache.has(name)) {
+                cache.set(name, gl.getUniformLocation(program, name));
+            }
+            return cache.get(name);
+        };
+        return { program, locations };
+    }
+
+    /**
+     * テクスチャの作成（線形補間・端で止める）
+     * @param {WebGL2RenderingContext} gl - コンテキスト
+     * @param {number} textureWidth - 幅
+     * @param {number} textureHeight - 高さ
+     * @returns {WebGLTexture} テクスチャ
+     */
+    static createTexture(gl, textureWidth, textureHeight) {
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, textureWidth, textureHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    /**
+     * 描画先（テクスチャ付きフレームバッファ）の作成
+     * @param {WebGL2RenderingContext} gl - コンテキスト
+     * @param {number} targetWidth - 幅
+     * @param {number} targetHeight - 高さ
+     * @returns {Object} { texture, framebuffer, width, height }
+     */
+    static createTarget(gl, targetWidth, targetHeight) {
+        const texture = PostProcessor.createTexture(gl, targetWidth, targetHeight);
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.clearColor(0, 0, 0, 1);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return { texture, framebuffer, width: targetWidth, height: targetHeight };
+    }
+}
+
+// グローバルインスタンス
+const postProcessor = new PostProcessor();
+
+// グローバルアクセス用
+window.PostProcessor = PostProcessor;
+window.postProcessor = postProcessor;
@@ -0,0 +1,456 @@
+/**
+ * プリセット管理
+ * エフェクト番号・背景アルファ・エフェクト設定・サウンド設定・軌跡の見た目・力場の配置・カラーパレットを名前付きで保存・共有する
+ */
+
+/** プリセットに含める設定パス */
+const PRESET_CONFIG_PATHS = [
+    'EFFECTS.CONFIGS',
+    'SOUND.EFFECT_TYPES',
+    'SOUND.MAPPING',
+    'DRAG_TRAIL.RENDERING',
+    'FORCE_FIELDS.FIELDS',
+    // 画像から作ったパレットを選択できるよう、定義を先に適用する
+    'PALETTES.DEFINITIONS',
+    'PALETTES.ACTIVE'
+];
+
+/** プリセット形式のバージョン */
+const PRESET_VERSION = 1;
+
+/**
+ * プリセット管理クラス
+ */
+class PresetManager {
+    /**
+     * @param {Object} host - アプリ状態へのアクセス
+     * @param {Function} host.getState - () => { effect, bgAlpha }
+     * @param {Function} host.applyState - ({ effect, bgAlpha }) => void
+     */
+    constructor(host) {
+        this.host = host;
+        this.storageKey = 'sonicbloom.presets';
+        this.hashKey = 'preset';
+    }
+
+    /**
+     * 現在の状態をプリセットとして取得
+     * @param {string} name - プリセット名
+     * @returns {Object} プリセット
+     */
+    capture(name) {
+        const state = this.host.getState();
+        const config = {};
+        PRESET_CONFIG_PATHS.forEach(path => {
+            config[path] = Config.getSnapshot(path);
+        });
+
+        return {
+            name,
+            version: PRESET_VERSION,
+            effect: state.effect,
+            bgAlpha: state.bgAlpha,
+            config
+        };
+    }
+
+    /**
+     * プリセットの適用
+     * 不正な値はスキーマ検証で拒否され、残りの項目は適用される
+     * @param {Object} preset - プリセット
+     * @returns {boolean} 適用できたかどうか
+     */
+    apply(preset) {
+        if (!this.isValidPreset(preset)) {
+            this.report('Invalid preset format', { preset });
+            return false;
+        }
+
+        Object.keys(preset.config).forEach(path => {
+            if (!PRESET_CONFIG_PATHS.includes(path)) {
+                this.report(`Unknown preset section "${path}" in "${preset.name}"`);
+                return;
+            }
+            // 古いプリセットにない項目（後から追加された設定・エフェクト）は現在の値を残す
+            Config.set(path, PresetManager.mergeConfig(Config.getSnapshot(path), preset.config[path]));
+        });
+
+        // エフェクト切り替え後にプリセットの背景アルファで上書き
+        this.host.applyState({ effect: preset.effect, bgAlpha: preset.bgAlpha });
+        console.log(`💾 Preset applied: ${preset.name}`);
+        return true;
+    }
+
+    /**
+     * プリセットの値を現在の値に重ねる
+     * オブジェクトはネストした階層まで再帰的に重ね、プリセットにないキーは現在の値を残す（配列はそのまま置き換える）
+     * @param {*} current - 現在の値
+     * @param {*} value - プリセットの値
+     * @returns {*} 設定する値
+     */
+    static mergeConfig(current, value) {
+        if (!ConfigStore.isPlainObject(current) || !ConfigStore.isPlainObject(value)) {
+            return value;
+        }
+        const merged = { ...current };
+        Object.keys(value).forEach(key => {
+            merged[key] = PresetManager.mergeConfig(current[key], value[key]);
+        });
+        return merged;
+    }
+
+    /**
+     * プリセット形式の検証
+     * @param {*} preset - 検証する値
+     * @returns {boolean} 有効かどうか
+     */
+    isValidPreset(preset) {
+        return ConfigStore.isPlainObject(preset) &&
+            typeof preset.name === 'string' &&
+            preset.version === PRESET_VERSION &&
+            Number.isInteger(preset.effect) &&
+            typeof preset.bgAlpha === 'number' && isFinite(preset.bgAlpha) &&
+            ConfigStore.isPlainObject(preset.config);
+    }
+
+    /**
+     * 保存済みプリセットの読み込み
+     * @returns {Object} 名前 → プリセット
+     */
+    readAll() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return ConfigStore.isPlainObject(data) ? data : {};
+        } catch (error) {
+            this.report(`Failed to read presets: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * 保存済みプリセットの書き込み
+     * @param {Object} presets - 名前 → プリセット
+     * @returns {boolean} 保存できたかどうか
+     */
+    writeAll(presets) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(presets));
+            return true;
+        } catch (error) {
+            this.report(`Failed to save presets: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * 保存済みプリセット名の一覧
+     * @returns {string[]} プリセット名
+     */
+    list() {
+        return Object.keys(this.readAll()).sort();
+    }
+
+    /**
+     * 現在の状態を名前を付けて保存
+     * @param {string} name - プリセット名
+     * @returns {Object|null} 保存したプリセット
+     */
+    save(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            this.report('Preset name is required');
+            return null;
+        }
+
+        const presets = this.readAll();
+        presets[trimmed] = this.capture(trimmed);
+        return this.writeAll(presets) ? presets[trimmed] : null;
+    }
+
+    /**
+     * 保存済みプリセットの適用
+     * @param {string} name - プリセット名
+     * @returns {boolean} 適用できたかどうか
+     */
+    load(name) {
+        const preset = this.readAll()[name];
+        if (!preset) {
+            this.report(`Preset not found: ${name}`);
+            return false;
+        }
+        return this.apply(preset);
+    }
+
+    /**
+     * 保存済みプリセットの削除
+     * @param {string} name - プリセット名
+     * @returns {boolean} 削除できたかどうか
+     */
+    remove(name) {
+        const presets = this.readAll();
+        if (!presets[name]) return false;
+        delete presets[name];
+        return this.writeAll(presets);
+    }
+
+    /**
+     * プリセットをJSONファイルとしてダウンロード
+     * @param {Object} preset - プリセット
+     */
+    exportFile(preset) {
+        const blob = new Blob([JSON.stringify(preset, null, 4)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `sonicbloom-${preset.name.replace(/[^\w-]+/g, '_') || 'preset'}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * JSONファイルからプリセットを読み込んで保存・適用
+     * @param {File} file - 読み込むファイル
+     * @returns {Promise<Object|null>} 読み込んだプリセット
+     */
+    async importFile(file) {
+        let preset;
+        try {
+            preset = JSON.parse(await file.text());
+        } catch (error) {
+            this.report(`${file.name} is not valid JSON: ${error.message}`);
+            return null;
+        }
+
+        if (!this.apply(preset)) return null;
+
+        const presets = this.readAll();
+        presets[preset.name] = preset;
+        this.writeAll(presets);
+        return preset;
+    }
+
+    /**
+     * プリセットを共有用URLに変換
+     * @param {Object} preset - プリセット
+     * @returns {string} URLハッシュ付きのURL
+     */
+    toShareUrl(preset) {
+        const url = new URL(window.location.href);
+        url.hash = `${this.hashKey}=${PresetManager.encode(preset)}`;
+        return url.toString();
+    }
+
+    /**
+     * URLハッシュのプリセットを適用
+     * @param {string} hash - URLハッシュ（省略時は location.hash）
+     * @returns {boolean} 適用したかどうか
+     */
+    applyFromHash(hash = window.location.hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const encoded = params.get(this.hashKey);
+        if (!encoded) return false;
+
+        let preset;
+        try {
+            preset = PresetManager.decode(encoded);
+        } catch (error) {
+            this.report(`Invalid preset in URL hash: ${error.message}`);
+            return false;
+        }
+        return this.apply(preset);
+    }
+
+    /**
+     * errorHandler への警告報告
+     * @param {string} message - メッセージ
+     * @param {Object} context - 追加情報
+     */
+    report(message, context = {}) {
+        errorHandler.handleError(new AppError(message, ErrorCategory.USER_INPUT, ErrorLevel.WARN, context));
+    }
+
+    /**
+     * プリセットをURLセーフなBase64に変換
+     * @param {Object} preset - プリセット
+     * @returns {string} エンコード文字列
+     */
+    static encode(preset) {
+        const bytes = new TextEncoder().encode(JSON.stringify(preset));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * URLセーフなBase64からプリセットを復元
+     * @param {string} encoded - エンコード文字列
+     * @returns {Object} プリセット
+     */
+    static decode(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+}
+
+/**
+ * ドロワー内のプリセット操作パネル
+ */
+class PresetPanel {
+    /**
+     * @param {string} containerId - パネルを構築する要素のID
+     * @param {PresetManager} manager - プリセット管理
+     */
+    constructor(containerId, manager) {
+        this.containerId = containerId;
+        this.manager = manager;
+        this.select = null;
+        this.nameInput = null;
+    }
+
+    /**
+     * パネルの構築
+     */
+    init() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.warn('Preset panel container not found:', this.containerId);
+            return;
+        }
+        const body = container.querySelector('.preset-body');
+
+        this.nameInput = document.createElement('input');
+        this.nameInput.type = 'text';
+        this.nameInput.placeholder = 'プリセット名';
+
+        this.select = document.createElement('select');
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', async () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            if (file && await this.manager.importFile(file)) this.refreshList();
+        });
+
+        const nameRow = this.createRow('名前', this.nameInput);
+        const listRow = this.createRow('保存済み', this.select);
+        const actions = document.createElement('div');
+        actions.className = 'tweak-actions';
+        actions.appendChild(this.createButton('💾 保存', () => this.save()));
+        actions.appendChild(this.createButton('📂 読込', () => this.load()));
+        actions.appendChild(this.createButton('🗑️ 削除', () => this.remove()));
+
+        const shareActions = document.createElement('div');
+        shareActions.className = 'tweak-actions';
+        shareActions.appendChild(this.createButton('⬇️ 書き出し', () => this.exportSelected()));
+        shareActions.appendChild(this.createButton('⬆️ 取り込み', () => fileInput.click()));
+        shareActions.appendChild(this.createButton('🔗 共有URL', (button) => this.copyShareUrl(button)));
+
+        body.append(nameRow, listRow, actions, shareActions, fileInput);
+        this.refreshList();
+    }
+
+    /**
+     * ラベル付きの行
+     * @param {string} label - ラベル
+     * @param {HTMLElement} control - 入力要素
+     * @returns {HTMLElement} 行要素
+     */
+    createRow(label, control) {
+        const row = document.createElement('label');
+        row.className = 'tweak-row';
+        const name = document.createElement('span');
+        name.className = 'tweak-label';
+        name.textContent = label;
+        row.append(name, control);
+        return row;
+    }
+
+    /**
+     * ボタンの生成
+     * @param {string} label - 表示テキスト
+     * @param {Function} onClick - (button) => void
+     * @returns {HTMLButtonElement} ボタン
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', () => onClick(button));
+        return button;
+    }
+
+    /**
+     * 保存済み一覧の更新
+     * @param {string} selected - 選択状態にするプリセット名
+     */
+    refreshList(selected = this.select.value) {
+        this.select.textContent = '';
+        this.manager.list().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.select.appendChild(option);
+        });
+        if (selected) this.select.value = selected;
+    }
+
+    /**
+     * 現在の状態を保存
+     */
+    save() {
+        const preset = this.manager.save(this.nameInput.value || this.select.value);
+        if (preset) this.refreshList(preset.name);
+    }
+
+    /**
+     * 選択中のプリセットを適用
+     */
+    load() {
+        if (this.select.value) this.manager.load(this.select.value);
+    }
+
+    /**
+     * 選択中のプリセットを削除
+     */
+    remove() {
+        if (this.select.value && this.manager.remove(this.select.value)) this.refreshList('');
+    }
+
+    /**
+     * 選択中（未選択なら現在の状態）のプリセットを書き出し
+     */
+    exportSelected() {
+        const name = this.select.value || this.nameInput.value.trim() || 'preset';
+        const preset = this.manager.readAll()[name] || this.manager.capture(name);
+        this.manager.exportFile(preset);
+    }
+
+    /**
+     * 現在の状態の共有URLをコピー
+     * @param {HTMLButtonElement} button - フィードバック表示用のボタン
+     */
+    async copyShareUrl(button) {
+        const name = this.nameInput.value.trim() || this.select.value || 'shared';
+        const url = this.manager.toShareUrl(this.manager.capture(name));
+        const label = button.textContent;
+
+        try {
+            await navigator.clipboard.writeText(url);
+            button.textContent = '✅ コピー済';
+        } catch (error) {
+            console.log('🔗 Preset URL:\n' + url);
+            button.textContent = '⚠️ コンソール';
+        }
+        setTimeout(() => { button.textContent = label; }, 1500);
+    }
+}
+
+// グローバルアクセス用
+window.PresetManager = PresetManager;
+window.PresetPanel = PresetPanel;
@@ -0,0 +1,158 @@
+/**
+ * 品質の自動調整
+ * PerformanceMonitor のFPS計測を監視し、目標FPSを下回り続けたら品質を1段下げ、
+ * 十分に回復した状態が続いたら1段戻す（下げる・戻すで閾値と必要な計測回数を変えてヒステリシスを持たせる）
+ * 調整対象: 最大パーティクル数・グローのレイヤー数・ドラッグ軌跡のグラデーションレイヤー数・同時発音数
+ * 入力ログの記録・再生中は段を固定する（最大パーティクル数が変わると再生結果がログとずれるため）
+ */
+
+/** 0段目（設定値そのまま）の縮小率 */
+const FULL_QUALITY = Object.freeze({ PARTICLES: 1, GLOW: 1, TRAIL: 1, SOUNDS: 1 });
+
+/**
+ * FPSに応じて品質を段階的に調整するクラス
+ */
+class QualityGovernor {
+    /**
+     * @param {PerformanceMonitor} monitor - FPSの計測元
+     * @param {Object} targets - 調整対象
+     * @param {ParticleSystem} targets.particleSystem - パーティクルシステム（adaptiveSettings を参照・更新する）
+     * @param {DragTrail} targets.dragTrail - ドラッグ軌跡
+     * @param {SoundSystem} targets.soundSystem - サウンドシステム
+     * @param {Object} host - アプリへのアクセス
+     * @param {Function} host.isBusy - () => boolean 段を固定する状態か（入力ログの記録・再生中など）
+     */
+    constructor(monitor, targets, host) {
+        this.monitor = monitor;
+        this.targets = targets;
+        this.host = host;
+        this.level = 0;
+        /** 品質変更の履歴（新しい順） { from, to, fps, targetFPS, time } */
+        this.changes = [];
+
+        this.monitor.onSample(fps => {
+            ErrorUtils.safeExecute(() => this.evaluate(fps), 'QualityGovernor.evaluate');
+        });
+        Config.subscribe('QUALITY.LEVELS', (levels) => {
+            // 段数が減った場合は最も低い段に合わせる
+            this.setLevel(Math.min(this.level, levels.length), null);
+        });
+    }
+
+    /** 自動調整の状態（ParticleSystem の adaptiveSettings） */
+    get settings() {
+        return this.targets.particleSystem.adaptiveSettings;
+    }
+
+    /** 最も低い品質の段 */
+    get maxLevel() {
+        return Config.QUALITY.LEVELS.length;
+    }
+
+    /**
+     * FPS計測ごとの判定
+     * 現在の段での計測値を performanceHistory に積み、直近の計測が続けて閾値を越えたら段を変える
+     * @param {number} fps - 計測されたFPS
+     */
+    evaluate(fps) {
+        const settings = this.settings;
+        if (!settings.enabled) {
+            // 無効化されたら設定値どおりの品質に戻す
+            if (this.level !== 0) this.setLevel(0, fps);
+            return;
+        }
+        if (this.host.isBusy()) {
+            // 固定中の計測は判定に使わない
+            settings.performanceHistory.length = 0;
+            return;
+        }
+
+        const config = Config.QUALITY;
+        const history = settings.performanceHistory;
+        history.push(fps);
+        const keep = Math.max(config.DOWNGRADE_SAMPLES, config.UPGRADE_SAMPLES);
+        if (history.length > keep) {
+            history.splice(0, history.length - keep);
+        }
+
+        const recentAll = (count, predicate) =>
+            history.length >= count && history.slice(-count).every(predicate);
+
+        if (this.level < this.maxLevel &&
+            recentAll(config.DOWNGRADE_SAMPLES, value => value < settings.targetFPS * config.DOWNGRADE_FPS_RATIO)) {
+            this.setLevel(this.level + 1, fps);
+        } else if (this.level > 0 &&
+            recentAll(config.UPGRADE_SAMPLES, value => value >= settings.targetFPS * config.UPGRADE_FPS_RATIO)) {
+            this.setLevel(this.level - 1, fps);
+        }
+    }
+
+    /**
+     * 品質の段の変更と各システムへの反映
+     * @param {number} level - 段（0: 設定値そのまま）
+     * @param {number|null} fps - 変更のきっかけになったFPS（設定変更によるものは null）
+     */
+    setLevel(level, fps) {
+        const from = this.level;
+        this.level = level;
+        this.apply();
+
+        // 新しい段では計測をやり直す
+        this.settings.performanceHistory.length = 0;
+        if (level === from) return;
+
+        const change = { from, to: level, fps, targetFPS: this.settings.targetFPS, time: millis() };
+        this.changes.unshift(change);
+        this.changes.length = Math.min(this.changes.length, Config.QUALITY.HISTORY_LENGTH);
+
+        console.log(`🎚️ Quality level ${from} → ${level}` + (fps !== null ? ` (${fps}fps, target ${change.targetFPS}fps)` : ''));
+    }
+
+    /**
+     * 現在の段の縮小率
+     * @returns {Object} { PARTICLES, GLOW, TRAIL, SOUNDS }
+     */
+    getScales() {
+        return this.level === 0 ? FULL_QUALITY : Config.QUALITY.LEVELS[this.level - 1];
+    }
+
+    /**
+     * 縮小率を各システムに反映
+     */
+    apply() {
+        const scales = this.getScales();
+        const { particleSystem, dragTrail, soundSystem } = this.targets;
+        particleSystem.setQuality(scales.PARTICLES, scales.GLOW);
+        dragTrail.setQuality(scales.TRAIL);
+        soundSystem.setQuality(scales.SOUNDS);
+    }
+
+    /**
+     * デバッグ表示用の現在の状態
+     * @returns {string} 表示テキスト
+     */
+    describe() {
+        const { particleSystem, dragTrail, soundSystem } = this.targets;
+        const glowLayers = Math.round(Config.RENDERING.GLOW.LAYERS * particleSystem.qualityScales.glow);
+        const trailLayers = Math.round(dragTrail.renderingConfig.GRADIENT_LAYERS * dragTrail.qualityScale);
+        const state = this.settings.enabled ? '' : ' (auto off)';
+        return `Quality: ${this.level}/${this.maxLevel}${state} particles ${particleSystem.maxParticles} glow ${glowLayers} trail ${trailLayers} sounds ${soundSystem.maxActiveSounds}`;
+    }
+
+    /**
+     * デバッグ表示用の直近の変更
+     * @returns {string} 表示テキスト（変更がなければ空文字）
+     */
+    describeLastChange() {
+        const change = this.changes[0];
+        if (!change) return '';
+
+        const direction = change.to > change.from ? '↓' : '↑';
+        const reason = change.fps !== null ? ` at ${change.fps}fps (target ${change.targetFPS})` : '';
+        const ago = Math.round((millis() - change.time) / 1000);
+        return `Quality ${direction} ${change.from}→${change.to}${reason} ${ago}s ago`;
+    }
+}
+
+// グローバルアクセス用
+window.QualityGovernor = QualityGovernor;
@@ -0,0 +1,151 @@
+/**
+ * シード付き乱数サービス
+ * 同じシードと同じ入力から同じパーティクル・音の選択を再現するための決定的な乱数列を提供する
+ */
+
+/**
+ * シード付き疑似乱数生成器（Mulberry32）
+ * p5 の random() と同じ引数形式をサポート
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - 32bit整数のシード
+     */
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * シードの再設定
+     * @param {number} seed - 32bit整数のシード
+     */
+    setSeed(seed) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * 0以上1未満の乱数
+     * @returns {number} 乱数
+     */
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * p5 互換の乱数
+     * random() / random(max) / random(min, max) / random(array)
+     * @param {number|Array} min - 最小値、最大値、または配列
+     * @param {number} max - 最大値
+     * @returns {*} 乱数または配列の要素
+     */
+    random(min, max) {
+        const rand = this.next();
+        if (min === undefined) return rand;
+        if (Array.isArray(min)) return min[Math.floor(rand * min.length)];
+        if (max === undefined) return rand * min;
+        if (min > max) [min, max] = [max, min];
+        return rand * (max - min) + min;
+    }
+
+    /**
+     * ランダムな単位方向ベクトル
+     * @returns {{x: number, y: number}} 方向
+     */
+    direction() {
+        const angle = this.random(Math.PI * 2);
+        return { x: Math.cos(angle), y: Math.sin(angle) };
+    }
+}
+
+/**
+ * 名前付き乱数ストリームの管理クラス
+ * ストリームごとに独立した乱数列を持つため、ミュート時に音の乱数が消費されなくても
+ * パーティクルの乱数列は変わらない
+ */
+class RandomService {
+    /**
+     * @param {number} seed - シード（0の場合は起動ごとに自動生成）
+     */
+    constructor(seed = 0) {
+        /** ストリーム名 → SeededRandom */
+        this.streams = new Map();
+        this.setSeed(seed);
+    }
+
+    /**
+     * シードの設定（全ストリームとパーリンノイズを再シード）
+     * @param {number} seed - シード（0の場合は自動生成）
+     */
+    setSeed(seed) {
+        this.seed = seed ? seed >>> 0 : RandomService.generateSeed();
+        this.streams.forEach((stream, name) => stream.setSeed(RandomService.deriveSeed(this.seed, name)));
+        // p5.js のパーリンノイズ（流れ場）も同じシードから（p5 の初期化前は setup 後の再シードに任せる）
+        if (typeof noiseSeed === 'function') {
+            noiseSeed(RandomService.deriveSeed(this.seed, 'noise'));
+        }
+    }
+
+    /**
+     * 名前付きストリームの取得
+     * @param {string} name - ストリーム名
+     * @returns {SeededRandom} 乱数ストリーム
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new SeededRandom(RandomService.deriveSeed(this.seed, name)));
+        }
+        return this.streams.get(name);
+    }
+
+    /**
+     * パーティクル用ストリーム（生成位置・外観・爆発など）
+     * @returns {SeededRandom} 乱数ストリーム
+     */
+    get particles() {
+        return this.stream('particles');
+    }
+
+    /**
+     * サウンド用ストリーム（音程・和音の選択など）
+     * @returns {SeededRandom} 乱数ストリーム
+     */
+    get sound() {
+        return this.stream('sound');
+    }
+
+    /**
+     * シードとストリーム名から個別のシードを導出（FNV-1a）
+     * @param {number} seed - 基本シード
+     * @param {string} name - ストリーム名
+     * @returns {number} 32bit整数のシード
+     */
+    static deriveSeed(seed, name) {
+        let hash = 0x811C9DC5 ^ seed;
+        for (const char of `${seed}:${name}`) {
+            hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 自動シードの生成（0以外の32bit整数）
+     * @returns {number} シード
+     */
+    static generateSeed() {
+        return (Math.floor(Math.random() * 0xFFFFFFFF) >>> 0) || 1;
+    }
+}
+
+// グローバルインスタンス（シードは RANDOM.SEED から）
+const randomService = new RandomService(Config.RANDOM.SEED);
+
+// シードの実行時変更で全ストリームを再シード
+Config.subscribe('RANDOM.SEED', (seed) => randomService.setSeed(seed));
+
+// グローバルアクセス用
+window.SeededRandom = SeededRandom;
+window.RandomService = RandomService;
+window.randomService = randomService;
@@ -0,0 +1,66 @@
+/**
+ * 固定タイムステップのシミュレーション時計
+ * 描画フレームの経過時間（PerformanceMonitor の deltaTime）を蓄積し、SIMULATION.STEP_RATE の一定間隔で
+ * シミュレーションを進める。1フレームで進めるステップ数は画面のリフレッシュレートや処理速度で変わるが、
+ * 1ステップの長さは常に同じため、どの環境でも同じ速さで動き、同じ時間でフェードする
+ *
+ * 描画はステップの途中の時刻になるため、直前の2ステップの位置を alpha で補間する
+ */
+class SimulationClock {
+    constructor() {
+        /** 次のステップまでに蓄積された時間（秒） */
+        this.accumulator = 0;
+        /** 開始からのステップ数（入力ログのフレーム番号・周期的な表示効果の時刻に使う） */
+        this.steps = 0;
+        /** 描画の補間係数（0: 1つ前のステップ 〜 1: 最新のステップ） */
+        this.alpha = 1;
+    }
+
+    /** 1ステップの長さ（秒） */
+    get stepSeconds() {
+        return 1 / Config.SIMULATION.STEP_RATE;
+    }
+
+    /**
+     * 経過時間分のステップの実行
+     * @param {number} deltaMs - 前のフレームからの経過時間（ミリ秒）
+     * @param {Function} step - (dt) => void 1ステップ分の更新（dt は秒）
+     * @returns {number} 実行したステップ数
+     */
+    advance(deltaMs, step) {
+        const config = Config.SIMULATION;
+        const dt = this.stepSeconds;
+        this.accumulator += Math.max(0, deltaMs) / 1000;
+
+        let count = 0;
+        while (this.accumulator >= dt && count < config.MAX_STEPS_PER_FRAME) {
+            step(dt);
+            this.steps++;
+            this.accumulator -= dt;
+            count++;
+        }
+
+        // 追いつけなかった時間は捨てる（処理落ちが続いてもステップが溜まり続けないように）
+        if (this.accumulator >= dt) {
+            this.accumulator %= dt;
+        }
+
+        this.alpha = config.INTERPOLATE ? this.accumulator / dt : 1;
+        return count;
+    }
+
+    /**
+     * ステップ数の初期化（入力の記録・再生の開始時）
+     * ループ再生では advance のステップの中から呼ばれるため、蓄積した時間はそのまま残す
+     */
+    reset() {
+        this.steps = 0;
+    }
+}
+
+// グローバルインスタンス
+const simulationClock = new SimulationClock();
+
+// グローバルアクセス用
+window.SimulationClock = SimulationClock;
+window.simulationClock = simulationClock;
@@ -7,14 +7,77 @@ let isPaused = false;
 let currentEffect = 1;
 let performanceMonitor;
 let bgAlpha = 20;
-let isDragging = false;
-let currentDragPath = [];
+// ポインターID → { x, y, isDragging, path }
+const pointerSessions = new Map();
+// 力場の配置中のポインターID → { type, x, y, currentX, currentY }
+const fieldGestures = new Map();
+let isAppReady = false;
+let tweakPanel;
+let presetManager;
+let inputRecorder;
+let inputReplayer;
+let attractMode;
+let virtualCursor;
+let keymap;
+let qualityGovernor;
+
+// 記録・再生される入力イベントの処理（ライブ入力と再生で共通）
+const INPUT_HANDLERS = {
+    down: (x, y, pointerId) => handlePointerDown(x, y, pointerId),
+    drag: (x, y, px, py, pointerId, pressure, tiltX, tiltY, twist) => handlePointerDrag(
+        x, y, px, py, pointerId,
+        pressure === undefined ? NEUTRAL_PEN : { pressure, tiltX, tiltY, twist }
+    ),
+    up: (x, y, pointerId) => handlePointerUp(x, y, pointerId),
+    field: (x1, y1, x2, y2, type) => particleSystem.forceFields.handleGesture(x1, y1, x2, y2, type),
+    action: (actionId) => handleKeyAction(actionId),
+    // キーマップ導入前の入力ログ（押されたキーを既定の割り当てで解釈する）
+    key: (pressedKey) => handleKeyAction(keymap.defaultActionFor(Keymap.keyCodeOf(pressedKey))),
+    effect: (effectNumber) => applyEffect(effectNumber)
+};
+
+// 入力ログの再生中も受け付けるキーマップの操作（シーンを変えないため、再生がログとずれない）
+const REPLAY_SAFE_ACTIONS = new Set(['pause', 'mute', 'postProcessing']);
 
 // キャンバスの設定
 function setup() {
     createCanvas(windowWidth, windowHeight);
+    
+    // 設定オーバーライドの読み込み後にシステムを構築
+    bootstrap().catch(error => {
+        errorHandler.handleError(new AppError(
+            `Bootstrap failed: ${error.message}`,
+            ErrorCategory.SYSTEM,
+            ErrorLevel.FATAL,
+            { originalError: error }
+        ));
+    });
+}
+
+// 設定の確定とシステムの構築
+async function bootstrap() {
+    // config.override.json と URLクエリのオーバーライドを適用
+    await configOverrides.load();
+    
+    // 設定値のスキーマ検証（違反は警告として報告）
+    Config.validateAll();
+    
+    // 乱数シードの確定（同じシードと同じ入力で同じセッションを再現できる）
+    randomService.setSeed(Config.RANDOM.SEED);
+    console.log(`🎲 Random seed: ${randomService.seed}`);
+    
     const colorConfig = Config.CANVAS.COLOR_MODE;
     colorMode(RGB, colorConfig.R_MAX, colorConfig.G_MAX, colorConfig.B_MAX, colorConfig.A_MAX);
+    frameRate(Config.CANVAS.TARGET_FPS);
+    
+    // 目標フレームレートの実行時変更を反映
+    Config.subscribe('CANVAS.TARGET_FPS', (targetFPS) => frameRate(targetFPS));
+    
+    // 背景テーマの初期化（背景色・合成方法・ページの配色）
+    themeManager.init();
+    
+    // パーティクルの形（画像スプライトの読み込み）の初期化
+    particleShapes.init();
     
     // パーティクルシステムの初期化
     particleSystem = new ParticleSystem();
@@ -28,44 +91,185 @@ function setup() {
     soundSystem.init();
     particleSystem.setSoundSystem(soundSystem);
     
+    // FPSに応じた品質の自動調整（入力ログの記録・再生中は段を固定）
+    qualityGovernor = new QualityGovernor(performanceMonitor, { particleSystem, dragTrail, soundSystem }, {
+        isBusy: () => inputRecorder.isRecording || inputReplayer.isPlaying
+    });
+    
     // 初期パーティクルの生成
     particleSystem.createInitialParticles();
     
     // アンビエントサウンドは最初のユーザーインタラクション後に開始
     console.log('Setup completed. Click to start sound system.');
     
+    // ポインター入力の初期化
+    setupPointerInput(drawingContext.canvas);
+    
+    // キー割り当ての初期化
+    keymap = new Keymap();
+    keymap.load();
+    effectRegistry.onRegister((effect) => keymap.addEffect(effect));
+    new KeymapPanel('keymap-panel', 'key-help', keymap).init();
+    
     // UIコントロールの初期化
     setupSoundControls();
     setupDrawerControls();
     setupInitialMessage();
     
-    // ブレンドモードの設定
-    blendMode(ADD);
+    // パラメータ調整パネルの初期化
+    tweakPanel = new TweakPanel('tweak-panel');
+    tweakPanel.init();
+    
+    // カラーパレットの選択パネルの初期化
+    new PalettePanel('palette-panel', paletteManager).init();
+    
+    // プリセット管理の初期化
+    presetManager = new PresetManager({
+        getState: () => ({ effect: currentEffect, bgAlpha }),
+        applyState: (state) => {
+            switchEffect(state.effect);
+            bgAlpha = constrain(state.bgAlpha, 0, 100);
+        }
+    });
+    new PresetPanel('preset-panel', presetManager).init();
+    window.addEventListener('hashchange', () => presetManager.applyFromHash());
+    
+    // 起動時エフェクトの適用（URLハッシュのプリセットを優先）
+    if (!presetManager.applyFromHash()) {
+        switchEffect(Config.EFFECTS.DEFAULT_EFFECT);
+    }
+    
+    // 入力の記録・再生の初期化
+    const inputHost = {
+        getState: () => ({ effect: currentEffect, bgAlpha, paused: isPaused, fields: Config.getSnapshot('FORCE_FIELDS.FIELDS') }),
+        resetScene: resetInputScene,
+        dispatch: (type, args) => INPUT_HANDLERS[type](...args)
+    };
+    inputRecorder = new InputRecorder(inputHost);
+    inputReplayer = new InputReplayer(inputHost);
+    new InputRecorderPanel('recorder-panel', inputRecorder, inputReplayer).init();
+    
+    // アトラクトモード（無操作時の自動演奏）の初期化
+    attractMode = new AttractMode({
+        dispatch: inputHost.dispatch,
+        isBusy: () => isPaused || inputReplayer.isPlaying || inputRecorder.isRecording,
+        getEffect: () => currentEffect,
+        cancelGesture: cancelPointerGesture
+    });
+    
+    // 仮想カーソル（キーボード・ゲームパッド操作）の初期化
+    virtualCursor = new VirtualCursor({
+        dispatch: (type, args) => handleLiveInput(type, ...args),
+        notifyInput: () => attractMode.notifyInput(),
+        isBusy: () => inputReplayer.isPlaying,
+        isKeyboardBlocked: isEditableElementFocused
+    });
+    
+    isAppReady = true;
+    
+    // 展示用の入力ログの自動再生
+    if (Config.REPLAY.URL) {
+        inputReplayer.playUrl(Config.REPLAY.URL, { loop: Config.REPLAY.LOOP });
+    }
+}
+
+// 入力の記録・再生開始時のシーンの初期化
+function resetInputScene(state) {
+    randomService.setSeed(state.seed);
+    simulationClock.reset();
+    particleSystem.reset();
+    dragTrail.clear();
+    particleSystem.createInitialParticles();
+    applyEffect(state.effect);
+    bgAlpha = state.bgAlpha;
+    isPaused = state.paused;
+    // 力場の配置（記録にない古いログでは現在の配置のまま）
+    if (Array.isArray(state.fields)) {
+        Config.set('FORCE_FIELDS.FIELDS', state.fields);
+    }
+    updatePauseButtonIcon();
+    cancelPointerGesture();
+}
+
+// ポインターのセッションの破棄（ID省略時はすべて）
+function cancelPointerGesture(pointerId) {
+    const pointerIds = pointerId === undefined ? [...pointerSessions.keys(), ...fieldGestures.keys()] : [pointerId];
+    pointerIds.forEach(id => {
+        pointerSessions.delete(id);
+        fieldGestures.delete(id);
+        dragTrail.endStream(id);
+        soundSystem.releaseDragVoice(id);
+    });
+    updatePointerAttractors();
+}
+
+// ライブ入力の処理（記録中はログに追加）
+function handleLiveInput(type, ...args) {
+    // 入力ログの再生中はシーンを変えない操作だけを受け付け、記録はしない（再生されるシーンがログと変わらないように）
+    if (inputReplayer && inputReplayer.isPlaying) {
+        if (type === 'action' && REPLAY_SAFE_ACTIONS.has(args[0])) {
+            INPUT_HANDLERS[type](...args);
+        }
+        return;
+    }
+    
+    // 自動演奏中であれば即座に操作を返す
+    if (attractMode) {
+        attractMode.notifyInput();
+    }
+    if (inputRecorder) {
+        inputRecorder.record(type, args);
+    }
+    INPUT_HANDLERS[type](...args);
 }
 
 // メインループ
 function draw() {
+    // システム構築前は何もしない
+    if (!isAppReady) return;
+    
     performanceMonitor.update();
+    attractMode.update();
+    virtualCursor.update();
+    
+    // 経過時間分のシミュレーションを固定ステップで進める
+    // 入力ログのフレームはステップ単位のため、再生と記録もステップごとに進める
+    simulationClock.advance(performanceMonitor.getDeltaTime(), (dt) => {
+        inputReplayer.update();
+        inputRecorder.tick();
+        
+        if (!isPaused) {
+            particleSystem.update(dt);
+            dragTrail.update(dt);
+        }
+    });
     
-    // 背景の描画（トレイル効果）
-    push();
-    blendMode(BLEND);
-    fill(0, 0, 0, bgAlpha);
-    rect(0, 0, width, height);
-    pop();
+    // 前のフレームでポストエフェクトをかけた場合は加工前の画面に戻す
+    postProcessor.restoreScene();
     
-    if (!isPaused) {
-        particleSystem.update();
-        dragTrail.update();
-    }
+    // 背景の描画（トレイル効果）
+    themeManager.drawBackground(bgAlpha);
     
     // ドラッグ軌跡の描画（パーティクルより背面）
     dragTrail.display();
     
-    particleSystem.display();
+    // 一時停止中は最新のステップの位置で止めて表示する
+    particleSystem.display(isPaused ? 1 : simulationClock.alpha);
+    
+    // ポストエフェクト（力場・カーソル・デバッグ表示にはかけない）
+    postProcessor.apply(particleSystem.effectConfigs[particleSystem.currentEffect]);
+    
+    // 力場と配置中の力場の表示
+    particleSystem.forceFields.display();
+    fieldGestures.forEach(gesture => {
+        particleSystem.forceFields.displayPreview(gesture.type, gesture.x, gesture.y, gesture.currentX, gesture.currentY);
+    });
+    
+    // 仮想カーソルの描画（最前面）
+    virtualCursor.display();
     
     // デバッグ情報の表示（開発時のみ）
-    if (keyIsDown(Config.UI.DEBUG_KEY_CODE)) {
+    if (keymap.isDown('debug')) {
         displayDebugInfo();
     }
 }
@@ -75,42 +279,156 @@ function windowResized() {
     resizeCanvas(windowWidth, windowHeight);
 }
 
-// マウスクリック時の処理
-function mousePressed() {
-    console.log('Mouse pressed - initializing sound system');
+// ポインター入力の設定
+// Pointer Events でマウス・ペン・タッチを区別せず扱い、指ごとに独立したセッションを持つ
+function setupPointerInput(canvas) {
+    canvas.addEventListener('pointerdown', (event) => {
+        if (!isAppReady) return;
+        
+        // 毎回ユーザーインタラクション時の初期化を試行
+        soundSystem.initOnUserGesture();
+        
+        // 入力ログの再生中は操作を始めない（力場の配置のプレビューも出さない）
+        if (inputReplayer.isPlaying) return;
+        
+        // キャンバス外に出ても解放まで追跡する
+        canvas.setPointerCapture(event.pointerId);
+        const point = toCanvasPoint(canvas, event);
+        
+        // 修飾キーを押しながらの操作は力場の配置（解放時にまとめて記録する）
+        if (isFieldPlacementEvent(event)) {
+            fieldGestures.set(event.pointerId, {
+                type: particleSystem.forceFields.placementType,
+                x: point.x,
+                y: point.y,
+                currentX: point.x,
+                currentY: point.y
+            });
+            return;
+        }
+        
+        handleLiveInput('down', point.x, point.y, event.pointerId);
+    });
     
-    // 毎回ユーザーインタラクション時の初期化を試行
-    soundSystem.initOnUserGesture();
+    canvas.addEventListener('pointermove', (event) => {
+        if (!isAppReady) return;
+        
+        // 実際のポインターがあればアトラクトモードを止める
+        attractMode.notifyInput();
+        
+        const gesture = fieldGestures.get(event.pointerId);
+        if (gesture) {
+            const point = toCanvasPoint(canvas, event);
+            gesture.currentX = point.x;
+            gesture.currentY = point.y;
+            return;
+        }
+        
+        const session = pointerSessions.get(event.pointerId);
+        if (!session) return;
+        
+        const point = toCanvasPoint(canvas, event);
+        const pen = penFromPointerEvent(event);
+        
+        // ペン以外は筆圧などを記録せず、従来と同じ引数にする
+        if (pen === NEUTRAL_PEN) {
+            handleLiveInput('drag', point.x, point.y, session.x, session.y, event.pointerId);
+        } else {
+            handleLiveInput('drag', point.x, point.y, session.x, session.y, event.pointerId,
+                pen.pressure, pen.tiltX, pen.tiltY, pen.twist);
+        }
+    });
     
+    const release = (event) => {
+        if (!isAppReady) return;
+        
+        const gesture = fieldGestures.get(event.pointerId);
+        if (gesture) {
+            fieldGestures.delete(event.pointerId);
+            if (event.type === 'pointerup') {
+                const point = toCanvasPoint(canvas, event);
+                handleLiveInput('field', gesture.x, gesture.y, point.x, point.y, gesture.type);
+            }
+            return;
+        }
+        if (!pointerSessions.has(event.pointerId)) return;
+        
+        // タッチでは pointerup がオーディオ開始に必要なユーザー操作になる
+        soundSystem.initOnUserGesture();
+        
+        const point = toCanvasPoint(canvas, event);
+        handleLiveInput('up', point.x, point.y, event.pointerId);
+    };
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+}
+
+// 力場の配置操作かどうか（FORCE_FIELDS.PLACEMENT.MODIFIER を押しながらの操作）
+function isFieldPlacementEvent(event) {
+    const modifier = Config.FORCE_FIELDS.PLACEMENT.MODIFIER;
+    return !!event[`${modifier}Key`];
+}
+
+// イベント座標をキャンバス座標に変換
+function toCanvasPoint(canvas, event) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) * (width / rect.width),
+        y: (event.clientY - rect.top) * (height / rect.height)
+    };
+}
+
+// 押下中のポインター位置をパーティクルの引力点に反映
+function updatePointerAttractors() {
+    particleSystem.setAttractors([...pointerSessions.values()]);
+}
+
+// ポインター押下の処理
+function handlePointerDown(x, y, pointerId = 0) {
     // ドラッグ開始の準備（まだドラッグかクリックか不明）
-    isDragging = false;
-    currentDragPath = [{x: mouseX, y: mouseY}];
+    pointerSessions.set(pointerId, {
+        x,
+        y,
+        isDragging: false,
+        pen: NEUTRAL_PEN,
+        path: [{x, y}]
+    });
+    updatePointerAttractors();
 }
 
-// マウスドラッグ時の処理
-function mouseDragged() {
+// ポインタードラッグの処理（pen は筆圧・傾き・回転）
+function handlePointerDrag(x, y, px, py, pointerId = 0, pen = NEUTRAL_PEN) {
+    const session = pointerSessions.get(pointerId);
+    if (!session) return;
+    
     // ドラッグ中フラグを設定
-    isDragging = true;
+    session.isDragging = true;
+    session.x = x;
+    session.y = y;
+    session.pen = pen;
     
     // ドラッグパスにポイントを追加
-    currentDragPath.push({x: mouseX, y: mouseY});
+    session.path.push({x, y});
     
-    // ドラッグ軌跡を記録
-    dragTrail.addPoint(mouseX, mouseY, pmouseX, pmouseY);
+    // ドラッグ軌跡を記録（ポインターごとのストリーム）
+    dragTrail.addPoint(x, y, px, py, pointerId, pen);
     
     // 強化されたパーティクルへの力の適用
-    particleSystem.applyEnhancedForce(mouseX, mouseY, pmouseX, pmouseY);
+    particleSystem.applyEnhancedForce(x, y, px, py, pen);
     
-    const velocity = dist(mouseX, mouseY, pmouseX, pmouseY);
-    soundSystem.playInteractionSound('drag', mouseX, mouseY, velocity);
+    const velocity = dist(x, y, px, py);
+    soundSystem.playInteractionSound('drag', x, y, velocity, pointerId, pen);
 }
 
-// マウスリリース時の処理
-function mouseReleased() {
-    if (isDragging && currentDragPath.length > 1) {
+// ポインター解放の処理
+function handlePointerUp(x, y, pointerId = 0) {
+    const session = pointerSessions.get(pointerId);
+    if (!session) return;
+    
+    if (session.isDragging && session.path.length > 1) {
         // ドラッグ終点で爆発を作成（非同期処理）
-        const endPoint = currentDragPath[currentDragPath.length - 1];
-        particleSystem.createPathExplosion(endPoint.x, endPoint.y, currentDragPath)
+        const endPoint = session.path[session.path.length - 1];
+        particleSystem.createPathExplosion(endPoint.x, endPoint.y, session.path)
             .then(() => {
                 // サウンド再生
                 soundSystem.playInteractionSound('explosion', endPoint.x, endPoint.y);
@@ -120,11 +438,11 @@ function mouseReleased() {
             });
     } else {
         // 通常のクリック時は起点で爆発（非同期処理）
-        particleSystem.createExplosion(mouseX, mouseY)
+        particleSystem.createExplosion(x, y)
             .then(() => {
                 // 少し遅延してサウンド再生を試行
                 setTimeout(() => {
-                    soundSystem.playInteractionSound('click', mouseX, mouseY);
+                    soundSystem.playInteractionSound('click', x, y);
                 }, Config.UI.TIMING.SOUND_DELAY_MS);
             })
             .catch(error => {
@@ -132,15 +450,19 @@ function mouseReleased() {
             });
     }
     
-    // ドラッグ状態をリセット
-    isDragging = false;
-    currentDragPath = [];
+    // このポインターのセッションを終了
+    cancelPointerGesture(pointerId);
 }
 
-// エフェクト切り替えの共通処理
+// エフェクト切り替え（ボタン・プリセットから。記録中はログに追加）
 function switchEffect(effectNumber) {
-    // 有効な範囲チェック
-    if (effectNumber < 1 || effectNumber > 5) {
+    handleLiveInput('effect', effectNumber);
+}
+
+// エフェクト切り替えの共通処理
+function applyEffect(effectNumber) {
+    // 登録済みエフェクトかチェック
+    if (!effectRegistry.has(effectNumber)) {
         console.warn('Invalid effect number:', effectNumber);
         return;
     }
@@ -152,22 +474,39 @@ function switchEffect(effectNumber) {
     particleSystem.setEffect(currentEffect);
     
     // 背景アルファ値の設定
-    switch(effectNumber) {
-        case 1: bgAlpha = 20; break;
-        case 2: bgAlpha = 10; break;
-        case 3: bgAlpha = 5; break;
-        case 4: bgAlpha = 15; break;
-        case 5: bgAlpha = 25; break;
-    }
+    bgAlpha = Config.EFFECTS.CONFIGS[effectNumber].bgAlpha;
     
     // ボタンのアクティブ状態更新
     updateEffectButtonStates(effectNumber);
 }
 
+// 登録済みエフェクトからボタンを生成
+function renderEffectButtons() {
+    const effectButtonArea = document.querySelector('.effect-buttons');
+    if (!effectButtonArea) {
+        console.warn('Effect button area not found');
+        return;
+    }
+    
+    effectButtonArea.textContent = '';
+    effectRegistry.getAll().forEach(effect => {
+        const button = document.createElement('button');
+        button.className = 'effect-btn';
+        button.dataset.effect = effect.number;
+        button.textContent = effect.emoji;
+        button.title = effect.key ? `${effect.name} (${effect.key})` : effect.name;
+        effectButtonArea.appendChild(button);
+    });
+    
+    if (effectRegistry.has(currentEffect)) {
+        updateEffectButtonStates(currentEffect);
+    }
+}
+
 // エフェクトボタンのアクティブ状態を更新
 function updateEffectButtonStates(activeEffect) {
     // 無効な値のチェック
-    if (!activeEffect || activeEffect < 1 || activeEffect > 5) {
+    if (!effectRegistry.has(activeEffect)) {
         console.warn('Invalid activeEffect for button update:', activeEffect);
         return;
     }
@@ -192,6 +531,8 @@ function updateEffectButtonStates(activeEffect) {
 
 // キー押下時の処理
 function keyPressed() {
+    if (!isAppReady) return;
+    
     // Escapeキーでドロワーを閉じる
     if (keyCode === ESCAPE) {
         const drawerPanel = document.getElementById('info-drawer');
@@ -202,47 +543,78 @@ function keyPressed() {
         }
     }
     
-    switch(key) {
-        case ' ':
+    // 入力欄での文字入力はショートカットとして扱わない
+    if (isEditableElementFocused()) return;
+    
+    // 仮想カーソルのキーはショートカットとして扱わず、押下をオーディオ開始のユーザー操作に使う
+    if (virtualCursor.handlesKey(keyCode)) {
+        soundSystem.initOnUserGesture();
+        return false; // 矢印キーでのページスクロールを防ぐ
+    }
+    
+    // デバッグ表示は押している間だけなので記録しない
+    const action = keymap.actionFor(keyCode);
+    if (action && action !== 'debug') {
+        handleLiveInput('action', action);
+    }
+}
+
+// キーマップの操作の処理
+function handleKeyAction(actionId) {
+    switch(actionId) {
+        case 'pause':
             togglePause();
             break;
-        case 'r':
-        case 'R':
+        case 'reset':
             particleSystem.reset();
             particleSystem.createInitialParticles();
             break;
-        case '1':
-            switchEffect(1);
-            break;
-        case '2':
-            switchEffect(2);
-            break;
-        case '3':
-            switchEffect(3);
+        case 'mute':
+            toggleMute();
             break;
-        case '4':
-            switchEffect(4);
+        case 'fieldType':
+            particleSystem.forceFields.cycleType();
             break;
-        case '5':
-            switchEffect(5);
+        case 'fieldClear':
+            particleSystem.forceFields.clear();
             break;
-        case 'm':
-        case 'M':
-            toggleMute();
+        case 'postProcessing':
+            postProcessor.toggle();
             break;
+        default: {
+            // エフェクトに割り当てられたキー
+            const effectNumber = Keymap.effectNumberOf(actionId);
+            if (effectNumber !== null) {
+                applyEffect(effectNumber);
+            }
+        }
     }
 }
 
+// 入力欄にフォーカスがあるかどうか
+function isEditableElementFocused() {
+    const element = document.activeElement;
+    if (!element) return false;
+    return element.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName);
+}
+
 // デバッグ情報の表示
 function displayDebugInfo() {
     const debugPos = Config.UI.DEBUG_POSITION;
     push();
     blendMode(BLEND);
-    fill(255);
+    fill(themeManager.foreground);
     noStroke();
     textAlign(LEFT);
+    text(`Post: ${postProcessor.lastPasses.join(', ') || 'none'}${postProcessor.available ? '' : ' (unavailable)'}`, debugPos.X, height - debugPos.Y_OFFSET_POST_PROCESSING);
+    text(`Force fields: ${particleSystem.forceFields.count} (place: ${particleSystem.forceFields.placementType})`, debugPos.X, height - debugPos.Y_OFFSET_FIELDS);
+    text(qualityGovernor.describeLastChange(), debugPos.X, height - debugPos.Y_OFFSET_QUALITY_CHANGE);
+    text(qualityGovernor.describe(), debugPos.X, height - debugPos.Y_OFFSET_QUALITY);
+    const pool = particleSystem.getPoolStats();
+    text(`Pool: ${pool.size}/${pool.maxSize} hit ${Math.round(pool.hitRate * 100)}% (${pool.hits}/${pool.misses}) dropped ${pool.dropped}`, debugPos.X, height - debugPos.Y_OFFSET_POOL);
+    text(`Seed: ${randomService.seed}`, debugPos.X, height - debugPos.Y_OFFSET_SEED);
     text(`FPS: ${performanceMonitor.getFPS()}`, debugPos.X, height - debugPos.Y_OFFSET_FPS);
-    text(`Particles: ${particleSystem.getParticleCount()}`, debugPos.X, height - debugPos.Y_OFFSET_PARTICLES);
+    text(`Particles: ${particleSystem.getParticleCount()} (${particleSystem.backend}, ${particleSystem.renderer.name})`, debugPos.X, height - debugPos.Y_OFFSET_PARTICLES);
     text(`Drag Trails: ${dragTrail.getTrailCount()}`, debugPos.X, height - debugPos.Y_OFFSET_TRAILS);
     pop();
 }
@@ -253,7 +625,7 @@ function setupSoundControls() {
     
     const pauseButton = document.getElementById('pause-button');
     const muteButton = document.getElementById('mute-button');
-    const effectButtons = document.querySelectorAll('.effect-btn');
+    const effectButtonArea = document.querySelector('.effect-buttons');
     
     if (!pauseButton) {
         console.error('❌ Pause button not found');
@@ -283,9 +655,15 @@ function setupSoundControls() {
         toggleMute();
     });
     
-    // エフェクト切り替えボタンのイベントハンドラー
-    effectButtons.forEach(button => {
-        button.addEventListener('click', (e) => {
+    // エフェクト切り替えボタンの生成（登録済みエフェクトから）
+    renderEffectButtons();
+    effectRegistry.onRegister(() => renderEffectButtons());
+    
+    // エフェクト切り替えボタンのイベントハンドラー（再生成に備えて委譲）
+    if (effectButtonArea) {
+        effectButtonArea.addEventListener('click', (e) => {
+            const button = e.target.closest('.effect-btn');
+            if (!button) return;
             e.stopPropagation(); // パーティクル発射を防ぐ
             const effectNumber = parseInt(button.dataset.effect);
             console.log('🎨 Effect button clicked:', effectNumber);
@@ -293,10 +671,7 @@ function setupSoundControls() {
             // 共通関数を使用してエフェクト切り替え
             switchEffect(effectNumber);
         });
-    });
-    
-    // 初期エフェクトボタンの状態を設定
-    updateEffectButtonStates(currentEffect);
+    }
     
     // 初期ミュートボタンの状態を設定
     const initialMuteState = soundSystem.isMuted ? soundSystem.isMuted() : false;
@@ -49,6 +49,12 @@ class SoundSystem {
             this.maxActiveSounds = soundConfig.MAX_ACTIVE_SOUNDS;
             this.soundIdCounter = 0;
             
+            // 品質の自動調整による同時発音数の縮小率
+            this.qualityScale = 1;
+            
+            // ドラッグ音のボイス（ポインターID → ボイス）
+            this.dragVoices = new Map();
+            
             // パフォーマンス監視
             this.performanceStats = {
                 totalSoundsCreated: 0,
@@ -58,6 +64,9 @@ class SoundSystem {
                 audioContextStartTime: 0
             };
             
+            // 実行時の設定変更を購読
+            this.subscribeToConfig();
+            
             console.log('✅ SoundSystem constructor completed');
         } catch (error) {
             errorHandler.handleError(new AppError(
@@ -88,6 +97,8 @@ class SoundSystem {
         this.activeSounds = new Map();
         this.maxActiveSounds = 20;
         this.soundIdCounter = 0;
+        this.qualityScale = 1;
+        this.dragVoices = new Map();
         this.audioEffects = {};
         this.ambientComponents = {};
         this.performanceStats = {
@@ -96,6 +107,65 @@ class SoundSystem {
         };
     }
     
+    /**
+     * 設定変更の購読
+     * 実行時に変更された設定値を再生中のサウンドシステムへ反映する
+     */
+    subscribeToConfig() {
+        this.configSubscriptions = [
+            Config.subscribe('SOUND.DEFAULT_MASTER_VOLUME', (volume) => {
+                this.setMasterVolume(volume);
+            }),
+            Config.subscribe('SOUND.MAX_ACTIVE_SOUNDS', (maxActiveSounds) => {
+                this.maxActiveSounds = this.scaledMaxActiveSounds(maxActiveSounds);
+            }),
+            Config.subscribe('SOUND.GOLDEN_RATIO', (goldenRatio) => {
+                this.goldenRatio = goldenRatio;
+            }),
+            Config.subscribe('SOUND.PENTATONIC_RATIOS', (ratios) => {
+                this.pentatonicRatios = ratios;
+            }),
+            Config.subscribe('SOUND.DEFAULT_HARMONIC_COUNT', (count) => {
+                this.defaultHarmonicCount = count;
+            }),
+            Config.subscribe('SOUND.EFFECT_TYPES', (effectTypes) => {
+                this.effectParams = effectTypes;
+            }),
+            Config.subscribe('SOUND.BASE_FREQUENCY', (frequency) => {
+                this.baseFrequency = frequency;
+                this.updateAmbientFrequency();
+            }),
+            Config.subscribe('SOUND.AUDIO_PARAMS.AMBIENT.octaveShift', () => {
+                this.updateAmbientFrequency();
+            }),
+            Config.subscribe('SOUND.AMBIENT_BASE_VOLUME', (volume) => {
+                const { oscillator, gain } = this.ambientComponents;
+                if (oscillator && oscillator.started && gain) {
+                    gain.amp(volume, Config.SOUND.AUDIO_PARAMS.AMBIENT.fadeInTime);
+                }
+            }),
+            Config.subscribe('SOUND.HEARTBEAT_BPM', () => {
+                // 心拍が動作中の場合のみ新しいテンポで再開
+                if (this.ambientComponents.heartbeatInterval) {
+                    this.startHeartbeatRhythm();
+                }
+            })
+        ];
+    }
+    
+    /**
+     * アンビエント基底音の周波数を現在の設定に合わせる
+     */
+    updateAmbientFrequency() {
+        return ErrorUtils.safeExecute(() => {
+            const oscillator = this.ambientComponents.oscillator;
+            if (!oscillator) return;
+            
+            const octaveShift = Math.pow(2, Config.SOUND.AUDIO_PARAMS.AMBIENT.octaveShift);
+            oscillator.freq(this.baseFrequency * octaveShift);
+        }, 'SoundSystem.updateAmbientFrequency');
+    }
+    
     /**
      * システムの初期化
      * p5.soundの準備とオーディオエフェクトの設定
@@ -569,25 +639,13 @@ class SoundSystem {
                 return;
             }
             
-            switch (params.type) {
-                case 'explosion':
-                    this.playExplosionSound(x, y, intensity);
-                    break;
-                case 'trail':
-                    this.playTrailSound(x, y, intensity);
-                    break;
-                case 'rainbow':
-                    this.playRainbowSound(x, y, intensity);
-                    break;
-                case 'gravity':
-                    this.playGravitySound(x, y, intensity);
-                    break;
-                case 'swirl':
-                    this.playSwirlSound(x, y, intensity);
-                    break;
-                default:
-                    console.warn(`Unhandled effect type: ${params.type}`);
+            // 音色は effectRegistry に登録されたものを使用
+            const voice = effectRegistry.getVoice(params.type);
+            if (!voice) {
+                console.warn(`Unhandled effect type: ${params.type}`);
+                return;
             }
+            voice(this, x, y, intensity, params);
         }, 'SoundSystem.playEffectSound', 20);
     }
     
@@ -646,7 +704,7 @@ class SoundSystem {
             const bassEnv = new p5.Envelope();
             
             const bassFreq = explosionConfig.bassFreqRange.min + 
-                           random(0, explosionConfig.bassFreqRange.max - explosionConfig.bassFreqRange.min);
+                           randomService.sound.random(0, explosionConfig.bassFreqRange.max - explosionConfig.bassFreqRange.min);
             bassOsc.freq(bassFreq);
             
             const explosionEnv = this.effectParams[1].envelope;
@@ -699,8 +757,8 @@ class SoundSystem {
             const trailConfig = Config.SOUND.AUDIO_PARAMS.TRAIL;
             const mappingConfig = Config.SOUND.MAPPING;
             
-            const noteIndex = floor(random(5));
-            const octave = floor(random(trailConfig.octaveRange.min, trailConfig.octaveRange.max));
+            const noteIndex = floor(randomService.sound.random(5));
+            const octave = floor(randomService.sound.random(trailConfig.octaveRange.min, trailConfig.octaveRange.max));
             const freq = this.getPentatonicFrequency(noteIndex, octave);
             
             const osc = new p5.Oscillator(Config.SOUND.WAVEFORMS.TRIANGLE);
@@ -743,7 +801,7 @@ class SoundSystem {
     playRainbowSound(x, y, intensity) {
         return ErrorUtils.safeExecute(() => {
             const { oscillators, gains } = this.createHarmonicOscillator(
-                this.getPentatonicFrequency(floor(random(5))),
+                this.getPentatonicFrequency(floor(randomService.sound.random(5))),
                 3
             );
             
@@ -788,7 +846,7 @@ class SoundSystem {
         return ErrorUtils.safeExecute(() => {
             const mappingConfig = Config.SOUND.MAPPING;
             
-            const freq = this.getPentatonicFrequency(floor(random(5)), -1);
+            const freq = this.getPentatonicFrequency(floor(randomService.sound.random(5)), -1);
             const osc = new p5.Oscillator(Config.SOUND.WAVEFORMS.SINE);
             const env = new p5.Envelope();
             
@@ -825,7 +883,7 @@ class SoundSystem {
         return ErrorUtils.safeExecute(() => {
             const lfoConfig = Config.SOUND.EFFECTS.LFO;
             
-            const noteIndex = floor(random(5));
+            const noteIndex = floor(randomService.sound.random(5));
             const freq = this.getPentatonicFrequency(noteIndex, 0);
             
             const osc = new p5.Oscillator(Config.SOUND.WAVEFORMS.SINE);
@@ -844,7 +902,7 @@ class SoundSystem {
             osc.freq(lfo);
             
             // 回転パンニング
-            const pan = sin(frameCount * 0.05) * this.effectParams[5].panning.range;
+            const pan = sin(simulationClock.steps * 0.05) * this.effectParams[5].panning.range;
             osc.pan(pan);
             
             const soundId = this.generateSoundId('swirl');
@@ -866,8 +924,10 @@ class SoundSystem {
      * @param {number} x - X座標
      * @param {number} y - Y座標
      * @param {number} velocity - 速度
+     * @param {number} pointerId - ポインターID（ドラッグ音のボイス識別用）
+     * @param {Object} pen - ペン入力（ドラッグ音の音量・フィルター用）
      */
-    playInteractionSound(type, x, y, velocity = 1) {
+    playInteractionSound(type, x, y, velocity = 1, pointerId = 0, pen = NEUTRAL_PEN) {
         return ErrorUtils.safeExecute(() => {
             if (!this.isEnabled || this.isMuted || !this.p5SoundReady) return;
             
@@ -878,7 +938,7 @@ class SoundSystem {
                     this.playClickSound(x, y);
                     break;
                 case 'drag':
-                    this.playDragSound(x, y, velocity);
+                    this.playDragSound(x, y, velocity, pointerId, pen);
                     break;
                 case 'particleCreate':
                     this.playParticleCreateSound(x, y);
@@ -904,8 +964,8 @@ class SoundSystem {
             }
             
             const mappingConfig = Config.SOUND.MAPPING;
-            const rootIndex = floor(random(5));
-            const chordType = random() > 0.5 ? 'major' : 'minor';
+            const rootIndex = floor(randomService.sound.random(5));
+            const chordType = randomService.sound.random() > 0.5 ? 'major' : 'minor';
             
             console.log('🎼 Generating chord:', { rootIndex, chordType });
             
@@ -953,35 +1013,84 @@ class SoundSystem {
     
     /**
      * ドラッグ音の再生（連続的な音程変化）
+     * ポインターごとに独立したボイスを持ち、同時に複数の指でドラッグしても別々の音として鳴る
+     * ペンの筆圧で音量、傾きでローパスフィルターの周波数が変わる
      * @param {number} x - X座標
      * @param {number} y - Y座標
      * @param {number} velocity - ドラッグ速度
+     * @param {number} pointerId - ポインターID
+     * @param {Object} pen - ペン入力
      */
-    playDragSound(x, y, velocity) {
+    playDragSound(x, y, velocity, pointerId = 0, pen = NEUTRAL_PEN) {
         return ErrorUtils.safeExecute(() => {
             const mappingConfig = Config.SOUND.MAPPING;
+            const voiceConfig = Config.SOUND.DRAG_VOICES;
             
             const freq = map(x, 0, width, mappingConfig.SCREEN_TO_FREQUENCY.min, mappingConfig.SCREEN_TO_FREQUENCY.max);
-            const vol = map(velocity, 0, 20, mappingConfig.VELOCITY_TO_VOLUME.min, mappingConfig.VELOCITY_TO_VOLUME.max);
+            const vol = map(velocity, 0, 20, mappingConfig.VELOCITY_TO_VOLUME.min, mappingConfig.VELOCITY_TO_VOLUME.max) *
+                penPressureFactor(pen, voiceConfig.PRESSURE_VOLUME_RANGE);
+            const pan = map(x, 0, width, mappingConfig.PAN_RANGE_LIMITED.min, mappingConfig.PAN_RANGE_LIMITED.max);
+            const cutoff = map(penTiltAmount(pen), 0, 1, voiceConfig.FILTER_FREQUENCY_RANGE.max, voiceConfig.FILTER_FREQUENCY_RANGE.min);
+            
+            let voice = this.dragVoices.get(pointerId);
+            
+            // 定期クリーンアップで破棄されたボイスは作り直す
+            if (voice && !this.activeSounds.has(voice.soundId)) {
+                clearTimeout(voice.releaseTimer);
+                this.dragVoices.delete(pointerId);
+                voice = null;
+            }
             
-            const osc = new p5.Oscillator(Config.SOUND.WAVEFORMS.SINE);
-            const env = new p5.Envelope();
+            if (!voice) {
+                if (this.dragVoices.size >= voiceConfig.MAX) return;
+                
+                const osc = new p5.Oscillator(Config.SOUND.WAVEFORMS.SINE);
+                const filter = new p5.LowPass();
+                osc.disconnect();
+                osc.connect(filter);
+                filter.freq(cutoff);
+                filter.res(voiceConfig.FILTER_RESONANCE);
+                osc.freq(freq);
+                osc.amp(0);
+                osc.start();
+                
+                voice = { osc, filter, soundId: this.generateSoundId('drag'), releaseTimer: null };
+                this.trackActiveSound(voice.soundId, [osc, filter]);
+                this.dragVoices.set(pointerId, voice);
+            }
             
-            osc.freq(freq);
-            env.setADSR(0.05, 0.1, vol, 0.1);
-            env.setRange(vol, 0);
+            voice.osc.freq(freq, voiceConfig.GLIDE_TIME);
+            voice.osc.amp(vol, voiceConfig.GLIDE_TIME);
+            voice.osc.pan(pan);
+            voice.filter.freq(cutoff, voiceConfig.GLIDE_TIME);
             
-            const soundId = this.generateSoundId('drag');
-            this.trackActiveSound(soundId, [osc, env]);
+            // 移動が止まったら消音
+            clearTimeout(voice.releaseTimer);
+            voice.releaseTimer = setTimeout(() => {
+                this.releaseDragVoice(pointerId);
+            }, voiceConfig.RELEASE_DELAY_MS);
             
-            osc.start();
-            env.play(osc);
+        }, 'SoundSystem.playDragSound');
+    }
+    
+    /**
+     * ドラッグ音のボイスの解放
+     * @param {number} pointerId - ポインターID
+     */
+    releaseDragVoice(pointerId = 0) {
+        return ErrorUtils.safeExecute(() => {
+            const voice = this.dragVoices.get(pointerId);
+            if (!voice) return;
             
-            setTimeout(() => {
-                this.cleanupSoundById(soundId);
-            }, 300);
+            const releaseTime = Config.SOUND.DRAG_VOICES.RELEASE_TIME;
+            clearTimeout(voice.releaseTimer);
+            this.dragVoices.delete(pointerId);
             
-        }, 'SoundSystem.playDragSound');
+            voice.osc.amp(0, releaseTime);
+            setTimeout(() => {
+                this.cleanupSoundById(voice.soundId);
+            }, releaseTime * 1000 + 50);
+        }, 'SoundSystem.releaseDragVoice');
     }
     
     /**
@@ -992,7 +1101,7 @@ class SoundSystem {
     playParticleCreateSound(x, y) {
         return ErrorUtils.safeExecute(() => {
             const bellConfig = Config.SOUND.AUDIO_PARAMS.BELL;
-            const freq = this.getPentatonicFrequency(floor(random(5)), 1);
+            const freq = this.getPentatonicFrequency(floor(randomService.sound.random(5)), 1);
             
             const soundNodes = [];
             const soundId = this.generateSoundId('particleCreate');
@@ -1148,6 +1257,24 @@ class SoundSystem {
         }, 'SoundSystem.performSoundCleanup', 10);
     }
     
+    /**
+     * 品質の自動調整による同時発音数の縮小率の設定
+     * @param {number} scale - 縮小率
+     */
+    setQuality(scale) {
+        this.qualityScale = scale;
+        this.maxActiveSounds = this.scaledMaxActiveSounds(Config.SOUND.MAX_ACTIVE_SOUNDS);
+    }
+    
+    /**
+     * 品質の縮小率を適用した同時発音数（最低1）
+     * @param {number} maxActiveSounds - 設定上の同時発音数
+     * @returns {number} 同時発音数
+     */
+    scaledMaxActiveSounds(maxActiveSounds) {
+        return Math.max(1, Math.round(maxActiveSounds * this.qualityScale));
+    }
+    
     /**
      * マスターボリュームの設定
      * @param {number} volume - ボリューム値（0-1）
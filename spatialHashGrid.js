@@ -0,0 +1,139 @@
+/**
+ * 空間ハッシュグリッド
+ * 画面を一様なセルに分割し、パーティクルの位置（格納先での位置番号）をセルごとに並べておく
+ * 半径検索では円に重なるセルの候補だけを返すため、全パーティクルの距離計算を避けられる
+ *
+ * ParticleSystem.update() の最後に作り直す。作り直した後に追加・削除されたパーティクルは
+ * 次の作り直しまで反映されないため、呼び出し側は候補の実際の位置で距離を確認すること
+ * 削除でパーティクルの位置番号が入れ替わった場合は markStale() で古いことを記録し、検索の前に作り直す
+ */
+class SpatialHashGrid {
+    /**
+     * @param {number} cellSize - セルの一辺（px）
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cols = 0;
+        this.rows = 0;
+        this.count = 0;
+        /** セルごとの開始位置（cellStart[c] 〜 cellStart[c + 1] が セル c の要素） */
+        this.cellStart = new Int32Array(1);
+        /** 書き込み中のセルごとの位置 */
+        this.cellCursor = new Int32Array(0);
+        /** セル順に並べたパーティクルの位置番号 */
+        this.entries = new Int32Array(0);
+        /** パーティクルごとのセル */
+        this.cellOf = new Int32Array(0);
+        /** 作り直した後に位置番号が入れ替わったかどうか（true の間は検索の前に作り直す） */
+        this.stale = false;
+    }
+
+    /**
+     * 位置番号の入れ替わりの記録（格納先の入れ替えによる削除の後に呼ぶ）
+     */
+    markStale() {
+        this.stale = true;
+    }
+
+    /**
+     * セルの一辺の変更（次の作り直しから反映）
+     * @param {number} cellSize - セルの一辺（px）
+     */
+    setCellSize(cellSize) {
+        this.cellSize = cellSize;
+        this.cols = 0;
+        this.rows = 0;
+    }
+
+    /**
+     * 画面サイズに合わせたセル配列の確保（サイズが変わったときのみ）
+     * @param {number} areaWidth - 幅
+     * @param {number} areaHeight - 高さ
+     */
+    resize(areaWidth, areaHeight) {
+        const cols = Math.max(1, Math.ceil(areaWidth / this.cellSize));
+        const rows = Math.max(1, Math.ceil(areaHeight / this.cellSize));
+        if (cols === this.cols && rows === this.rows) return;
+
+        this.cols = cols;
+        this.rows = rows;
+        this.cellStart = new Int32Array(cols * rows + 1);
+        this.cellCursor = new Int32Array(cols * rows);
+    }
+
+    /**
+     * 座標のセル（画面外はいちばん近いセル）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {number} セル番号
+     */
+    cellIndex(x, y) {
+        const col = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+        const row = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+        return row * this.cols + col;
+    }
+
+    /**
+     * 作り直し（計数ソートでセル順に並べる。配列は容量が足りないときだけ確保し直す）
+     * @param {Object} storage - パーティクルの格納先（count, getX(i), getY(i)）
+     */
+    rebuild(storage) {
+        this.resize(width, height);
+
+        const count = storage.count;
+        if (this.entries.length < count) {
+            this.entries = new Int32Array(count);
+            this.cellOf = new Int32Array(count);
+        }
+        this.count = count;
+        this.stale = false;
+
+        const cellStart = this.cellStart;
+        cellStart.fill(0);
+        for (let i = 0; i < count; i++) {
+            const cell = this.cellIndex(storage.getX(i), storage.getY(i));
+            this.cellOf[i] = cell;
+            cellStart[cell + 1]++;
+        }
+        for (let c = 1; c < cellStart.length; c++) {
+            cellStart[c] += cellStart[c - 1];
+        }
+
+        this.cellCursor.set(cellStart.subarray(0, this.cellCursor.length));
+        for (let i = 0; i < count; i++) {
+            this.entries[this.cellCursor[this.cellOf[i]]++] = i;
+        }
+    }
+
+    /**
+     * 半径検索（円に重なるセルにあるパーティクルの位置番号を返す。距離は確認しない）
+     * @param {number} x - 中心X座標
+     * @param {number} y - 中心Y座標
+     * @param {number} radius - 半径
+     * @param {Function} callback - (index) => void
+     */
+    query(x, y, radius, callback) {
+        if (this.count === 0) return;
+
+        // 画面外のパーティクルは端のセルに入っているため、範囲も端のセルに丸める
+        const size = this.cellSize;
+        const clampCol = (value) => Math.min(this.cols - 1, Math.max(0, Math.floor(value / size)));
+        const clampRow = (value) => Math.min(this.rows - 1, Math.max(0, Math.floor(value / size)));
+        const colMin = clampCol(x - radius);
+        const colMax = clampCol(x + radius);
+        const rowMin = clampRow(y - radius);
+        const rowMax = clampRow(y + radius);
+
+        for (let row = rowMin; row <= rowMax; row++) {
+            for (let col = colMin; col <= colMax; col++) {
+                const cell = row * this.cols + col;
+                for (let e = this.cellStart[cell]; e < this.cellStart[cell + 1]; e++) {
+                    callback(this.entries[e]);
+                }
+            }
+        }
+    }
+}
+
+// グローバルアクセス用
+window.SpatialHashGrid = SpatialHashGrid;
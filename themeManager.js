@@ -0,0 +1,154 @@
+/**
+ * 背景テーマ
+ * 背景色・軌跡を消す色・合成方法・パーティクルの彩度と明度の倍率・UIの配色をまとめて切り替える
+ *
+ * 加算合成（ADD）は暗い背景で光って見えるが、明るい背景では白く飛んでしまう。明るいテーマでは
+ * MULTIPLY（インクを重ねたような色）や BLEND（そのままの色）で描き、彩度を上げて色を残す
+ *
+ * テーマはパーティクル（2D / WebGL のどちらの描画方式でも）・ドラッグ軌跡・背景の塗り・style.css の配色に同じように効く
+ * ACTIVE が auto の場合は OS のライト/ダークの設定（prefers-color-scheme）に合わせて THEMES.AUTO のテーマを使う
+ */
+
+/** OS の設定に合わせるテーマの名前 */
+const AUTO_THEME = 'auto';
+
+/** テーマのブレンドモード → p5.js の blendMode の値（Canvas の globalCompositeOperation と同じ） */
+const THEME_COMPOSITE_OPERATIONS = {
+    ADD: 'lighter',
+    SCREEN: 'screen',
+    MULTIPLY: 'multiply',
+    BLEND: 'source-over'
+};
+
+class ThemeManager {
+    constructor() {
+        /** OS がライトモードかどうかの問い合わせ（matchMedia がない環境では null） */
+        this.lightSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+        /** 次のフレームで背景を塗り直すかどうか（テーマの切り替え直後） */
+        this.needsClear = true;
+        /** 背景色と軌跡を消す色（p5.Color、apply で作る） */
+        this.backgroundColor = null;
+        this.fadeColor = null;
+    }
+
+    /**
+     * 初期化（p5.js の準備後に呼ぶ）
+     */
+    init() {
+        Config.subscribe('THEMES', () => this.apply());
+        if (this.lightSchemeQuery) {
+            this.lightSchemeQuery.addEventListener('change', () => {
+                if (Config.THEMES.ACTIVE === AUTO_THEME) this.apply();
+            });
+        }
+        this.apply();
+    }
+
+    /**
+     * 定義済みのテーマの名前
+     * @returns {Array<string>} THEMES.DEFINITIONS のキー
+     */
+    names() {
+        return Object.keys(Config.THEMES.DEFINITIONS);
+    }
+
+    /**
+     * 使用中のテーマの名前（auto の場合は OS の設定から選んだテーマ）
+     * @returns {string} テーマ名
+     */
+    get name() {
+        const themes = Config.THEMES;
+        if (themes.ACTIVE !== AUTO_THEME) return themes.ACTIVE;
+        return this.lightSchemeQuery && this.lightSchemeQuery.matches ? themes.AUTO.LIGHT : themes.AUTO.DARK;
+    }
+
+    /**
+     * 使用中のテーマの定義（定義が消された場合は標準の dark）
+     * @returns {Object} { BACKGROUND, FADE, BLEND_MODE, SATURATION, BRIGHTNESS, UI }
+     */
+    get theme() {
+        return Config.THEMES.DEFINITIONS[this.name] || DefaultConfig.THEMES.DEFINITIONS.dark;
+    }
+
+    /**
+     * パーティクルと軌跡の合成方法
+     * @returns {string} p5.js の blendMode の値（globalCompositeOperation としても使える）
+     */
+    get blendMode() {
+        return THEME_COMPOSITE_OPERATIONS[this.theme.BLEND_MODE];
+    }
+
+    /**
+     * 加算合成かどうか（WebGL の描画でパーティクル同士を加算で重ねるか）
+     * @returns {boolean} ADD の場合 true
+     */
+    get isAdditive() {
+        return this.theme.BLEND_MODE === 'ADD';
+    }
+
+    /**
+     * 画面に重ねる文字の明るさ（デバッグ表示など）
+     * @returns {number} グレースケールの値（0〜255）
+     */
+    get foreground() {
+        return this.theme.UI === 'light' ? 0 : 255;
+    }
+
+    /**
+     * パーティクルと軌跡を描くときのカラーモード
+     * HSB の彩度・明度の最大値を倍率で割ることで、同じ値で指定した色の彩度・明度をテーマの倍率だけ変える（100 を超えた分は 100）
+     */
+    colorMode() {
+        const theme = this.theme;
+        colorMode(HSB, 360, 100 / theme.SATURATION, 100 / theme.BRIGHTNESS, 100);
+    }
+
+    /**
+     * 背景の描画（トレイル効果）
+     * 毎フレーム FADE の色を背景アルファで重ね、テーマの切り替え直後は BACKGROUND で塗りつぶす
+     * @param {number} alpha - 背景アルファ（CANVAS.COLOR_MODE.A_MAX 基準）
+     */
+    drawBackground(alpha) {
+        const paint = this.needsClear ? this.backgroundColor : this.fadeColor;
+        paint.setAlpha(this.needsClear ? Config.CANVAS.COLOR_MODE.A_MAX : alpha);
+        this.needsClear = false;
+
+        push();
+        blendMode(BLEND);
+        noStroke();
+        fill(paint);
+        rect(0, 0, width, height);
+        pop();
+    }
+
+    /**
+     * テーマの適用（背景の塗り直し・ページの配色）
+     */
+    apply() {
+        const theme = this.theme;
+        this.backgroundColor = color(theme.BACKGROUND);
+        this.fadeColor = color(theme.FADE);
+        this.needsClear = true;
+
+        const root = document.documentElement;
+        root.dataset.themeUi = theme.UI;
+        root.style.setProperty('--theme-background', theme.BACKGROUND);
+        console.log(`🌓 Theme: ${this.name}`);
+    }
+
+    /**
+     * テーマの切り替え
+     * @param {string} name - テーマ名（auto で OS の設定に合わせる）
+     * @returns {boolean} 切り替えられたかどうか
+     */
+    setActive(name) {
+        return Config.set('THEMES.ACTIVE', name);
+    }
+}
+
+// グローバルインスタンス
+const themeManager = new ThemeManager();
+
+// グローバルアクセス用
+window.ThemeManager = ThemeManager;
+window.themeManager = themeManager;
@@ -0,0 +1,460 @@
+/**
+ * ライブパラメータ調整パネル
+ * AppConfig のカテゴリと設定スキーマからドロワー内のコントロールを自動生成する
+ */
+class TweakPanel {
+    /**
+     * @param {string} containerId - パネルを構築する要素のID
+     */
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = null;
+        this.body = null;
+        this.isBuilt = false;
+        /** パス → コントロールの更新関数 */
+        this.controls = new Map();
+        /** レコード・配列のパス → { group, shape }（要素が増減したら子コントロールを作り直す） */
+        this.collections = new Map();
+        this.unsubscribe = null;
+    }
+
+    /**
+     * 初期化
+     * コントロールはパネルを初めて開いたときに生成する
+     */
+    init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.warn('Tweak panel container not found:', this.containerId);
+            return;
+        }
+
+        this.body = this.container.querySelector('.tweak-body');
+        this.container.addEventListener('toggle', () => {
+            if (this.container.open && !this.isBuilt) {
+                this.build();
+            }
+        });
+
+        // 外部からの設定変更（リセット・オーバーライド等）をコントロールに反映
+        this.unsubscribe = Config.subscribe('', (values, change) => this.refresh(change.path));
+    }
+
+    /**
+     * コントロールの生成
+     */
+    build() {
+        ErrorUtils.safeExecute(() => {
+            this.body.textContent = '';
+            this.controls.clear();
+            this.collections.clear();
+
+            this.body.appendChild(this.createActions());
+            Config.CATEGORIES.forEach(category => {
+                const section = document.createElement('details');
+                section.className = 'tweak-category';
+                const summary = document.createElement('summary');
+                summary.textContent = category;
+                section.appendChild(summary);
+
+                this.buildNode(section, category, configValidator.getSchema(category));
+                this.body.appendChild(section);
+            });
+
+            this.isBuilt = true;
+        }, 'Tweak panel build');
+    }
+
+    /**
+     * スキーマノードに対応するコントロールの生成（再帰）
+     * @param {HTMLElement} parent - 追加先の要素
+     * @param {string} path - 設定パス
+     * @param {Object} schema - スキーマノード
+     */
+    buildNode(parent, path, schema) {
+        if (!schema) return;
+
+        switch (schema.type) {
+            case 'object':
+            case 'record':
+            case 'array': {
+                const group = path.includes('.') ? this.createGroup(parent, path) : parent;
+                if (schema.type !== 'object' && group !== parent) {
+                    this.collections.set(path, { group, shape: TweakPanel.shapeOf(Config.getSnapshot(path)) });
+                }
+                this.buildChildren(group, path, schema);
+                break;
+            }
+            case 'range':
+                this.createRangeControl(parent, path, schema);
+                break;
+            case 'number':
+                this.createNumberControl(parent, path, schema);
+                break;
+            case 'boolean':
+                this.createBooleanControl(parent, path);
+                break;
+            case 'enum':
+                this.createSelectControl(parent, path, schema);
+                break;
+            case 'string':
+                this.createTextControl(parent, path);
+                break;
+        }
+    }
+
+    /**
+     * オブジェクト・レコード・配列の子のコントロールの生成
+     * @param {HTMLElement} group - 追加先の要素
+     * @param {string} path - 設定パス
+     * @param {Object} schema - スキーマノード
+     */
+    buildChildren(group, path, schema) {
+        const value = Config.getSnapshot(path);
+        const keys = schema.type === 'object' ? Object.keys(schema.properties) : Object.keys(value || {});
+        keys.forEach(key => {
+            const childPath = ConfigStore.joinPath(path, key);
+            if (!Config.has(childPath)) return;
+            this.buildNode(group, childPath, configValidator.getSchema(childPath));
+        });
+    }
+
+    /**
+     * レコード・配列の子コントロールの作り直し（要素の追加・削除の後）
+     * @param {string} path - 設定パス
+     * @param {Object} collection - { group, shape }
+     */
+    rebuildCollection(path, collection) {
+        [this.controls, this.collections].forEach(map => {
+            Array.from(map.keys())
+                .filter(childPath => childPath !== path && ConfigStore.isWithin(childPath, path))
+                .forEach(childPath => map.delete(childPath));
+        });
+
+        // 見出し（legend）以外を消してから作り直す
+        Array.from(collection.group.children)
+            .filter(child => child.tagName !== 'LEGEND')
+            .forEach(child => child.remove());
+        collection.shape = TweakPanel.shapeOf(Config.getSnapshot(path));
+        this.buildChildren(collection.group, path, configValidator.getSchema(path));
+    }
+
+    /**
+     * ネストしたオブジェクト用のグループ要素
+     * @param {HTMLElement} parent - 追加先の要素
+     * @param {string} path - 設定パス
+     * @returns {HTMLElement} グループ要素
+     */
+    createGroup(parent, path) {
+        const group = document.createElement('fieldset');
+        group.className = 'tweak-group';
+        const legend = document.createElement('legend');
+        legend.textContent = TweakPanel.labelFor(path);
+        group.appendChild(legend);
+        parent.appendChild(group);
+        return group;
+    }
+
+    /**
+     * ラベル付きの行要素
+     * @param {HTMLElement} parent - 追加先の要素
+     * @param {string} path - 設定パス
+     * @returns {HTMLElement} 行要素
+     */
+    createRow(parent, path) {
+        const row = document.createElement('label');
+        row.className = 'tweak-row';
+        row.title = path;
+        const name = document.createElement('span');
+        name.className = 'tweak-label';
+        name.textContent = TweakPanel.labelFor(path);
+        row.appendChild(name);
+        parent.appendChild(row);
+        return row;
+    }
+
+    /**
+     * 数値コントロール（範囲が定義されていればスライダー）
+     * @param {HTMLElement} parent - 追加先の要素
+     * @param {string} path - 設定パス
+     * @param {Object} schema - 数値スキーマ
+     */
+    createNumberControl(parent, path, schema) {
+        const row = this.createRow(parent, path);
+        const input = this.createNumberInput(schema);
+        const output = document.createElement('output');
+        output.className = 'tweak-value';
+        row.appendChild(input);
+        row.appendChild(output);
+
+        const update = (value) => {
+            input.value = value;
+            output.textContent = TweakPanel.formatNumber(value);
+        };
+        input.addEventListener('input', () => {
+            if (!Config.set(path, Number(input.value))) update(Config.get(path));
+        });
+
+        update(Config.get(path));
+        this.controls.set(path, update);
+    }
+
+    /**
+     * {min, max} 範囲コントロール（2本のスライダー）
+     * @param {HTMLElement} parent - 追加先の要素
+     * @param {string} path - 設定パス
+     * @param {Object} schema - 範囲スキーマ
+     */
+    createRangeControl(parent, path, schema) {
+        const row = this.createRow(parent, path);
+        const boundSchema = configValidator.getSchemaForRangeBound(schema);
+        const inputs = { min: this.createNumberInput(boundSchema), max: this.createNumberInput(boundSchema) };
+        const output = document.createElement('output');
+        output.className = 'tweak-value';
+        row.appendChild(inputs.min);
+        row.appendChild(inputs.max);
+        row.appendChild(output);
+
+        const update = (range) => {
+            inputs.min.value = range.min;
+            inputs.max.value = range.max;
+            output.textContent = `${TweakPanel.formatNumber(range.min)}–${TweakPanel.formatNumber(range.max)}`;
+        };
+        Object.keys(inputs).forEach(bound => {
+            inputs[bound].addEventListener('input', () => {
+                // 反対側の値を越えた場合は押し出して min <= max を保つ
+                const range = Config.getSnapshot(path);
+                range[bound] = Number(inputs[bound].value);
+                if (range.min > range.max) {
+                    range[bound === 'min' ? 'max' : 'min'] = range[bound];
+                }
+                if (!Config.set(path, range)) update(Config.getSnapshot(path));
+            });
+        });
+
+        update(Config.getSnapshot(path));
+        this.controls.set(path, () => update(Config.getSnapshot(path)));
+    }
+
+    /**
+     * 真偽値コントロール（チェックボックス）
+     * @param {HTMLElement} parent - 追加先の要素
+     * @param {string} path - 設定パス
+     */
+    createBooleanControl(parent, path) {
+        const row = this.createRow(parent, path);
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        row.appendChild(input);
+
+        const update = (value) => { input.checked = value; };
+        input.addEventListener('change', () => {
+            if (!Config.set(path, input.checked)) update(Config.get(path));
+        });
+
+        update(Config.get(path));
+        this.controls.set(path, update);
+    }
+
+    /**
+     * 列挙値コントロール（セレクト）
+     * @param {HTMLElement} parent - 追加先の要素
+     * @param {string} path - 設定パス
+     * @param {Object} schema - 列挙スキーマ
+     */
+    createSelectControl(parent, path, schema) {
+        const row = this.createRow(parent, path);
+        const select = document.createElement('select');
+        const values = ConfigValidator.enumValues(schema);
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        });
+        row.appendChild(select);
+
+        const update = (value) => { select.value = value; };
+        select.addEventListener('change', () => {
+            // 数値の列挙値も元の型のまま設定する
+            if (!Config.set(path, values[select.selectedIndex])) update(Config.get(path));
+        });
+
+        update(Config.get(path));
+        this.controls.set(path, update);
+    }
+
+    /**
+     * 文字列コントロール（テキスト入力）
+     * @param {HTMLElement} parent - 追加先の要素
+     * @param {string} path - 設定パス
+     */
+    createTextControl(parent, path) {
+        const row = this.createRow(parent, path);
+        const input = document.createElement('input');
+        input.type = 'text';
+        row.appendChild(input);
+
+        const update = (value) => { input.value = value; };
+        input.addEventListener('change', () => {
+            if (!Config.set(path, input.value)) update(Config.get(path));
+        });
+
+        update(Config.get(path));
+        this.controls.set(path, update);
+    }
+
+    /**
+     * 数値入力要素の生成
+     * 上下限があればスライダー、なければ（またはスライダーで選べないほど広ければ）数値入力
+     * @param {Object} schema - 数値スキーマ
+     * @returns {HTMLInputElement} 入力要素
+     */
+    createNumberInput(schema) {
+        const input = document.createElement('input');
+        const bounded = schema.min !== undefined && schema.max !== undefined &&
+            schema.max - schema.min <= TweakPanel.MAX_SLIDER_SPAN;
+        input.type = bounded ? 'range' : 'number';
+        if (schema.min !== undefined) input.min = schema.min;
+        if (schema.max !== undefined) input.max = schema.max;
+        input.step = schema.integer ? 1 : (bounded ? TweakPanel.stepFor(schema.max - schema.min) : 'any');
+        return input;
+    }
+
+    /**
+     * 差分コピー・リセットボタン
+     * @returns {HTMLElement} ボタン群
+     */
+    createActions() {
+        const actions = document.createElement('div');
+        actions.className = 'tweak-actions';
+
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.textContent = '📋 差分をJSONでコピー';
+        copyButton.addEventListener('click', () => this.copyDiff(copyButton));
+
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.textContent = '↩️ すべてリセット';
+        resetButton.addEventListener('click', () => Config.reset());
+
+        actions.appendChild(copyButton);
+        actions.appendChild(resetButton);
+        return actions;
+    }
+
+    /**
+     * 外部からの変更をコントロールに反映
+     * @param {string} changedPath - 変更されたパス
+     */
+    refresh(changedPath) {
+        if (!this.isBuilt) return;
+        const isAffected = (path) => ConfigStore.isWithin(path, changedPath) || ConfigStore.isWithin(changedPath, path);
+
+        // 要素が増減した（または要素の項目が変わった）レコード・配列は子コントロールを作り直す
+        Array.from(this.collections.keys()).forEach(path => {
+            const collection = this.collections.get(path);
+            // 外側の作り直しで消えた場合は作り直し済み
+            if (!collection || !isAffected(path)) return;
+            if (TweakPanel.shapeOf(Config.getSnapshot(path)) !== collection.shape) {
+                this.rebuildCollection(path, collection);
+            }
+        });
+
+        this.controls.forEach((update, path) => {
+            if (!isAffected(path)) return;
+            const value = Config.get(path);
+            if (value !== undefined) update(value);
+        });
+    }
+
+    /**
+     * デフォルト値との差分ツリー
+     * config.override.json としてそのまま使える形式
+     * @returns {Object} 差分ツリー
+     */
+    getDiff() {
+        const diff = (current, defaults) => {
+            if (!ConfigStore.isPlainObject(current) || !ConfigStore.isPlainObject(defaults)) {
+                return ConfigStore.deepEqual(current, defaults) ? undefined : current;
+            }
+            const result = {};
+            Object.keys(current).forEach(key => {
+                const child = diff(current[key], defaults[key]);
+                if (child !== undefined) result[key] = child;
+            });
+            return Object.keys(result).length > 0 ? result : undefined;
+        };
+        return diff(Config.getSnapshot(), Config.getDefault('')) || {};
+    }
+
+    /**
+     * 差分JSONをクリップボードにコピー
+     * @param {HTMLButtonElement} button - フィードバック表示用のボタン
+     */
+    async copyDiff(button) {
+        const json = JSON.stringify(this.getDiff(), null, 4);
+        const label = button.textContent;
+
+        try {
+            await navigator.clipboard.writeText(json);
+            button.textContent = '✅ コピーしました';
+        } catch (error) {
+            // クリップボードAPIが使えない環境ではコンソールに出力
+            console.log('⚙️ Config diff:\n' + json);
+            button.textContent = '⚠️ コンソールに出力しました';
+        }
+        setTimeout(() => { button.textContent = label; }, 1500);
+    }
+
+    /**
+     * スライダーで扱う最大の範囲幅
+     * @returns {number} 範囲幅
+     */
+    static get MAX_SLIDER_SPAN() {
+        return 1e6;
+    }
+
+    /**
+     * 値のキーの構造（値は含まない）
+     * レコード・配列の要素の増減や、要素の省略可能な項目の有無の変化を検出する
+     * @param {*} value - 設定値
+     * @returns {string} キーの構造を表す文字列
+     */
+    static shapeOf(value) {
+        if (!ConfigStore.isPlainObject(value) && !Array.isArray(value)) return '';
+        return Object.keys(value).map(key => `${key}{${TweakPanel.shapeOf(value[key])}}`).join(',');
+    }
+
+    /**
+     * パスの表示ラベル
+     * @param {string} path - 設定パス
+     * @returns {string} ラベル
+     */
+    static labelFor(path) {
+        const keys = ConfigStore.splitPath(path);
+        return keys[keys.length - 1];
+    }
+
+    /**
+     * 範囲幅に応じたスライダーのステップ
+     * @param {number} span - 最大値と最小値の差
+     * @returns {number} ステップ
+     */
+    static stepFor(span) {
+        return Math.pow(10, Math.floor(Math.log10(span / 100)));
+    }
+
+    /**
+     * 数値の表示用フォーマット
+     * @param {number} value - 数値
+     * @returns {string} 表示文字列
+     */
+    static formatNumber(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(3).replace(/\.?0+$/, '');
+    }
+}
+
+// グローバルアクセス用
+window.TweakPanel = TweakPanel;
@@ -141,7 +141,7 @@ const easing = {
  */
 function randomDirection() {
     return ErrorUtils.safeExecute(() => {
-        const angle = random(TWO_PI);
+        const angle = randomService.particles.random(TWO_PI);
         return {
             x: cos(angle),
             y: sin(angle)
@@ -157,8 +157,8 @@ function randomDirection() {
  */
 function getRainbowColor(offset, time) {
     return ErrorUtils.safeExecute(() => {
-        const hue = (offset + time * 0.1) % 360;
-        return hueToColor(hue, 80, 100);
+        const { hue, saturation, brightness } = paletteManager.at(((offset + time * 0.1) % 360) / 360, 80, 100);
+        return hueToColor(hue, saturation, brightness);
     }, 'getRainbowColor', color(255));
 }
 
@@ -184,6 +184,47 @@ function radiansToDegrees(radians) {
     }, 'radiansToDegrees', 0);
 }
 
+/**
+ * ペン入力の中立値
+ * 筆圧・傾きを持たないポインター（マウス・タッチ）はこの値として扱う
+ */
+const NEUTRAL_PEN = Object.freeze({ pressure: 0.5, tiltX: 0, tiltY: 0, twist: 0 });
+
+/**
+ * Pointer Events からペン入力（筆圧・傾き・回転）を取得
+ * @param {PointerEvent} event - ポインターイベント
+ * @returns {Object} { pressure: 0〜1, tiltX: -90〜90, tiltY: -90〜90, twist: 0〜359 }
+ */
+function penFromPointerEvent(event) {
+    if (event.pointerType !== 'pen') return NEUTRAL_PEN;
+    return {
+        pressure: isFinite(event.pressure) ? event.pressure : NEUTRAL_PEN.pressure,
+        tiltX: event.tiltX || 0,
+        tiltY: event.tiltY || 0,
+        twist: event.twist || 0
+    };
+}
+
+/**
+ * ペンの傾きの大きさ
+ * @param {Object} pen - ペン入力
+ * @returns {number} 0（垂直）〜1（水平）
+ */
+function penTiltAmount(pen) {
+    return Math.min(1, Math.hypot(pen.tiltX, pen.tiltY) / 90);
+}
+
+/**
+ * 筆圧に応じた係数
+ * 中立の筆圧（0.5）で範囲の中央値になる
+ * @param {Object} pen - ペン入力
+ * @param {Object} range - {min, max} 筆圧0と1での係数
+ * @returns {number} 係数
+ */
+function penPressureFactor(pen, range) {
+    return range.min + (range.max - range.min) * pen.pressure;
+}
+
 /**
  * パフォーマンス計測・監視クラス
  * FPS、メモリ使用量、レンダリング時間などの性能指標を追跡
@@ -199,6 +240,10 @@ class PerformanceMonitor {
         this.frameCount = 0;
         this.lastTime = performance.now();
         
+        // 前のフレームからの経過時間（固定タイムステップのシミュレーションを進める）
+        this.lastFrameTime = this.lastTime;
+        this.deltaTime = 1000 / this.fps;
+        
         // 詳細統計
         this.stats = {
             fps: this.fps,
@@ -217,6 +262,9 @@ class PerformanceMonitor {
         this.fpsHistory = [];
         this.maxHistoryLength = options.maxHistory || 300; // 5分間（60fps × 300秒）
         
+        // FPS計測ごとの通知先（品質の自動調整など）
+        this.sampleListeners = new Set();
+        
         // 警告閾値
         this.warningThresholds = {
             lowFPS: options.lowFPSThreshold || Config.PERFORMANCE.FPS_WARNING_THRESHOLD,
@@ -232,16 +280,41 @@ class PerformanceMonitor {
         this.isMonitoring = true;
         this.warningCount = 0;
         
+        // 実行時の設定変更を購読
+        this.subscribeToConfig();
+        
         console.log('✅ PerformanceMonitor initialized', { 
             target: this.fps, 
             warningThresholds: this.warningThresholds 
         });
     }
     
+    /**
+     * 設定変更の購読
+     * 目標FPSや警告閾値の変更を監視中の統計へ反映する
+     */
+    subscribeToConfig() {
+        this.configSubscriptions = [
+            Config.subscribe('CANVAS.TARGET_FPS', (targetFPS) => {
+                this.fps = targetFPS;
+            }),
+            Config.subscribe('PERFORMANCE', (config) => {
+                this.warningThresholds.lowFPS = config.FPS_WARNING_THRESHOLD;
+                this.warningThresholds.memoryWarning = config.MEMORY_WARNING_THRESHOLD * 1024 * 1024;
+                this.updateInterval = config.MEASUREMENT_INTERVAL;
+            })
+        ];
+    }
+    
     /**
      * パフォーマンス統計の更新
      */
     update() {
+        // 経過時間はシミュレーションに必要なため、監視を止めていても計測する
+        const now = performance.now();
+        this.deltaTime = now - this.lastFrameTime;
+        this.lastFrameTime = now;
+        
         if (!this.isMonitoring) return;
         
         return ErrorUtils.executeWithPerformanceMonitoring(() => {
@@ -298,6 +371,18 @@ class PerformanceMonitor {
             const sum = this.fpsHistory.reduce((a, b) => a + b, 0);
             this.stats.averageFPS = Math.round(sum / this.fpsHistory.length);
         }
+        
+        this.sampleListeners.forEach(callback => callback(currentFPS));
+    }
+    
+    /**
+     * FPS計測の購読
+     * @param {Function} callback - (fps) => void
+     * @returns {Function} 購読解除関数
+     */
+    onSample(callback) {
+        this.sampleListeners.add(callback);
+        return () => this.sampleListeners.delete(callback);
     }
     
     /**
@@ -367,6 +452,14 @@ class PerformanceMonitor {
         return this.stats.fps;
     }
     
+    /**
+     * 前のフレームからの経過時間の取得
+     * @returns {number} 経過時間（ミリ秒）
+     */
+    getDeltaTime() {
+        return this.deltaTime;
+    }
+    
     /**
      * 詳細な統計情報を取得
      * @returns {Object} パフォーマンス統計
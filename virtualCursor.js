@@ -0,0 +1,214 @@
+/**
+ * 仮想カーソル
+ * ポインターを使わずに矢印キー/WASD やゲームパッドで演奏するためのカーソル
+ * トリガーでクリック爆発、ボタンを押しながら移動するとドラッグ軌跡を描き、離すと経路爆発を起こす
+ */
+
+/** 仮想カーソルのポインターID（実際のポインター・アトラクトモードと重ならない値） */
+const VIRTUAL_CURSOR_POINTER_ID = -2;
+
+/** 標準マッピングのゲームパッドの十字キーのボタン番号 */
+const GAMEPAD_DPAD_BUTTONS = { UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15 };
+
+/**
+ * キーボード・ゲームパッド操作の仮想カーソルクラス
+ */
+class VirtualCursor {
+    /**
+     * @param {Object} host - アプリへのアクセス
+     * @param {Function} host.dispatch - (type, args) => void ライブ入力としての入力イベントの実行
+     * @param {Function} host.notifyInput - () => void 入力があったことの通知（アトラクトモードの停止用）
+     * @param {Function} host.isBusy - () => boolean 操作を受け付けない状態か（入力ログ再生中など）
+     * @param {Function} host.isKeyboardBlocked - () => boolean キー入力を無視する状態か（入力欄にフォーカスなど）
+     */
+    constructor(host) {
+        this.host = host;
+        this.x = width / 2;
+        this.y = height / 2;
+        this.isDrawing = false;
+        this.lastUsedTime = -Infinity;
+        /** 前フレームのボタン状態（押した瞬間・離した瞬間の検出用） */
+        this.previousButtons = { fire: false, draw: false };
+        this.gamepadCount = 0;
+
+        window.addEventListener('gamepadconnected', (event) => {
+            this.gamepadCount++;
+            console.log(`🎮 Gamepad connected: ${event.gamepad.id}`);
+        });
+        window.addEventListener('gamepaddisconnected', (event) => {
+            this.gamepadCount = Math.max(0, this.gamepadCount - 1);
+            console.log(`🎮 Gamepad disconnected: ${event.gamepad.id}`);
+        });
+    }
+
+    /**
+     * キーが仮想カーソルの操作に割り当てられているか
+     * @param {number} code - キーコード
+     * @returns {boolean} 割り当てられているかどうか
+     */
+    handlesKey(code) {
+        const keys = Config.VIRTUAL_CURSOR.KEYS;
+        return Object.values(keys).some(codes => codes.includes(code));
+    }
+
+    /**
+     * 入力の読み取りとカーソルの移動・操作（draw の先頭で呼ぶ）
+     */
+    update() {
+        const config = Config.VIRTUAL_CURSOR;
+        if (!config.ENABLED) return;
+
+        if (this.host.isBusy()) {
+            this.previousButtons = { fire: false, draw: false };
+            this.isDrawing = false;
+            return;
+        }
+
+        const input = ErrorUtils.safeExecute(() => this.readInput(), 'VirtualCursor.readInput', null);
+        if (!input) return;
+
+        const previousX = this.x;
+        const previousY = this.y;
+        const step = config.SPEED * (deltaTime / 1000);
+        this.x = constrain(this.x + input.moveX * step, 0, width);
+        this.y = constrain(this.y + input.moveY * step, 0, height);
+        const moved = this.x !== previousX || this.y !== previousY;
+
+        if (moved || input.fire || input.draw) {
+            this.lastUsedTime = millis();
+            this.host.notifyInput();
+        }
+
+        // トリガーを押した瞬間にクリック爆発（描画中は同じポインターIDのため無視）
+        if (input.fire && !this.previousButtons.fire && !this.isDrawing) {
+            this.host.dispatch('down', [this.x, this.y, VIRTUAL_CURSOR_POINTER_ID]);
+            this.host.dispatch('up', [this.x, this.y, VIRTUAL_CURSOR_POINTER_ID]);
+        }
+
+        // 描画ボタンの押下・移動・解放をドラッグとして扱う
+        if (input.draw && !this.previousButtons.draw) {
+            this.isDrawing = true;
+            this.host.dispatch('down', [this.x, this.y, VIRTUAL_CURSOR_POINTER_ID]);
+        } else if (input.draw && this.isDrawing && moved) {
+            this.host.dispatch('drag', [this.x, this.y, previousX, previousY, VIRTUAL_CURSOR_POINTER_ID]);
+        } else if (!input.draw && this.isDrawing) {
+            this.isDrawing = false;
+            this.host.dispatch('up', [this.x, this.y, VIRTUAL_CURSOR_POINTER_ID]);
+        }
+
+        this.previousButtons = { fire: input.fire, draw: input.draw };
+    }
+
+    /**
+     * キーボードとゲームパッドの入力の合成
+     * @returns {{moveX: number, moveY: number, fire: boolean, draw: boolean}} 入力状態
+     */
+    readInput() {
+        const keyboard = this.readKeyboard();
+        const gamepad = this.readGamepads();
+
+        // 斜め移動が速くならないよう長さ1に制限
+        let moveX = keyboard.moveX + gamepad.moveX;
+        let moveY = keyboard.moveY + gamepad.moveY;
+        const length = Math.hypot(moveX, moveY);
+        if (length > 1) {
+            moveX /= length;
+            moveY /= length;
+        }
+
+        return {
+            moveX,
+            moveY,
+            fire: keyboard.fire || gamepad.fire,
+            draw: keyboard.draw || gamepad.draw
+        };
+    }
+
+    /**
+     * キーボードの入力状態
+     * @returns {{moveX: number, moveY: number, fire: boolean, draw: boolean}} 入力状態
+     */
+    readKeyboard() {
+        if (this.host.isKeyboardBlocked()) {
+            return { moveX: 0, moveY: 0, fire: false, draw: false };
+        }
+
+        const keys = Config.VIRTUAL_CURSOR.KEYS;
+        const isDown = (codes) => codes.some(code => keyIsDown(code));
+        return {
+            moveX: (isDown(keys.RIGHT) ? 1 : 0) - (isDown(keys.LEFT) ? 1 : 0),
+            moveY: (isDown(keys.DOWN) ? 1 : 0) - (isDown(keys.UP) ? 1 : 0),
+            fire: isDown(keys.FIRE),
+            draw: isDown(keys.DRAW)
+        };
+    }
+
+    /**
+     * 接続中のゲームパッドの入力状態（左スティック・十字キー）
+     * @returns {{moveX: number, moveY: number, fire: boolean, draw: boolean}} 入力状態
+     */
+    readGamepads() {
+        const state = { moveX: 0, moveY: 0, fire: false, draw: false };
+        if (this.gamepadCount === 0 || !navigator.getGamepads) return state;
+
+        const config = Config.VIRTUAL_CURSOR.GAMEPAD;
+        const isPressed = (gamepad, indices) => indices.some(index => gamepad.buttons[index] && gamepad.buttons[index].pressed);
+
+        for (const gamepad of navigator.getGamepads()) {
+            if (!gamepad) continue;
+
+            state.moveX += this.applyDeadzone(gamepad.axes[0] || 0, config.DEADZONE);
+            state.moveY += this.applyDeadzone(gamepad.axes[1] || 0, config.DEADZONE);
+            state.moveX += (isPressed(gamepad, [GAMEPAD_DPAD_BUTTONS.RIGHT]) ? 1 : 0) - (isPressed(gamepad, [GAMEPAD_DPAD_BUTTONS.LEFT]) ? 1 : 0);
+            state.moveY += (isPressed(gamepad, [GAMEPAD_DPAD_BUTTONS.DOWN]) ? 1 : 0) - (isPressed(gamepad, [GAMEPAD_DPAD_BUTTONS.UP]) ? 1 : 0);
+            state.fire = state.fire || isPressed(gamepad, config.FIRE_BUTTONS);
+            state.draw = state.draw || isPressed(gamepad, config.DRAW_BUTTONS);
+        }
+        return state;
+    }
+
+    /**
+     * スティックのデッドゾーン処理（デッドゾーン外を0〜1に再割り当て）
+     * @param {number} value - 軸の値（-1〜1）
+     * @param {number} deadzone - デッドゾーン
+     * @returns {number} 処理後の値
+     */
+    applyDeadzone(value, deadzone) {
+        const magnitude = Math.abs(value);
+        if (magnitude <= deadzone) return 0;
+        return Math.sign(value) * (magnitude - deadzone) / (1 - deadzone);
+    }
+
+    /**
+     * 直近に使われていればカーソルを描画
+     */
+    display() {
+        const config = Config.VIRTUAL_CURSOR;
+        if (!config.ENABLED) return;
+
+        const idleMs = millis() - this.lastUsedTime;
+        if (!this.isDrawing && idleMs > config.HIDE_AFTER_SECONDS * 1000) return;
+
+        const rendering = config.RENDERING;
+        push();
+        blendMode(BLEND);
+        colorMode(HSB, 360, 100, 100, 100);
+        stroke(rendering.HUE, this.isDrawing ? 80 : 20, 100, rendering.ALPHA);
+        strokeWeight(rendering.STROKE_WEIGHT);
+        if (this.isDrawing) {
+            fill(rendering.HUE, 80, 100, rendering.ALPHA * 0.3);
+        } else {
+            noFill();
+        }
+        circle(this.x, this.y, rendering.SIZE);
+
+        // 中心の十字
+        const arm = rendering.SIZE * 0.25;
+        line(this.x - arm, this.y, this.x + arm, this.y);
+        line(this.x, this.y - arm, this.x, this.y + arm);
+        pop();
+    }
+}
+
+// グローバルアクセス用
+window.VirtualCursor = VirtualCursor;